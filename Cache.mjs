@@ -44,6 +44,23 @@ export default class Cache extends EventTarget {
  * @prop {CustomEvent} delete Signals that a {@link Cache.store cache store}
  *   entry was deleted. The event name starts with the
  *   {@link CacheKey cache key} of the deleted entry, followed by `/delete`.
+ * @see {@link CacheEventMapAnyEntry `CacheEventMapAnyEntry`} for a map of
+ *   events dispatched for any entry.
+ */
+
+/**
+ * Map of possible {@linkcode Cache} events that are dispatched for any
+ * {@link Cache.store cache store} entry, after the corresponding
+ * {@link CacheEventMap event for the entry}. The keys match the dispatched
+ * event names, and the {@link CacheKey cache key} is in the event detail.
+ * Useful for observing every entry.
+ * @typedef {object} CacheEventMapAnyEntry
+ * @prop {CustomEvent<CacheEventAnyEntrySetDetail>} set Signals that a
+ *   {@link Cache.store cache store} entry was set.
+ * @prop {CustomEvent<CacheEventAnyEntryDetail>} stale Signals that a
+ *   {@link Cache.store cache store} entry is now stale.
+ * @prop {CustomEvent<CacheEventAnyEntryDetail>} delete Signals that a
+ *   {@link Cache.store cache store} entry was deleted.
  */
 
 /**
@@ -51,6 +68,16 @@ export default class Cache extends EventTarget {
  * @prop {CacheValue} cacheValue The set {@link CacheValue cache value}.
  */
 
+/**
+ * @typedef {object} CacheEventAnyEntryDetail
+ * @prop {CacheKey} cacheKey The {@link CacheKey cache key} of the entry.
+ */
+
+/**
+ * @typedef {CacheEventAnyEntryDetail
+ *   & CacheEventSetDetail} CacheEventAnyEntrySetDetail
+ */
+
 /**
  * Unique key to access a {@link CacheValue cache value}.
  * @typedef {string} CacheKey
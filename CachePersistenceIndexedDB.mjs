@@ -0,0 +1,180 @@
+// @ts-check
+
+/**
+ * @import { CacheKey, CacheStore, CacheValue } from "./Cache.mjs"
+ * @import cachePersist from "./cachePersist.mjs"
+ * @import {
+ *   CachePersistenceAdapter,
+ *   CachePersistenceChanges,
+ *   CachePersistenceData,
+ * } from "./types.mjs"
+ */
+
+const OBJECT_STORE_ENTRIES = "entries";
+const OBJECT_STORE_META = "meta";
+const META_KEY_VERSION = "version";
+
+/**
+ * {@link CachePersistenceAdapter Cache persistence adapter} for the
+ * [IndexedDB API](https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API).
+ * Each {@link Cache.store cache store} entry is stored as a separate record, so
+ * writing changes doesn’t rewrite unchanged entries.
+ * {@link CacheValue Cache values} must be
+ * [structured cloneable](https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API/Structured_clone_algorithm).
+ * @implements {CachePersistenceAdapter}
+ * @see {@linkcode cachePersist}, that this is used with.
+ */
+export default class CachePersistenceIndexedDB {
+  /**
+   * @param {object} [options] Options.
+   * @param {IDBFactory} [options.indexedDB] IndexedDB factory. Defaults to the
+   *   global `indexedDB`.
+   * @param {string} [options.databaseName] Name of the database to persist the
+   *   data in. Defaults to `"graphql-react-cache"`.
+   */
+  constructor({
+    indexedDB = globalThis.indexedDB,
+    databaseName = "graphql-react-cache",
+  } = {}) {
+    if (typeof indexedDB !== "object" || !indexedDB)
+      throw new TypeError(
+        "Option `indexedDB` must be an `IDBFactory` instance.",
+      );
+
+    /**
+     * IndexedDB factory.
+     * @type {IDBFactory}
+     */
+    this.indexedDB = indexedDB;
+
+    /**
+     * Name of the database the data is persisted in.
+     * @type {string}
+     */
+    this.databaseName = databaseName;
+
+    /**
+     * Resolves the opened database, if opening it has started.
+     * @type {Promise<IDBDatabase> | undefined}
+     */
+    this.database = undefined;
+  }
+
+  /**
+   * Opens the database, once.
+   * @returns {Promise<IDBDatabase>} Resolves the opened database.
+   */
+  open() {
+    if (!this.database)
+      this.database = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.databaseName, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(OBJECT_STORE_ENTRIES);
+          request.result.createObjectStore(OBJECT_STORE_META);
+        };
+
+        request.onsuccess = () => {
+          resolve(request.result);
+        };
+
+        request.onerror = () => {
+          reject(request.error);
+        };
+      });
+
+    return this.database;
+  }
+
+  /**
+   * Runs a transaction on both object stores.
+   * @template Operated What making the requests returns.
+   * @param {IDBTransactionMode} mode Transaction mode.
+   * @param {(
+   *   entries: IDBObjectStore,
+   *   meta: IDBObjectStore
+   * ) => Operated} operate Makes requests in the transaction.
+   * @returns {Promise<Operated | undefined>} Resolves what making the requests
+   *   returned if the transaction completed.
+   */
+  async transact(mode, operate) {
+    try {
+      const database = await this.open();
+
+      return await new Promise((resolve) => {
+        const transaction = database.transaction(
+          [OBJECT_STORE_ENTRIES, OBJECT_STORE_META],
+          mode,
+        );
+
+        /** @type {Operated} */
+        let operated;
+
+        transaction.oncomplete = () => {
+          resolve(operated);
+        };
+
+        transaction.onabort = () => {
+          resolve(undefined);
+        };
+
+        try {
+          operated = operate(
+            transaction.objectStore(OBJECT_STORE_ENTRIES),
+            transaction.objectStore(OBJECT_STORE_META),
+          );
+        } catch {
+          // E.g. a value that can’t be structured cloned.
+          transaction.abort();
+        }
+      });
+    } catch {
+      // E.g. the database couldn’t be opened.
+    }
+  }
+
+  /**
+   * Reads the persisted data, if any. IndexedDB errors are ignored, as the
+   * cache still works without persistence.
+   * @returns {Promise<CachePersistenceData | undefined>} Resolves the
+   *   persisted data, if any.
+   */
+  async read() {
+    const requests = await this.transact("readonly", (entries, meta) => ({
+      keys: entries.getAllKeys(),
+      values: entries.getAll(),
+      version: meta.get(META_KEY_VERSION),
+    }));
+
+    if (requests && typeof requests.version.result === "number") {
+      /** @type {CacheStore} */
+      const store = {};
+
+      requests.keys.result.forEach((cacheKey, index) => {
+        store[/** @type {CacheKey} */ (cacheKey)] =
+          requests.values.result[index];
+      });
+
+      return { version: requests.version.result, store };
+    }
+  }
+
+  /**
+   * Writes changes to the persisted data. IndexedDB errors are ignored, as the
+   * cache still works without persistence.
+   * @param {CachePersistenceChanges} changes Changes to write.
+   * @returns {Promise<void>} Resolves once the changes are written.
+   */
+  async write(changes) {
+    await this.transact("readwrite", (entries, meta) => {
+      if (changes.clear) entries.clear();
+
+      for (const cacheKey in changes.set)
+        entries.put(changes.set[cacheKey], cacheKey);
+
+      for (const cacheKey of changes.delete) entries.delete(cacheKey);
+
+      meta.put(changes.version, META_KEY_VERSION);
+    });
+  }
+}
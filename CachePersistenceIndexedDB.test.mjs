@@ -0,0 +1,128 @@
+// @ts-check
+
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import { IDBFactory } from "fake-indexeddb";
+import revertableGlobals from "revertable-globals";
+
+import CachePersistenceIndexedDB from "./CachePersistenceIndexedDB.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+
+describe("Class `CachePersistenceIndexedDB`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./CachePersistenceIndexedDB.mjs", import.meta.url),
+      650,
+    );
+  });
+
+  it("Option `indexedDB` not an object.", () => {
+    throws(() => {
+      new CachePersistenceIndexedDB({
+        // @ts-expect-error Testing invalid.
+        indexedDB: true,
+      });
+    }, new TypeError("Option `indexedDB` must be an `IDBFactory` instance."));
+  });
+
+  it("Option `indexedDB` default.", () => {
+    const indexedDB = new IDBFactory();
+    const revertGlobals = revertableGlobals({ indexedDB });
+
+    try {
+      const adapter = new CachePersistenceIndexedDB();
+
+      strictEqual(adapter.indexedDB, indexedDB);
+      strictEqual(adapter.databaseName, "graphql-react-cache");
+    } finally {
+      revertGlobals();
+    }
+  });
+
+  it("Reading and writing.", async () => {
+    const indexedDB = new IDBFactory();
+    const adapter = new CachePersistenceIndexedDB({
+      indexedDB,
+      databaseName: "a",
+    });
+
+    strictEqual(await adapter.read(), undefined);
+
+    await adapter.write({ version: 1, set: { a: 1, b: 2 }, delete: [] });
+
+    deepStrictEqual(await adapter.read(), {
+      version: 1,
+      store: { a: 1, b: 2 },
+    });
+
+    await adapter.write({ version: 1, set: { c: 3 }, delete: ["a"] });
+
+    deepStrictEqual(await adapter.read(), {
+      version: 1,
+      store: { b: 2, c: 3 },
+    });
+
+    await adapter.write({ version: 2, clear: true, set: { d: 4 }, delete: [] });
+
+    // A new adapter for the same database should read the persisted data.
+    deepStrictEqual(
+      await new CachePersistenceIndexedDB({
+        indexedDB,
+        databaseName: "a",
+      }).read(),
+      {
+        version: 2,
+        store: { d: 4 },
+      },
+    );
+  });
+
+  it("Writing a value that can’t be structured cloned.", async () => {
+    const adapter = new CachePersistenceIndexedDB({
+      indexedDB: new IDBFactory(),
+    });
+
+    await adapter.write({ version: 1, set: { a: 1 }, delete: [] });
+    await adapter.write({
+      version: 1,
+      set: {
+        b: 2,
+        c: () => {},
+      },
+      delete: [],
+    });
+
+    // The failed write shouldn’t have partially applied.
+    deepStrictEqual(await adapter.read(), {
+      version: 1,
+      store: { a: 1 },
+    });
+  });
+
+  it("Database open error.", async () => {
+    const indexedDB = new IDBFactory();
+    const databaseName = "a";
+
+    // Create the database with a higher version than the adapter uses, so the
+    // adapter can’t open it.
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.open(databaseName, 2);
+
+      request.onsuccess = () => {
+        request.result.close();
+        resolve(undefined);
+      };
+
+      request.onerror = () => {
+        reject(request.error);
+      };
+    });
+
+    const adapter = new CachePersistenceIndexedDB({ indexedDB, databaseName });
+
+    await adapter.write({ version: 1, set: { a: 1 }, delete: [] });
+
+    strictEqual(await adapter.read(), undefined);
+  });
+});
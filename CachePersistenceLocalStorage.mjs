@@ -0,0 +1,104 @@
+// @ts-check
+
+/**
+ * @import { CacheStore, CacheValue } from "./Cache.mjs"
+ * @import cachePersist from "./cachePersist.mjs"
+ * @import {
+ *   CachePersistenceAdapter,
+ *   CachePersistenceChanges,
+ *   CachePersistenceData,
+ * } from "./types.mjs"
+ */
+
+/**
+ * {@link CachePersistenceAdapter Cache persistence adapter} for the
+ * [Web Storage API](https://developer.mozilla.org/en-US/docs/Web/API/Web_Storage_API),
+ * e.g. `localStorage`. The persisted data is stored as JSON under a single
+ * storage key, so {@link CacheValue cache values} must be JSON serializable.
+ * @implements {CachePersistenceAdapter}
+ * @see {@linkcode cachePersist}, that this is used with.
+ */
+export default class CachePersistenceLocalStorage {
+  /**
+   * @param {object} [options] Options.
+   * @param {Storage} [options.storage] Storage. Defaults to the global
+   *   `localStorage`.
+   * @param {string} [options.storageKey] Storage key to persist the data
+   *   under. Defaults to `"graphql-react-cache"`.
+   */
+  constructor({
+    storage = globalThis.localStorage,
+    storageKey = "graphql-react-cache",
+  } = {}) {
+    if (typeof storage !== "object" || !storage)
+      throw new TypeError("Option `storage` must be a `Storage` instance.");
+
+    /**
+     * Storage.
+     * @type {Storage}
+     */
+    this.storage = storage;
+
+    /**
+     * Storage key the data is persisted under.
+     * @type {string}
+     */
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Reads the persisted data, if any. Persisted data that can’t be parsed is
+   * ignored.
+   * @returns {Promise<CachePersistenceData | undefined>} Resolves the
+   *   persisted data, if any.
+   */
+  async read() {
+    const json = this.storage.getItem(this.storageKey);
+
+    if (json)
+      try {
+        const data = JSON.parse(json);
+
+        if (
+          typeof data === "object" &&
+          data &&
+          typeof data.version === "number" &&
+          typeof data.store === "object" &&
+          data.store
+        )
+          return data;
+      } catch {
+        // Corrupt data is ignored; it will be replaced on the next write.
+      }
+  }
+
+  /**
+   * Writes changes to the persisted data. Storage errors (e.g. the quota being
+   * exceeded) are ignored, as the cache still works without persistence.
+   * @param {CachePersistenceChanges} changes Changes to write.
+   * @returns {Promise<void>} Resolves once the changes are written.
+   */
+  async write(changes) {
+    /** @type {CacheStore} */
+    let store = {};
+
+    if (!changes.clear) {
+      const persisted = await this.read();
+
+      if (persisted) store = persisted.store;
+    }
+
+    Object.assign(store, changes.set);
+
+    for (const cacheKey of changes.delete) delete store[cacheKey];
+
+    try {
+      this.storage.setItem(
+        this.storageKey,
+        JSON.stringify({ version: changes.version, store }),
+      );
+    } catch {
+      // Ignore storage errors.
+    }
+  }
+}
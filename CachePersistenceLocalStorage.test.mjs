@@ -0,0 +1,140 @@
+// @ts-check
+
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import revertableGlobals from "revertable-globals";
+
+import CachePersistenceLocalStorage from "./CachePersistenceLocalStorage.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+
+/** In memory implementation of the parts of `Storage` used. */
+class StorageMemory {
+  constructor() {
+    /** @type {Map<string, string>} */
+    this.items = new Map();
+  }
+
+  /** @param {string} key Key. */
+  getItem(key) {
+    return this.items.get(key) ?? null;
+  }
+
+  /**
+   * @param {string} key Key.
+   * @param {string} value Value.
+   */
+  setItem(key, value) {
+    this.items.set(key, value);
+  }
+}
+
+describe("Class `CachePersistenceLocalStorage`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./CachePersistenceLocalStorage.mjs", import.meta.url),
+      450,
+    );
+  });
+
+  it("Option `storage` not an object.", () => {
+    throws(() => {
+      new CachePersistenceLocalStorage({
+        // @ts-expect-error Testing invalid.
+        storage: true,
+      });
+    }, new TypeError("Option `storage` must be a `Storage` instance."));
+  });
+
+  it("Option `storage` default.", () => {
+    const storage = new StorageMemory();
+    const revertGlobals = revertableGlobals({ localStorage: storage });
+
+    try {
+      const adapter = new CachePersistenceLocalStorage();
+
+      strictEqual(adapter.storage, storage);
+      strictEqual(adapter.storageKey, "graphql-react-cache");
+    } finally {
+      revertGlobals();
+    }
+  });
+
+  it("Reading and writing.", async () => {
+    const storage = new StorageMemory();
+    const storageKey = "a";
+    const adapter = new CachePersistenceLocalStorage({
+      storage: /** @type {Storage} */ (/** @type {unknown} */ (storage)),
+      storageKey,
+    });
+
+    strictEqual(await adapter.read(), undefined);
+
+    await adapter.write({ version: 1, set: { a: 1, b: 2 }, delete: [] });
+
+    deepStrictEqual(JSON.parse(String(storage.getItem(storageKey))), {
+      version: 1,
+      store: { a: 1, b: 2 },
+    });
+    deepStrictEqual(await adapter.read(), {
+      version: 1,
+      store: { a: 1, b: 2 },
+    });
+
+    await adapter.write({ version: 1, set: { c: 3 }, delete: ["a"] });
+
+    deepStrictEqual(await adapter.read(), {
+      version: 1,
+      store: { b: 2, c: 3 },
+    });
+
+    await adapter.write({ version: 2, clear: true, set: { d: 4 }, delete: [] });
+
+    deepStrictEqual(await adapter.read(), {
+      version: 2,
+      store: { d: 4 },
+    });
+  });
+
+  it("Reading invalid data.", async () => {
+    const storage = new StorageMemory();
+    const adapter = new CachePersistenceLocalStorage({
+      storage: /** @type {Storage} */ (/** @type {unknown} */ (storage)),
+    });
+
+    for (const json of [
+      "{",
+      "null",
+      "{}",
+      '{"version":1}',
+      '{"version":1,"store":null}',
+    ]) {
+      storage.setItem(adapter.storageKey, json);
+      strictEqual(await adapter.read(), undefined);
+    }
+
+    // Corrupt data should be replaced on the next write.
+    await adapter.write({ version: 1, set: { a: 1 }, delete: [] });
+
+    deepStrictEqual(await adapter.read(), {
+      version: 1,
+      store: { a: 1 },
+    });
+  });
+
+  it("Writing with a storage error.", async () => {
+    const storage = new StorageMemory();
+
+    storage.setItem = () => {
+      throw new Error("Quota exceeded.");
+    };
+
+    const adapter = new CachePersistenceLocalStorage({
+      storage: /** @type {Storage} */ (/** @type {unknown} */ (storage)),
+    });
+
+    await adapter.write({ version: 1, set: { a: 1 }, delete: [] });
+
+    strictEqual(await adapter.read(), undefined);
+  });
+});
@@ -0,0 +1,48 @@
+// @ts-check
+
+/**
+ * @import createAuthMiddleware from "./createAuthMiddleware.mjs"
+ * @import {
+ *   FetchGraphQLMiddleware,
+ *   FetchGraphQLOptions,
+ * } from "./fetchGraphQL.mjs"
+ */
+
+import React from "react";
+
+/**
+ * [React context](https://reactjs.org/docs/context.html) for
+ * {@link ClientConfigs client configs}.
+ * @type {React.Context<ClientConfigs | undefined>}
+ */
+const ClientConfigsContext = React.createContext(
+  /** @type {ClientConfigs | undefined} */ (undefined),
+);
+
+ClientConfigsContext.displayName = "ClientConfigsContext";
+
+export default ClientConfigsContext;
+
+/**
+ * {@link ClientConfig Client configs}, keyed by client name. The client named
+ * `default` is used unless another is named.
+ * @typedef {{ [clientName: string]: ClientConfig }} ClientConfigs
+ */
+
+/**
+ * Client config for loading GraphQL from an endpoint, so it doesn’t have to be
+ * repeated for every load.
+ * @typedef {object} ClientConfig
+ * @prop {string} [fetchUri] Default
+ *   [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
+ *   URI.
+ * @prop {HeadersInit} [headers] Default `fetch` headers, that headers in the
+ *   `fetch` options override.
+ * @prop {RequestCredentials} [credentials] Default `fetch` credentials policy.
+ * @prop {typeof fetch} [fetch] Default `fetch` implementation, for the
+ *   {@link FetchGraphQLOptions.fetch `fetchGraphQL` option `fetch`}.
+ * @prop {Array<FetchGraphQLMiddleware>} [middleware] Default middleware chain,
+ *   for the
+ *   {@link FetchGraphQLOptions.middleware `fetchGraphQL` option `middleware`}
+ *   (e.g. from {@linkcode createAuthMiddleware}).
+ */
@@ -0,0 +1,40 @@
+// @ts-check
+
+import { strictEqual } from "node:assert";
+import { describe, it } from "node:test";
+
+import React from "react";
+
+import ClientConfigsContext from "./ClientConfigsContext.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import createReactTestRenderer from "./test/createReactTestRenderer.mjs";
+
+describe("React context `ClientConfigsContext`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./ClientConfigsContext.mjs", import.meta.url),
+      120,
+    );
+  });
+
+  it("Used as a React context.", () => {
+    let contextValue;
+
+    function TestComponent() {
+      contextValue = React.useContext(ClientConfigsContext);
+      return null;
+    }
+
+    const value = { default: { fetchUri: "the-uri" } };
+
+    createReactTestRenderer(
+      React.createElement(
+        ClientConfigsContext.Provider,
+        { value },
+        React.createElement(TestComponent),
+      ),
+    );
+
+    strictEqual(contextValue, value);
+  });
+});
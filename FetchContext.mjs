@@ -0,0 +1,20 @@
+// @ts-check
+
+/** @import { FetchGraphQLOptions } from "./fetchGraphQL.mjs" */
+
+import React from "react";
+
+/**
+ * [React context](https://reactjs.org/docs/context.html) for a default
+ * [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
+ * implementation, for the
+ * {@link FetchGraphQLOptions.fetch `fetchGraphQL` option `fetch`}.
+ * @type {React.Context<typeof fetch | undefined>}
+ */
+const FetchContext = React.createContext(
+  /** @type {typeof fetch | undefined} */ (undefined),
+);
+
+FetchContext.displayName = "FetchContext";
+
+export default FetchContext;
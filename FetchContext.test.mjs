@@ -0,0 +1,37 @@
+// @ts-check
+
+import { strictEqual } from "node:assert";
+import { describe, it } from "node:test";
+
+import React from "react";
+
+import FetchContext from "./FetchContext.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import createReactTestRenderer from "./test/createReactTestRenderer.mjs";
+
+describe("React context `FetchContext`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(new URL("./FetchContext.mjs", import.meta.url), 120);
+  });
+
+  it("Used as a React context.", () => {
+    let contextValue;
+
+    function TestComponent() {
+      contextValue = React.useContext(FetchContext);
+      return null;
+    }
+
+    const value = () => Promise.resolve(new Response());
+
+    createReactTestRenderer(
+      React.createElement(
+        FetchContext.Provider,
+        { value },
+        React.createElement(TestComponent),
+      ),
+    );
+
+    strictEqual(contextValue, value);
+  });
+});
@@ -16,7 +16,8 @@ export default class Loading extends EventTarget {
     /**
      * Store of loading {@link CacheKey cache keys} and associated
      * {@link LoadingCacheValue loading cache values}. Multiple for the same key
-     * are set in the order loading started.
+     * are set in the order loading started. A cache key’s set is replaced
+     * instead of mutated when loading starts or ends.
      * @type {{ [cacheKey: CacheKey]: Set<LoadingCacheValue> }}
      */
     this.store = {};
@@ -36,6 +37,10 @@ export default class Loading extends EventTarget {
  *   finished and the {@link CacheValue cache value} was set, the loading was
  *   aborted, or there was an error. The event name starts with the
  *   {@link CacheKey cache key}, followed by `/end`.
+ * @prop {CustomEvent<LoadingEventUploadProgressDetail>} uploadprogress Signals
+ *   the {@link LoadingCacheValue.uploadProgress upload progress} of
+ *   {@link LoadingCacheValue loading a cache value} updated. The event name
+ *   starts with the {@link CacheKey cache key}, followed by `/uploadprogress`.
  */
 
 /**
@@ -47,3 +52,9 @@ export default class Loading extends EventTarget {
  * @typedef {object} LoadingEventEndDetail
  * @prop {LoadingCacheValue} loadingCacheValue Loading cache value that ended.
  */
+
+/**
+ * @typedef {object} LoadingEventUploadProgressDetail
+ * @prop {LoadingCacheValue} loadingCacheValue Loading cache value that has
+ *   updated upload progress.
+ */
@@ -3,6 +3,7 @@
 /**
  * @import { CacheEventMap, CacheKey, CacheValue } from "./Cache.mjs"
  * @import { LoadingEventMap } from "./Loading.mjs"
+ * @import { LoadGraphQLOwnOptions } from "./useLoadGraphQL.mjs"
  */
 
 import Cache from "./Cache.mjs";
@@ -63,9 +64,15 @@ export default class LoadingCacheValue {
      */
     this.abortController = abortController;
 
-    if (!(cacheKey in loading.store)) loading.store[cacheKey] = new Set();
-
-    const loadingSet = loading.store[cacheKey];
+    /**
+     * Upload progress of this loading, if it’s reported (e.g. using the
+     * {@link LoadGraphQLOwnOptions.uploadProgress `useLoadGraphQL` option `uploadProgress`}).
+     * Updates replace the object (instead of mutating it) and are signaled by
+     * the {@linkcode Loading} event
+     * {@link LoadingEventMap.uploadprogress `uploadprogress`}.
+     * @type {LoadingUploadProgress | undefined}
+     */
+    this.uploadProgress = undefined;
 
     // In this constructor the instance must be synchronously added to the cache
     // key’s loading set, so instances are set in the order they’re constructed
@@ -97,7 +104,7 @@ export default class LoadingCacheValue {
 
         let previousPromise;
 
-        for (const loadingCacheValue of loadingSet.values()) {
+        for (const loadingCacheValue of loading.store[cacheKey]) {
           if (loadingCacheValue === this) {
             // Harmless to await if it doesn’t exist.
             await previousPromise;
@@ -110,9 +117,15 @@ export default class LoadingCacheValue {
         cacheEntrySet(cache, cacheKey, result);
       }
 
+      // The loading set is replaced instead of mutated, so its identity
+      // changes whenever its contents do (e.g. for React external store
+      // snapshots).
+      const loadingSet = new Set(loading.store[cacheKey]);
+
       loadingSet.delete(this);
 
-      if (!loadingSet.size) delete loading.store[cacheKey];
+      if (loadingSet.size) loading.store[cacheKey] = loadingSet;
+      else delete loading.store[cacheKey];
 
       loading.dispatchEvent(
         new CustomEvent(`${cacheKey}/end`, {
@@ -125,7 +138,7 @@ export default class LoadingCacheValue {
       return result;
     });
 
-    loadingSet.add(this);
+    loading.store[cacheKey] = new Set(loading.store[cacheKey]).add(this);
 
     /** @type {(value?: unknown) => void} */ (loadingAddedResolve)();
 
@@ -138,3 +151,11 @@ export default class LoadingCacheValue {
     );
   }
 }
+
+/**
+ * {@link LoadingCacheValue Loading cache value} upload progress.
+ * @typedef {object} LoadingUploadProgress
+ * @prop {number} loaded Number of bytes uploaded.
+ * @prop {number} total Total number of bytes to upload, or `0` if it’s
+ *   unknown.
+ */
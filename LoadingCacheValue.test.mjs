@@ -17,7 +17,7 @@ describe("Class `LoadingCacheValue`.", { concurrency: true }, () => {
   it("Bundle size.", async () => {
     await assertBundleSize(
       new URL("./LoadingCacheValue.mjs", import.meta.url),
-      650,
+      700,
     );
   });
 
@@ -134,6 +134,7 @@ describe("Class `LoadingCacheValue`.", { concurrency: true }, () => {
     assertTypeOf(loadingCacheValue.timeStamp, "number");
     strictEqual(performance.now() - loadingCacheValue.timeStamp < 50, true);
     strictEqual(loadingCacheValue.abortController, abortController);
+    strictEqual(loadingCacheValue.uploadProgress, undefined);
     assertInstanceOf(loadingCacheValue.promise, Promise);
 
     events = [];
@@ -1,9 +1,17 @@
 // @ts-check
 
+/**
+ * @import { ClientConfigs } from "./ClientConfigsContext.mjs"
+ * @import useLoadGraphQL from "./useLoadGraphQL.mjs"
+ * @import useMutation from "./useMutation.mjs"
+ */
+
 import React from "react";
 
 import Cache from "./Cache.mjs";
 import CacheContext from "./CacheContext.mjs";
+import ClientConfigsContext from "./ClientConfigsContext.mjs";
+import FetchContext from "./FetchContext.mjs";
 import HydrationTimeStampContext from "./HydrationTimeStampContext.mjs";
 import Loading from "./Loading.mjs";
 import LoadingContext from "./LoadingContext.mjs";
@@ -15,6 +23,8 @@ import LoadingContext from "./LoadingContext.mjs";
  * - {@linkcode HydrationTimeStampContext}
  * - {@linkcode CacheContext}
  * - {@linkcode LoadingContext}
+ * - {@linkcode ClientConfigsContext}
+ * - {@linkcode FetchContext}
  * @param {ProviderProps} props React component props.
  * @example
  * Provide a {@linkcode Cache} instance for an app:
@@ -30,8 +40,31 @@ import LoadingContext from "./LoadingContext.mjs";
  *   return React.createElement(Provider, { cache }, children);
  * }
  * ```
+ *
+ * @example
+ * Provide a client config for loading from the GitHub GraphQL API by default:
+ *
+ * ```js
+ * import Cache from "graphql-react/Cache.mjs";
+ * import Provider from "graphql-react/Provider.mjs";
+ * import React from "react";
+ *
+ * const cache = new Cache();
+ * const clients = {
+ *   default: {
+ *     fetchUri: "https://api.github.com/graphql",
+ *     headers: {
+ *       Authorization: `Bearer ${process.env.GITHUB_ACCESS_TOKEN}`,
+ *     },
+ *   },
+ * };
+ *
+ * function App({ children }) {
+ *   return React.createElement(Provider, { cache, clients }, children);
+ * }
+ * ```
  */
-export default function Provider({ cache, children }) {
+export default function Provider({ cache, clients, fetch, children }) {
   const hydrationTimeStampRef = React.useRef(
     /** @type {DOMHighResTimeStamp | undefined} */ (undefined),
   );
@@ -48,6 +81,15 @@ export default function Provider({ cache, children }) {
   if (!(cache instanceof Cache))
     throw new TypeError("Prop `cache` must be a `Cache` instance.");
 
+  if (
+    clients !== undefined &&
+    (typeof clients !== "object" || !clients || Array.isArray(clients))
+  )
+    throw new TypeError("Prop `clients` must be an object.");
+
+  if (fetch !== undefined && typeof fetch !== "function")
+    throw new TypeError("Prop `fetch` must be a function.");
+
   return React.createElement(
     HydrationTimeStampContext.Provider,
     { value: hydrationTimeStampRef.current },
@@ -57,7 +99,15 @@ export default function Provider({ cache, children }) {
       React.createElement(
         LoadingContext.Provider,
         { value: loadingRef.current },
-        children,
+        React.createElement(
+          ClientConfigsContext.Provider,
+          { value: clients },
+          React.createElement(
+            FetchContext.Provider,
+            { value: fetch },
+            children,
+          ),
+        ),
       ),
     ),
   );
@@ -67,5 +117,13 @@ export default function Provider({ cache, children }) {
  * {@linkcode Provider} React component props.
  * @typedef {object} ProviderProps
  * @prop {Cache} cache {@linkcode Cache} instance.
+ * @prop {ClientConfigs} [clients] {@link ClientConfigs Client configs}, for
+ *   {@linkcode useLoadGraphQL} and {@linkcode useMutation}. Should be memoized.
+ * @prop {typeof globalThis.fetch} [fetch] Default
+ *   [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
+ *   implementation for {@linkcode useLoadGraphQL} and {@linkcode useMutation},
+ *   instead of the global `fetch`. A client config `fetch` takes precedence.
+ *   Useful for server side rendering with a `fetch` for each request (e.g. to
+ *   forward cookies).
  * @prop {React.ReactNode} [children] React children.
  */
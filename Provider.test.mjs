@@ -8,6 +8,8 @@ import ReactTestRenderer from "react-test-renderer";
 
 import Cache from "./Cache.mjs";
 import CacheContext from "./CacheContext.mjs";
+import ClientConfigsContext from "./ClientConfigsContext.mjs";
+import FetchContext from "./FetchContext.mjs";
 import HydrationTimeStampContext from "./HydrationTimeStampContext.mjs";
 import Loading from "./Loading.mjs";
 import LoadingContext from "./LoadingContext.mjs";
@@ -20,7 +22,7 @@ import suppressReactRenderErrorConsoleOutput from "./test/suppressReactRenderErr
 
 describe("React component `Provider`.", { concurrency: true }, () => {
   it("Bundle size.", async () => {
-    await assertBundleSize(new URL("./Provider.mjs", import.meta.url), 500);
+    await assertBundleSize(new URL("./Provider.mjs", import.meta.url), 600);
   });
 
   it("Prop `cache` missing.", () => {
@@ -41,6 +43,89 @@ describe("React component `Provider`.", { concurrency: true }, () => {
     }
   });
 
+  it("Prop `clients` not an object.", () => {
+    const revertConsole = suppressReactRenderErrorConsoleOutput();
+
+    try {
+      throws(() => {
+        createReactTestRenderer(
+          React.createElement(Provider, {
+            cache: new Cache(),
+            // @ts-expect-error Testing invalid.
+            clients: true,
+          }),
+        );
+      }, new TypeError("Prop `clients` must be an object."));
+    } finally {
+      revertConsole();
+    }
+  });
+
+  it("Prop `clients`.", () => {
+    /** @type {Array<unknown>} */
+    const results = [];
+
+    function TestComponent() {
+      results.push(React.useContext(ClientConfigsContext));
+      return null;
+    }
+
+    const clients = { default: { fetchUri: "the-uri" } };
+
+    createReactTestRenderer(
+      React.createElement(
+        Provider,
+        { cache: new Cache(), clients },
+        React.createElement(TestComponent),
+      ),
+    );
+
+    strictEqual(results.length, 1);
+    strictEqual(results[0], clients);
+  });
+
+  it("Prop `fetch` not a function.", () => {
+    const revertConsole = suppressReactRenderErrorConsoleOutput();
+
+    try {
+      throws(() => {
+        createReactTestRenderer(
+          React.createElement(Provider, {
+            cache: new Cache(),
+            // @ts-expect-error Testing invalid.
+            fetch: true,
+          }),
+        );
+      }, new TypeError("Prop `fetch` must be a function."));
+    } finally {
+      revertConsole();
+    }
+  });
+
+  it("Prop `fetch`.", () => {
+    /** @type {Array<unknown>} */
+    const results = [];
+
+    function TestComponent() {
+      results.push(React.useContext(FetchContext));
+      return null;
+    }
+
+    /** @type {typeof globalThis.fetch} */
+    const fetch = async () => new Response();
+
+    createReactTestRenderer(
+      React.createElement(
+        Provider,
+        { cache: new Cache(), fetch },
+        React.createElement(TestComponent),
+      ),
+    );
+
+    strictEqual(results.length, 1);
+    strictEqual(results[0], fetch);
+  });
+
   it("Used correctly.", () => {
     /**
      * @type {Array<{
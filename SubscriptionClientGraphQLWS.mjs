@@ -0,0 +1,404 @@
+// @ts-check
+
+/**
+ * @import {
+ *   GraphQLOperation,
+ *   GraphQLResult,
+ *   GraphQLResultErrorLoadingSubscriptionConnection,
+ *   SubscriptionClient,
+ *   SubscriptionSink,
+ * } from "./types.mjs"
+ * @import useSubscription from "./useSubscription.mjs"
+ */
+
+const PROTOCOL = "graphql-transport-ws";
+
+/**
+ * Connection close codes that signal reconnecting won’t help.
+ * @see [`graphql-transport-ws` protocol](https://github.com/enisdenjo/graphql-ws/blob/master/PROTOCOL.md).
+ */
+const CLOSE_CODES_FATAL = [
+  // Protocol error.
+  1002,
+  // Bad request.
+  4400,
+  // Unauthorized.
+  4401,
+  // Forbidden.
+  4403,
+  // Subprotocol not acceptable.
+  4406,
+  // Subscriber already exists.
+  4409,
+  // Too many initialization requests.
+  4429,
+];
+
+/**
+ * {@link SubscriptionClient GraphQL subscription client} for a WebSocket using
+ * the [`graphql-transport-ws` protocol](https://github.com/enisdenjo/graphql-ws/blob/master/PROTOCOL.md)
+ * (implemented by [`graphql-ws`](https://npm.im/graphql-ws)). It connects
+ * lazily when there are subscriptions, and disconnects once there are none.
+ * If the connection closes unexpectedly it reconnects with exponential backoff
+ * and jitter, resubscribing; once the reconnection attempts run out, the close
+ * code signals reconnecting won’t help, or getting the connection params
+ * errors, the subscriptions end with a
+ * {@link GraphQLResultErrorLoadingSubscriptionConnection loading error}.
+ * @implements {SubscriptionClient}
+ * @see {@linkcode useSubscription}, that this is used with.
+ * @example
+ * Create a client with an auth token sent on connection:
+ *
+ * ```js
+ * import SubscriptionClientGraphQLWS from "graphql-react/SubscriptionClientGraphQLWS.mjs";
+ *
+ * const subscriptionClient = new SubscriptionClientGraphQLWS(
+ *   "wss://example.com/graphql",
+ *   {
+ *     connectionParams: () => ({ token: localStorage.getItem("token") }),
+ *   },
+ * );
+ * ```
+ */
+export default class SubscriptionClientGraphQLWS {
+  /**
+   * @param {string} url WebSocket URL.
+   * @param {object} [options] Options.
+   * @param {SubscriptionClientGraphQLWSConnectionParams} [options.connectionParams]
+   *   Payload for the `connection_init` message (e.g. for auth), or a function
+   *   that gets it for each connection.
+   * @param {typeof WebSocket} [options.WebSocket] WebSocket implementation.
+   *   Defaults to the global `WebSocket`.
+   * @param {number} [options.retryAttempts] Maximum number of consecutive
+   *   reconnection attempts. Defaults to `5`.
+   * @param {number} [options.retryBaseDelay] Milliseconds the reconnection
+   *   delay starts from, doubling each attempt. Defaults to `300`.
+   * @param {number} [options.retryMaxDelay] Maximum milliseconds of a
+   *   reconnection delay. Defaults to `10000`.
+   */
+  constructor(
+    url,
+    {
+      connectionParams,
+      WebSocket = globalThis.WebSocket,
+      retryAttempts = 5,
+      retryBaseDelay = 300,
+      retryMaxDelay = 10000,
+    } = {},
+  ) {
+    if (typeof url !== "string")
+      throw new TypeError("Constructor argument 1 `url` must be a string.");
+
+    if (WebSocket !== undefined && typeof WebSocket !== "function")
+      throw new TypeError("Option `WebSocket` must be a function.");
+
+    /**
+     * WebSocket URL.
+     * @type {string}
+     */
+    this.url = url;
+
+    /**
+     * Payload for the `connection_init` message, or a function that gets it.
+     * @type {SubscriptionClientGraphQLWSConnectionParams | undefined}
+     */
+    this.connectionParams = connectionParams;
+
+    /**
+     * WebSocket implementation.
+     * @type {typeof WebSocket}
+     */
+    this.WebSocket = WebSocket;
+
+    /** @type {number} */
+    this.retryAttempts = retryAttempts;
+
+    /** @type {number} */
+    this.retryBaseDelay = retryBaseDelay;
+
+    /** @type {number} */
+    this.retryMaxDelay = retryMaxDelay;
+
+    /**
+     * Active subscriptions by ID.
+     * @type {Map<string, SubscriptionClientGraphQLWSSubscription>}
+     */
+    this.subscriptions = new Map();
+
+    /**
+     * Last subscription ID.
+     * @type {number}
+     */
+    this.lastId = 0;
+
+    /**
+     * The WebSocket, if connecting or connected.
+     * @type {WebSocket | undefined}
+     */
+    this.socket = undefined;
+
+    /**
+     * Has the server acknowledged the connection.
+     * @type {boolean}
+     */
+    this.acknowledged = false;
+
+    /**
+     * Consecutive reconnection attempts.
+     * @type {number}
+     */
+    this.retries = 0;
+
+    /**
+     * Timeout for the next reconnection attempt, if scheduled.
+     * @type {ReturnType<typeof setTimeout> | undefined}
+     */
+    this.retryTimeout = undefined;
+  }
+
+  /**
+   * Subscribes to a GraphQL subscription operation, until it ends or the
+   * signal aborts.
+   * @param {GraphQLOperation} operation GraphQL subscription operation.
+   * @param {SubscriptionSink} sink Receives the results.
+   * @param {AbortSignal} [signal] Aborts the subscription.
+   */
+  subscribe(operation, sink, signal) {
+    if (typeof operation !== "object" || !operation)
+      throw new TypeError("Argument 1 `operation` must be an object.");
+
+    if (typeof sink !== "object" || !sink || typeof sink.next !== "function")
+      throw new TypeError("Argument 2 `sink` must be an object.");
+
+    if (signal?.aborted) return;
+
+    const id = String(++this.lastId);
+
+    this.subscriptions.set(id, { operation, sink });
+
+    if (this.acknowledged)
+      this.send({ id, type: "subscribe", payload: operation });
+    else if (!this.socket && !this.retryTimeout) this.connect();
+
+    signal?.addEventListener(
+      "abort",
+      () => {
+        if (this.subscriptions.delete(id)) {
+          if (this.acknowledged) this.send({ id, type: "complete" });
+          if (!this.subscriptions.size) this.disconnect();
+        }
+      },
+      { once: true },
+    );
+  }
+
+  /** Connects the WebSocket. */
+  connect() {
+    /** @type {WebSocket} */
+    let socket;
+
+    try {
+      socket = new this.WebSocket(this.url, PROTOCOL);
+    } catch (error) {
+      this.end(1006, /** @type {Error} */ (error).message);
+      return;
+    }
+
+    this.socket = socket;
+
+    // Errors are followed by the close event, that’s handled instead. Some
+    // implementations throw for errors without a listener.
+    socket.addEventListener("error", () => {});
+
+    socket.addEventListener("open", async () => {
+      /** @type {{ [key: string]: unknown } | undefined} */
+      let payload;
+
+      try {
+        payload =
+          typeof this.connectionParams === "function"
+            ? await this.connectionParams()
+            : this.connectionParams;
+      } catch (error) {
+        // Reconnecting won’t help, so end the subscriptions instead of leaving
+        // them waiting for a connection that won’t be initialized.
+        if (this.socket === socket) {
+          this.disconnect();
+          this.end(
+            1006,
+            error instanceof Error ? error.message : String(error),
+          );
+        }
+
+        return;
+      }
+
+      if (this.socket === socket && socket.readyState === socket.OPEN)
+        this.send({ type: "connection_init", payload });
+    });
+
+    socket.addEventListener("message", ({ data }) => {
+      /** @type {SubscriptionClientGraphQLWSMessage | undefined} */
+      let message;
+
+      try {
+        message = JSON.parse(data);
+      } catch {
+        // Handled below.
+      }
+
+      if (typeof message !== "object" || !message) {
+        socket.close(4400, "Invalid message received.");
+        return;
+      }
+
+      const subscription =
+        "id" in message ? this.subscriptions.get(message.id) : undefined;
+
+      switch (message.type) {
+        case "connection_ack":
+          this.acknowledged = true;
+          this.retries = 0;
+
+          for (const [id, { operation }] of this.subscriptions)
+            this.send({ id, type: "subscribe", payload: operation });
+
+          break;
+
+        case "ping":
+          this.send({ type: "pong" });
+          break;
+
+        case "next":
+          if (subscription) subscription.sink.next(message.payload);
+          break;
+
+        case "error":
+          if (subscription) {
+            this.subscriptions.delete(message.id);
+            subscription.sink.next({ errors: message.payload });
+            subscription.sink.complete?.();
+          }
+          break;
+
+        case "complete":
+          if (subscription) {
+            this.subscriptions.delete(message.id);
+            subscription.sink.complete?.();
+          }
+      }
+
+      if (this.socket === socket && !this.subscriptions.size) this.disconnect();
+    });
+
+    socket.addEventListener("close", ({ code, reason }) => {
+      if (this.socket === socket) {
+        this.socket = undefined;
+        this.acknowledged = false;
+
+        if (this.subscriptions.size) {
+          if (
+            CLOSE_CODES_FATAL.includes(code) ||
+            this.retries >= this.retryAttempts
+          )
+            this.end(code, reason);
+          else
+            this.retryTimeout = setTimeout(
+              () => {
+                this.retryTimeout = undefined;
+                this.connect();
+              },
+              // Exponential backoff with full jitter.
+              Math.random() *
+                Math.min(
+                  this.retryMaxDelay,
+                  this.retryBaseDelay * 2 ** this.retries++,
+                ),
+            );
+        }
+      }
+    });
+  }
+
+  /** Disconnects the WebSocket, or cancels reconnecting. */
+  disconnect() {
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = undefined;
+    this.retries = 0;
+
+    if (this.socket) {
+      const { socket } = this;
+
+      this.socket = undefined;
+      this.acknowledged = false;
+      socket.close(1000, "Normal Closure");
+    }
+  }
+
+  /**
+   * Ends all subscriptions with a loading error, after the connection closed
+   * and couldn’t be reestablished.
+   * @param {number} closeCode Connection close code.
+   * @param {string} closeReason Connection close reason.
+   */
+  end(closeCode, closeReason) {
+    const subscriptions = [...this.subscriptions.values()];
+
+    this.subscriptions.clear();
+    this.retries = 0;
+
+    /** @type {GraphQLResult<GraphQLResultErrorLoadingSubscriptionConnection>} */
+    const result = {
+      errors: [
+        {
+          message: "Subscription connection closed.",
+          extensions: {
+            client: true,
+            code: "SUBSCRIPTION_CONNECTION",
+            closeCode,
+            closeReason,
+          },
+        },
+      ],
+    };
+
+    for (const { sink } of subscriptions) {
+      sink.next(result);
+      sink.complete?.();
+    }
+  }
+
+  /**
+   * Sends a message.
+   * @param {SubscriptionClientGraphQLWSMessage} message Message.
+   */
+  send(message) {
+    /** @type {WebSocket} */ (this.socket).send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Payload for the `connection_init` message, or a function that gets it.
+ * @typedef {{ [key: string]: unknown }
+ *   | (() => { [key: string]: unknown }
+ *   | Promise<{ [key: string]: unknown }>)} SubscriptionClientGraphQLWSConnectionParams
+ */
+
+/**
+ * An active subscription.
+ * @typedef {object} SubscriptionClientGraphQLWSSubscription
+ * @prop {GraphQLOperation} operation GraphQL subscription operation.
+ * @prop {SubscriptionSink} sink Receives the results.
+ */
+
+/**
+ * [`graphql-transport-ws` protocol](https://github.com/enisdenjo/graphql-ws/blob/master/PROTOCOL.md)
+ * message.
+ * @typedef {{ type: "connection_init", payload?: unknown }
+ *   | { type: "connection_ack", payload?: unknown }
+ *   | { type: "ping" | "pong", payload?: unknown }
+ *   | { id: string, type: "subscribe", payload: GraphQLOperation }
+ *   | { id: string, type: "next", payload: GraphQLResult<any> }
+ *   | { id: string, type: "error", payload: Array<any> }
+ *   | { id: string, type: "complete" }} SubscriptionClientGraphQLWSMessage
+ */
@@ -0,0 +1,610 @@
+// @ts-check
+
+/**
+ * @import { WebSocket as WebSocketWS } from "ws"
+ * @import { GraphQLResult } from "./types.mjs"
+ */
+
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { once } from "node:events";
+import { describe, it } from "node:test";
+
+import revertableGlobals from "revertable-globals";
+import { WebSocket, WebSocketServer } from "ws";
+
+import SubscriptionClientGraphQLWS from "./SubscriptionClientGraphQLWS.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+
+const WebSocketClient = /** @type {typeof globalThis.WebSocket} */ (
+  /** @type {unknown} */ (WebSocket)
+);
+
+const operation = Object.freeze({ query: "subscription { a }" });
+
+/**
+ * Waits until a condition is met.
+ * @param {() => unknown} condition Condition.
+ */
+async function until(condition) {
+  const start = Date.now();
+
+  while (!condition()) {
+    if (Date.now() - start > 2000) throw new Error("Timed out.");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Waits for the client’s WebSocket to close. This resolves before a scheduled
+ * reconnection attempt, as the client’s close event listener runs first.
+ * @param {SubscriptionClientGraphQLWS} client Client.
+ * @returns {Promise<void>} Resolves once closed.
+ */
+function clientSocketClosed(client) {
+  const { socket } = client;
+
+  ok(socket);
+
+  return new Promise((resolve) => {
+    socket.addEventListener("close", () => resolve(), { once: true });
+  });
+}
+
+/**
+ * Starts a local WebSocket server that records the messages it receives, and
+ * acknowledges connections.
+ * @param {object} [options] Options.
+ * @param {boolean} [options.acknowledge] Should connections be acknowledged.
+ *   Defaults to `true`.
+ */
+async function startServer({ acknowledge = true } = {}) {
+  const server = new WebSocketServer({ port: 0 });
+
+  /** @type {Array<WebSocketWS>} */
+  const sockets = [];
+
+  /** @type {Array<[number, unknown]>} */
+  const messages = [];
+
+  /** @type {Array<[number, number]>} */
+  const closes = [];
+
+  server.on("connection", (socket) => {
+    const connection = sockets.push(socket) - 1;
+
+    strictEqual(socket.protocol, "graphql-transport-ws");
+
+    socket.on("message", (data) => {
+      const message = JSON.parse(String(data));
+
+      messages.push([connection, message]);
+
+      if (acknowledge && message.type === "connection_init")
+        socket.send(JSON.stringify({ type: "connection_ack" }));
+    });
+
+    socket.on("close", (code) => {
+      closes.push([connection, code]);
+    });
+  });
+
+  await once(server, "listening");
+
+  const url = `ws://localhost:${
+    /** @type {import("node:net").AddressInfo} */ (server.address()).port
+  }`;
+
+  return {
+    url,
+    sockets,
+    messages,
+    closes,
+    /**
+     * Sends a message to a connection.
+     * @param {number} connection Connection index.
+     * @param {unknown} message Message.
+     */
+    send(connection, message) {
+      sockets[connection].send(
+        typeof message === "string" ? message : JSON.stringify(message),
+      );
+    },
+    /** Closes the server. */
+    async close() {
+      for (const socket of sockets) socket.terminate();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/** Creates a subscription sink that records what it receives. */
+function createSink() {
+  /** @type {Array<GraphQLResult<any> | "complete">} */
+  const received = [];
+
+  return {
+    received,
+    /** @param {GraphQLResult<any>} result Result. */
+    next(result) {
+      received.push(result);
+    },
+    complete() {
+      received.push("complete");
+    },
+  };
+}
+
+describe("Class `SubscriptionClientGraphQLWS`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./SubscriptionClientGraphQLWS.mjs", import.meta.url),
+      1400,
+    );
+  });
+
+  it("Constructor argument 1 `url` not a string.", () => {
+    throws(() => {
+      new SubscriptionClientGraphQLWS(
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Constructor argument 1 `url` must be a string."));
+  });
+
+  it("Option `WebSocket` not a function.", () => {
+    throws(() => {
+      new SubscriptionClientGraphQLWS("ws://localhost", {
+        // @ts-expect-error Testing invalid.
+        WebSocket: true,
+      });
+    }, new TypeError("Option `WebSocket` must be a function."));
+  });
+
+  it("Option `WebSocket` default.", () => {
+    const revertGlobals = revertableGlobals({ WebSocket: WebSocketClient });
+
+    try {
+      strictEqual(
+        new SubscriptionClientGraphQLWS("ws://localhost").WebSocket,
+        WebSocketClient,
+      );
+    } finally {
+      revertGlobals();
+    }
+  });
+
+  it("Method `subscribe` argument 1 `operation` not an object.", () => {
+    throws(() => {
+      new SubscriptionClientGraphQLWS("ws://localhost").subscribe(
+        // @ts-expect-error Testing invalid.
+        true,
+        createSink(),
+      );
+    }, new TypeError("Argument 1 `operation` must be an object."));
+  });
+
+  it("Method `subscribe` argument 2 `sink` not an object.", () => {
+    throws(() => {
+      new SubscriptionClientGraphQLWS("ws://localhost").subscribe(
+        operation,
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 2 `sink` must be an object."));
+  });
+
+  it("Method `subscribe` with an aborted signal.", () => {
+    const client = new SubscriptionClientGraphQLWS("ws://localhost", {
+      WebSocket: /** @type {typeof WebSocketClient} */ (
+        /** @type {unknown} */ (
+          () => {
+            throw new Error("Shouldn’t connect.");
+          }
+        )
+      ),
+    });
+    const abortController = new AbortController();
+
+    abortController.abort();
+    client.subscribe(operation, createSink(), abortController.signal);
+
+    strictEqual(client.subscriptions.size, 0);
+  });
+
+  it("Subscribing, receiving results, and unsubscribing.", async () => {
+    const server = await startServer();
+
+    try {
+      const client = new SubscriptionClientGraphQLWS(server.url, {
+        WebSocket: WebSocketClient,
+        async connectionParams() {
+          return { token: "a" };
+        },
+      });
+      const sink1 = createSink();
+      const abortController1 = new AbortController();
+
+      client.subscribe(operation, sink1, abortController1.signal);
+
+      await until(() => server.messages.length === 2);
+
+      deepStrictEqual(server.messages, [
+        [0, { type: "connection_init", payload: { token: "a" } }],
+        [0, { id: "1", type: "subscribe", payload: operation }],
+      ]);
+
+      // Subscribing once connected.
+      const sink2 = createSink();
+      const abortController2 = new AbortController();
+      const operation2 = { query: "subscription { b }", variables: { b: 1 } };
+
+      client.subscribe(operation2, sink2, abortController2.signal);
+
+      server.send(0, { type: "ping" });
+      server.send(0, { id: "1", type: "next", payload: { data: { a: 1 } } });
+      server.send(0, { id: "2", type: "next", payload: { data: { b: 1 } } });
+      server.send(0, { id: "1", type: "next", payload: { data: { a: 2 } } });
+
+      // Messages for unknown subscriptions should be ignored.
+      server.send(0, { id: "9", type: "next", payload: { data: {} } });
+      server.send(0, { id: "9", type: "error", payload: [] });
+      server.send(0, { id: "9", type: "complete" });
+      server.send(0, { type: "unknown" });
+
+      await until(() => sink1.received.length === 2);
+
+      deepStrictEqual(sink1.received, [{ data: { a: 1 } }, { data: { a: 2 } }]);
+      deepStrictEqual(sink2.received, [{ data: { b: 1 } }]);
+
+      abortController1.abort();
+
+      // Aborting again should have no effect.
+      abortController1.abort();
+
+      await until(() => server.messages.length === 5);
+
+      deepStrictEqual(server.messages.slice(2), [
+        [0, { id: "2", type: "subscribe", payload: operation2 }],
+        [0, { type: "pong" }],
+        [0, { id: "1", type: "complete" }],
+      ]);
+      deepStrictEqual(server.closes, []);
+
+      // Once there are no subscriptions, the connection should close.
+      abortController2.abort();
+
+      await until(() => server.closes.length === 1);
+
+      deepStrictEqual(server.messages.slice(5), [
+        [0, { id: "2", type: "complete" }],
+      ]);
+      deepStrictEqual(server.closes, [[0, 1000]]);
+      strictEqual(client.socket, undefined);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it("Subscriptions ended by the server.", async () => {
+    const server = await startServer();
+
+    try {
+      const client = new SubscriptionClientGraphQLWS(server.url, {
+        WebSocket: WebSocketClient,
+        connectionParams: { token: "a" },
+      });
+      const sink1 = createSink();
+      const sink2 = createSink();
+
+      client.subscribe(operation, sink1);
+      client.subscribe(operation, sink2);
+
+      await until(() => server.messages.length === 3);
+
+      deepStrictEqual(server.messages[0], [
+        0,
+        { type: "connection_init", payload: { token: "a" } },
+      ]);
+
+      const errors = [{ message: "Error." }];
+
+      server.send(0, { id: "1", type: "error", payload: errors });
+
+      await until(() => sink1.received.length === 2);
+
+      deepStrictEqual(sink1.received, [{ errors }, "complete"]);
+
+      server.send(0, { id: "2", type: "complete" });
+
+      await until(() => server.closes.length === 1);
+
+      deepStrictEqual(sink2.received, ["complete"]);
+      deepStrictEqual(server.closes, [[0, 1000]]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it("Reconnecting.", async () => {
+    const server = await startServer();
+
+    try {
+      const client = new SubscriptionClientGraphQLWS(server.url, {
+        WebSocket: WebSocketClient,
+        retryBaseDelay: 20,
+      });
+      const sink1 = createSink();
+      const abortController1 = new AbortController();
+
+      client.subscribe(operation, sink1, abortController1.signal);
+
+      await until(() => server.messages.length === 2);
+
+      const closed1 = clientSocketClosed(client);
+
+      server.sockets[0].close(1011, "Internal error.");
+
+      await closed1;
+
+      ok(client.retryTimeout);
+
+      // Subscribing while waiting to reconnect.
+      const sink2 = createSink();
+      const abortController2 = new AbortController();
+
+      client.subscribe(operation, sink2, abortController2.signal);
+
+      await until(() => server.messages.length === 5);
+
+      deepStrictEqual(server.messages.slice(2), [
+        [1, { type: "connection_init" }],
+        [1, { id: "1", type: "subscribe", payload: operation }],
+        [1, { id: "2", type: "subscribe", payload: operation }],
+      ]);
+
+      server.send(1, { id: "2", type: "next", payload: { data: { a: 1 } } });
+
+      await until(() => sink2.received.length === 1);
+
+      deepStrictEqual(sink2.received, [{ data: { a: 1 } }]);
+
+      const closed2 = clientSocketClosed(client);
+
+      server.sockets[1].close(1011, "Internal error.");
+
+      await closed2;
+
+      ok(client.retryTimeout);
+
+      // Aborting all subscriptions while waiting to reconnect.
+      abortController1.abort();
+      abortController2.abort();
+
+      strictEqual(client.retryTimeout, undefined);
+      strictEqual(client.socket, undefined);
+      deepStrictEqual(sink1.received, []);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it("Reconnection attempts running out.", async () => {
+    const server = await startServer({ acknowledge: false });
+
+    try {
+      const client = new SubscriptionClientGraphQLWS(server.url, {
+        WebSocket: WebSocketClient,
+        retryAttempts: 1,
+        retryBaseDelay: 10,
+      });
+      const sink = createSink();
+
+      client.subscribe(operation, sink);
+
+      await until(() => server.sockets.length === 1);
+      server.sockets[0].close(1011, "Internal error.");
+
+      await until(() => server.sockets.length === 2);
+      server.sockets[1].close(1011, "Internal error.");
+
+      await until(() => sink.received.length === 2);
+
+      deepStrictEqual(sink.received, [
+        {
+          errors: [
+            {
+              message: "Subscription connection closed.",
+              extensions: {
+                client: true,
+                code: "SUBSCRIPTION_CONNECTION",
+                closeCode: 1011,
+                closeReason: "Internal error.",
+              },
+            },
+          ],
+        },
+        "complete",
+      ]);
+      strictEqual(client.subscriptions.size, 0);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it("Connection closed with a fatal close code.", async () => {
+    const server = await startServer({ acknowledge: false });
+
+    try {
+      const client = new SubscriptionClientGraphQLWS(server.url, {
+        WebSocket: WebSocketClient,
+      });
+      const sink = createSink();
+
+      client.subscribe(operation, sink);
+
+      await until(() => server.messages.length === 1);
+
+      server.sockets[0].close(4401, "Unauthorized.");
+
+      await until(() => sink.received.length === 2);
+
+      deepStrictEqual(sink.received, [
+        {
+          errors: [
+            {
+              message: "Subscription connection closed.",
+              extensions: {
+                client: true,
+                code: "SUBSCRIPTION_CONNECTION",
+                closeCode: 4401,
+                closeReason: "Unauthorized.",
+              },
+            },
+          ],
+        },
+        "complete",
+      ]);
+      strictEqual(server.sockets.length, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it("Invalid messages received.", async () => {
+    const server = await startServer();
+
+    try {
+      const client = new SubscriptionClientGraphQLWS(server.url, {
+        WebSocket: WebSocketClient,
+      });
+
+      for (const [index, message] of ["{", "null"].entries()) {
+        const sink = createSink();
+
+        client.subscribe(operation, sink);
+
+        await until(() => server.sockets.length === index + 1);
+
+        server.send(index, message);
+
+        await until(() => sink.received.length === 2);
+
+        const [result] = sink.received;
+
+        ok(typeof result === "object");
+        deepStrictEqual(result.errors?.[0].extensions.closeCode, 4400);
+      }
+    } finally {
+      await server.close();
+    }
+  });
+
+  it("WebSocket construction error.", () => {
+    const client = new SubscriptionClientGraphQLWS("ws://localhost", {
+      WebSocket: /** @type {typeof WebSocketClient} */ (
+        /** @type {unknown} */ (
+          function () {
+            throw new Error("Invalid URL.");
+          }
+        )
+      ),
+    });
+    const sink = createSink();
+
+    client.subscribe(operation, sink);
+
+    deepStrictEqual(sink.received, [
+      {
+        errors: [
+          {
+            message: "Subscription connection closed.",
+            extensions: {
+              client: true,
+              code: "SUBSCRIPTION_CONNECTION",
+              closeCode: 1006,
+              closeReason: "Invalid URL.",
+            },
+          },
+        ],
+      },
+      "complete",
+    ]);
+  });
+
+  it("Option `connectionParams` error.", async () => {
+    const closeReason = "Connection params error.";
+
+    // The function may throw a value that isn’t an `Error` instance.
+    for (const error of [new Error(closeReason), closeReason]) {
+      const server = await startServer();
+
+      try {
+        const client = new SubscriptionClientGraphQLWS(server.url, {
+          WebSocket: WebSocketClient,
+          connectionParams: async () => {
+            throw error;
+          },
+        });
+        const sink = createSink();
+
+        client.subscribe(operation, sink);
+
+        await until(() => server.closes.length === 1);
+
+        deepStrictEqual(server.messages, []);
+        deepStrictEqual(server.closes, [[0, 1000]]);
+        deepStrictEqual(sink.received, [
+          {
+            errors: [
+              {
+                message: "Subscription connection closed.",
+                extensions: {
+                  client: true,
+                  code: "SUBSCRIPTION_CONNECTION",
+                  closeCode: 1006,
+                  closeReason,
+                },
+              },
+            ],
+          },
+          "complete",
+        ]);
+        strictEqual(client.socket, undefined);
+        strictEqual(client.subscriptions.size, 0);
+      } finally {
+        await server.close();
+      }
+    }
+  });
+
+  it("Unsubscribing while connecting.", async () => {
+    const server = await startServer();
+
+    try {
+      /** @type {() => void} */
+      let resolveConnectionParams = () => {};
+
+      const client = new SubscriptionClientGraphQLWS(server.url, {
+        WebSocket: WebSocketClient,
+        connectionParams: () =>
+          new Promise((resolve) => {
+            resolveConnectionParams = () => resolve({});
+          }),
+      });
+      const abortController = new AbortController();
+
+      client.subscribe(operation, createSink(), abortController.signal);
+
+      await until(() => server.sockets.length === 1);
+
+      abortController.abort();
+      resolveConnectionParams();
+
+      await until(() => server.closes.length === 1);
+
+      deepStrictEqual(server.messages, []);
+    } finally {
+      await server.close();
+    }
+  });
+});
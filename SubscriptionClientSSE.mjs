@@ -0,0 +1,324 @@
+// @ts-check
+
+/**
+ * @import { FetchGraphQLResultErrorLoading } from "./fetchGraphQL.mjs"
+ * @import {
+ *   GraphQLOperation,
+ *   GraphQLResult,
+ *   GraphQLResultErrorLoadingFetch,
+ *   GraphQLResultErrorResponseHttpStatus,
+ *   GraphQLResultErrorResponseJsonParse,
+ *   GraphQLResultErrorResponseMalformed,
+ *   SubscriptionClient,
+ *   SubscriptionSink,
+ * } from "./types.mjs"
+ * @import useSubscription from "./useSubscription.mjs"
+ */
+
+/**
+ * {@link SubscriptionClient GraphQL subscription client} for
+ * [Server-Sent Events](https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events)
+ * using the [GraphQL over SSE protocol](https://github.com/enisdenjo/graphql-sse/blob/master/PROTOCOL.md)
+ * “distinct connections” mode (implemented by
+ * [`graphql-sse`](https://npm.im/graphql-sse)), where each subscription is a
+ * `fetch` request with a response body event stream of `next` and `complete`
+ * events. Stream failures end the subscription with the same loading errors
+ * {@linkcode fetchGraphQL} generates.
+ * @implements {SubscriptionClient}
+ * @see {@linkcode useSubscription}, that this is used with.
+ * @example
+ * Create a client with an auth header:
+ *
+ * ```js
+ * import SubscriptionClientSSE from "graphql-react/SubscriptionClientSSE.mjs";
+ *
+ * const subscriptionClient = new SubscriptionClientSSE(
+ *   "https://example.com/graphql/stream",
+ *   {
+ *     fetchOptions: {
+ *       headers: { Authorization: `Bearer ${token}` },
+ *     },
+ *   },
+ * );
+ * ```
+ */
+export default class SubscriptionClientSSE {
+  /**
+   * @param {string} fetchUri Fetch URI for the GraphQL over SSE endpoint.
+   * @param {object} [options] Options.
+   * @param {RequestInit} [options.fetchOptions] Fetch options (e.g. for auth
+   *   headers). The method, body, and signal are set for each subscription,
+   *   along with the `Content-Type` and `Accept` headers.
+   * @param {typeof fetch} [options.fetch] [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
+   *   implementation. Defaults to the global `fetch`.
+   */
+  constructor(fetchUri, { fetchOptions = {}, fetch: fetcher } = {}) {
+    if (typeof fetchUri !== "string")
+      throw new TypeError(
+        "Constructor argument 1 `fetchUri` must be a string.",
+      );
+
+    if (typeof fetchOptions !== "object" || !fetchOptions)
+      throw new TypeError("Option `fetchOptions` must be an object.");
+
+    if (fetcher !== undefined && typeof fetcher !== "function")
+      throw new TypeError("Option `fetch` must be a function.");
+
+    /**
+     * Fetch URI for the GraphQL over SSE endpoint.
+     * @type {string}
+     */
+    this.fetchUri = fetchUri;
+
+    /**
+     * Fetch options.
+     * @type {RequestInit}
+     */
+    this.fetchOptions = fetchOptions;
+
+    /**
+     * `fetch` implementation, if not the global `fetch`.
+     * @type {typeof fetch | undefined}
+     */
+    this.fetch = fetcher;
+  }
+
+  /**
+   * Subscribes to a GraphQL subscription operation, until it ends or the
+   * signal aborts.
+   * @param {GraphQLOperation} operation GraphQL subscription operation.
+   * @param {SubscriptionSink} sink Receives the results.
+   * @param {AbortSignal} [signal] Aborts the subscription.
+   */
+  subscribe(operation, sink, signal) {
+    if (typeof operation !== "object" || !operation)
+      throw new TypeError("Argument 1 `operation` must be an object.");
+
+    if (typeof sink !== "object" || !sink || typeof sink.next !== "function")
+      throw new TypeError("Argument 2 `sink` must be an object.");
+
+    if (signal?.aborted) return;
+
+    const headers = new Headers(this.fetchOptions.headers);
+
+    headers.set("Content-Type", "application/json");
+    headers.set("Accept", "text/event-stream");
+
+    const fetcher =
+      this.fetch ??
+      (typeof fetch === "function"
+        ? fetch
+        : () =>
+            Promise.reject(new TypeError("Global `fetch` API unavailable.")));
+
+    /**
+     * Ends the subscription with a loading error, unless it aborted.
+     * @param {FetchGraphQLResultErrorLoading} error Loading error.
+     * @param {Response} [response] Response.
+     */
+    const end = (error, response) => {
+      if (!signal?.aborted) {
+        /** @type {GraphQLResult<FetchGraphQLResultErrorLoading>} */
+        const result = { errors: [error] };
+
+        if (response)
+          Object.defineProperty(result, "response", { value: response });
+
+        sink.next(result);
+        sink.complete?.();
+      }
+    };
+
+    fetcher(this.fetchUri, {
+      ...this.fetchOptions,
+      method: "POST",
+      headers,
+      body: JSON.stringify(operation),
+      signal,
+    }).then(
+      // Fetch ok.
+      async (response) => {
+        if (!response.ok) {
+          // Cancelling can reject (e.g. if the stream errored), which is
+          // irrelevant.
+          response.body?.cancel().catch(() => {});
+
+          return end(
+            /** @type {GraphQLResultErrorResponseHttpStatus} */ ({
+              message: `HTTP ${response.status} status.`,
+              extensions: {
+                client: true,
+                code: "RESPONSE_HTTP_STATUS",
+                statusCode: response.status,
+                statusText: response.statusText,
+              },
+            }),
+            response,
+          );
+        }
+
+        if (response.body) {
+          const reader = response.body.getReader();
+          const decoder = new TextDecoder();
+
+          /** Cancels reading the event stream. */
+          const cancel = () => {
+            reader.cancel().catch(() => {});
+          };
+
+          let buffer = "";
+
+          /** @type {ReadableStreamReadResult<Uint8Array> | void} */
+          let chunk;
+
+          while (
+            (chunk = await reader.read().catch((error) =>
+              // The stream was interrupted, e.g. by a network error or
+              // aborting.
+              end(
+                /** @type {GraphQLResultErrorLoadingFetch} */ ({
+                  message: "Fetch error.",
+                  extensions: {
+                    client: true,
+                    code: "FETCH_ERROR",
+                    fetchErrorMessage: /** @type {Error} */ (error).message,
+                  },
+                }),
+                response,
+              ),
+            )) &&
+            !chunk.done
+          ) {
+            buffer += decoder.decode(chunk.value, { stream: true });
+
+            // Events are separated by a blank line.
+            const events = buffer.split(/\r?\n\r?\n/u);
+
+            buffer = /** @type {string} */ (events.pop());
+
+            for (const event of events) {
+              let type = "message";
+
+              /** @type {Array<string>} */
+              const data = [];
+
+              for (const line of event.split(/\r?\n/u)) {
+                const colonIndex = line.indexOf(":");
+
+                // Lines starting with a colon are comments.
+                if (colonIndex) {
+                  const field =
+                    colonIndex === -1 ? line : line.slice(0, colonIndex);
+                  const value =
+                    colonIndex === -1
+                      ? ""
+                      : line.slice(colonIndex + 1).replace(/^ /u, "");
+
+                  if (field === "event") type = value;
+                  else if (field === "data") data.push(value);
+                }
+              }
+
+              if (type === "complete") {
+                cancel();
+                sink.complete?.();
+                return;
+              }
+
+              if (type === "next") {
+                /** @type {unknown} */
+                let json;
+
+                try {
+                  json = JSON.parse(data.join("\n"));
+                } catch (error) {
+                  cancel();
+
+                  return end(
+                    /** @type {GraphQLResultErrorResponseJsonParse} */ ({
+                      message: "Response JSON parse error.",
+                      extensions: {
+                        client: true,
+                        code: "RESPONSE_JSON_PARSE_ERROR",
+                        jsonParseErrorMessage: /** @type {Error} */ (error)
+                          .message,
+                      },
+                    }),
+                    response,
+                  );
+                }
+
+                // It’s not safe to assume that the event data format conforms
+                // to the GraphQL spec.
+                // https://spec.graphql.org/October2021/#sec-Response-Format
+                if (
+                  typeof json !== "object" ||
+                  !json ||
+                  Array.isArray(json) ||
+                  !("errors" in json || "data" in json) ||
+                  ("errors" in json && !Array.isArray(json.errors)) ||
+                  ("data" in json &&
+                    (typeof json.data !== "object" || Array.isArray(json.data)))
+                ) {
+                  cancel();
+
+                  return end(
+                    /** @type {GraphQLResultErrorResponseMalformed} */ ({
+                      message:
+                        "Response event stream `next` event data isn’t a GraphQL result.",
+                      extensions: {
+                        client: true,
+                        code: "RESPONSE_MALFORMED",
+                      },
+                    }),
+                    response,
+                  );
+                }
+
+                Object.defineProperty(json, "response", { value: response });
+
+                // The sink isn’t expected to throw, but if it does the error
+                // isn’t a loading error and the event stream shouldn’t be left
+                // open.
+                try {
+                  sink.next(/** @type {GraphQLResult<any>} */ (json));
+                } catch (error) {
+                  cancel();
+                  throw error;
+                }
+              }
+            }
+          }
+
+          // The stream was interrupted.
+          if (!chunk) return;
+        }
+
+        end(
+          /** @type {GraphQLResultErrorResponseMalformed} */ ({
+            message: "Response event stream ended without a `complete` event.",
+            extensions: {
+              client: true,
+              code: "RESPONSE_MALFORMED",
+            },
+          }),
+          response,
+        );
+      },
+
+      // Fetch error.
+      ({ message }) => {
+        end(
+          /** @type {GraphQLResultErrorLoadingFetch} */ ({
+            message: "Fetch error.",
+            extensions: {
+              client: true,
+              code: "FETCH_ERROR",
+              fetchErrorMessage: message,
+            },
+          }),
+        );
+      },
+    );
+  }
+}
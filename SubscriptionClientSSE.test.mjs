@@ -0,0 +1,685 @@
+// @ts-check
+
+/** @import { GraphQLResult } from "./types.mjs" */
+
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import revertableGlobals from "revertable-globals";
+
+import SubscriptionClientSSE from "./SubscriptionClientSSE.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import Deferred from "./test/Deferred.mjs";
+
+const fetchUri = "the-uri";
+const operation = Object.freeze({ query: "subscription { a }" });
+
+/** Creates a subscription sink that records what it receives. */
+function createSink() {
+  /** @type {Array<GraphQLResult<any>>} */
+  const received = [];
+
+  /** @type {Deferred} */
+  const completed = new Deferred();
+
+  return {
+    received,
+    completed,
+    /** @param {GraphQLResult<any>} result Result. */
+    next(result) {
+      received.push(result);
+    },
+    complete() {
+      completed.resolve();
+    },
+  };
+}
+
+/**
+ * Creates a response with an event stream body that can be written to.
+ * @param {AbortSignal} [signal] Abort signal that errors the stream.
+ * @param {Error} [cancelError] Error cancelling the stream throws.
+ */
+function createEventStreamResponse(signal, cancelError) {
+  const encoder = new TextEncoder();
+
+  /** @type {ReadableStreamDefaultController<Uint8Array>} */
+  let controller;
+
+  const body = new ReadableStream({
+    start(streamController) {
+      controller = streamController;
+    },
+    cancel() {
+      if (cancelError) throw cancelError;
+    },
+  });
+
+  signal?.addEventListener("abort", () => {
+    controller.error(signal.reason);
+  });
+
+  return {
+    response: new Response(body, {
+      headers: { "Content-Type": "text/event-stream" },
+    }),
+    /** @param {string} text Text. */
+    write(text) {
+      controller.enqueue(encoder.encode(text));
+    },
+    close() {
+      controller.close();
+    },
+    /** @param {Error} error Error. */
+    error(error) {
+      controller.error(error);
+    },
+  };
+}
+
+describe("Class `SubscriptionClientSSE`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./SubscriptionClientSSE.mjs", import.meta.url),
+      1500,
+    );
+  });
+
+  it("Constructor argument 1 `fetchUri` not a string.", () => {
+    throws(() => {
+      new SubscriptionClientSSE(
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Constructor argument 1 `fetchUri` must be a string."));
+  });
+
+  it("Option `fetchOptions` not an object.", () => {
+    throws(() => {
+      new SubscriptionClientSSE(fetchUri, {
+        // @ts-expect-error Testing invalid.
+        fetchOptions: true,
+      });
+    }, new TypeError("Option `fetchOptions` must be an object."));
+  });
+
+  it("Option `fetch` not a function.", () => {
+    throws(() => {
+      new SubscriptionClientSSE(fetchUri, {
+        // @ts-expect-error Testing invalid.
+        fetch: true,
+      });
+    }, new TypeError("Option `fetch` must be a function."));
+  });
+
+  it("Option `fetch`.", async () => {
+    const stream = createEventStreamResponse();
+
+    /** @type {Array<RequestInfo | URL>} */
+    const fetchedUris = [];
+
+    const sink = createSink();
+
+    new SubscriptionClientSSE(fetchUri, {
+      async fetch(input) {
+        fetchedUris.push(input);
+        return stream.response;
+      },
+    }).subscribe(operation, sink);
+
+    stream.write('event: next\ndata: {"data":{"a":1}}\n\nevent: complete\n\n');
+    stream.close();
+
+    await sink.completed.promise;
+
+    deepStrictEqual(fetchedUris, [fetchUri]);
+    deepStrictEqual(sink.received, [{ data: { a: 1 } }]);
+  });
+
+  it("Method `subscribe` argument 1 `operation` not an object.", () => {
+    throws(() => {
+      new SubscriptionClientSSE(fetchUri).subscribe(
+        // @ts-expect-error Testing invalid.
+        true,
+        createSink(),
+      );
+    }, new TypeError("Argument 1 `operation` must be an object."));
+  });
+
+  it("Method `subscribe` argument 2 `sink` not an object.", () => {
+    throws(() => {
+      new SubscriptionClientSSE(fetchUri).subscribe(
+        operation,
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 2 `sink` must be an object."));
+  });
+
+  describe(
+    "Functionality.",
+    {
+      // Some of the tests temporarily modify the global `fetch`.
+      concurrency: false,
+    },
+    () => {
+      it("Signal already aborted.", () => {
+        const abortController = new AbortController();
+
+        abortController.abort();
+
+        const revertGlobals = revertableGlobals({
+          fetch() {
+            throw new Error("Shouldn’t fetch.");
+          },
+        });
+
+        try {
+          new SubscriptionClientSSE(fetchUri).subscribe(
+            operation,
+            createSink(),
+            abortController.signal,
+          );
+        } finally {
+          revertGlobals();
+        }
+      });
+
+      it("Events.", async () => {
+        const stream = createEventStreamResponse();
+
+        /** @type {Array<[string, RequestInit]>} */
+        const fetched = [];
+
+        const revertGlobals = revertableGlobals({
+          /**
+           * @param {string} uri Fetch URI.
+           * @param {RequestInit} options Fetch options.
+           */
+          async fetch(uri, options) {
+            fetched.push([uri, options]);
+            return stream.response;
+          },
+        });
+
+        const sink = createSink();
+
+        try {
+          new SubscriptionClientSSE(fetchUri, {
+            fetchOptions: {
+              credentials: "include",
+              headers: { Authorization: "Bearer a" },
+            },
+          }).subscribe(operation, sink);
+        } finally {
+          revertGlobals();
+        }
+
+        strictEqual(fetched.length, 1);
+
+        const [[uri, options]] = fetched;
+
+        strictEqual(uri, fetchUri);
+        strictEqual(options.method, "POST");
+        strictEqual(options.credentials, "include");
+        strictEqual(options.body, JSON.stringify(operation));
+
+        const headers = /** @type {Headers} */ (options.headers);
+
+        strictEqual(headers.get("Authorization"), "Bearer a");
+        strictEqual(headers.get("Content-Type"), "application/json");
+        strictEqual(headers.get("Accept"), "text/event-stream");
+
+        // A comment, and an event without data that should be ignored.
+        stream.write(": Comment.\n\nevent: ping\nretry\n\n");
+
+        // An event split across chunks.
+        stream.write('event: next\ndata: {"data":');
+        stream.write('{"a":1}}\n\n');
+
+        // An event with multiple data lines, and CRLF line endings.
+        stream.write('event: next\r\ndata: {"data":\r\ndata:{"a":2}}\r\n\r\n');
+
+        // An event without an event type should be ignored.
+        stream.write('data: {"data":{"a":3}}\n\n');
+
+        stream.write("event: complete\n\n");
+
+        await sink.completed.promise;
+
+        strictEqual(sink.received[0].response, stream.response);
+
+        deepStrictEqual(sink.received, [
+          { data: { a: 1 } },
+          { data: { a: 2 } },
+        ]);
+      });
+
+      it("Global `fetch` API unavailable.", async () => {
+        const revertGlobals = revertableGlobals({ fetch: undefined });
+        const sink = createSink();
+
+        try {
+          new SubscriptionClientSSE(fetchUri).subscribe(operation, sink);
+        } finally {
+          revertGlobals();
+        }
+
+        await sink.completed.promise;
+
+        deepStrictEqual(sink.received, [
+          {
+            errors: [
+              {
+                message: "Fetch error.",
+                extensions: {
+                  client: true,
+                  code: "FETCH_ERROR",
+                  fetchErrorMessage: "Global `fetch` API unavailable.",
+                },
+              },
+            ],
+          },
+        ]);
+      });
+
+      it("Fetch error.", async () => {
+        const revertGlobals = revertableGlobals({
+          async fetch() {
+            throw new Error("Message.");
+          },
+        });
+        const sink = createSink();
+
+        try {
+          new SubscriptionClientSSE(fetchUri).subscribe(operation, sink);
+        } finally {
+          revertGlobals();
+        }
+
+        await sink.completed.promise;
+
+        deepStrictEqual(sink.received, [
+          {
+            errors: [
+              {
+                message: "Fetch error.",
+                extensions: {
+                  client: true,
+                  code: "FETCH_ERROR",
+                  fetchErrorMessage: "Message.",
+                },
+              },
+            ],
+          },
+        ]);
+      });
+
+      it("Response HTTP status error.", async () => {
+        const response = new Response(
+          new ReadableStream({
+            cancel() {
+              // Cancelling the body rejecting should be ignored.
+              throw new Error("Cancel error.");
+            },
+          }),
+          {
+            status: 404,
+            statusText: "Not Found",
+          },
+        );
+        const revertGlobals = revertableGlobals({
+          async fetch() {
+            return response;
+          },
+        });
+        const sink = createSink();
+
+        try {
+          new SubscriptionClientSSE(fetchUri).subscribe(operation, sink);
+        } finally {
+          revertGlobals();
+        }
+
+        await sink.completed.promise;
+
+        strictEqual(sink.received[0].response, response);
+
+        deepStrictEqual(sink.received, [
+          {
+            errors: [
+              {
+                message: "HTTP 404 status.",
+                extensions: {
+                  client: true,
+                  code: "RESPONSE_HTTP_STATUS",
+                  statusCode: 404,
+                  statusText: "Not Found",
+                },
+              },
+            ],
+          },
+        ]);
+      });
+
+      it("Event data JSON parse error.", async () => {
+        const stream = createEventStreamResponse();
+        const revertGlobals = revertableGlobals({
+          async fetch() {
+            return stream.response;
+          },
+        });
+        const sink = createSink();
+
+        try {
+          new SubscriptionClientSSE(fetchUri).subscribe(operation, sink);
+        } finally {
+          revertGlobals();
+        }
+
+        stream.write("event: next\ndata: {\n\n");
+
+        await sink.completed.promise;
+
+        strictEqual(sink.received.length, 1);
+
+        const [result] = sink.received;
+
+        strictEqual(result.response, stream.response);
+        ok(result.errors);
+        strictEqual(result.errors.length, 1);
+        strictEqual(result.errors[0].message, "Response JSON parse error.");
+        strictEqual(
+          result.errors[0].extensions.code,
+          "RESPONSE_JSON_PARSE_ERROR",
+        );
+        strictEqual(
+          typeof result.errors[0].extensions.jsonParseErrorMessage,
+          "string",
+        );
+      });
+
+      it("Event data malformed.", async () => {
+        for (const data of [
+          "1",
+          "null",
+          "[]",
+          "{}",
+          '{"errors":1}',
+          '{"data":1}',
+          '{"data":[]}',
+        ]) {
+          const stream = createEventStreamResponse();
+          const revertGlobals = revertableGlobals({
+            async fetch() {
+              return stream.response;
+            },
+          });
+          const sink = createSink();
+
+          try {
+            new SubscriptionClientSSE(fetchUri).subscribe(operation, sink);
+          } finally {
+            revertGlobals();
+          }
+
+          stream.write(`event: next\ndata: ${data}\n\n`);
+
+          await sink.completed.promise;
+
+          deepStrictEqual(
+            sink.received,
+            [
+              {
+                errors: [
+                  {
+                    message:
+                      "Response event stream `next` event data isn’t a GraphQL result.",
+                    extensions: {
+                      client: true,
+                      code: "RESPONSE_MALFORMED",
+                    },
+                  },
+                ],
+              },
+            ],
+            data,
+          );
+        }
+      });
+
+      it("Event stream ended without a `complete` event.", async () => {
+        for (const createResponse of [
+          () => {
+            const stream = createEventStreamResponse();
+
+            stream.write('event: next\ndata: {"errors":[{"message":"A"}]}\n\n');
+            stream.close();
+
+            return stream.response;
+          },
+          () => new Response(null),
+        ]) {
+          const response = createResponse();
+          const revertGlobals = revertableGlobals({
+            async fetch() {
+              return response;
+            },
+          });
+          const sink = createSink();
+
+          try {
+            new SubscriptionClientSSE(fetchUri).subscribe(operation, sink);
+          } finally {
+            revertGlobals();
+          }
+
+          await sink.completed.promise;
+
+          const error = {
+            message: "Response event stream ended without a `complete` event.",
+            extensions: {
+              client: true,
+              code: "RESPONSE_MALFORMED",
+            },
+          };
+
+          strictEqual(sink.received.at(-1)?.response, response);
+
+          deepStrictEqual(
+            sink.received,
+            response.body
+              ? [{ errors: [{ message: "A" }] }, { errors: [error] }]
+              : [{ errors: [error] }],
+          );
+        }
+      });
+
+      it("Event stream error.", async () => {
+        const stream = createEventStreamResponse();
+        const revertGlobals = revertableGlobals({
+          async fetch() {
+            return stream.response;
+          },
+        });
+        const sink = createSink();
+
+        try {
+          new SubscriptionClientSSE(fetchUri).subscribe(operation, sink);
+        } finally {
+          revertGlobals();
+        }
+
+        stream.error(new Error("Network error."));
+
+        await sink.completed.promise;
+
+        deepStrictEqual(sink.received, [
+          {
+            errors: [
+              {
+                message: "Fetch error.",
+                extensions: {
+                  client: true,
+                  code: "FETCH_ERROR",
+                  fetchErrorMessage: "Network error.",
+                },
+              },
+            ],
+          },
+        ]);
+      });
+
+      it("Event stream cancel error.", async () => {
+        const stream = createEventStreamResponse(
+          undefined,
+          new Error("Cancel error."),
+        );
+        const revertGlobals = revertableGlobals({
+          async fetch() {
+            return stream.response;
+          },
+        });
+        const sink = createSink();
+
+        try {
+          new SubscriptionClientSSE(fetchUri).subscribe(operation, sink);
+        } finally {
+          revertGlobals();
+        }
+
+        // Cancelling the stream rejecting after completion should be ignored.
+        stream.write("event: complete\n\n");
+
+        await sink.completed.promise;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        deepStrictEqual(sink.received, []);
+      });
+
+      it("Sink error.", async () => {
+        const sinkError = new Error("Sink error.");
+
+        /** @type {Array<unknown>} */
+        const cancelReasons = [];
+
+        const body = new ReadableStream({
+          start(controller) {
+            controller.enqueue(
+              new TextEncoder().encode('event: next\ndata: {"data":{}}\n\n'),
+            );
+          },
+          cancel(reason) {
+            cancelReasons.push(reason);
+          },
+        });
+        const revertGlobals = revertableGlobals({
+          async fetch() {
+            return new Response(body);
+          },
+        });
+
+        // The sink error should be an unhandled rejection, instead of a
+        // loading error for the sink. The test runner listeners are removed
+        // meanwhile so it doesn’t fail the test.
+        const unhandledRejectionListeners =
+          process.listeners("unhandledRejection");
+
+        /** @type {Deferred<unknown>} */
+        const unhandledRejection = new Deferred();
+
+        process.removeAllListeners("unhandledRejection");
+        process.once("unhandledRejection", unhandledRejection.resolve);
+
+        /** @type {Array<GraphQLResult<any>>} */
+        const received = [];
+
+        try {
+          try {
+            new SubscriptionClientSSE(fetchUri).subscribe(operation, {
+              next(result) {
+                received.push(result);
+                throw sinkError;
+              },
+            });
+          } finally {
+            revertGlobals();
+          }
+
+          strictEqual(await unhandledRejection.promise, sinkError);
+        } finally {
+          process.removeAllListeners("unhandledRejection");
+
+          for (const listener of unhandledRejectionListeners)
+            process.on("unhandledRejection", listener);
+        }
+
+        deepStrictEqual(received, [{ data: {} }]);
+        strictEqual(cancelReasons.length, 1);
+      });
+
+      it("Aborting.", async () => {
+        /** @type {Array<Promise<unknown>>} */
+        const fetchPromises = [];
+
+        /** @type {ReturnType<typeof createEventStreamResponse> | undefined} */
+        let stream;
+
+        const revertGlobals = revertableGlobals({
+          /**
+           * @param {string} uri Fetch URI.
+           * @param {RequestInit} options Fetch options.
+           */
+          fetch(uri, { signal }) {
+            const abortSignal = /** @type {AbortSignal} */ (signal);
+
+            const fetchPromise = fetchPromises.length
+              ? Promise.resolve(
+                  (stream = createEventStreamResponse(abortSignal)).response,
+                )
+              : new Promise((resolve, reject) => {
+                  abortSignal.addEventListener("abort", () => {
+                    reject(abortSignal.reason);
+                  });
+                });
+
+            fetchPromises.push(fetchPromise);
+
+            return fetchPromise;
+          },
+        });
+
+        const client = new SubscriptionClientSSE(fetchUri);
+        const sink = createSink();
+        const abortController1 = new AbortController();
+        const abortController2 = new AbortController();
+
+        try {
+          // Aborting while fetching.
+          client.subscribe(operation, sink, abortController1.signal);
+
+          // Aborting while the event stream is open.
+          client.subscribe(operation, sink, abortController2.signal);
+        } finally {
+          revertGlobals();
+        }
+
+        await fetchPromises[1];
+
+        ok(stream);
+
+        stream.write('event: next\ndata: {"data":{"a":1}}\n\n');
+
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        abortController1.abort();
+        abortController2.abort();
+
+        await Promise.allSettled(fetchPromises);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        deepStrictEqual(sink.received, [{ data: { a: 1 } }]);
+      });
+    },
+  );
+});
@@ -1,12 +1,15 @@
 // @ts-check
 
-/** @import { CacheEventMap, CacheKey } from "./Cache.mjs" */
+/**
+ * @import { CacheEventMap, CacheEventMapAnyEntry, CacheKey } from "./Cache.mjs"
+ */
 
 import Cache from "./Cache.mjs";
 
 /**
  * Deletes a {@link Cache.store cache store} entry, dispatching the
- * {@linkcode Cache} event {@link CacheEventMap.delete `delete`}.
+ * {@linkcode Cache} events {@link CacheEventMap.delete `delete`} and
+ * {@link CacheEventMapAnyEntry.delete `delete`} for any entry.
  * @param {Cache} cache Cache to update.
  * @param {CacheKey} cacheKey Cache key.
  */
@@ -21,5 +24,12 @@ export default function cacheEntryDelete(cache, cacheKey) {
     delete cache.store[cacheKey];
 
     cache.dispatchEvent(new CustomEvent(`${cacheKey}/delete`));
+    cache.dispatchEvent(
+      new CustomEvent("delete", {
+        detail: {
+          cacheKey,
+        },
+      }),
+    );
   }
 }
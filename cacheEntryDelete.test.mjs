@@ -44,9 +44,13 @@ describe("Function `cacheEntryDelete`.", { concurrency: true }, () => {
     /** @type {Array<Event>} */
     const events = [];
 
-    cache.addEventListener("b/delete", (event) => {
+    /** @param {Event} event Event. */
+    const listener = (event) => {
       events.push(event);
-    });
+    };
+
+    cache.addEventListener("b/delete", listener);
+    cache.addEventListener("delete", listener);
 
     cacheEntryDelete(cache, "b");
 
@@ -61,18 +65,27 @@ describe("Function `cacheEntryDelete`.", { concurrency: true }, () => {
     /** @type {Array<Event>} */
     const events = [];
 
-    cache.addEventListener(`${deleteCacheKey}/delete`, (event) => {
+    /** @param {Event} event Event. */
+    const listener = (event) => {
       events.push(event);
-    });
+    };
+
+    cache.addEventListener(`${deleteCacheKey}/delete`, listener);
+    cache.addEventListener("delete", listener);
 
     cacheEntryDelete(cache, deleteCacheKey);
 
-    strictEqual(events.length, 1);
+    strictEqual(events.length, 2);
 
     assertInstanceOf(events[0], CustomEvent);
     strictEqual(events[0].type, `${deleteCacheKey}/delete`);
     strictEqual(events[0].cancelable, false);
 
+    assertInstanceOf(events[1], CustomEvent);
+    strictEqual(events[1].type, "delete");
+    strictEqual(events[1].cancelable, false);
+    deepStrictEqual(events[1].detail, { cacheKey: deleteCacheKey });
+
     deepStrictEqual(cache.store, { a: 1 });
   });
 });
@@ -1,12 +1,20 @@
 // @ts-check
 
-/** @import { CacheEventMap, CacheKey, CacheValue } from "./Cache.mjs" */
+/**
+ * @import {
+ *   CacheEventMap,
+ *   CacheEventMapAnyEntry,
+ *   CacheKey,
+ *   CacheValue,
+ * } from "./Cache.mjs"
+ */
 
 import Cache from "./Cache.mjs";
 
 /**
  * Sets a {@link Cache.store cache store} entry, dispatching the
- * {@linkcode Cache} event {@link CacheEventMap.set `set`}.
+ * {@linkcode Cache} events {@link CacheEventMap.set `set`} and
+ * {@link CacheEventMapAnyEntry.set `set`} for any entry.
  * @param {Cache} cache Cache to update.
  * @param {CacheKey} cacheKey Cache key.
  * @param {CacheValue} cacheValue Cache value.
@@ -27,4 +35,13 @@ export default function cacheEntrySet(cache, cacheKey, cacheValue) {
       },
     }),
   );
+
+  cache.dispatchEvent(
+    new CustomEvent("set", {
+      detail: {
+        cacheKey,
+        cacheValue,
+      },
+    }),
+  );
 }
@@ -51,19 +51,31 @@ describe("Function `cacheEntrySet`.", { concurrency: true }, () => {
     const setCacheValue = 2;
     const setEventName = `${setCacheKey}/set`;
 
-    cache.addEventListener(setEventName, (event) => {
+    /** @param {Event} event Event. */
+    const listener = (event) => {
       events.push(event);
-    });
+    };
+
+    cache.addEventListener(setEventName, listener);
+    cache.addEventListener("set", listener);
 
     cacheEntrySet(cache, setCacheKey, setCacheValue);
 
-    strictEqual(events.length, 1);
+    strictEqual(events.length, 2);
 
     assertInstanceOf(events[0], CustomEvent);
     strictEqual(events[0].type, setEventName);
     strictEqual(events[0].cancelable, false);
     deepStrictEqual(events[0].detail, { cacheValue: setCacheValue });
 
+    assertInstanceOf(events[1], CustomEvent);
+    strictEqual(events[1].type, "set");
+    strictEqual(events[1].cancelable, false);
+    deepStrictEqual(events[1].detail, {
+      cacheKey: setCacheKey,
+      cacheValue: setCacheValue,
+    });
+
     deepStrictEqual(cache.store, {
       ...initialCacheStore,
       [setCacheKey]: setCacheValue,
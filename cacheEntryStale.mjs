@@ -1,13 +1,17 @@
 // @ts-check
 
-/** @import { CacheEventMap, CacheKey } from "./Cache.mjs" */
+/**
+ * @import { CacheEventMap, CacheEventMapAnyEntry, CacheKey } from "./Cache.mjs"
+ */
 
 import Cache from "./Cache.mjs";
 
 /**
  * Stales a {@link Cache.store cache store} entry (throwing an error if missing)
- * by dispatching the {@linkcode Cache} event
- * {@link CacheEventMap.stale `stale`} to signal it should probably be reloaded.
+ * by dispatching the {@linkcode Cache} events
+ * {@link CacheEventMap.stale `stale`} and
+ * {@link CacheEventMapAnyEntry.stale `stale`} for any entry, to signal it
+ * should probably be reloaded.
  * @param {Cache} cache Cache to update.
  * @param {CacheKey} cacheKey Cache key.
  */
@@ -22,4 +26,11 @@ export default function cacheEntryStale(cache, cacheKey) {
     throw new Error(`Cache key \`${cacheKey}\` isn’t in the store.`);
 
   cache.dispatchEvent(new CustomEvent(`${cacheKey}/stale`));
+  cache.dispatchEvent(
+    new CustomEvent("stale", {
+      detail: {
+        cacheKey,
+      },
+    }),
+  );
 }
@@ -59,18 +59,27 @@ describe("Function `cacheEntryStale`.", { concurrency: true }, () => {
 
     const staleEventName = `${cacheKey}/stale`;
 
-    cache.addEventListener(staleEventName, (event) => {
+    /** @param {Event} event Event. */
+    const listener = (event) => {
       events.push(event);
-    });
+    };
+
+    cache.addEventListener(staleEventName, listener);
+    cache.addEventListener("stale", listener);
 
     cacheEntryStale(cache, cacheKey);
 
-    strictEqual(events.length, 1);
+    strictEqual(events.length, 2);
 
     assertInstanceOf(events[0], CustomEvent);
     strictEqual(events[0].type, staleEventName);
     strictEqual(events[0].cancelable, false);
 
+    assertInstanceOf(events[1], CustomEvent);
+    strictEqual(events[1].type, "stale");
+    strictEqual(events[1].cancelable, false);
+    deepStrictEqual(events[1].detail, { cacheKey });
+
     deepStrictEqual(cache.store, initialCacheStore);
   });
 });
@@ -0,0 +1,295 @@
+// @ts-check
+
+/**
+ * @import {
+ *   CacheEventAnyEntryDetail,
+ *   CacheEventAnyEntrySetDetail,
+ *   CacheEventMapAnyEntry,
+ *   CacheKey,
+ *   CacheValue,
+ * } from "./Cache.mjs"
+ * @import cachePersistenceLoad from "./cachePersistenceLoad.mjs"
+ * @import useCacheEntryPrunePrevention from "./useCacheEntryPrunePrevention.mjs"
+ * @import useLoadOnStale from "./useLoadOnStale.mjs"
+ */
+
+import Cache from "./Cache.mjs";
+import cacheEntryPrune from "./cacheEntryPrune.mjs";
+import cacheEntryStale from "./cacheEntryStale.mjs";
+
+/**
+ * Maximum `setTimeout` delay in milliseconds; longer delays overflow (e.g.
+ * they run after 1 millisecond).
+ */
+const MAX_TIMEOUT_DELAY = 2 ** 31 - 1;
+
+/**
+ * Expires {@link Cache.store cache store} entries by age since they were set.
+ * Once an entry’s max age passes it’s staled using {@linkcode cacheEntryStale}
+ * (e.g. so {@linkcode useLoadOnStale} reloads it), and once its prune age
+ * passes it’s pruned using {@linkcode cacheEntryPrune}. If pruning is
+ * prevented (e.g. via {@linkcode useCacheEntryPrunePrevention}), it’s
+ * attempted again after another prune age.
+ *
+ * The time each entry was set (via the {@linkcode Cache} event
+ * {@link CacheEventMapAnyEntry.set `set`}) is recorded in the
+ * {@link CacheExpirySetTimes set times}, and ages are checked against it.
+ * Entries already in the store are timed from their recorded set time, or if
+ * there isn’t one from now. So that entries restored into a cache (e.g. by
+ * client hydration after server side rendering, or
+ * {@linkcode cachePersistenceLoad}) don’t get a fresh max age, the set times
+ * should be serialized along with the cache store and restored too.
+ *
+ * The timers only weakly reference the cache and don’t keep a Node.js process
+ * running, so they clean themselves up once the cache is no longer used (e.g.
+ * after server side rendering).
+ * @param {Cache} cache Cache to expire entries in.
+ * @param {CacheExpiryOptions} [options] Options.
+ * @returns {() => void} Stops expiring entries, clearing all timers.
+ * @example
+ * Stale entries after a minute and prune them after an hour:
+ *
+ * ```js
+ * import Cache from "graphql-react/Cache.mjs";
+ * import cacheExpiry from "graphql-react/cacheExpiry.mjs";
+ *
+ * const cache = new Cache();
+ *
+ * cacheExpiry(cache, {
+ *   maxAge: 60 * 1000,
+ *   pruneAge: 60 * 60 * 1000,
+ * });
+ * ```
+ * @example
+ * Client hydration of a cache store and set times that were serialized as
+ * `window.__CACHE_STORE__` and `window.__CACHE_SET_TIMES__` when server side
+ * rendering:
+ *
+ * ```js
+ * import Cache from "graphql-react/Cache.mjs";
+ * import cacheExpiry from "graphql-react/cacheExpiry.mjs";
+ *
+ * const cache = new Cache(window.__CACHE_STORE__);
+ *
+ * cacheExpiry(cache, {
+ *   maxAge: 60 * 1000,
+ *   setTimes: window.__CACHE_SET_TIMES__,
+ * });
+ * ```
+ */
+export default function cacheExpiry(
+  cache,
+  { maxAge, pruneAge, setTimes = {} } = {},
+) {
+  if (!(cache instanceof Cache))
+    throw new TypeError("Argument 1 `cache` must be a `Cache` instance.");
+
+  if (
+    maxAge !== undefined &&
+    typeof maxAge !== "number" &&
+    typeof maxAge !== "function"
+  )
+    throw new TypeError("Option `maxAge` must be a number or function.");
+
+  if (
+    pruneAge !== undefined &&
+    typeof pruneAge !== "number" &&
+    typeof pruneAge !== "function"
+  )
+    throw new TypeError("Option `pruneAge` must be a number or function.");
+
+  if (typeof setTimes !== "object" || !setTimes || Array.isArray(setTimes))
+    throw new TypeError("Option `setTimes` must be an object.");
+
+  // Closures here must only access the cache via this weak reference, as a
+  // closure referencing `cache` would make the pending timers keep it in
+  // memory.
+  const cacheRef = new WeakRef(cache);
+
+  /**
+   * Timers of the entries being expired.
+   * @type {Map<CacheKey, CacheExpiryTimers>}
+   */
+  const entriesTimers = new Map();
+
+  /** @param {CacheKey} cacheKey Cache key. */
+  const clearTimers = (cacheKey) => {
+    const timers = entriesTimers.get(cacheKey);
+
+    if (timers) {
+      clearTimeout(timers.staleTimeout);
+      clearTimeout(timers.pruneTimeout);
+      entriesTimers.delete(cacheKey);
+    }
+  };
+
+  /**
+   * Gets an entry’s age option value.
+   * @param {CacheExpiryAge | undefined} age Age option.
+   * @param {CacheKey} cacheKey Cache key.
+   * @param {CacheValue} cacheValue Cache value.
+   * @returns {number | undefined} Age in milliseconds, if any.
+   */
+  const entryAge = (age, cacheKey, cacheValue) =>
+    typeof age === "function" ? age(cacheKey, cacheValue) : age;
+
+  /**
+   * @param {CacheKey} cacheKey Cache key.
+   * @param {CacheValue} cacheValue Cache value.
+   */
+  const setTimers = (cacheKey, cacheValue) => {
+    clearTimers(cacheKey);
+
+    const setTime = setTimes[cacheKey];
+    const entryMaxAge = entryAge(maxAge, cacheKey, cacheValue);
+    const entryPruneAge = entryAge(pruneAge, cacheKey, cacheValue);
+
+    if (entryMaxAge !== undefined || entryPruneAge !== undefined) {
+      /** @type {CacheExpiryTimers} */
+      const timers = {};
+
+      /**
+       * Sets an entry timer to run a callback at a time. Until the time is
+       * within the maximum timeout delay, the timer is re-armed with it.
+       * @param {keyof CacheExpiryTimers} timer Timer.
+       * @param {() => void} callback Callback.
+       * @param {number} time Time in milliseconds since the UNIX epoch.
+       */
+      const setTimer = (timer, callback, time) => {
+        const delay = Math.max(0, time - Date.now());
+
+        timers[timer] = setTimeoutUnref(
+          delay > MAX_TIMEOUT_DELAY
+            ? () => setTimer(timer, callback, time)
+            : callback,
+          Math.min(delay, MAX_TIMEOUT_DELAY),
+        );
+      };
+
+      /** Forgets the timers once none are pending. */
+      const timerDone = () => {
+        if (!timers.staleTimeout && !timers.pruneTimeout)
+          entriesTimers.delete(cacheKey);
+      };
+
+      if (entryMaxAge !== undefined)
+        setTimer(
+          "staleTimeout",
+          () => {
+            timers.staleTimeout = undefined;
+            timerDone();
+
+            const expiringCache = cacheRef.deref();
+
+            if (expiringCache) cacheEntryStale(expiringCache, cacheKey);
+          },
+          setTime + entryMaxAge,
+        );
+
+      if (entryPruneAge !== undefined) {
+        const prune = () => {
+          const expiringCache = cacheRef.deref();
+
+          if (expiringCache) {
+            // If pruning was prevented, try again later.
+            setTimer("pruneTimeout", prune, Date.now() + entryPruneAge);
+
+            // If the entry is deleted its timers are cleared.
+            cacheEntryPrune(expiringCache, cacheKey);
+          }
+        };
+
+        setTimer("pruneTimeout", prune, setTime + entryPruneAge);
+      }
+
+      entriesTimers.set(cacheKey, timers);
+    }
+  };
+
+  /** @param {Event} event Event. */
+  const onSet = (event) => {
+    const { cacheKey, cacheValue } =
+      /** @type {CustomEvent<CacheEventAnyEntrySetDetail>} */ (event).detail;
+
+    setTimes[cacheKey] = Date.now();
+    setTimers(cacheKey, cacheValue);
+  };
+
+  /** @param {Event} event Event. */
+  const onDelete = (event) => {
+    const { cacheKey } = /** @type {CustomEvent<CacheEventAnyEntryDetail>} */ (
+      event
+    ).detail;
+
+    delete setTimes[cacheKey];
+    clearTimers(cacheKey);
+  };
+
+  for (const cacheKey in cache.store) {
+    if (typeof setTimes[cacheKey] !== "number") setTimes[cacheKey] = Date.now();
+
+    setTimers(cacheKey, cache.store[cacheKey]);
+  }
+
+  cache.addEventListener("set", onSet);
+  cache.addEventListener("delete", onDelete);
+
+  return () => {
+    const expiringCache = cacheRef.deref();
+
+    if (expiringCache) {
+      expiringCache.removeEventListener("set", onSet);
+      expiringCache.removeEventListener("delete", onDelete);
+    }
+
+    for (const cacheKey of entriesTimers.keys()) clearTimers(cacheKey);
+  };
+}
+
+/**
+ * Sets a timeout that doesn’t keep a Node.js process running.
+ * @param {() => void} callback Callback.
+ * @param {number} delay Delay in milliseconds.
+ * @returns {ReturnType<typeof setTimeout>} Timeout.
+ */
+function setTimeoutUnref(callback, delay) {
+  const timeout = setTimeout(callback, delay);
+
+  // Outside Node.js the timeout may be a number.
+  timeout.unref?.();
+
+  return timeout;
+}
+
+/**
+ * {@linkcode cacheExpiry} options.
+ * @typedef {object} CacheExpiryOptions
+ * @prop {CacheExpiryAge} [maxAge] Age after which an entry is staled. By
+ *   default entries aren’t staled.
+ * @prop {CacheExpiryAge} [pruneAge] Age after which an entry is pruned; it
+ *   should be longer than the max age. By default entries aren’t pruned.
+ * @prop {CacheExpirySetTimes} [setTimes] Set times of the entries, that’s
+ *   mutated as entries are set and deleted. Defaults to a new object.
+ */
+
+/**
+ * Age in milliseconds since a {@link Cache.store cache store} entry was set,
+ * or a function that gets it for an entry (or `undefined` for no age).
+ * @typedef {number | ((
+ *   cacheKey: CacheKey,
+ *   cacheValue: CacheValue
+ * ) => number | undefined)} CacheExpiryAge
+ */
+
+/**
+ * Times {@link Cache.store cache store} entries were set, in milliseconds
+ * since the UNIX epoch (as from `Date.now()`). It’s JSON serializable.
+ * @typedef {{ [cacheKey: CacheKey]: number }} CacheExpirySetTimes
+ */
+
+/**
+ * Timers of a {@link Cache.store cache store} entry being expired.
+ * @typedef {object} CacheExpiryTimers
+ * @prop {ReturnType<typeof setTimeout>} [staleTimeout] Stale timeout.
+ * @prop {ReturnType<typeof setTimeout>} [pruneTimeout] Prune timeout.
+ */
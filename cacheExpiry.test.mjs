@@ -0,0 +1,377 @@
+// @ts-check
+
+import "./test/polyfillCustomEvent.mjs";
+
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+import { setFlagsFromString } from "node:v8";
+import { runInNewContext } from "node:vm";
+
+import Cache from "./Cache.mjs";
+import cacheEntryDelete from "./cacheEntryDelete.mjs";
+import cacheEntrySet from "./cacheEntrySet.mjs";
+import cacheExpiry from "./cacheExpiry.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import assertTypeOf from "./test/assertTypeOf.mjs";
+import mockTime from "./test/mockTime.mjs";
+
+/** Runs garbage collection. */
+function collectGarbage() {
+  setFlagsFromString("--expose-gc");
+  runInNewContext("gc")();
+}
+
+/**
+ * Records the {@linkcode Cache} events `stale` and `delete` for any entry.
+ * @param {Cache} cache Cache.
+ * @returns {Array<[string, string]>} Event types and cache keys.
+ */
+function recordEvents(cache) {
+  /** @type {Array<[string, string]>} */
+  const events = [];
+
+  /** @param {Event} event Event. */
+  const listener = (event) => {
+    events.push([
+      event.type,
+      /** @type {CustomEvent<{ cacheKey: string }>} */ (event).detail.cacheKey,
+    ]);
+  };
+
+  cache.addEventListener("stale", listener);
+  cache.addEventListener("delete", listener);
+
+  return events;
+}
+
+describe(
+  "Function `cacheExpiry`.",
+  {
+    // Most of the tests mock the global time and timers.
+    concurrency: false,
+  },
+  () => {
+    it("Bundle size.", async () => {
+      await assertBundleSize(
+        new URL("./cacheExpiry.mjs", import.meta.url),
+        1000,
+      );
+    });
+
+    it("Argument 1 `cache` not a `Cache` instance.", () => {
+      throws(() => {
+        cacheExpiry(
+          // @ts-expect-error Testing invalid.
+          true,
+        );
+      }, new TypeError("Argument 1 `cache` must be a `Cache` instance."));
+    });
+
+    it("Option `maxAge` not a number or function.", () => {
+      throws(() => {
+        cacheExpiry(new Cache(), {
+          // @ts-expect-error Testing invalid.
+          maxAge: true,
+        });
+      }, new TypeError("Option `maxAge` must be a number or function."));
+    });
+
+    it("Option `pruneAge` not a number or function.", () => {
+      throws(() => {
+        cacheExpiry(new Cache(), {
+          // @ts-expect-error Testing invalid.
+          pruneAge: true,
+        });
+      }, new TypeError("Option `pruneAge` must be a number or function."));
+    });
+
+    it("Option `setTimes` not an object.", () => {
+      throws(() => {
+        cacheExpiry(new Cache(), {
+          // @ts-expect-error Testing invalid.
+          setTimes: true,
+        });
+      }, new TypeError("Option `setTimes` must be an object."));
+    });
+
+    it("No options.", (t) => {
+      const tick = mockTime(t);
+
+      const cache = new Cache({ a: 1 });
+      const events = recordEvents(cache);
+      const stop = cacheExpiry(cache);
+
+      assertTypeOf(stop, "function");
+
+      cacheEntrySet(cache, "b", 2);
+
+      tick(1000);
+
+      deepStrictEqual(events, []);
+      deepStrictEqual(cache.store, { a: 1, b: 2 });
+
+      stop();
+    });
+
+    it("Options `maxAge` and `pruneAge` numbers.", (t) => {
+      const tick = mockTime(t);
+
+      const cache = new Cache({ a: 1 });
+      const events = recordEvents(cache);
+      const stop = cacheExpiry(cache, { maxAge: 50, pruneAge: 150 });
+
+      tick(25);
+
+      cacheEntrySet(cache, "b", 2);
+
+      tick(24);
+
+      deepStrictEqual(events, []);
+
+      tick(1);
+
+      deepStrictEqual(events, [["stale", "a"]]);
+
+      tick(25);
+
+      deepStrictEqual(events, [
+        ["stale", "a"],
+        ["stale", "b"],
+      ]);
+
+      // Setting an entry again should restart its timers.
+      cacheEntrySet(cache, "a", 3);
+
+      tick(100);
+
+      deepStrictEqual(events, [
+        ["stale", "a"],
+        ["stale", "b"],
+        ["stale", "a"],
+        ["delete", "b"],
+      ]);
+      deepStrictEqual(cache.store, { a: 3 });
+
+      // Deleting an entry should clear its timers.
+      cacheEntryDelete(cache, "a");
+
+      tick(1000);
+
+      deepStrictEqual(events, [
+        ["stale", "a"],
+        ["stale", "b"],
+        ["stale", "a"],
+        ["delete", "b"],
+        ["delete", "a"],
+      ]);
+
+      stop();
+    });
+
+    it("Options `maxAge` and `pruneAge` functions.", (t) => {
+      const tick = mockTime(t);
+
+      const cache = new Cache({ a: 1 });
+      const events = recordEvents(cache);
+
+      /** @type {Array<[string, unknown]>} */
+      const maxAgeCalls = [];
+
+      const stop = cacheExpiry(cache, {
+        maxAge(cacheKey, cacheValue) {
+          maxAgeCalls.push([cacheKey, cacheValue]);
+
+          return cacheKey === "a" ? 10 : undefined;
+        },
+        pruneAge: (cacheKey) => (cacheKey === "b" ? 10 : undefined),
+      });
+
+      cacheEntrySet(cache, "b", 2);
+      cacheEntrySet(cache, "c", 3);
+
+      deepStrictEqual(maxAgeCalls, [
+        ["a", 1],
+        ["b", 2],
+        ["c", 3],
+      ]);
+
+      tick(10);
+
+      deepStrictEqual(events, [
+        ["stale", "a"],
+        ["delete", "b"],
+      ]);
+      deepStrictEqual(cache.store, { a: 1, c: 3 });
+
+      stop();
+    });
+
+    it("Option `setTimes`.", (t) => {
+      const tick = mockTime(t, 1000);
+
+      const cache = new Cache({ a: 1, b: 2, c: 3 });
+      const events = recordEvents(cache);
+
+      /** @type {import("./cacheExpiry.mjs").CacheExpirySetTimes} */
+      const setTimes = { a: 900, b: 970 };
+
+      const stop = cacheExpiry(cache, { maxAge: 50, pruneAge: 150, setTimes });
+
+      // An entry without a set time should be timed from now.
+      deepStrictEqual(setTimes, { a: 900, b: 970, c: 1000 });
+
+      // An entry past its max age should be staled right away.
+      tick(0);
+
+      deepStrictEqual(events, [["stale", "a"]]);
+
+      tick(20);
+
+      deepStrictEqual(events, [
+        ["stale", "a"],
+        ["stale", "b"],
+      ]);
+
+      tick(30);
+
+      deepStrictEqual(events, [
+        ["stale", "a"],
+        ["stale", "b"],
+        ["delete", "a"],
+        ["stale", "c"],
+      ]);
+      deepStrictEqual(setTimes, { b: 970, c: 1000 });
+
+      cacheEntrySet(cache, "b", 4);
+
+      deepStrictEqual(setTimes, { b: 1050, c: 1000 });
+
+      cacheEntryDelete(cache, "c");
+
+      deepStrictEqual(setTimes, { b: 1050 });
+
+      stop();
+    });
+
+    it("Ages longer than the maximum timeout delay.", (t) => {
+      const tick = mockTime(t);
+      const cache = new Cache({ a: 1 });
+      const events = recordEvents(cache);
+      const day = 24 * 60 * 60 * 1000;
+      const stop = cacheExpiry(cache, { maxAge: 25 * day, pruneAge: 30 * day });
+
+      // A delay longer than the maximum would otherwise overflow.
+      tick(1);
+
+      deepStrictEqual(events, []);
+
+      tick(25 * day - 2);
+
+      deepStrictEqual(events, []);
+
+      tick(1);
+
+      deepStrictEqual(events, [["stale", "a"]]);
+
+      tick(5 * day - 1);
+
+      deepStrictEqual(events, [["stale", "a"]]);
+
+      tick(1);
+
+      deepStrictEqual(events, [
+        ["stale", "a"],
+        ["delete", "a"],
+      ]);
+
+      stop();
+    });
+
+    it("Pruning prevented.", (t) => {
+      const tick = mockTime(t);
+
+      const cache = new Cache({ a: 1 });
+
+      let preventPrune = true;
+
+      /** @type {Array<string>} */
+      const pruneEvents = [];
+
+      cache.addEventListener("a/prune", (event) => {
+        pruneEvents.push(event.type);
+
+        if (preventPrune) event.preventDefault();
+      });
+
+      const stop = cacheExpiry(cache, { pruneAge: 50 });
+
+      tick(50);
+
+      deepStrictEqual(pruneEvents, ["a/prune"]);
+      deepStrictEqual(cache.store, { a: 1 });
+
+      preventPrune = false;
+
+      tick(49);
+
+      deepStrictEqual(pruneEvents, ["a/prune"]);
+
+      tick(1);
+
+      deepStrictEqual(pruneEvents, ["a/prune", "a/prune"]);
+      deepStrictEqual(cache.store, {});
+
+      stop();
+    });
+
+    it("Stopping.", (t) => {
+      const tick = mockTime(t);
+
+      const cache = new Cache({ a: 1 });
+      const events = recordEvents(cache);
+      const stop = cacheExpiry(cache, { maxAge: 10, pruneAge: 20 });
+
+      stop();
+
+      cacheEntrySet(cache, "b", 2);
+
+      tick(1000);
+
+      deepStrictEqual(events, []);
+      deepStrictEqual(cache.store, { a: 1, b: 2 });
+    });
+
+    it("Cache garbage collected.", async (t) => {
+      const tick = mockTime(t);
+
+      /**
+       * Starts expiring entries in a cache that isn’t referenced elsewhere.
+       * @returns {{ cacheRef: WeakRef<Cache>, stop: () => void }} Weak
+       *   reference to the cache, and the function to stop expiring entries.
+       */
+      function start() {
+        const cache = new Cache({ a: 1 });
+
+        return {
+          cacheRef: new WeakRef(cache),
+          stop: cacheExpiry(cache, { maxAge: 10, pruneAge: 20 }),
+        };
+      }
+
+      const { cacheRef, stop } = start();
+
+      // Weak reference targets are kept alive until the current job ends.
+      await new Promise((resolve) => setImmediate(resolve));
+
+      collectGarbage();
+
+      // The pending timers shouldn’t keep the cache in memory.
+      strictEqual(cacheRef.deref(), undefined);
+
+      // The timers should do nothing once due.
+      tick(20);
+
+      stop();
+    });
+  },
+);
@@ -0,0 +1,376 @@
+// @ts-check
+
+/**
+ * @import {
+ *   CacheEventAnyEntryDetail,
+ *   CacheEventAnyEntrySetDetail,
+ *   CacheEventMapAnyEntry,
+ *   CacheKey,
+ *   CacheValue,
+ * } from "./Cache.mjs"
+ * @import { GraphQLResult } from "./types.mjs"
+ */
+
+import Cache from "./Cache.mjs";
+import cacheEntrySet from "./cacheEntrySet.mjs";
+
+/**
+ * Normalizes entities (objects identified by a key, by default from their
+ * `__typename` and `id` fields) within the {@link GraphQLResult.data data} of
+ * {@link Cache.store cache store} entries, so an entity changed in one entry
+ * is updated in every other entry that references it. Entity fields are
+ * stored once as entries are set via the {@linkcode Cache} event
+ * {@link CacheEventMapAnyEntry.set `set`}, and other entries referencing a
+ * changed entity are rebuilt using {@linkcode cacheEntrySet}, dispatching their
+ * set events. Only entity fields with scalar values (or arrays of them) are
+ * normalized; an entry’s object structure and selection of fields are kept.
+ * Entities no longer referenced by any entry are forgotten.
+ *
+ * Entity fields are stored by their response key (the field name, or alias if
+ * there is one), without their arguments. So a field selected with different
+ * arguments in different entries (e.g. `avatar(size: 50)` and
+ * `avatar(size: 200)`) would have its values overwrite each other, corrupting
+ * the entries. Give such fields unique aliases in queries (e.g.
+ * `avatar50: avatar(size: 50)`), or exclude them using the option
+ * {@link CacheNormalizeOptions.fieldKey `fieldKey`}.
+ * @param {Cache} cache Cache to normalize.
+ * @param {CacheNormalizeOptions} [options] Options.
+ * @returns {() => void} Stops normalizing.
+ * @example
+ * Normalize cache entities:
+ *
+ * ```js
+ * import Cache from "graphql-react/Cache.mjs";
+ * import cacheNormalize from "graphql-react/cacheNormalize.mjs";
+ *
+ * const cache = new Cache();
+ *
+ * cacheNormalize(cache);
+ * ```
+ */
+export default function cacheNormalize(
+  cache,
+  { entityKey = entityKeyDefault, fieldKey = fieldKeyDefault } = {},
+) {
+  if (!(cache instanceof Cache))
+    throw new TypeError("Argument 1 `cache` must be a `Cache` instance.");
+
+  if (typeof entityKey !== "function")
+    throw new TypeError("Option `entityKey` must be a function.");
+
+  if (typeof fieldKey !== "function")
+    throw new TypeError("Option `fieldKey` must be a function.");
+
+  /**
+   * Store of entity keys and associated entity fields.
+   * @type {Map<string, { [field: string]: unknown }>}
+   */
+  const entities = new Map();
+
+  /**
+   * Map of entity keys and the cache keys of entries referencing the entity.
+   * @type {Map<string, Set<CacheKey>>}
+   */
+  const entityReferences = new Map();
+
+  /**
+   * Map of cache keys and the entity keys the entry references.
+   * @type {Map<CacheKey, Set<string>>}
+   */
+  const entryReferences = new Map();
+
+  /** Is a rebuilt entry being set. */
+  let rebuilding = false;
+
+  /** @param {CacheKey} cacheKey Cache key. */
+  const forgetEntry = (cacheKey) => {
+    const entityKeys = entryReferences.get(cacheKey);
+
+    if (entityKeys) {
+      entryReferences.delete(cacheKey);
+
+      for (const key of entityKeys) {
+        const cacheKeys = /** @type {Set<CacheKey>} */ (
+          entityReferences.get(key)
+        );
+
+        cacheKeys.delete(cacheKey);
+
+        if (!cacheKeys.size) {
+          entityReferences.delete(key);
+          entities.delete(key);
+        }
+      }
+    }
+  };
+
+  /**
+   * Stores the entities in a cache value.
+   * @param {CacheKey} cacheKey Cache key.
+   * @param {CacheValue} cacheValue Cache value.
+   * @returns {Set<string>} Keys of entities that changed.
+   */
+  const storeEntities = (cacheKey, cacheValue) => {
+    /** @type {Set<string>} */
+    const entityKeys = new Set();
+
+    /** @type {Set<string>} */
+    const changedEntityKeys = new Set();
+
+    /** @param {unknown} value Value. */
+    const walk = (value) => {
+      if (Array.isArray(value)) value.forEach(walk);
+      else if (isObject(value)) {
+        const key = entityKey(value);
+
+        if (typeof key === "string") {
+          entityKeys.add(key);
+
+          let entity = entities.get(key);
+
+          if (!entity) {
+            entity = {};
+            entities.set(key, entity);
+          }
+
+          for (const [field, fieldValue] of Object.entries(value)) {
+            const entityField = fieldKey(field, value);
+
+            if (typeof entityField === "string" && isLeaf(fieldValue)) {
+              if (
+                entityField in entity &&
+                !leafEqual(entity[entityField], fieldValue)
+              )
+                changedEntityKeys.add(key);
+
+              entity[entityField] = fieldValue;
+            }
+          }
+        }
+
+        Object.values(value).forEach(walk);
+      }
+    };
+
+    if (isObject(cacheValue)) walk(cacheValue.data);
+
+    if (entityKeys.size) {
+      entryReferences.set(cacheKey, entityKeys);
+
+      for (const key of entityKeys) {
+        let cacheKeys = entityReferences.get(key);
+
+        if (!cacheKeys) {
+          cacheKeys = new Set();
+          entityReferences.set(key, cacheKeys);
+        }
+
+        cacheKeys.add(cacheKey);
+      }
+    }
+
+    return changedEntityKeys;
+  };
+
+  /**
+   * Rebuilds a value with the stored entity fields.
+   * @param {unknown} value Value.
+   * @returns {unknown} The rebuilt value, or the same value if unchanged.
+   */
+  const rebuild = (value) => {
+    if (Array.isArray(value)) {
+      const rebuilt = value.map(rebuild);
+
+      return rebuilt.every((item, index) => item === value[index])
+        ? value
+        : rebuilt;
+    }
+
+    if (isObject(value)) {
+      const key = entityKey(value);
+      const entity = typeof key === "string" ? entities.get(key) : undefined;
+
+      /** @type {{ [field: string]: unknown }} */
+      const rebuilt = {};
+
+      let changed = false;
+
+      for (const [field, fieldValue] of Object.entries(value)) {
+        const entityField = entity ? fieldKey(field, value) : undefined;
+
+        rebuilt[field] =
+          entity &&
+          typeof entityField === "string" &&
+          entityField in entity &&
+          isLeaf(fieldValue)
+            ? leafEqual(entity[entityField], fieldValue)
+              ? fieldValue
+              : entity[entityField]
+            : rebuild(fieldValue);
+
+        if (rebuilt[field] !== fieldValue) changed = true;
+      }
+
+      return changed ? rebuilt : value;
+    }
+
+    return value;
+  };
+
+  /**
+   * Rebuilds a cache store entry with the stored entity fields, setting it if
+   * it changed.
+   * @param {CacheKey} cacheKey Cache key.
+   */
+  const rebuildEntry = (cacheKey) => {
+    const cacheValue = /** @type {GraphQLResult} */ (cache.store[cacheKey]);
+    const data = rebuild(cacheValue.data);
+
+    if (data !== cacheValue.data) {
+      // Preserve the prototype and any non-enumerable properties (e.g. the
+      // GraphQL result `response`).
+      const cacheValueRebuilt = Object.create(
+        Object.getPrototypeOf(cacheValue),
+        Object.getOwnPropertyDescriptors(cacheValue),
+      );
+
+      cacheValueRebuilt.data = data;
+
+      rebuilding = true;
+
+      try {
+        cacheEntrySet(cache, cacheKey, cacheValueRebuilt);
+      } finally {
+        rebuilding = false;
+      }
+    }
+  };
+
+  /** @param {Event} event Event. */
+  const onSet = (event) => {
+    if (!rebuilding) {
+      const { cacheKey, cacheValue } =
+        /** @type {CustomEvent<CacheEventAnyEntrySetDetail>} */ (event).detail;
+
+      forgetEntry(cacheKey);
+
+      const changedEntityKeys = storeEntities(cacheKey, cacheValue);
+
+      /** @type {Set<CacheKey>} */
+      const cacheKeysToRebuild = new Set();
+
+      for (const key of changedEntityKeys)
+        for (const referencingCacheKey of /** @type {Set<CacheKey>} */ (
+          entityReferences.get(key)
+        ))
+          if (referencingCacheKey !== cacheKey)
+            cacheKeysToRebuild.add(referencingCacheKey);
+
+      for (const referencingCacheKey of cacheKeysToRebuild)
+        rebuildEntry(referencingCacheKey);
+    }
+  };
+
+  /** @param {Event} event Event. */
+  const onDelete = (event) => {
+    forgetEntry(
+      /** @type {CustomEvent<CacheEventAnyEntryDetail>} */ (event).detail
+        .cacheKey,
+    );
+  };
+
+  for (const cacheKey in cache.store)
+    storeEntities(cacheKey, cache.store[cacheKey]);
+
+  cache.addEventListener("set", onSet);
+  cache.addEventListener("delete", onDelete);
+
+  return () => {
+    cache.removeEventListener("set", onSet);
+    cache.removeEventListener("delete", onDelete);
+  };
+}
+
+/**
+ * Gets an entity key from its `__typename` and `id` fields.
+ * @type {CacheNormalizeEntityKey}
+ */
+function entityKeyDefault({ __typename, id }) {
+  if (
+    typeof __typename === "string" &&
+    (typeof id === "string" || typeof id === "number")
+  )
+    return `${__typename}:${id}`;
+}
+
+/**
+ * Gets an entity field key from its response key.
+ * @type {CacheNormalizeFieldKey}
+ */
+function fieldKeyDefault(field) {
+  return field;
+}
+
+/**
+ * Checks if a value is a non-array object.
+ * @param {unknown} value Value.
+ * @returns {value is { [key: string]: unknown }} Is the value an object.
+ */
+function isObject(value) {
+  return typeof value === "object" && !!value && !Array.isArray(value);
+}
+
+/**
+ * Checks if a value is a scalar or an array of them.
+ * @param {unknown} value Value.
+ * @returns {boolean} Is the value a leaf.
+ */
+function isLeaf(value) {
+  return Array.isArray(value)
+    ? value.every(isLeaf)
+    : typeof value !== "object" || value === null;
+}
+
+/**
+ * Checks if two leaf values are equal.
+ * @param {unknown} a Leaf value.
+ * @param {unknown} b Leaf value.
+ * @returns {boolean} Are the values equal.
+ */
+function leafEqual(a, b) {
+  return Array.isArray(a) && Array.isArray(b)
+    ? a.length === b.length &&
+        a.every((item, index) => leafEqual(item, b[index]))
+    : a === b;
+}
+
+/**
+ * {@linkcode cacheNormalize} options.
+ * @typedef {object} CacheNormalizeOptions
+ * @prop {CacheNormalizeEntityKey} [entityKey] Gets an entity key for an
+ *   object. Defaults to a function that uses the object `__typename` and `id`
+ *   fields.
+ * @prop {CacheNormalizeFieldKey} [fieldKey] Gets the key an entity field is
+ *   stored by, or `undefined` to exclude it from normalization (e.g. for a
+ *   field with arguments). Defaults to a function that uses the field response
+ *   key.
+ */
+
+/**
+ * Gets an entity key for an object within
+ * {@link GraphQLResult.data GraphQL result data}, or `undefined` if it isn’t an
+ * entity.
+ * @callback CacheNormalizeEntityKey
+ * @param {{ [key: string]: unknown }} object Object.
+ * @returns {string | undefined} Entity key.
+ */
+
+/**
+ * Gets the key an entity field is stored by, or `undefined` if it isn’t
+ * normalized.
+ * @callback CacheNormalizeFieldKey
+ * @param {string} field Field response key (the field name, or alias if there
+ *   is one).
+ * @param {{ [key: string]: unknown }} entity Entity object.
+ * @returns {string | undefined} Entity field key.
+ */
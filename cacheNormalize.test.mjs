@@ -0,0 +1,325 @@
+// @ts-check
+
+/** @import { GraphQLResult } from "./types.mjs" */
+
+import "./test/polyfillCustomEvent.mjs";
+
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import Cache from "./Cache.mjs";
+import cacheEntryDelete from "./cacheEntryDelete.mjs";
+import cacheEntrySet from "./cacheEntrySet.mjs";
+import cacheNormalize from "./cacheNormalize.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import assertTypeOf from "./test/assertTypeOf.mjs";
+
+/**
+ * Records the cache keys of the {@linkcode Cache} event `set` for any entry.
+ * @param {Cache} cache Cache.
+ * @returns {Array<string>} Cache keys.
+ */
+function recordSetEvents(cache) {
+  /** @type {Array<string>} */
+  const cacheKeys = [];
+
+  cache.addEventListener("set", (event) => {
+    cacheKeys.push(
+      /** @type {CustomEvent<{ cacheKey: string }>} */ (event).detail.cacheKey,
+    );
+  });
+
+  return cacheKeys;
+}
+
+describe("Function `cacheNormalize`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./cacheNormalize.mjs", import.meta.url),
+      1150,
+    );
+  });
+
+  it("Argument 1 `cache` not a `Cache` instance.", () => {
+    throws(() => {
+      cacheNormalize(
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 1 `cache` must be a `Cache` instance."));
+  });
+
+  it("Option `entityKey` not a function.", () => {
+    throws(() => {
+      cacheNormalize(new Cache(), {
+        // @ts-expect-error Testing invalid.
+        entityKey: true,
+      });
+    }, new TypeError("Option `entityKey` must be a function."));
+  });
+
+  it("Option `fieldKey` not a function.", () => {
+    throws(() => {
+      cacheNormalize(new Cache(), {
+        // @ts-expect-error Testing invalid.
+        fieldKey: true,
+      });
+    }, new TypeError("Option `fieldKey` must be a function."));
+  });
+
+  it("Updates entities in referencing entries.", () => {
+    const response = new Response();
+    const cacheValueA = {
+      data: {
+        viewer: { __typename: "User", id: "1", name: "A", tags: ["a"] },
+      },
+    };
+
+    Object.defineProperty(cacheValueA, "response", { value: response });
+
+    const cacheValueB = {
+      data: {
+        users: [
+          {
+            __typename: "User",
+            id: "1",
+            name: "A",
+            friends: [{ __typename: "User", id: 2, name: "B" }],
+          },
+          { name: "Not an entity" },
+        ],
+      },
+    };
+    const cacheValueC = {
+      data: { user: { __typename: "User", id: 2, age: 30 } },
+    };
+    const cache = new Cache({
+      a: cacheValueA,
+      b: cacheValueB,
+      c: cacheValueC,
+      d: "Not a GraphQL result.",
+    });
+    const setCacheKeys = recordSetEvents(cache);
+    const stop = cacheNormalize(cache);
+
+    assertTypeOf(stop, "function");
+
+    try {
+      // Changing an entity scalar field.
+      cacheEntrySet(cache, "e", {
+        data: { user: { __typename: "User", id: "1", name: "C" } },
+      });
+
+      deepStrictEqual(setCacheKeys, ["e", "a", "b"]);
+      deepStrictEqual(cache.store.a, {
+        data: {
+          viewer: { __typename: "User", id: "1", name: "C", tags: ["a"] },
+        },
+      });
+      strictEqual(
+        /** @type {GraphQLResult} */ (cache.store.a).response,
+        response,
+      );
+      deepStrictEqual(cache.store.b, {
+        data: {
+          users: [
+            {
+              __typename: "User",
+              id: "1",
+              name: "C",
+              friends: [{ __typename: "User", id: 2, name: "B" }],
+            },
+            { name: "Not an entity" },
+          ],
+        },
+      });
+
+      // Unchanged parts of rebuilt entries should be the same objects.
+      strictEqual(
+        /** @type {typeof cacheValueB} */ (cache.store.b).data.users[0].friends,
+        cacheValueB.data.users[0].friends,
+      );
+      strictEqual(
+        /** @type {typeof cacheValueB} */ (cache.store.b).data.users[1],
+        cacheValueB.data.users[1],
+      );
+
+      setCacheKeys.length = 0;
+
+      // Changing an entity array field, and a field only selected by another
+      // entry.
+      cacheEntrySet(cache, "e", {
+        data: {
+          user: { __typename: "User", id: "1", name: "C", tags: ["a", "b"] },
+          other: { __typename: "User", id: 2, age: 31 },
+        },
+      });
+
+      deepStrictEqual(setCacheKeys, ["e", "a", "c"]);
+      deepStrictEqual(cache.store.a, {
+        data: {
+          viewer: {
+            __typename: "User",
+            id: "1",
+            name: "C",
+            tags: ["a", "b"],
+          },
+        },
+      });
+      deepStrictEqual(cache.store.c, {
+        data: { user: { __typename: "User", id: 2, age: 31 } },
+      });
+
+      setCacheKeys.length = 0;
+
+      // Setting unchanged entities.
+      cacheEntrySet(cache, "e", {
+        data: {
+          user: { __typename: "User", id: "1", name: "C", tags: ["a", "b"] },
+        },
+      });
+
+      deepStrictEqual(setCacheKeys, ["e"]);
+    } finally {
+      stop();
+    }
+
+    setCacheKeys.length = 0;
+
+    // Changes after stopping shouldn’t be normalized.
+    cacheEntrySet(cache, "e", {
+      data: { user: { __typename: "User", id: "1", name: "D" } },
+    });
+
+    deepStrictEqual(setCacheKeys, ["e"]);
+  });
+
+  it("Forgets entities no longer referenced.", () => {
+    const cache = new Cache();
+    const setCacheKeys = recordSetEvents(cache);
+    const stop = cacheNormalize(cache);
+
+    try {
+      cacheEntrySet(cache, "a", {
+        data: { user: { __typename: "User", id: "1", name: "A" } },
+      });
+      cacheEntrySet(cache, "b", {
+        data: { user: { __typename: "User", id: "1", name: "A" } },
+      });
+      cacheEntryDelete(cache, "a");
+      cacheEntryDelete(cache, "b");
+
+      setCacheKeys.length = 0;
+
+      cacheEntrySet(cache, "a", {
+        data: { user: { __typename: "User", id: "1", name: "B" } },
+      });
+
+      deepStrictEqual(setCacheKeys, ["a"]);
+
+      cacheEntrySet(cache, "b", {
+        data: { user: { __typename: "User", id: "1", name: "C" } },
+      });
+
+      deepStrictEqual(setCacheKeys, ["a", "b", "a"]);
+      deepStrictEqual(cache.store.a, {
+        data: { user: { __typename: "User", id: "1", name: "C" } },
+      });
+    } finally {
+      stop();
+    }
+  });
+
+  it("Option `entityKey`.", () => {
+    const cache = new Cache({
+      a: { data: { product: { sku: "1", price: 1 } } },
+    });
+    const stop = cacheNormalize(cache, {
+      entityKey: ({ sku }) => (typeof sku === "string" ? sku : undefined),
+    });
+
+    try {
+      cacheEntrySet(cache, "b", {
+        data: { product: { sku: "1", price: 2 } },
+      });
+
+      deepStrictEqual(cache.store.a, {
+        data: { product: { sku: "1", price: 2 } },
+      });
+    } finally {
+      stop();
+    }
+  });
+
+  it("Fields selected with different arguments.", () => {
+    const cacheValueA = {
+      data: { user: { __typename: "User", id: "1", avatar: "50.png" } },
+    };
+    const cacheValueB = {
+      data: { user: { __typename: "User", id: "1", avatar: "200.png" } },
+    };
+    const cache = new Cache({ a: cacheValueA });
+    const stop = cacheNormalize(cache);
+
+    try {
+      cacheEntrySet(cache, "b", cacheValueB);
+
+      // Fields are stored by response key, so without unique aliases or using
+      // the option `fieldKey` they overwrite each other.
+      deepStrictEqual(cache.store.a, cacheValueB);
+    } finally {
+      stop();
+    }
+  });
+
+  it("Option `fieldKey`.", () => {
+    const cacheValueA = {
+      data: {
+        user: { __typename: "User", id: "1", name: "A", avatar: "50.png" },
+      },
+    };
+    const cache = new Cache({ a: cacheValueA });
+    const events = recordSetEvents(cache);
+
+    /** @type {Array<[string, { [key: string]: unknown }]>} */
+    const fieldKeyCalls = [];
+
+    const stop = cacheNormalize(cache, {
+      fieldKey(field, entity) {
+        fieldKeyCalls.push([field, entity]);
+
+        return field === "avatar" ? undefined : field;
+      },
+    });
+
+    try {
+      strictEqual(fieldKeyCalls.length, 4);
+      deepStrictEqual(fieldKeyCalls[3], ["avatar", cacheValueA.data.user]);
+
+      // An excluded field shouldn’t cause rebuilding entries.
+      cacheEntrySet(cache, "b", {
+        data: {
+          user: { __typename: "User", id: "1", name: "A", avatar: "200.png" },
+        },
+      });
+
+      deepStrictEqual(events, ["b"]);
+      strictEqual(cache.store.a, cacheValueA);
+
+      // An included field should still be normalized, without changing an
+      // excluded field.
+      cacheEntrySet(cache, "c", {
+        data: { user: { __typename: "User", id: "1", name: "B" } },
+      });
+
+      deepStrictEqual(events, ["b", "c", "a", "b"]);
+      deepStrictEqual(cache.store.a, {
+        data: {
+          user: { __typename: "User", id: "1", name: "B", avatar: "50.png" },
+        },
+      });
+    } finally {
+      stop();
+    }
+  });
+});
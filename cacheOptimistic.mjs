@@ -0,0 +1,206 @@
+// @ts-check
+
+/**
+ * @import {
+ *   CacheEventAnyEntryDetail,
+ *   CacheEventMapAnyEntry,
+ *   CacheKey,
+ *   CacheStore,
+ *   CacheValue,
+ * } from "./Cache.mjs"
+ * @import { GraphQLResult } from "./types.mjs"
+ * @import useLoadOnStale from "./useLoadOnStale.mjs"
+ */
+
+import Cache from "./Cache.mjs";
+import cacheEntryDelete from "./cacheEntryDelete.mjs";
+import cacheEntrySet from "./cacheEntrySet.mjs";
+import cacheEntryStale from "./cacheEntryStale.mjs";
+import LoadingCacheValue from "./LoadingCacheValue.mjs";
+
+/**
+ * Optimistic update state for each cache.
+ * @type {WeakMap<Cache, CacheOptimisticState>}
+ */
+const states = new WeakMap();
+
+/**
+ * Optimistically sets {@link Cache.store cache store} entries using
+ * {@linkcode cacheEntrySet} while a {@linkcode LoadingCacheValue} (e.g. for a
+ * mutation) loads, tracked as a layer above the prior values. If loading is
+ * aborted or the result has {@link GraphQLResult.errors errors}, the layer is
+ * rolled back, restoring the prior values (or the values of other optimistic
+ * layers still pending). Otherwise the layer’s values are kept, and as they’re
+ * only expected values the entries are staled using {@linkcode cacheEntryStale}
+ * (unless a pending optimistic layer has a value for them) so they can be
+ * reloaded (e.g. using {@linkcode useLoadOnStale}). An entry set or deleted by
+ * anything else meanwhile (e.g. the loading result for the loading cache key)
+ * replaces the optimistic values for it, so it isn’t staled.
+ * @param {Cache} cache Cache to update.
+ * @param {CacheStore} optimisticStore Optimistic
+ *   {@link CacheValue cache values} for {@link CacheKey cache keys}.
+ * @param {LoadingCacheValue} loadingCacheValue Loading cache value the
+ *   optimistic values are expected results of.
+ * @returns {Promise<void>} Resolves once the optimistic layer has been kept or
+ *   rolled back.
+ * @example
+ * Optimistically set a cache entry while a mutation loads:
+ *
+ * ```js
+ * import cacheOptimistic from "graphql-react/cacheOptimistic.mjs";
+ *
+ * const loadingCacheValue = loadGraphQL(
+ *   "mutation",
+ *   "/graphql",
+ *   fetchOptionsGraphQL({ query: mutation, variables: { name } }),
+ * );
+ *
+ * cacheOptimistic(
+ *   cache,
+ *   { mutation: { data: { updateName: { name } } } },
+ *   loadingCacheValue,
+ * );
+ * ```
+ */
+export default function cacheOptimistic(
+  cache,
+  optimisticStore,
+  loadingCacheValue,
+) {
+  if (!(cache instanceof Cache))
+    throw new TypeError("Argument 1 `cache` must be a `Cache` instance.");
+
+  if (
+    typeof optimisticStore !== "object" ||
+    !optimisticStore ||
+    Array.isArray(optimisticStore)
+  )
+    throw new TypeError("Argument 2 `optimisticStore` must be an object.");
+
+  if (!(loadingCacheValue instanceof LoadingCacheValue))
+    throw new TypeError(
+      "Argument 3 `loadingCacheValue` must be a `LoadingCacheValue` instance.",
+    );
+
+  let state = states.get(cache);
+
+  if (!state) {
+    /** @type {CacheOptimisticState} */
+    const newState = {
+      base: new Map(),
+      layers: [],
+      applying: false,
+      onChange(event) {
+        const { cacheKey } =
+          /** @type {CustomEvent<CacheEventAnyEntryDetail>} */ (event).detail;
+
+        if (!newState.applying && newState.base.has(cacheKey)) {
+          newState.base.delete(cacheKey);
+          for (const layer of newState.layers) layer.delete(cacheKey);
+        }
+      },
+    };
+
+    cache.addEventListener("set", newState.onChange);
+    cache.addEventListener("delete", newState.onChange);
+    states.set(cache, newState);
+
+    state = newState;
+  }
+
+  const { base, layers } = state;
+
+  /**
+   * Sets a cache entry to the value of the top optimistic layer for it, or if
+   * none to the base value.
+   * @param {CacheKey} cacheKey Cache key.
+   */
+  const apply = (cacheKey) => {
+    const layer = layers.findLast((layer) => layer.has(cacheKey));
+    const entry = layer ? { value: layer.get(cacheKey) } : base.get(cacheKey);
+
+    if (!layer) base.delete(cacheKey);
+
+    /** @type {CacheOptimisticState} */ (state).applying = true;
+
+    try {
+      if (entry) {
+        if (!(cacheKey in cache.store) || cache.store[cacheKey] !== entry.value)
+          cacheEntrySet(cache, cacheKey, entry.value);
+      } else if (cacheKey in cache.store) cacheEntryDelete(cache, cacheKey);
+    } finally {
+      /** @type {CacheOptimisticState} */ (state).applying = false;
+    }
+  };
+
+  /** @type {Map<CacheKey, CacheValue>} */
+  const layer = new Map(Object.entries(optimisticStore));
+
+  for (const cacheKey of layer.keys())
+    if (!base.has(cacheKey))
+      base.set(
+        cacheKey,
+        cacheKey in cache.store ? { value: cache.store[cacheKey] } : undefined,
+      );
+
+  layers.push(layer);
+
+  for (const cacheKey of layer.keys()) apply(cacheKey);
+
+  return loadingCacheValue.promise.then((result) => {
+    const layerIndex = layers.indexOf(layer);
+
+    layers.splice(layerIndex, 1);
+
+    const kept =
+      !loadingCacheValue.abortController.signal.aborted &&
+      !(
+        typeof result === "object" &&
+        result &&
+        /** @type {GraphQLResult} */ (result).errors
+      );
+
+    if (kept)
+      for (const [cacheKey, value] of layer) {
+        base.set(cacheKey, { value });
+
+        // The kept value supersedes earlier optimistic values.
+        for (const earlierLayer of layers.slice(0, layerIndex))
+          earlierLayer.delete(cacheKey);
+      }
+
+    for (const cacheKey of layer.keys()) {
+      apply(cacheKey);
+
+      if (kept && !layers.some((layer) => layer.has(cacheKey)))
+        cacheEntryStale(cache, cacheKey);
+    }
+
+    if (!layers.length) {
+      cache.removeEventListener(
+        "set",
+        /** @type {CacheOptimisticState} */ (state).onChange,
+      );
+      cache.removeEventListener(
+        "delete",
+        /** @type {CacheOptimisticState} */ (state).onChange,
+      );
+      states.delete(cache);
+    }
+  });
+}
+
+/**
+ * Optimistic update state for a cache.
+ * @typedef {object} CacheOptimisticState
+ * @prop {Map<CacheKey, { value: CacheValue } | undefined>} base Values of the
+ *   {@link Cache.store cache store} entries with optimistic values, prior to
+ *   them (`undefined` if the entry was missing).
+ * @prop {Array<Map<CacheKey, CacheValue>>} layers Optimistic layers, in the
+ *   order they were applied.
+ * @prop {boolean} applying Is an optimistic layer change being applied.
+ * @prop {(event: Event) => void} onChange Handles the {@linkcode Cache} events
+ *   {@link CacheEventMapAnyEntry.set `set`} and
+ *   {@link CacheEventMapAnyEntry.delete `delete`} for any entry, so an entry
+ *   set or deleted by anything else replaces its optimistic values.
+ */
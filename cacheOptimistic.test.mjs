@@ -0,0 +1,293 @@
+// @ts-check
+
+/** @import { CacheKey, CacheValue } from "./Cache.mjs" */
+
+import "./test/polyfillCustomEvent.mjs";
+
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import Cache from "./Cache.mjs";
+import cacheEntrySet from "./cacheEntrySet.mjs";
+import cacheOptimistic from "./cacheOptimistic.mjs";
+import Loading from "./Loading.mjs";
+import LoadingCacheValue from "./LoadingCacheValue.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import Deferred from "./test/Deferred.mjs";
+
+/**
+ * Creates a loading cache value with a deferred loading result.
+ * @param {Cache} cache Cache.
+ * @param {CacheKey} cacheKey Cache key.
+ */
+function createLoadingCacheValue(cache, cacheKey) {
+  /** @type {Deferred<CacheValue>} */
+  const loadingResult = new Deferred();
+
+  const loadingCacheValue = new LoadingCacheValue(
+    new Loading(),
+    cache,
+    cacheKey,
+    loadingResult.promise,
+    new AbortController(),
+  );
+
+  return { loadingCacheValue, loadingResult };
+}
+
+describe("Function `cacheOptimistic`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./cacheOptimistic.mjs", import.meta.url),
+      1300,
+    );
+  });
+
+  it("Argument 1 `cache` not a `Cache` instance.", () => {
+    const { loadingCacheValue } = createLoadingCacheValue(new Cache(), "a");
+
+    throws(() => {
+      cacheOptimistic(
+        // @ts-expect-error Testing invalid.
+        true,
+        {},
+        loadingCacheValue,
+      );
+    }, new TypeError("Argument 1 `cache` must be a `Cache` instance."));
+  });
+
+  it("Argument 2 `optimisticStore` not an object.", () => {
+    const cache = new Cache();
+    const { loadingCacheValue } = createLoadingCacheValue(cache, "a");
+
+    throws(() => {
+      cacheOptimistic(
+        cache,
+        // @ts-expect-error Testing invalid.
+        true,
+        loadingCacheValue,
+      );
+    }, new TypeError("Argument 2 `optimisticStore` must be an object."));
+  });
+
+  it("Argument 3 `loadingCacheValue` not a `LoadingCacheValue` instance.", () => {
+    throws(() => {
+      cacheOptimistic(
+        new Cache(),
+        {},
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 3 `loadingCacheValue` must be a `LoadingCacheValue` instance."));
+  });
+
+  it("Loading success.", async () => {
+    const cache = new Cache({ a: 1 });
+    const { loadingCacheValue, loadingResult } = createLoadingCacheValue(
+      cache,
+      "mutation",
+    );
+
+    /** @type {Array<string>} */
+    const events = [];
+
+    /** @param {Event} event Event. */
+    const listener = (event) => {
+      events.push(event.type);
+    };
+
+    cache.addEventListener("a/set", listener);
+    cache.addEventListener("a/stale", listener);
+    cache.addEventListener("mutation/set", listener);
+    cache.addEventListener("mutation/stale", listener);
+
+    const optimisticPromise = cacheOptimistic(
+      cache,
+      { a: 2, mutation: { data: { a: 2 } } },
+      loadingCacheValue,
+    );
+
+    deepStrictEqual(events, ["a/set", "mutation/set"]);
+    deepStrictEqual(cache.store, { a: 2, mutation: { data: { a: 2 } } });
+
+    loadingResult.resolve({ data: { a: 3 } });
+
+    await optimisticPromise;
+
+    // The loading result should replace the optimistic value, and the other
+    // optimistic value should be kept without being set again, but staled.
+    deepStrictEqual(events, [
+      "a/set",
+      "mutation/set",
+      "mutation/set",
+      "a/stale",
+    ]);
+    deepStrictEqual(cache.store, { a: 2, mutation: { data: { a: 3 } } });
+  });
+
+  it("Loading result with errors.", async () => {
+    const cache = new Cache({ a: 1 });
+    const { loadingCacheValue, loadingResult } = createLoadingCacheValue(
+      cache,
+      "mutation",
+    );
+    const optimisticPromise = cacheOptimistic(
+      cache,
+      { a: 2, b: 2 },
+      loadingCacheValue,
+    );
+
+    deepStrictEqual(cache.store, { a: 2, b: 2 });
+
+    const result = { errors: [{ message: "Error." }] };
+
+    loadingResult.resolve(result);
+
+    await optimisticPromise;
+
+    deepStrictEqual(cache.store, { a: 1, mutation: result });
+  });
+
+  it("Loading aborted.", async () => {
+    const cache = new Cache({ a: 1 });
+    const { loadingCacheValue, loadingResult } = createLoadingCacheValue(
+      cache,
+      "mutation",
+    );
+    const optimisticPromise = cacheOptimistic(
+      cache,
+      { a: 2 },
+      loadingCacheValue,
+    );
+
+    deepStrictEqual(cache.store, { a: 2 });
+
+    loadingCacheValue.abortController.abort();
+    loadingResult.resolve(null);
+
+    await optimisticPromise;
+
+    deepStrictEqual(cache.store, { a: 1 });
+  });
+
+  it("Multiple layers.", async () => {
+    const cache = new Cache({ a: 1 });
+
+    let staleCount = 0;
+
+    cache.addEventListener("a/stale", () => {
+      staleCount++;
+    });
+
+    const loading1 = createLoadingCacheValue(cache, "mutation1");
+    const loading2 = createLoadingCacheValue(cache, "mutation2");
+    const optimisticPromise1 = cacheOptimistic(
+      cache,
+      { a: 2 },
+      loading1.loadingCacheValue,
+    );
+    const optimisticPromise2 = cacheOptimistic(
+      cache,
+      { a: 3 },
+      loading2.loadingCacheValue,
+    );
+
+    deepStrictEqual(cache.store, { a: 3 });
+
+    // Rolling back an earlier layer shouldn’t affect a later layer.
+    loading1.loadingResult.resolve({ errors: [] });
+
+    await optimisticPromise1;
+
+    deepStrictEqual(cache.store.a, 3);
+
+    const loading3 = createLoadingCacheValue(cache, "mutation3");
+    const optimisticPromise3 = cacheOptimistic(
+      cache,
+      { a: 4 },
+      loading3.loadingCacheValue,
+    );
+
+    deepStrictEqual(cache.store.a, 4);
+
+    // Rolling back a later layer should restore the earlier layer value.
+    loading3.loadingResult.resolve({ errors: [] });
+
+    await optimisticPromise3;
+
+    deepStrictEqual(cache.store.a, 3);
+
+    const loading4 = createLoadingCacheValue(cache, "mutation4");
+    const optimisticPromise4 = cacheOptimistic(
+      cache,
+      { a: 5 },
+      loading4.loadingCacheValue,
+    );
+
+    // Keeping a later layer value should supersede the earlier layer value.
+    loading4.loadingResult.resolve({});
+
+    await optimisticPromise4;
+
+    deepStrictEqual(cache.store.a, 5);
+    strictEqual(staleCount, 1);
+
+    loading2.loadingResult.resolve({});
+
+    await optimisticPromise2;
+
+    deepStrictEqual(cache.store.a, 5);
+    strictEqual(staleCount, 1);
+
+    const loading5 = createLoadingCacheValue(cache, "mutation5");
+    const optimisticPromise5 = cacheOptimistic(
+      cache,
+      { a: 6 },
+      loading5.loadingCacheValue,
+    );
+    const loading6 = createLoadingCacheValue(cache, "mutation6");
+    const optimisticPromise6 = cacheOptimistic(
+      cache,
+      { a: 7 },
+      loading6.loadingCacheValue,
+    );
+
+    // Keeping an earlier layer value shouldn’t stale the entry while a later
+    // layer has a value for it.
+    loading5.loadingResult.resolve({});
+
+    await optimisticPromise5;
+
+    deepStrictEqual(cache.store.a, 7);
+    strictEqual(staleCount, 1);
+
+    loading6.loadingResult.resolve({});
+
+    await optimisticPromise6;
+
+    deepStrictEqual(cache.store.a, 7);
+    strictEqual(staleCount, 2);
+  });
+
+  it("Entry set meanwhile.", async () => {
+    const cache = new Cache({ a: 1 });
+    const { loadingCacheValue, loadingResult } = createLoadingCacheValue(
+      cache,
+      "mutation",
+    );
+    const optimisticPromise = cacheOptimistic(
+      cache,
+      { a: 2 },
+      loadingCacheValue,
+    );
+
+    cacheEntrySet(cache, "a", 3);
+    cacheEntrySet(cache, "b", 3);
+
+    loadingResult.resolve({ errors: [] });
+
+    await optimisticPromise;
+
+    deepStrictEqual(cache.store, { a: 3, b: 3, mutation: { errors: [] } });
+  });
+});
@@ -0,0 +1,151 @@
+// @ts-check
+
+/**
+ * @import {
+ *   CacheEventAnyEntryDetail,
+ *   CacheEventAnyEntrySetDetail,
+ *   CacheEventMapAnyEntry,
+ *   CacheKey,
+ * } from "./Cache.mjs"
+ * @import cachePersistenceLoad from "./cachePersistenceLoad.mjs"
+ * @import {
+ *   CacheKeyMatcher,
+ *   CachePersistenceAdapter,
+ *   CachePersistenceChanges,
+ * } from "./types.mjs"
+ */
+
+import Cache from "./Cache.mjs";
+
+/**
+ * Persists {@link Cache.store cache store} entries as they change, by writing
+ * through the {@linkcode Cache} events {@link CacheEventMapAnyEntry.set `set`}
+ * and {@link CacheEventMapAnyEntry.delete `delete`} to a
+ * {@link CachePersistenceAdapter cache persistence adapter}. Writes are
+ * throttled, batching the changes that happen in the meantime. Use
+ * {@linkcode cachePersistenceLoad} to load the persisted cache store.
+ * @param {Cache} cache Cache to persist.
+ * @param {CachePersistenceAdapter} adapter Cache persistence adapter.
+ * @param {CachePersistOptions} [options] Options.
+ * @returns {() => Promise<void>} Stops persisting, immediately writing any
+ *   pending changes. Resolves once all writes have finished.
+ * @example
+ * Persist cache in `localStorage`:
+ *
+ * ```js
+ * import Cache from "graphql-react/Cache.mjs";
+ * import cachePersist from "graphql-react/cachePersist.mjs";
+ * import cachePersistenceLoad from "graphql-react/cachePersistenceLoad.mjs";
+ * import CachePersistenceLocalStorage from "graphql-react/CachePersistenceLocalStorage.mjs";
+ *
+ * const adapter = new CachePersistenceLocalStorage();
+ * const cache = new Cache(await cachePersistenceLoad(adapter));
+ *
+ * cachePersist(cache, adapter);
+ * ```
+ */
+export default function cachePersist(
+  cache,
+  adapter,
+  { version = 1, cacheKeyMatcher, throttle = 100 } = {},
+) {
+  if (!(cache instanceof Cache))
+    throw new TypeError("Argument 1 `cache` must be a `Cache` instance.");
+
+  if (typeof adapter !== "object" || !adapter)
+    throw new TypeError("Argument 2 `adapter` must be an object.");
+
+  if (cacheKeyMatcher !== undefined && typeof cacheKeyMatcher !== "function")
+    throw new TypeError("Option `cacheKeyMatcher` must be a function.");
+
+  /** @type {CachePersistenceChanges | undefined} */
+  let pendingChanges;
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let throttleTimeout;
+
+  /**
+   * Resolves once the last write has finished. Writes happen one at a time, in
+   * order.
+   * @type {Promise<void>}
+   */
+  let writing = Promise.resolve();
+
+  const write = () => {
+    clearTimeout(throttleTimeout);
+    throttleTimeout = undefined;
+
+    if (pendingChanges) {
+      const changes = pendingChanges;
+
+      pendingChanges = undefined;
+      writing = writing.then(() => adapter.write(changes));
+    }
+
+    return writing;
+  };
+
+  /**
+   * Gets the pending changes, creating them and scheduling the write if
+   * needed.
+   * @returns {CachePersistenceChanges} Pending changes.
+   */
+  const getPendingChanges = () => {
+    if (!pendingChanges) {
+      pendingChanges = { version, set: {}, delete: [] };
+      throttleTimeout = setTimeout(write, throttle);
+    }
+
+    return pendingChanges;
+  };
+
+  /** @param {Event} event Event. */
+  const onSet = (event) => {
+    const { cacheKey, cacheValue } =
+      /** @type {CustomEvent<CacheEventAnyEntrySetDetail>} */ (event).detail;
+
+    if (!cacheKeyMatcher || cacheKeyMatcher(cacheKey)) {
+      const changes = getPendingChanges();
+
+      changes.set[cacheKey] = cacheValue;
+      changes.delete = changes.delete.filter((key) => key !== cacheKey);
+    }
+  };
+
+  /** @param {Event} event Event. */
+  const onDelete = (event) => {
+    const { cacheKey } = /** @type {CustomEvent<CacheEventAnyEntryDetail>} */ (
+      event
+    ).detail;
+
+    if (!cacheKeyMatcher || cacheKeyMatcher(cacheKey)) {
+      const changes = getPendingChanges();
+
+      delete changes.set[cacheKey];
+      changes.delete.push(cacheKey);
+    }
+  };
+
+  cache.addEventListener("set", onSet);
+  cache.addEventListener("delete", onDelete);
+
+  return () => {
+    cache.removeEventListener("set", onSet);
+    cache.removeEventListener("delete", onDelete);
+
+    return write();
+  };
+}
+
+/**
+ * {@linkcode cachePersist} options.
+ * @typedef {object} CachePersistOptions
+ * @prop {number} [version] Version of the persisted data format; it should
+ *   match the version used with {@linkcode cachePersistenceLoad}. Defaults to
+ *   `1`.
+ * @prop {CacheKeyMatcher} [cacheKeyMatcher] Matches
+ *   {@link CacheKey cache keys} allowed to be persisted. By default all are
+ *   matched.
+ * @prop {number} [throttle] Milliseconds to wait after a change before writing,
+ *   batching the changes that happen in the meantime. Defaults to `100`.
+ */
@@ -0,0 +1,150 @@
+// @ts-check
+
+/** @import { CachePersistenceAdapter, CachePersistenceChanges } from "./types.mjs" */
+
+import "./test/polyfillCustomEvent.mjs";
+
+import { deepStrictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import Cache from "./Cache.mjs";
+import cacheEntryDelete from "./cacheEntryDelete.mjs";
+import cacheEntrySet from "./cacheEntrySet.mjs";
+import cachePersist from "./cachePersist.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import assertTypeOf from "./test/assertTypeOf.mjs";
+
+/**
+ * Creates a cache persistence adapter that records writes.
+ * @param {Array<CachePersistenceChanges>} writes Written changes.
+ * @returns {CachePersistenceAdapter} Cache persistence adapter.
+ */
+function createRecordingAdapter(writes) {
+  return {
+    async read() {
+      return undefined;
+    },
+    async write(changes) {
+      writes.push(changes);
+    },
+  };
+}
+
+describe("Function `cachePersist`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(new URL("./cachePersist.mjs", import.meta.url), 600);
+  });
+
+  it("Argument 1 `cache` not a `Cache` instance.", () => {
+    throws(() => {
+      cachePersist(
+        // @ts-expect-error Testing invalid.
+        true,
+        createRecordingAdapter([]),
+      );
+    }, new TypeError("Argument 1 `cache` must be a `Cache` instance."));
+  });
+
+  it("Argument 2 `adapter` not an object.", () => {
+    throws(() => {
+      cachePersist(
+        new Cache(),
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 2 `adapter` must be an object."));
+  });
+
+  it("Option `cacheKeyMatcher` not a function.", () => {
+    throws(() => {
+      cachePersist(new Cache(), createRecordingAdapter([]), {
+        // @ts-expect-error Testing invalid.
+        cacheKeyMatcher: true,
+      });
+    }, new TypeError("Option `cacheKeyMatcher` must be a function."));
+  });
+
+  it("Persists changes, throttled.", async () => {
+    const cache = new Cache({ a: 1 });
+
+    /** @type {Array<CachePersistenceChanges>} */
+    const writes = [];
+
+    const stop = cachePersist(cache, createRecordingAdapter(writes), {
+      version: 2,
+      throttle: 10,
+    });
+
+    assertTypeOf(stop, "function");
+
+    cacheEntrySet(cache, "b", 2);
+    cacheEntryDelete(cache, "a");
+    cacheEntrySet(cache, "c", 3);
+    cacheEntryDelete(cache, "c");
+    cacheEntrySet(cache, "a", 1);
+
+    // The write is throttled.
+    deepStrictEqual(writes, []);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    deepStrictEqual(writes, [
+      {
+        version: 2,
+        set: { b: 2, a: 1 },
+        delete: ["c"],
+      },
+    ]);
+
+    cacheEntrySet(cache, "d", 4);
+
+    // Stopping should immediately write pending changes.
+    await stop();
+
+    deepStrictEqual(writes, [
+      {
+        version: 2,
+        set: { b: 2, a: 1 },
+        delete: ["c"],
+      },
+      {
+        version: 2,
+        set: { d: 4 },
+        delete: [],
+      },
+    ]);
+
+    // Changes after stopping shouldn’t be persisted.
+    cacheEntrySet(cache, "e", 5);
+
+    await stop();
+
+    deepStrictEqual(writes.length, 2);
+  });
+
+  it("Option `cacheKeyMatcher`.", async () => {
+    const cache = new Cache({ a: 1, b: 2 });
+
+    /** @type {Array<CachePersistenceChanges>} */
+    const writes = [];
+
+    const stop = cachePersist(cache, createRecordingAdapter(writes), {
+      cacheKeyMatcher: (cacheKey) => cacheKey !== "b",
+    });
+
+    cacheEntrySet(cache, "a", 3);
+    cacheEntrySet(cache, "b", 4);
+    cacheEntryDelete(cache, "b");
+    cacheEntryDelete(cache, "a");
+
+    await stop();
+
+    deepStrictEqual(writes, [
+      {
+        version: 1,
+        set: {},
+        delete: ["a"],
+      },
+    ]);
+  });
+});
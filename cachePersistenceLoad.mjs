@@ -0,0 +1,91 @@
+// @ts-check
+
+/**
+ * @import Cache, { CacheKey, CacheStore, CacheValue } from "./Cache.mjs"
+ * @import cachePersist from "./cachePersist.mjs"
+ * @import { CacheKeyMatcher, CachePersistenceAdapter } from "./types.mjs"
+ */
+
+/**
+ * Loads a {@link CacheStore cache store} persisted by
+ * {@linkcode cachePersist}, suitable for constructing a {@linkcode Cache}. If
+ * the persisted data version differs from the current version, the data is
+ * migrated (or discarded) and persisted again. Persisted entries that the
+ * {@link CacheKeyMatcher cache key matcher} doesn’t match are deleted.
+ * @param {CachePersistenceAdapter} adapter Cache persistence adapter.
+ * @param {CachePersistenceLoadOptions} [options] Options.
+ * @returns {Promise<CacheStore>} Resolves the cache store.
+ * @example
+ * Create a {@linkcode Cache} instance from a cache store persisted in
+ * `localStorage`:
+ *
+ * ```js
+ * import Cache from "graphql-react/Cache.mjs";
+ * import cachePersistenceLoad from "graphql-react/cachePersistenceLoad.mjs";
+ * import CachePersistenceLocalStorage from "graphql-react/CachePersistenceLocalStorage.mjs";
+ *
+ * const adapter = new CachePersistenceLocalStorage();
+ * const cache = new Cache(await cachePersistenceLoad(adapter));
+ * ```
+ */
+export default async function cachePersistenceLoad(
+  adapter,
+  { version = 1, migrate, cacheKeyMatcher } = {},
+) {
+  if (typeof adapter !== "object" || !adapter)
+    throw new TypeError("Argument 1 `adapter` must be an object.");
+
+  if (cacheKeyMatcher !== undefined && typeof cacheKeyMatcher !== "function")
+    throw new TypeError("Option `cacheKeyMatcher` must be a function.");
+
+  const persisted = await adapter.read();
+
+  /** @type {CacheStore} */
+  const store = {};
+
+  if (persisted) {
+    const versionChanged = persisted.version !== version;
+    const persistedStore = versionChanged
+      ? migrate
+        ? await migrate(persisted.store, persisted.version)
+        : {}
+      : persisted.store;
+
+    /** @type {Array<CacheKey>} */
+    const deletedCacheKeys = [];
+
+    for (const cacheKey in persistedStore)
+      if (!cacheKeyMatcher || cacheKeyMatcher(cacheKey))
+        store[cacheKey] = persistedStore[cacheKey];
+      else deletedCacheKeys.push(cacheKey);
+
+    if (versionChanged)
+      await adapter.write({ version, clear: true, set: store, delete: [] });
+    else if (deletedCacheKeys.length)
+      await adapter.write({ version, set: {}, delete: deletedCacheKeys });
+  }
+
+  return store;
+}
+
+/**
+ * {@linkcode cachePersistenceLoad} options.
+ * @typedef {object} CachePersistenceLoadOptions
+ * @prop {number} [version] Version of the persisted data format; it should be
+ *   incremented whenever the format of persisted
+ *   {@link CacheValue cache values} changes. Defaults to `1`.
+ * @prop {CachePersistenceMigrate} [migrate] Migrates persisted data with a
+ *   different version. By default such data is discarded.
+ * @prop {CacheKeyMatcher} [cacheKeyMatcher] Matches
+ *   {@link CacheKey cache keys} allowed to be persisted. By default all are
+ *   matched.
+ */
+
+/**
+ * Migrates a persisted {@link CacheStore cache store} from a different version
+ * of the persisted data format.
+ * @callback CachePersistenceMigrate
+ * @param {CacheStore} store Persisted cache store.
+ * @param {number} version Version of the persisted data format.
+ * @returns {CacheStore | Promise<CacheStore>} The migrated cache store.
+ */
@@ -0,0 +1,145 @@
+// @ts-check
+
+/**
+ * @import {
+ *   CachePersistenceAdapter,
+ *   CachePersistenceChanges,
+ *   CachePersistenceData,
+ * } from "./types.mjs"
+ */
+
+import { deepStrictEqual, rejects } from "node:assert";
+import { describe, it } from "node:test";
+
+import cachePersistenceLoad from "./cachePersistenceLoad.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+
+/**
+ * Creates a cache persistence adapter that reads given data and records
+ * writes.
+ * @param {CachePersistenceData | undefined} data Data to read.
+ * @param {Array<CachePersistenceChanges>} writes Written changes.
+ * @returns {CachePersistenceAdapter} Cache persistence adapter.
+ */
+function createAdapter(data, writes) {
+  return {
+    async read() {
+      return data;
+    },
+    async write(changes) {
+      writes.push(changes);
+    },
+  };
+}
+
+describe("Function `cachePersistenceLoad`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./cachePersistenceLoad.mjs", import.meta.url),
+      350,
+    );
+  });
+
+  it("Argument 1 `adapter` not an object.", async () => {
+    await rejects(
+      cachePersistenceLoad(
+        // @ts-expect-error Testing invalid.
+        true,
+      ),
+      new TypeError("Argument 1 `adapter` must be an object."),
+    );
+  });
+
+  it("Option `cacheKeyMatcher` not a function.", async () => {
+    await rejects(
+      cachePersistenceLoad(createAdapter(undefined, []), {
+        // @ts-expect-error Testing invalid.
+        cacheKeyMatcher: true,
+      }),
+      new TypeError("Option `cacheKeyMatcher` must be a function."),
+    );
+  });
+
+  it("Nothing persisted.", async () => {
+    /** @type {Array<CachePersistenceChanges>} */
+    const writes = [];
+
+    deepStrictEqual(
+      await cachePersistenceLoad(createAdapter(undefined, writes)),
+      {},
+    );
+    deepStrictEqual(writes, []);
+  });
+
+  it("Same version.", async () => {
+    /** @type {Array<CachePersistenceChanges>} */
+    const writes = [];
+
+    deepStrictEqual(
+      await cachePersistenceLoad(
+        createAdapter({ version: 2, store: { a: 1 } }, writes),
+        { version: 2 },
+      ),
+      { a: 1 },
+    );
+    deepStrictEqual(writes, []);
+  });
+
+  it("Same version, option `cacheKeyMatcher`.", async () => {
+    /** @type {Array<CachePersistenceChanges>} */
+    const writes = [];
+
+    deepStrictEqual(
+      await cachePersistenceLoad(
+        createAdapter({ version: 1, store: { a: 1, b: 2, c: 3 } }, writes),
+        { cacheKeyMatcher: (cacheKey) => cacheKey !== "b" },
+      ),
+      { a: 1, c: 3 },
+    );
+    deepStrictEqual(writes, [{ version: 1, set: {}, delete: ["b"] }]);
+  });
+
+  it("Different version, without option `migrate`.", async () => {
+    /** @type {Array<CachePersistenceChanges>} */
+    const writes = [];
+
+    deepStrictEqual(
+      await cachePersistenceLoad(
+        createAdapter({ version: 1, store: { a: 1 } }, writes),
+        { version: 2 },
+      ),
+      {},
+    );
+    deepStrictEqual(writes, [{ version: 2, clear: true, set: {}, delete: [] }]);
+  });
+
+  it("Different version, option `migrate`.", async () => {
+    /** @type {Array<CachePersistenceChanges>} */
+    const writes = [];
+
+    /** @type {Array<[unknown, number]>} */
+    const migrateCalls = [];
+
+    const persistedStore = { a: 1, b: 2 };
+
+    deepStrictEqual(
+      await cachePersistenceLoad(
+        createAdapter({ version: 1, store: persistedStore }, writes),
+        {
+          version: 2,
+          async migrate(store, version) {
+            migrateCalls.push([store, version]);
+
+            return { a: { value: 1 }, b: { value: 2 } };
+          },
+          cacheKeyMatcher: (cacheKey) => cacheKey !== "b",
+        },
+      ),
+      { a: { value: 1 } },
+    );
+    deepStrictEqual(migrateCalls, [[persistedStore, 1]]);
+    deepStrictEqual(writes, [
+      { version: 2, clear: true, set: { a: { value: 1 } }, delete: [] },
+    ]);
+  });
+});
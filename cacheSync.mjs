@@ -0,0 +1,141 @@
+// @ts-check
+
+/**
+ * @import {
+ *   CacheEventAnyEntrySetDetail,
+ *   CacheEventMapAnyEntry,
+ *   CacheKey,
+ *   CacheValue,
+ * } from "./Cache.mjs"
+ * @import { CacheKeyMatcher } from "./types.mjs"
+ */
+
+import Cache from "./Cache.mjs";
+import cacheEntryDelete from "./cacheEntryDelete.mjs";
+import cacheEntrySet from "./cacheEntrySet.mjs";
+import cacheEntryStale from "./cacheEntryStale.mjs";
+
+/**
+ * Synchronizes {@link Cache.store cache store} entries with other browsing
+ * contexts (e.g. tabs) of the same origin, by mirroring the {@linkcode Cache}
+ * events {@link CacheEventMapAnyEntry.set `set`},
+ * {@link CacheEventMapAnyEntry.delete `delete`}, and
+ * {@link CacheEventMapAnyEntry.stale `stale`} over a
+ * [`BroadcastChannel`](https://developer.mozilla.org/en-US/docs/Web/API/BroadcastChannel).
+ * Changes received from other contexts are applied using
+ * {@linkcode cacheEntrySet}, {@linkcode cacheEntryDelete}, and
+ * {@linkcode cacheEntryStale}, so React hooks using the cache update as usual.
+ * Received changes aren’t broadcast again, avoiding echo loops.
+ * {@link CacheValue Cache values} must be
+ * [structured cloneable](https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API/Structured_clone_algorithm)
+ * to be synchronized.
+ * @param {Cache} cache Cache to synchronize.
+ * @param {CacheSyncOptions} [options] Options.
+ * @returns {() => void} Stops synchronizing and closes the channel.
+ * @example
+ * Synchronize cache across tabs:
+ *
+ * ```js
+ * import Cache from "graphql-react/Cache.mjs";
+ * import cacheSync from "graphql-react/cacheSync.mjs";
+ *
+ * const cache = new Cache();
+ *
+ * cacheSync(cache);
+ * ```
+ */
+export default function cacheSync(
+  cache,
+  { channelName = "graphql-react-cache", cacheKeyMatcher } = {},
+) {
+  if (!(cache instanceof Cache))
+    throw new TypeError("Argument 1 `cache` must be a `Cache` instance.");
+
+  if (cacheKeyMatcher !== undefined && typeof cacheKeyMatcher !== "function")
+    throw new TypeError("Option `cacheKeyMatcher` must be a function.");
+
+  const channel = new BroadcastChannel(channelName);
+
+  /** Is a change received from another context being applied. */
+  let applying = false;
+
+  /** @param {Event} event Event. */
+  const onCacheEvent = (event) => {
+    const { cacheKey, cacheValue } =
+      /** @type {CustomEvent<CacheEventAnyEntrySetDetail>} */ (event).detail;
+
+    if (!applying && (!cacheKeyMatcher || cacheKeyMatcher(cacheKey))) {
+      /** @type {CacheSyncMessage} */
+      const message =
+        event.type === "set"
+          ? { type: "set", cacheKey, cacheValue }
+          : {
+              type: /** @type {"delete" | "stale"} */ (event.type),
+              cacheKey,
+            };
+
+      try {
+        channel.postMessage(message);
+      } catch {
+        // The cache value isn’t structured cloneable, so it can’t be
+        // synchronized.
+      }
+    }
+  };
+
+  /** @param {MessageEvent} event Message event. */
+  const onMessage = ({ data }) => {
+    if (
+      typeof data === "object" &&
+      data &&
+      typeof data.cacheKey === "string" &&
+      (!cacheKeyMatcher || cacheKeyMatcher(data.cacheKey))
+    ) {
+      const { type, cacheKey } = /** @type {CacheSyncMessage} */ (data);
+
+      applying = true;
+
+      try {
+        if (type === "set") cacheEntrySet(cache, cacheKey, data.cacheValue);
+        else if (type === "delete") cacheEntryDelete(cache, cacheKey);
+        else if (type === "stale" && cacheKey in cache.store)
+          cacheEntryStale(cache, cacheKey);
+      } finally {
+        applying = false;
+      }
+    }
+  };
+
+  cache.addEventListener("set", onCacheEvent);
+  cache.addEventListener("delete", onCacheEvent);
+  cache.addEventListener("stale", onCacheEvent);
+  channel.addEventListener("message", onMessage);
+
+  return () => {
+    cache.removeEventListener("set", onCacheEvent);
+    cache.removeEventListener("delete", onCacheEvent);
+    cache.removeEventListener("stale", onCacheEvent);
+    channel.close();
+  };
+}
+
+/**
+ * {@linkcode cacheSync} options.
+ * @typedef {object} CacheSyncOptions
+ * @prop {string} [channelName] Name of the `BroadcastChannel`. Defaults to
+ *   `"graphql-react-cache"`.
+ * @prop {CacheKeyMatcher} [cacheKeyMatcher] Matches
+ *   {@link CacheKey cache keys} to synchronize. By default all are matched.
+ */
+
+/**
+ * {@linkcode cacheSync} message, posted to the `BroadcastChannel`.
+ * @typedef {{
+ *   type: "set",
+ *   cacheKey: CacheKey,
+ *   cacheValue: CacheValue,
+ * } | {
+ *   type: "delete" | "stale",
+ *   cacheKey: CacheKey,
+ * }} CacheSyncMessage
+ */
@@ -0,0 +1,200 @@
+// @ts-check
+
+import "./test/polyfillCustomEvent.mjs";
+
+import { deepStrictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import Cache from "./Cache.mjs";
+import cacheEntryDelete from "./cacheEntryDelete.mjs";
+import cacheEntrySet from "./cacheEntrySet.mjs";
+import cacheEntryStale from "./cacheEntryStale.mjs";
+import cacheSync from "./cacheSync.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import assertTypeOf from "./test/assertTypeOf.mjs";
+
+/**
+ * Waits for `BroadcastChannel` messages to be delivered.
+ * @returns {Promise<void>} Resolves once messages have been delivered.
+ */
+function messagesDelivered() {
+  return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+describe("Function `cacheSync`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(new URL("./cacheSync.mjs", import.meta.url), 750);
+  });
+
+  it("Argument 1 `cache` not a `Cache` instance.", () => {
+    throws(() => {
+      cacheSync(
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 1 `cache` must be a `Cache` instance."));
+  });
+
+  it("Option `cacheKeyMatcher` not a function.", () => {
+    throws(() => {
+      cacheSync(new Cache(), {
+        // @ts-expect-error Testing invalid.
+        cacheKeyMatcher: true,
+      });
+    }, new TypeError("Option `cacheKeyMatcher` must be a function."));
+  });
+
+  it("Option `channelName` default.", async () => {
+    const cacheA = new Cache();
+    const cacheB = new Cache();
+    const stopA = cacheSync(cacheA);
+    const stopB = cacheSync(cacheB);
+
+    try {
+      cacheEntrySet(cacheA, "a", 1);
+
+      await messagesDelivered();
+
+      deepStrictEqual(cacheB.store, { a: 1 });
+    } finally {
+      stopA();
+      stopB();
+    }
+  });
+
+  it("Synchronizes changes.", async () => {
+    const channelName = "sync";
+    const cacheA = new Cache();
+    const cacheB = new Cache();
+    const stopA = cacheSync(cacheA, { channelName });
+
+    assertTypeOf(stopA, "function");
+
+    const stopB = cacheSync(cacheB, { channelName });
+
+    /** @type {Array<string>} */
+    const eventsB = [];
+
+    /** @param {Event} event Event. */
+    const listenerB = (event) => {
+      eventsB.push(event.type);
+    };
+
+    cacheB.addEventListener("set", listenerB);
+    cacheB.addEventListener("delete", listenerB);
+    cacheB.addEventListener("stale", listenerB);
+
+    /** @type {Array<string>} */
+    const eventsA = [];
+
+    /** @param {Event} event Event. */
+    const listenerA = (event) => {
+      eventsA.push(event.type);
+    };
+
+    try {
+      cacheEntrySet(cacheA, "a", { value: 1 });
+      cacheEntrySet(cacheA, "b", 2);
+
+      await messagesDelivered();
+
+      deepStrictEqual(cacheB.store, { a: { value: 1 }, b: 2 });
+      deepStrictEqual(eventsB, ["set", "set"]);
+
+      cacheA.addEventListener("set", listenerA);
+      cacheA.addEventListener("delete", listenerA);
+      cacheA.addEventListener("stale", listenerA);
+
+      cacheEntryStale(cacheB, "a");
+      cacheEntryDelete(cacheB, "b");
+
+      await messagesDelivered();
+
+      deepStrictEqual(cacheA.store, { a: { value: 1 } });
+
+      // Received changes shouldn’t be broadcast back.
+      deepStrictEqual(eventsA, ["stale", "delete"]);
+      deepStrictEqual(eventsB, ["set", "set", "stale", "delete"]);
+
+      eventsA.length = 0;
+
+      stopA();
+
+      // Changes after stopping shouldn’t be synchronized.
+      cacheEntrySet(cacheA, "d", 4);
+      cacheEntrySet(cacheB, "e", 5);
+
+      await messagesDelivered();
+
+      deepStrictEqual(cacheA.store, { a: { value: 1 }, d: 4 });
+      deepStrictEqual(cacheB.store, { a: { value: 1 }, e: 5 });
+      deepStrictEqual(eventsA, ["set"]);
+    } finally {
+      stopA();
+      stopB();
+    }
+  });
+
+  it("Option `cacheKeyMatcher`.", async () => {
+    const channelName = "sync-cacheKeyMatcher";
+    const cacheA = new Cache();
+    const cacheB = new Cache();
+    const stopA = cacheSync(cacheA, {
+      channelName,
+      cacheKeyMatcher: (cacheKey) => cacheKey !== "b",
+    });
+    const stopB = cacheSync(cacheB, {
+      channelName,
+      cacheKeyMatcher: (cacheKey) => cacheKey !== "c",
+    });
+
+    try {
+      cacheEntrySet(cacheA, "a", 1);
+      cacheEntrySet(cacheA, "b", 2);
+      cacheEntrySet(cacheA, "c", 3);
+
+      await messagesDelivered();
+
+      deepStrictEqual(cacheB.store, { a: 1 });
+    } finally {
+      stopA();
+      stopB();
+    }
+  });
+
+  it("Invalid messages and values that can’t be structured cloned.", async () => {
+    const channelName = "sync-invalid";
+    const cache = new Cache();
+    const stop = cacheSync(cache, { channelName });
+    const channel = new BroadcastChannel(channelName);
+
+    try {
+      for (const message of [
+        null,
+        "a",
+        {},
+        { cacheKey: 1 },
+        { cacheKey: "a" },
+        // Staleness of an entry missing in the cache should be ignored.
+        { type: "stale", cacheKey: "a" },
+      ])
+        channel.postMessage(message);
+
+      const cacheOther = new Cache();
+      const stopOther = cacheSync(cacheOther, { channelName });
+
+      try {
+        cacheEntrySet(cacheOther, "b", () => {});
+      } finally {
+        stopOther();
+      }
+
+      await messagesDelivered();
+
+      deepStrictEqual(cache.store, {});
+    } finally {
+      channel.close();
+      stop();
+    }
+  });
+});
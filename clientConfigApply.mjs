@@ -0,0 +1,70 @@
+// @ts-check
+
+/**
+ * @import { ClientConfig } from "./ClientConfigsContext.mjs"
+ * @import { FetchGraphQLOptions } from "./fetchGraphQL.mjs"
+ * @import useLoadGraphQL from "./useLoadGraphQL.mjs"
+ * @import useMutation from "./useMutation.mjs"
+ */
+
+/**
+ * Applies a {@link ClientConfig client config} as defaults for `fetch` options
+ * and {@link FetchGraphQLOptions `fetchGraphQL` options}, without mutating
+ * them. Headers in the `fetch` options override the client config headers,
+ * and the client config credentials, `fetch` implementation, and middleware
+ * are only used if the options don’t have them. Used by
+ * {@linkcode useLoadGraphQL} and {@linkcode useMutation}.
+ * @param {ClientConfig} clientConfig Client config.
+ * @param {RequestInit} fetchOptions [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
+ *   options.
+ * @param {FetchGraphQLOptions} fetchGraphQLOptions `fetchGraphQL` options.
+ * @returns {{
+ *   fetchOptions: RequestInit,
+ *   fetchGraphQLOptions: FetchGraphQLOptions,
+ * }} The options with the client config applied.
+ */
+export default function clientConfigApply(
+  clientConfig,
+  fetchOptions,
+  fetchGraphQLOptions,
+) {
+  if (
+    typeof clientConfig !== "object" ||
+    !clientConfig ||
+    Array.isArray(clientConfig)
+  )
+    throw new TypeError("Argument 1 `clientConfig` must be an object.");
+
+  if (
+    typeof fetchOptions !== "object" ||
+    !fetchOptions ||
+    Array.isArray(fetchOptions)
+  )
+    throw new TypeError("Argument 2 `fetchOptions` must be an object.");
+
+  if (
+    typeof fetchGraphQLOptions !== "object" ||
+    !fetchGraphQLOptions ||
+    Array.isArray(fetchGraphQLOptions)
+  )
+    throw new TypeError("Argument 3 `fetchGraphQLOptions` must be an object.");
+
+  const headers = new Headers(clientConfig.headers);
+
+  new Headers(fetchOptions.headers).forEach((value, name) => {
+    headers.set(name, value);
+  });
+
+  return {
+    fetchOptions: {
+      ...fetchOptions,
+      headers,
+      credentials: fetchOptions.credentials ?? clientConfig.credentials,
+    },
+    fetchGraphQLOptions: {
+      ...fetchGraphQLOptions,
+      fetch: fetchGraphQLOptions.fetch ?? clientConfig.fetch,
+      middleware: fetchGraphQLOptions.middleware ?? clientConfig.middleware,
+    },
+  };
+}
@@ -0,0 +1,124 @@
+// @ts-check
+
+/**
+ * @import {
+ *   FetchGraphQLMiddleware,
+ *   FetchGraphQLOptions,
+ * } from "./fetchGraphQL.mjs"
+ */
+
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import clientConfigApply from "./clientConfigApply.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+
+describe("Function `clientConfigApply`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./clientConfigApply.mjs", import.meta.url),
+      350,
+    );
+  });
+
+  it("Argument 1 `clientConfig` not an object.", () => {
+    throws(() => {
+      clientConfigApply(
+        // @ts-expect-error Testing invalid.
+        true,
+        {},
+        {},
+      );
+    }, new TypeError("Argument 1 `clientConfig` must be an object."));
+  });
+
+  it("Argument 2 `fetchOptions` not an object.", () => {
+    throws(() => {
+      clientConfigApply(
+        {},
+        // @ts-expect-error Testing invalid.
+        true,
+        {},
+      );
+    }, new TypeError("Argument 2 `fetchOptions` must be an object."));
+  });
+
+  it("Argument 3 `fetchGraphQLOptions` not an object.", () => {
+    throws(() => {
+      clientConfigApply(
+        {},
+        {},
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 3 `fetchGraphQLOptions` must be an object."));
+  });
+
+  it("Options without overrides.", () => {
+    /** @type {typeof globalThis.fetch} */
+    const fetcher = async () => new Response();
+
+    /** @type {Array<FetchGraphQLMiddleware>} */
+    const middleware = [(request, next) => next(request)];
+
+    const fetchOptions = { method: "POST", headers: { "X-B": "b" } };
+
+    /** @type {FetchGraphQLOptions} */
+    const fetchGraphQLOptions = { timeout: 1 };
+    const result = clientConfigApply(
+      {
+        headers: { "X-A": "a", "X-B": "a" },
+        credentials: "include",
+        fetch: fetcher,
+        middleware,
+      },
+      fetchOptions,
+      fetchGraphQLOptions,
+    );
+
+    deepStrictEqual(
+      [...new Headers(result.fetchOptions.headers)],
+      [
+        ["x-a", "a"],
+        ["x-b", "b"],
+      ],
+    );
+    strictEqual(result.fetchOptions.method, "POST");
+    strictEqual(result.fetchOptions.credentials, "include");
+    strictEqual(result.fetchGraphQLOptions.timeout, 1);
+    strictEqual(result.fetchGraphQLOptions.fetch, fetcher);
+    strictEqual(result.fetchGraphQLOptions.middleware, middleware);
+
+    // The input options shouldn’t be mutated.
+    deepStrictEqual(fetchOptions, { method: "POST", headers: { "X-B": "b" } });
+    deepStrictEqual(fetchGraphQLOptions, { timeout: 1 });
+  });
+
+  it("Options with overrides.", () => {
+    /** @type {typeof globalThis.fetch} */
+    const fetcherA = async () => new Response();
+
+    /** @type {typeof globalThis.fetch} */
+    const fetcherB = async () => new Response();
+
+    /** @type {Array<FetchGraphQLMiddleware>} */
+    const middlewareA = [(request, next) => next(request)];
+
+    /** @type {Array<FetchGraphQLMiddleware>} */
+    const middlewareB = [];
+
+    const result = clientConfigApply(
+      {
+        credentials: "include",
+        fetch: fetcherA,
+        middleware: middlewareA,
+      },
+      { credentials: "omit" },
+      { fetch: fetcherB, middleware: middlewareB },
+    );
+
+    strictEqual(result.fetchOptions.credentials, "omit");
+    strictEqual(result.fetchGraphQLOptions.fetch, fetcherB);
+    strictEqual(result.fetchGraphQLOptions.middleware, middlewareB);
+  });
+});
@@ -0,0 +1,150 @@
+// @ts-check
+
+/**
+ * @import {
+ *   FetchGraphQLMiddleware,
+ *   FetchGraphQLOptions,
+ *   FetchGraphQLRequest,
+ *   FetchGraphQLResult,
+ * } from "./fetchGraphQL.mjs"
+ * @import LoadingCacheValue from "./LoadingCacheValue.mjs"
+ * @import useLoadGraphQL from "./useLoadGraphQL.mjs"
+ */
+
+/**
+ * Creates {@link FetchGraphQLMiddleware middleware} for the
+ * {@link FetchGraphQLOptions.middleware `fetchGraphQL` option `middleware`}
+ * that authenticates requests with an access token in an `Authorization`
+ * header using the `Bearer` scheme, refreshing the token and replaying the
+ * request if the result is unauthenticated. A result is unauthenticated if
+ * the response HTTP status is `401`, or a GraphQL error has an
+ * `extensions.code` in the option `errorCodes`.
+ *
+ * Concurrent requests that are unauthenticated share one token refresh, and
+ * are each replayed once with the new token. A request sent with a token that
+ * has since been refreshed is replayed without refreshing again. Only the
+ * replay result is resolved, so unauthenticated results aren’t cached via a
+ * {@link LoadingCacheValue loading cache value}. If the refresh fails, the
+ * unauthenticated result is resolved.
+ * @param {object} options Options.
+ * @param {() => AuthToken | Promise<AuthToken>} options.getToken Gets the
+ *   current access token, that should be the latest refreshed one.
+ * @param {() => AuthToken | Promise<AuthToken>} options.refreshToken Refreshes
+ *   the access token (e.g. using a refresh token), returning the new one.
+ * @param {Array<string>} [options.errorCodes] GraphQL error `extensions.code`
+ *   values that mean the result is unauthenticated. Defaults to
+ *   `["UNAUTHENTICATED"]`.
+ * @returns {FetchGraphQLMiddleware} Auth middleware.
+ * @example
+ * Loading with auth middleware, with {@linkcode useLoadGraphQL}:
+ *
+ * ```js
+ * import createAuthMiddleware from "graphql-react/createAuthMiddleware.mjs";
+ * import fetchOptionsGraphQL from "graphql-react/fetchOptionsGraphQL.mjs";
+ * import useLoadGraphQL from "graphql-react/useLoadGraphQL.mjs";
+ *
+ * const authMiddleware = createAuthMiddleware({
+ *   getToken: () => localStorage.getItem("accessToken") ?? undefined,
+ *   async refreshToken() {
+ *     const response = await fetch("/refresh-token", { method: "POST" });
+ *     const { accessToken } = await response.json();
+ *
+ *     localStorage.setItem("accessToken", accessToken);
+ *
+ *     return accessToken;
+ *   },
+ * });
+ *
+ * function useLoadViewer() {
+ *   const loadGraphQL = useLoadGraphQL();
+ *
+ *   return () =>
+ *     loadGraphQL(
+ *       "viewer",
+ *       "https://example.com/graphql",
+ *       fetchOptionsGraphQL({ query: "{ viewer { name } }" }),
+ *       { middleware: [authMiddleware] },
+ *     );
+ * }
+ * ```
+ */
+export default function createAuthMiddleware({
+  getToken,
+  refreshToken,
+  errorCodes = ["UNAUTHENTICATED"],
+}) {
+  if (typeof getToken !== "function")
+    throw new TypeError("Option `getToken` must be a function.");
+
+  if (typeof refreshToken !== "function")
+    throw new TypeError("Option `refreshToken` must be a function.");
+
+  if (!Array.isArray(errorCodes))
+    throw new TypeError("Option `errorCodes` must be an array.");
+
+  /**
+   * The token refresh in progress, shared by unauthenticated requests.
+   * @type {Promise<AuthToken> | undefined}
+   */
+  let refreshing;
+
+  /**
+   * Runs the rest of the middleware chain with a request authenticated with a
+   * token.
+   * @param {FetchGraphQLRequest} request Request.
+   * @param {(request: FetchGraphQLRequest) => Promise<FetchGraphQLResult>} next
+   *   Runs the rest of the middleware chain.
+   * @param {AuthToken} token Access token.
+   * @returns {Promise<FetchGraphQLResult>} Resolves the result.
+   */
+  const nextWithToken = (request, next, token) => {
+    const headers = new Headers(request.fetchOptions.headers);
+
+    if (token) headers.set("Authorization", `Bearer ${token}`);
+
+    return next({
+      ...request,
+      fetchOptions: { ...request.fetchOptions, headers },
+    });
+  };
+
+  return async (request, next) => {
+    const token = await (refreshing ?? getToken());
+    const result = await nextWithToken(request, next, token);
+
+    if (
+      request.fetchOptions.signal?.aborted ||
+      (result.response?.status !== 401 &&
+        !result.errors?.some(({ extensions }) =>
+          errorCodes.includes(/** @type {string} */ (extensions?.code)),
+        ))
+    )
+      return result;
+
+    /** @type {AuthToken} */
+    let newToken;
+
+    try {
+      newToken = await (refreshing ?? getToken());
+
+      if (newToken === token) {
+        if (!refreshing)
+          refreshing = (async () => refreshToken())().finally(() => {
+            refreshing = undefined;
+          });
+
+        newToken = await refreshing;
+      }
+    } catch {
+      return result;
+    }
+
+    return nextWithToken(request, next, newToken);
+  };
+}
+
+/**
+ * Access token for {@linkcode createAuthMiddleware}. If `undefined`, requests
+ * aren’t authenticated.
+ * @typedef {string | undefined} AuthToken
+ */
@@ -0,0 +1,363 @@
+// @ts-check
+
+/** @import { FetchGraphQLMiddleware } from "./fetchGraphQL.mjs" */
+
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import createAuthMiddleware from "./createAuthMiddleware.mjs";
+import fetchGraphQL from "./fetchGraphQL.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import Deferred from "./test/Deferred.mjs";
+
+const fetchUri = "http://localhost";
+
+/**
+ * Creates a `fetch` implementation for a GraphQL API that’s only authenticated
+ * with an access token.
+ * @param {string} accessToken Access token.
+ * @param {(authorization: string | null) => Promise<void>} [beforeResponse]
+ *   Runs before each response.
+ */
+function createFetch(accessToken, beforeResponse) {
+  /** @type {Array<string | null>} */
+  const authorizations = [];
+
+  /** @type {typeof globalThis.fetch} */
+  const fetcher = async (input, init) => {
+    const authorization = new Headers(init?.headers).get("Authorization");
+
+    authorizations.push(authorization);
+
+    if (beforeResponse) await beforeResponse(authorization);
+
+    return authorization === `Bearer ${accessToken}`
+      ? new Response(JSON.stringify({ data: { a: true } }), {
+          status: 200,
+          headers: { "Content-Type": "application/graphql-response+json" },
+        })
+      : new Response(
+          JSON.stringify({ errors: [{ message: "Unauthorized." }] }),
+          {
+            status: 401,
+            headers: { "Content-Type": "application/json" },
+          },
+        );
+  };
+
+  return { fetch: fetcher, authorizations };
+}
+
+/**
+ * Fetches a GraphQL operation with middleware.
+ * @param {typeof globalThis.fetch} fetcher `fetch` implementation.
+ * @param {FetchGraphQLMiddleware} middleware Middleware.
+ * @param {RequestInit} [fetchOptions] Fetch options.
+ */
+function fetchWithMiddleware(fetcher, middleware, fetchOptions = {}) {
+  return fetchGraphQL(
+    fetchUri,
+    { method: "POST", body: '{"query":"{ a }"}', ...fetchOptions },
+    { fetch: fetcher, middleware: [middleware] },
+  );
+}
+
+describe("Function `createAuthMiddleware`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./createAuthMiddleware.mjs", import.meta.url),
+      500,
+    );
+  });
+
+  it("Option `getToken` not a function.", () => {
+    throws(() => {
+      createAuthMiddleware({
+        // @ts-expect-error Testing invalid.
+        getToken: true,
+        refreshToken() {
+          return "";
+        },
+      });
+    }, new TypeError("Option `getToken` must be a function."));
+  });
+
+  it("Option `refreshToken` not a function.", () => {
+    throws(() => {
+      createAuthMiddleware({
+        getToken() {
+          return "";
+        },
+        // @ts-expect-error Testing invalid.
+        refreshToken: true,
+      });
+    }, new TypeError("Option `refreshToken` must be a function."));
+  });
+
+  it("Option `errorCodes` not an array.", () => {
+    throws(() => {
+      createAuthMiddleware({
+        getToken() {
+          return "";
+        },
+        refreshToken() {
+          return "";
+        },
+        // @ts-expect-error Testing invalid.
+        errorCodes: true,
+      });
+    }, new TypeError("Option `errorCodes` must be an array."));
+  });
+
+  it("Authenticated.", async () => {
+    const { fetch, authorizations } = createFetch("a");
+
+    let refreshCount = 0;
+
+    const middleware = createAuthMiddleware({
+      getToken: () => "a",
+      refreshToken() {
+        refreshCount++;
+        return "b";
+      },
+    });
+
+    deepStrictEqual(await fetchWithMiddleware(fetch, middleware), {
+      data: { a: true },
+    });
+    deepStrictEqual(authorizations, ["Bearer a"]);
+    strictEqual(refreshCount, 0);
+  });
+
+  it("Unauthenticated, no token.", async () => {
+    const { fetch, authorizations } = createFetch("a");
+
+    /** @type {string | undefined} */
+    let token;
+
+    const middleware = createAuthMiddleware({
+      getToken: () => token,
+      async refreshToken() {
+        token = "a";
+        return token;
+      },
+    });
+
+    deepStrictEqual(await fetchWithMiddleware(fetch, middleware), {
+      data: { a: true },
+    });
+    deepStrictEqual(authorizations, [null, "Bearer a"]);
+  });
+
+  it("Unauthenticated HTTP status, concurrent requests sharing a refresh.", async () => {
+    const { fetch, authorizations } = createFetch("b");
+
+    let token = "a";
+    let refreshCount = 0;
+
+    const middleware = createAuthMiddleware({
+      getToken: () => token,
+      async refreshToken() {
+        refreshCount++;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        token = "b";
+        return token;
+      },
+    });
+
+    const results = await Promise.all([
+      fetchWithMiddleware(fetch, middleware),
+      fetchWithMiddleware(fetch, middleware),
+      fetchWithMiddleware(fetch, middleware),
+    ]);
+
+    for (const result of results)
+      deepStrictEqual(result, { data: { a: true } });
+
+    strictEqual(refreshCount, 1);
+    deepStrictEqual(authorizations, [
+      "Bearer a",
+      "Bearer a",
+      "Bearer a",
+      "Bearer b",
+      "Bearer b",
+      "Bearer b",
+    ]);
+  });
+
+  it("Request during a refresh.", async () => {
+    const { fetch, authorizations } = createFetch("b");
+
+    /** @type {Deferred<void>} */
+    const refreshStarted = new Deferred();
+
+    /** @type {Deferred<void>} */
+    const refreshEnd = new Deferred();
+
+    let token = "a";
+
+    const middleware = createAuthMiddleware({
+      getToken: () => token,
+      async refreshToken() {
+        refreshStarted.resolve();
+        await refreshEnd.promise;
+        token = "b";
+        return token;
+      },
+    });
+
+    const resultA = fetchWithMiddleware(fetch, middleware);
+
+    await refreshStarted.promise;
+
+    // Should wait for the new token.
+    const resultB = fetchWithMiddleware(fetch, middleware);
+
+    refreshEnd.resolve();
+
+    deepStrictEqual(await resultA, { data: { a: true } });
+    deepStrictEqual(await resultB, { data: { a: true } });
+    deepStrictEqual(authorizations, ["Bearer a", "Bearer b", "Bearer b"]);
+  });
+
+  it("Unauthenticated, request sent with a token since refreshed.", async () => {
+    /** @type {Deferred<void>} */
+    const responseDeferredA = new Deferred();
+
+    /** @type {Deferred<void>} */
+    const responseDeferredB = new Deferred();
+
+    const responseDeferreds = [responseDeferredA, responseDeferredB];
+    const { fetch, authorizations } = createFetch(
+      "b",
+      async (authorization) => {
+        if (authorization === "Bearer a")
+          await responseDeferreds.shift()?.promise;
+      },
+    );
+
+    let token = "a";
+    let refreshCount = 0;
+
+    const middleware = createAuthMiddleware({
+      getToken: () => token,
+      refreshToken() {
+        refreshCount++;
+        token = "b";
+        return token;
+      },
+    });
+
+    const resultA = fetchWithMiddleware(fetch, middleware);
+    const resultB = fetchWithMiddleware(fetch, middleware);
+
+    responseDeferredA.resolve();
+
+    deepStrictEqual(await resultA, { data: { a: true } });
+
+    responseDeferredB.resolve();
+
+    deepStrictEqual(await resultB, { data: { a: true } });
+    strictEqual(refreshCount, 1);
+    deepStrictEqual(authorizations, [
+      "Bearer a",
+      "Bearer a",
+      "Bearer b",
+      "Bearer b",
+    ]);
+  });
+
+  it("Unauthenticated GraphQL error code, option `errorCodes`.", async () => {
+    /** @type {typeof globalThis.fetch} */
+    const fetcher = async (input, init) =>
+      new Response(
+        JSON.stringify(
+          new Headers(init?.headers).get("Authorization") === "Bearer b"
+            ? { data: { a: true } }
+            : {
+                errors: [
+                  { message: "Unauthorized.", extensions: { code: "A" } },
+                ],
+              },
+        ),
+        {
+          status: 200,
+          headers: { "Content-Type": "application/graphql-response+json" },
+        },
+      );
+
+    let token = "a";
+
+    const middleware = createAuthMiddleware({
+      getToken: () => token,
+      refreshToken() {
+        token = "b";
+        return token;
+      },
+      errorCodes: ["A"],
+    });
+
+    deepStrictEqual(await fetchWithMiddleware(fetcher, middleware), {
+      data: { a: true },
+    });
+  });
+
+  it("Unauthenticated, replay unauthenticated.", async () => {
+    const { fetch, authorizations } = createFetch("c");
+
+    let token = "a";
+
+    const middleware = createAuthMiddleware({
+      getToken: () => token,
+      refreshToken() {
+        token = "b";
+        return token;
+      },
+    });
+
+    const result = await fetchWithMiddleware(fetch, middleware);
+
+    strictEqual(result.response?.status, 401);
+    deepStrictEqual(authorizations, ["Bearer a", "Bearer b"]);
+  });
+
+  it("Unauthenticated, refresh error.", async () => {
+    const { fetch, authorizations } = createFetch("b");
+    const middleware = createAuthMiddleware({
+      getToken: () => "a",
+      refreshToken() {
+        throw new Error("Refresh error.");
+      },
+    });
+
+    const result = await fetchWithMiddleware(fetch, middleware);
+
+    strictEqual(result.response?.status, 401);
+    deepStrictEqual(authorizations, ["Bearer a"]);
+  });
+
+  it("Unauthenticated, fetch options `signal` aborted.", async () => {
+    const abortController = new AbortController();
+    const { fetch, authorizations } = createFetch("b", async () => {
+      abortController.abort();
+    });
+
+    let refreshCount = 0;
+
+    const middleware = createAuthMiddleware({
+      getToken: () => "a",
+      refreshToken() {
+        refreshCount++;
+        return "b";
+      },
+    });
+
+    const result = await fetchWithMiddleware(fetch, middleware, {
+      signal: abortController.signal,
+    });
+
+    strictEqual(result.response?.status, 401);
+    strictEqual(refreshCount, 0);
+    deepStrictEqual(authorizations, ["Bearer a"]);
+  });
+});
@@ -0,0 +1,257 @@
+// @ts-check
+
+/**
+ * @import fetchGraphQL, { FetchGraphQLOptions } from "./fetchGraphQL.mjs"
+ * @import fetchOptionsGraphQL from "./fetchOptionsGraphQL.mjs"
+ * @import useLoadGraphQL from "./useLoadGraphQL.mjs"
+ */
+
+/**
+ * Creates a [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
+ * implementation that batches GraphQL operations, for use with the
+ * {@link FetchGraphQLOptions.fetch `fetchGraphQL` option `fetch`}. Fetches
+ * with a JSON GraphQL operation body (e.g. from {@linkcode fetchOptionsGraphQL}
+ * without files) to the same URI with the same other fetch options within a
+ * time window are coalesced into one request with a JSON array body of the
+ * operations. The response JSON array is split into a response for each
+ * operation, so each {@linkcode fetchGraphQL} result gets its own loading
+ * errors. Fetches with other bodies (e.g. `FormData` for file uploads) aren’t
+ * batched.
+ *
+ * Each batched fetch can be aborted via its own fetch options `signal`; the
+ * batch request is only aborted once all of its fetches have aborted.
+ * @param {object} [options] Options.
+ * @param {number} [options.delay] Milliseconds to collect fetches for a batch
+ *   after the first. Defaults to `0`, collecting fetches within a tick.
+ * @param {number} [options.maxSize] Maximum number of operations in a batch,
+ *   that when reached sends the batch immediately. Defaults to `Infinity`.
+ * @param {typeof fetch} [options.fetch] `fetch` implementation used for the
+ *   requests. Defaults to the global `fetch`.
+ * @returns {typeof fetch} Batching `fetch` implementation.
+ * @example
+ * Batching queries loaded with {@linkcode useLoadGraphQL}:
+ *
+ * ```js
+ * import createBatchFetch from "graphql-react/createBatchFetch.mjs";
+ * import fetchOptionsGraphQL from "graphql-react/fetchOptionsGraphQL.mjs";
+ * import useLoadGraphQL from "graphql-react/useLoadGraphQL.mjs";
+ *
+ * const batchFetch = createBatchFetch({ delay: 10 });
+ *
+ * function useLoadUser(userId) {
+ *   const loadGraphQL = useLoadGraphQL();
+ *
+ *   return () =>
+ *     loadGraphQL(
+ *       `user-${userId}`,
+ *       "https://example.com/graphql",
+ *       fetchOptionsGraphQL({
+ *         query: "query ($userId: ID!) { user(id: $userId) { name } }",
+ *         variables: { userId },
+ *       }),
+ *       { fetch: batchFetch },
+ *     );
+ * }
+ * ```
+ */
+export default function createBatchFetch({
+  delay = 0,
+  maxSize = Infinity,
+  fetch: fetcher = (input, init) =>
+    typeof fetch === "function"
+      ? fetch(input, init)
+      : Promise.reject(new TypeError("Global `fetch` API unavailable.")),
+} = {}) {
+  if (typeof delay !== "number")
+    throw new TypeError("Option `delay` must be a number.");
+
+  if (typeof maxSize !== "number" || maxSize < 1)
+    throw new TypeError("Option `maxSize` must be a positive number.");
+
+  if (typeof fetcher !== "function")
+    throw new TypeError("Option `fetch` must be a function.");
+
+  /**
+   * Batches collecting fetches, by batch key.
+   * @type {Map<string, BatchFetchBatch>}
+   */
+  const batches = new Map();
+
+  /**
+   * Sends a batch.
+   * @param {string} batchKey Batch key.
+   * @param {BatchFetchBatch} batch Batch.
+   */
+  const send = (batchKey, batch) => {
+    clearTimeout(batch.timeout);
+    batches.delete(batchKey);
+
+    const { fetches } = batch;
+
+    batch.sent = true;
+    batch.active = fetches.length;
+
+    // A single operation isn’t worth batching. Its own signal is used so
+    // aborting can abort reading the response body.
+    if (fetches.length === 1) {
+      const [{ resolve, reject, body, signal }] = fetches;
+
+      fetcher(batch.input, { ...batch.fetchOptions, body, signal }).then(
+        resolve,
+        reject,
+      );
+
+      return;
+    }
+
+    fetcher(batch.input, {
+      ...batch.fetchOptions,
+      body: `[${fetches.map(({ body }) => body).join(",")}]`,
+      signal: batch.abortController.signal,
+    })
+      .then(async (response) => {
+        const { status, statusText } = response;
+        const headers = new Headers(response.headers);
+
+        // These headers describe the batch response body, not the bodies of
+        // the split responses.
+        headers.delete("Content-Length");
+        headers.delete("Content-Encoding");
+
+        const text = await response.text();
+
+        /** @type {unknown} */
+        let json;
+
+        try {
+          json = JSON.parse(text);
+        } catch {
+          // The text is used as each response body, so each gets the JSON
+          // parse error.
+        }
+
+        fetches.forEach(({ resolve }, index) => {
+          resolve(
+            new Response(
+              // A response for the whole batch (e.g. an error that isn’t an
+              // array) is used for each operation.
+              Array.isArray(json) ? JSON.stringify(json[index] ?? null) : text,
+              { status, statusText, headers },
+            ),
+          );
+        });
+      })
+      .catch((error) => {
+        for (const { reject } of fetches) reject(error);
+      });
+  };
+
+  return (input, init) => {
+    const { body, signal, ...fetchOptions } = init ?? {};
+
+    if (
+      typeof body !== "string" ||
+      // Only a JSON object body can be batched.
+      !/^\s*\{/u.test(body)
+    )
+      return fetcher(input, init);
+
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    const batchKey = JSON.stringify([
+      String(input),
+      {
+        ...fetchOptions,
+        headers: [...new Headers(fetchOptions.headers)],
+      },
+    ]);
+
+    let batch = batches.get(batchKey);
+
+    if (!batch) {
+      /** @type {BatchFetchBatch} */
+      const newBatch = {
+        input,
+        fetchOptions,
+        abortController: new AbortController(),
+        fetches: [],
+        sent: false,
+        active: 0,
+        timeout: setTimeout(() => {
+          send(batchKey, newBatch);
+        }, delay),
+      };
+
+      batch = newBatch;
+      batches.set(batchKey, batch);
+    }
+
+    const currentBatch = batch;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(/** @type {AbortSignal} */ (signal).reason);
+
+        if (currentBatch.sent) {
+          // Aborting a batch fetch only aborts the batch request once all of
+          // its fetches have aborted.
+          if (!--currentBatch.active) currentBatch.abortController.abort();
+        } else {
+          currentBatch.fetches.splice(
+            currentBatch.fetches.indexOf(batchFetch),
+            1,
+          );
+
+          if (!currentBatch.fetches.length) {
+            clearTimeout(currentBatch.timeout);
+            batches.delete(batchKey);
+          }
+        }
+      };
+
+      /** @type {BatchFetchBatchFetch} */
+      const batchFetch = {
+        body,
+        signal,
+        resolve(response) {
+          // Once the fetch settles, aborting it shouldn’t affect the batch.
+          signal?.removeEventListener("abort", onAbort);
+          resolve(response);
+        },
+        reject(reason) {
+          signal?.removeEventListener("abort", onAbort);
+          reject(reason);
+        },
+      };
+
+      currentBatch.fetches.push(batchFetch);
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      if (currentBatch.fetches.length >= maxSize) send(batchKey, currentBatch);
+    });
+  };
+}
+
+/**
+ * A batch of fetches.
+ * @typedef {object} BatchFetchBatch
+ * @prop {RequestInfo | URL} input Fetch input.
+ * @prop {RequestInit} fetchOptions Fetch options other than `body` and
+ *   `signal`.
+ * @prop {AbortController} abortController Aborts the batch request.
+ * @prop {Array<BatchFetchBatchFetch>} fetches Fetches in the batch.
+ * @prop {boolean} sent Has the batch been sent.
+ * @prop {number} active Number of fetches in the sent batch that haven’t
+ *   aborted.
+ * @prop {ReturnType<typeof setTimeout>} timeout Timeout to send the batch.
+ */
+
+/**
+ * A fetch in a batch.
+ * @typedef {object} BatchFetchBatchFetch
+ * @prop {string} body Fetch body JSON.
+ * @prop {AbortSignal | null | undefined} signal Fetch abort signal.
+ * @prop {(response: Response) => void} resolve Resolves the fetch.
+ * @prop {(reason: unknown) => void} reject Rejects the fetch.
+ */
@@ -0,0 +1,502 @@
+// @ts-check
+
+import { deepStrictEqual, rejects, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import revertableGlobals from "revertable-globals";
+
+import createBatchFetch from "./createBatchFetch.mjs";
+import fetchGraphQL from "./fetchGraphQL.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import Deferred from "./test/Deferred.mjs";
+
+const fetchUri = "the-uri";
+
+/**
+ * Creates a `fetch` implementation that records fetches, and responds with
+ * deferred responses.
+ */
+function createFetch() {
+  /**
+   * @type {Array<{
+   *   input: RequestInfo | URL,
+   *   init?: RequestInit,
+   *   response: Deferred<Response>,
+   * }>}
+   */
+  const fetches = [];
+
+  /** @type {typeof fetch} */
+  const fetcher = (input, init) => {
+    /** @type {Deferred<Response>} */
+    const response = new Deferred();
+
+    fetches.push({ input, init, response });
+
+    return response.promise;
+  };
+
+  return { fetches, fetch: fetcher };
+}
+
+/**
+ * Creates fetch options for a GraphQL operation.
+ * @param {string} query GraphQL query.
+ * @param {AbortSignal} [signal] Abort signal.
+ * @returns {RequestInit} Fetch options.
+ */
+function fetchOptions(query, signal) {
+  return {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query }),
+    signal,
+  };
+}
+
+/**
+ * Waits for timers to run.
+ * @param {number} [ms] Milliseconds.
+ */
+function wait(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("Function `createBatchFetch`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./createBatchFetch.mjs", import.meta.url),
+      950,
+    );
+  });
+
+  it("Option `delay` not a number.", () => {
+    throws(() => {
+      createBatchFetch({
+        // @ts-expect-error Testing invalid.
+        delay: true,
+      });
+    }, new TypeError("Option `delay` must be a number."));
+  });
+
+  it("Option `maxSize` not a positive number.", () => {
+    for (const maxSize of [true, 0])
+      throws(() => {
+        createBatchFetch({
+          // @ts-expect-error Testing invalid.
+          maxSize,
+        });
+      }, new TypeError("Option `maxSize` must be a positive number."));
+  });
+
+  it("Option `fetch` not a function.", () => {
+    throws(() => {
+      createBatchFetch({
+        // @ts-expect-error Testing invalid.
+        fetch: true,
+      });
+    }, new TypeError("Option `fetch` must be a function."));
+  });
+
+  it("Batching.", async () => {
+    const { fetches, fetch } = createFetch();
+    const batchFetch = createBatchFetch({ fetch });
+    const responsePromises = [
+      batchFetch(fetchUri, fetchOptions("{ a }")),
+      batchFetch(fetchUri, fetchOptions("{ b }")),
+      batchFetch(fetchUri, fetchOptions("{ c }")),
+      // A different URI shouldn’t be batched with the others.
+      batchFetch("another-uri", fetchOptions("{ d }")),
+      // Different fetch options shouldn’t be batched with the others.
+      batchFetch(fetchUri, {
+        ...fetchOptions("{ e }"),
+        headers: { Authorization: "Bearer a" },
+      }),
+    ];
+
+    // The batches should be sent after a tick.
+    strictEqual(fetches.length, 0);
+
+    await wait();
+
+    strictEqual(fetches.length, 3);
+
+    const [batch, unbatched1, unbatched2] = fetches;
+
+    strictEqual(batch.input, fetchUri);
+    strictEqual(batch.init?.method, "POST");
+    deepStrictEqual(batch.init?.headers, {
+      "Content-Type": "application/json",
+    });
+    deepStrictEqual(JSON.parse(/** @type {string} */ (batch.init?.body)), [
+      { query: "{ a }" },
+      { query: "{ b }" },
+      { query: "{ c }" },
+    ]);
+
+    // A single operation shouldn’t be sent as an array.
+    strictEqual(unbatched1.input, "another-uri");
+    strictEqual(unbatched1.init?.body, JSON.stringify({ query: "{ d }" }));
+    strictEqual(unbatched2.init?.body, JSON.stringify({ query: "{ e }" }));
+
+    batch.response.resolve(
+      new Response(JSON.stringify([{ data: { a: 1 } }, { data: { b: 2 } }]), {
+        status: 201,
+        statusText: "Created",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": "34",
+          "Content-Encoding": "identity",
+          "X-A": "a",
+        },
+      }),
+    );
+
+    const unbatchedResponse = new Response('{"data":{"d":4}}');
+
+    unbatched1.response.resolve(unbatchedResponse);
+
+    const [responseA, responseB, responseC, responseD] = await Promise.all(
+      responsePromises.slice(0, 4),
+    );
+
+    for (const response of [responseA, responseB, responseC]) {
+      strictEqual(response.status, 201);
+      strictEqual(response.statusText, "Created");
+      strictEqual(response.headers.get("X-A"), "a");
+
+      // Headers for the batch response body shouldn’t be used.
+      strictEqual(response.headers.has("Content-Length"), false);
+      strictEqual(response.headers.has("Content-Encoding"), false);
+    }
+
+    deepStrictEqual(await responseA.json(), { data: { a: 1 } });
+    deepStrictEqual(await responseB.json(), { data: { b: 2 } });
+
+    // A missing array item.
+    deepStrictEqual(await responseC.json(), null);
+
+    strictEqual(responseD, unbatchedResponse);
+  });
+
+  it("Batch response not an array.", async () => {
+    const { fetches, fetch } = createFetch();
+    const batchFetch = createBatchFetch({ fetch });
+
+    for (const body of ['{"errors":[{"message":"A"}]}', "{"]) {
+      const responsePromises = [
+        batchFetch(fetchUri, fetchOptions("{ a }")),
+        batchFetch(fetchUri, fetchOptions("{ b }")),
+      ];
+
+      await wait();
+
+      fetches[fetches.length - 1].response.resolve(
+        new Response(body, { status: 400 }),
+      );
+
+      // Each response should have the batch response body.
+      for (const response of await Promise.all(responsePromises)) {
+        strictEqual(response.status, 400);
+        strictEqual(await response.text(), body);
+      }
+    }
+  });
+
+  it("Batch fetch error.", async () => {
+    const { fetches, fetch } = createFetch();
+    const batchFetch = createBatchFetch({ fetch });
+    const error = new Error("Message.");
+
+    for (const fail of [
+      /** @param {Deferred<Response>} response Response. */
+      (response) => response.reject(error),
+      /** @param {Deferred<Response>} response Response. */
+      (response) =>
+        response.resolve(
+          new Response(
+            new ReadableStream({
+              pull(controller) {
+                controller.error(error);
+              },
+            }),
+          ),
+        ),
+    ]) {
+      const responsePromises = [
+        batchFetch(fetchUri, fetchOptions("{ a }")),
+        // A fetch with a signal, so its abort listener is removed when rejected.
+        batchFetch(
+          fetchUri,
+          fetchOptions("{ b }", new AbortController().signal),
+        ),
+      ];
+
+      await wait();
+
+      fail(fetches[fetches.length - 1].response);
+
+      for (const responsePromise of responsePromises)
+        await rejects(responsePromise, error);
+    }
+  });
+
+  it("Fetch body not a JSON object.", async () => {
+    const { fetches, fetch } = createFetch();
+    const batchFetch = createBatchFetch({ fetch });
+    const formData = new FormData();
+
+    for (const init of [undefined, { body: formData }, { body: "[]" }])
+      batchFetch(fetchUri, init);
+
+    // Fetches that can’t be batched should be sent immediately.
+    strictEqual(fetches.length, 3);
+    strictEqual(fetches[0].init, undefined);
+    strictEqual(fetches[1].init?.body, formData);
+    strictEqual(fetches[2].init?.body, "[]");
+  });
+
+  it("Aborting.", async () => {
+    const { fetches, fetch } = createFetch();
+    const batchFetch = createBatchFetch({ fetch });
+
+    // Signal already aborted.
+    const abortControllerAborted = new AbortController();
+
+    abortControllerAborted.abort();
+
+    await rejects(
+      batchFetch(
+        fetchUri,
+        fetchOptions("{ a }", abortControllerAborted.signal),
+      ),
+      { name: "AbortError" },
+    );
+
+    // Aborting all fetches before a batch is sent.
+    const abortControllerBeforeSendAll = new AbortController();
+    const responsePromiseBeforeSendAll = batchFetch(
+      fetchUri,
+      fetchOptions("{ a }", abortControllerBeforeSendAll.signal),
+    );
+
+    abortControllerBeforeSendAll.abort();
+
+    await rejects(responsePromiseBeforeSendAll, { name: "AbortError" });
+    await wait();
+
+    strictEqual(fetches.length, 0);
+
+    // Aborting some fetches before a batch is sent.
+    const abortControllerBeforeSend = new AbortController();
+    const abortControllersAfterSend = [
+      new AbortController(),
+      new AbortController(),
+    ];
+    const responsePromiseBeforeSend = batchFetch(
+      fetchUri,
+      fetchOptions("{ a }", abortControllerBeforeSend.signal),
+    );
+    const responsePromisesAfterSend = abortControllersAfterSend.map(
+      ({ signal }, index) =>
+        batchFetch(fetchUri, fetchOptions(`{ ${index} }`, signal)),
+    );
+
+    abortControllerBeforeSend.abort();
+
+    await rejects(responsePromiseBeforeSend, { name: "AbortError" });
+    await wait();
+
+    strictEqual(fetches.length, 1);
+    deepStrictEqual(JSON.parse(/** @type {string} */ (fetches[0].init?.body)), [
+      { query: "{ 0 }" },
+      { query: "{ 1 }" },
+    ]);
+
+    const batchSignal = /** @type {AbortSignal} */ (fetches[0].init?.signal);
+
+    // Aborting some fetches after a batch is sent shouldn’t abort the batch
+    // request.
+    abortControllersAfterSend[0].abort();
+
+    await rejects(responsePromisesAfterSend[0], { name: "AbortError" });
+
+    strictEqual(batchSignal.aborted, false);
+
+    // Aborting all fetches after a batch is sent should abort the batch
+    // request.
+    abortControllersAfterSend[1].abort();
+
+    await rejects(responsePromisesAfterSend[1], { name: "AbortError" });
+
+    strictEqual(batchSignal.aborted, true);
+  });
+
+  it("Aborting after responding.", async () => {
+    const { fetches, fetch } = createFetch();
+    const batchFetch = createBatchFetch({ fetch });
+    const abortControllers = [new AbortController(), new AbortController()];
+    const responsePromises = abortControllers.map(({ signal }, index) =>
+      batchFetch(fetchUri, fetchOptions(`{ ${index} }`, signal)),
+    );
+
+    await wait();
+
+    strictEqual(fetches.length, 1);
+
+    fetches[0].response.resolve(
+      new Response(JSON.stringify([{ data: { a: 1 } }, { data: { b: 2 } }])),
+    );
+
+    await Promise.all(responsePromises);
+
+    const batchSignal = /** @type {AbortSignal} */ (fetches[0].init?.signal);
+
+    for (const abortController of abortControllers) abortController.abort();
+
+    // Fetches that have responded shouldn’t abort the batch request.
+    strictEqual(batchSignal.aborted, false);
+
+    // A single operation should be fetched with its own signal.
+    const abortControllerSingle = new AbortController();
+    const responsePromiseSingle = batchFetch(
+      fetchUri,
+      fetchOptions("{ a }", abortControllerSingle.signal),
+    );
+
+    await wait();
+
+    strictEqual(fetches.length, 2);
+    strictEqual(fetches[1].init?.signal, abortControllerSingle.signal);
+
+    const responseSingle = new Response('{"data":{"a":1}}');
+
+    fetches[1].response.resolve(responseSingle);
+
+    strictEqual(await responsePromiseSingle, responseSingle);
+  });
+
+  it("Option `delay`.", async () => {
+    const { fetches, fetch } = createFetch();
+    const batchFetch = createBatchFetch({ fetch, delay: 50 });
+
+    batchFetch(fetchUri, fetchOptions("{ a }"));
+
+    await wait();
+
+    batchFetch(fetchUri, fetchOptions("{ b }"));
+
+    strictEqual(fetches.length, 0);
+
+    await wait(100);
+
+    strictEqual(fetches.length, 1);
+    deepStrictEqual(JSON.parse(/** @type {string} */ (fetches[0].init?.body)), [
+      { query: "{ a }" },
+      { query: "{ b }" },
+    ]);
+  });
+
+  it("Option `maxSize`.", async () => {
+    const { fetches, fetch } = createFetch();
+    const batchFetch = createBatchFetch({ fetch, maxSize: 2 });
+
+    batchFetch(fetchUri, fetchOptions("{ a }"));
+    batchFetch(fetchUri, fetchOptions("{ b }"));
+
+    // Reaching the max size should send the batch immediately.
+    strictEqual(fetches.length, 1);
+
+    batchFetch(fetchUri, fetchOptions("{ c }"));
+
+    await wait();
+
+    strictEqual(fetches.length, 2);
+    deepStrictEqual(JSON.parse(/** @type {string} */ (fetches[0].init?.body)), [
+      { query: "{ a }" },
+      { query: "{ b }" },
+    ]);
+    strictEqual(fetches[1].init?.body, JSON.stringify({ query: "{ c }" }));
+  });
+
+  it("Using with `fetchGraphQL`.", async () => {
+    const { fetches, fetch } = createFetch();
+    const batchFetch = createBatchFetch({ fetch });
+    const resultPromises = [
+      fetchGraphQL(fetchUri, fetchOptions("{ a }"), { fetch: batchFetch }),
+      fetchGraphQL(fetchUri, fetchOptions("{ b }"), { fetch: batchFetch }),
+    ];
+
+    await wait();
+
+    fetches[0].response.resolve(
+      new Response(JSON.stringify([{ data: { a: 1 } }, 1]), {
+        headers: { "Content-Type": "application/json" },
+      }),
+    );
+
+    // Each result should get its own loading errors.
+    deepStrictEqual(await Promise.all(resultPromises), [
+      { data: { a: 1 } },
+      {
+        errors: [
+          {
+            message: "Response JSON isn’t an object.",
+            extensions: {
+              client: true,
+              code: "RESPONSE_MALFORMED",
+            },
+          },
+        ],
+      },
+    ]);
+  });
+
+  describe(
+    "Option `fetch` default.",
+    {
+      // The tests temporarily modify the global `fetch`.
+      concurrency: false,
+    },
+    () => {
+      it("Global `fetch` API available.", async () => {
+        const response = new Response();
+
+        /** @type {Array<RequestInit | undefined>} */
+        const fetchedOptions = [];
+
+        const revertGlobals = revertableGlobals({
+          /**
+           * @param {string} uri Fetch URI.
+           * @param {RequestInit} [options] Fetch options.
+           */
+          async fetch(uri, options) {
+            fetchedOptions.push(options);
+            return response;
+          },
+        });
+
+        try {
+          strictEqual(await createBatchFetch()(fetchUri), response);
+        } finally {
+          revertGlobals();
+        }
+
+        deepStrictEqual(fetchedOptions, [undefined]);
+      });
+
+      it("Global `fetch` API unavailable.", async () => {
+        const revertGlobals = revertableGlobals({ fetch: undefined });
+
+        try {
+          await rejects(
+            createBatchFetch()(fetchUri),
+            new TypeError("Global `fetch` API unavailable."),
+          );
+        } finally {
+          revertGlobals();
+        }
+      });
+    },
+  );
+});
@@ -0,0 +1,90 @@
+// @ts-check
+
+/** @import { FetchGraphQLOptions } from "./fetchGraphQL.mjs" */
+
+/**
+ * Creates a [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
+ * implementation using
+ * [`XMLHttpRequest`](https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest),
+ * for use with the
+ * {@link FetchGraphQLOptions.fetch `fetchGraphQL` option `fetch`}. Unlike
+ * `fetch`, it can report upload progress (e.g. for a
+ * [GraphQL multipart request](https://github.com/jaydenseric/graphql-multipart-request-spec)
+ * uploading files). The response body is only available once it has fully
+ * loaded.
+ *
+ * Only these fetch options are supported: `method`, `headers`, `body`,
+ * `credentials` (`include` sends credentials cross-origin), and `signal`.
+ * @param {object} [options] Options.
+ * @param {(event: ProgressEvent) => void} [options.onUploadProgress] Receives
+ *   each upload progress event.
+ * @returns {typeof fetch} `fetch` implementation.
+ */
+export default function createXHRFetch({ onUploadProgress } = {}) {
+  if (onUploadProgress !== undefined && typeof onUploadProgress !== "function")
+    throw new TypeError("Option `onUploadProgress` must be a function.");
+
+  return (input, { method = "GET", headers, body, credentials, signal } = {}) =>
+    new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const xhr = new XMLHttpRequest();
+      const onAbort = () => {
+        xhr.abort();
+        reject(/** @type {AbortSignal} */ (signal).reason);
+      };
+
+      xhr.open(method, String(input));
+      xhr.responseType = "arraybuffer";
+      xhr.withCredentials = credentials === "include";
+
+      new Headers(headers).forEach((value, name) => {
+        xhr.setRequestHeader(name, value);
+      });
+
+      if (onUploadProgress)
+        xhr.upload.addEventListener("progress", onUploadProgress);
+
+      xhr.addEventListener("load", () => {
+        signal?.removeEventListener("abort", onAbort);
+
+        const responseHeaders = new Headers();
+
+        for (const line of xhr.getAllResponseHeaders().split("\r\n")) {
+          const separatorIndex = line.indexOf(":");
+
+          if (separatorIndex > 0)
+            responseHeaders.append(
+              line.slice(0, separatorIndex),
+              line.slice(separatorIndex + 1).trim(),
+            );
+        }
+
+        resolve(
+          new Response(
+            // These statuses can’t have a response body.
+            [204, 205, 304].includes(xhr.status) ? null : xhr.response,
+            {
+              status: xhr.status,
+              statusText: xhr.statusText,
+              headers: responseHeaders,
+            },
+          ),
+        );
+      });
+
+      xhr.addEventListener("error", () => {
+        signal?.removeEventListener("abort", onAbort);
+
+        // Match the `fetch` network error.
+        reject(new TypeError("Failed to fetch"));
+      });
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      xhr.send(/** @type {XMLHttpRequestBodyInit | null} */ (body ?? null));
+    });
+}
@@ -0,0 +1,195 @@
+// @ts-check
+
+import { deepStrictEqual, rejects, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import revertableGlobals from "revertable-globals";
+
+import createXHRFetch from "./createXHRFetch.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import createFakeXMLHttpRequest from "./test/createFakeXMLHttpRequest.mjs";
+
+describe(
+  "Function `createXHRFetch`.",
+  {
+    // Some of the tests temporarily modify the global `XMLHttpRequest`.
+    concurrency: false,
+  },
+  () => {
+    it("Bundle size.", async () => {
+      await assertBundleSize(
+        new URL("./createXHRFetch.mjs", import.meta.url),
+        600,
+      );
+    });
+
+    it("Option `onUploadProgress` not a function.", () => {
+      throws(() => {
+        createXHRFetch({
+          // @ts-expect-error Testing invalid.
+          onUploadProgress: true,
+        });
+      }, new TypeError("Option `onUploadProgress` must be a function."));
+    });
+
+    it("Fetching.", async () => {
+      const { XMLHttpRequest, requests } = createFakeXMLHttpRequest();
+      const revertGlobals = revertableGlobals({ XMLHttpRequest });
+
+      try {
+        const body = new FormData();
+
+        /** @type {Array<[number, number]>} */
+        const uploadProgressEvents = [];
+
+        const responsePromise = createXHRFetch({
+          onUploadProgress({ loaded, total }) {
+            uploadProgressEvents.push([loaded, total]);
+          },
+        })(new URL("http://localhost/graphql"), {
+          method: "POST",
+          headers: { Accept: "application/json", "X-A": "a" },
+          body,
+          credentials: "include",
+        });
+
+        strictEqual(requests.length, 1);
+
+        const [request] = requests;
+
+        strictEqual(request.method, "POST");
+        strictEqual(request.url, "http://localhost/graphql");
+        strictEqual(request.responseType, "arraybuffer");
+        strictEqual(request.withCredentials, true);
+        deepStrictEqual(request.requestHeaders, [
+          ["accept", "application/json"],
+          ["x-a", "a"],
+        ]);
+        strictEqual(request.body, body);
+
+        request.uploadProgress(5, 10);
+        request.uploadProgress(10, 10);
+
+        deepStrictEqual(uploadProgressEvents, [
+          [5, 10],
+          [10, 10],
+        ]);
+
+        request.respond(
+          201,
+          "Created",
+          "content-type: application/json\r\nx-b: b: c\r\n",
+          '{"data":{}}',
+        );
+
+        const response = await responsePromise;
+
+        strictEqual(response.status, 201);
+        strictEqual(response.statusText, "Created");
+        deepStrictEqual(
+          [...response.headers],
+          [
+            ["content-type", "application/json"],
+            ["x-b", "b: c"],
+          ],
+        );
+        strictEqual(await response.text(), '{"data":{}}');
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Fetch options defaults.", async () => {
+      const { XMLHttpRequest, requests } = createFakeXMLHttpRequest();
+      const revertGlobals = revertableGlobals({ XMLHttpRequest });
+
+      try {
+        const responsePromise = createXHRFetch()("http://localhost");
+        const [request] = requests;
+
+        strictEqual(request.method, "GET");
+        strictEqual(request.withCredentials, false);
+        deepStrictEqual(request.requestHeaders, []);
+        strictEqual(request.body, null);
+
+        // A status that can’t have a response body.
+        request.respond(204, "No Content", "", "");
+
+        const response = await responsePromise;
+
+        strictEqual(response.status, 204);
+        strictEqual(response.body, null);
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Network error.", async () => {
+      const { XMLHttpRequest, requests } = createFakeXMLHttpRequest();
+      const revertGlobals = revertableGlobals({ XMLHttpRequest });
+
+      try {
+        const responsePromise = createXHRFetch()("http://localhost", {
+          signal: new AbortController().signal,
+        });
+
+        requests[0].error();
+
+        await rejects(responsePromise, new TypeError("Failed to fetch"));
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Aborting.", async () => {
+      const { XMLHttpRequest, requests } = createFakeXMLHttpRequest();
+      const revertGlobals = revertableGlobals({ XMLHttpRequest });
+
+      try {
+        const xhrFetch = createXHRFetch();
+
+        // Signal already aborted.
+        const abortControllerAborted = new AbortController();
+
+        abortControllerAborted.abort();
+
+        await rejects(
+          xhrFetch("http://localhost", {
+            signal: abortControllerAborted.signal,
+          }),
+          { name: "AbortError" },
+        );
+
+        strictEqual(requests.length, 0);
+
+        // Aborting while loading.
+        const abortControllerLoading = new AbortController();
+        const responsePromise = xhrFetch("http://localhost", {
+          signal: abortControllerLoading.signal,
+        });
+
+        abortControllerLoading.abort();
+
+        await rejects(responsePromise, { name: "AbortError" });
+
+        strictEqual(requests[0].aborted, true);
+
+        // Aborting after loading.
+        const abortControllerLoaded = new AbortController();
+        const loadedResponsePromise = xhrFetch("http://localhost", {
+          signal: abortControllerLoaded.signal,
+        });
+
+        requests[1].respond(200, "OK", "", "");
+
+        await loadedResponsePromise;
+
+        abortControllerLoaded.abort();
+
+        strictEqual(requests[1].aborted, false);
+      } finally {
+        revertGlobals();
+      }
+    });
+  },
+);
@@ -2,10 +2,17 @@
 
 /**
  * @import { CacheValue } from "./Cache.mjs"
+ * @import createBatchFetch from "./createBatchFetch.mjs"
+ * @import fetchOptionsGraphQL, {
+ *   FetchOptionsGraphQLOptions,
+ * } from "./fetchOptionsGraphQL.mjs"
+ * @import readIncrementalDelivery from "./readIncrementalDelivery.mjs"
  * @import {
+ *   GraphQLOperation,
  *   GraphQLResult,
  *   GraphQLResultError,
  *   GraphQLResultErrorLoadingFetch,
+ *   GraphQLResultErrorLoadingFetchTimeout,
  *   GraphQLResultErrorResponseHttpStatus,
  *   GraphQLResultErrorResponseJsonParse,
  *   GraphQLResultErrorResponseMalformed,
@@ -13,10 +20,29 @@
  */
 
 const ERROR_CODE_FETCH_ERROR = "FETCH_ERROR";
+const ERROR_CODE_FETCH_TIMEOUT = "FETCH_TIMEOUT";
 const ERROR_CODE_RESPONSE_HTTP_STATUS = "RESPONSE_HTTP_STATUS";
 const ERROR_CODE_RESPONSE_JSON_PARSE_ERROR = "RESPONSE_JSON_PARSE_ERROR";
 const ERROR_CODE_RESPONSE_MALFORMED = "RESPONSE_MALFORMED";
 
+const RETRY_DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_DEFAULT_BASE_DELAY = 300;
+const RETRY_DEFAULT_MAX_DELAY = 10000;
+const RETRY_DEFAULT_ERROR_CODES = [
+  ERROR_CODE_FETCH_ERROR,
+  ERROR_CODE_RESPONSE_HTTP_STATUS,
+];
+const RETRY_DEFAULT_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+const GET_DEFAULT_MAX_URL_LENGTH = 2048;
+
+/**
+ * Memoized SHA-256 hashes of queries for automatic persisted queries (APQ), by
+ * query.
+ * @type {Map<string, Promise<string>>}
+ */
+const persistedQueryHashes = new Map();
+
 /**
  * Fetches a GraphQL operation, always resolving a
  * {@link GraphQLResult GraphQL result} suitable for use as a
@@ -24,6 +50,7 @@ const ERROR_CODE_RESPONSE_MALFORMED = "RESPONSE_MALFORMED";
  * {@link FetchGraphQLResultError errors}.
  * @param {string} fetchUri Fetch URI for the GraphQL API.
  * @param {RequestInit} [fetchOptions] Fetch options.
+ * @param {FetchGraphQLOptions} [options] Options.
  * @returns {Promise<FetchGraphQLResult>} Resolves a result suitable for use as
  *   a {@link CacheValue cache value}. Shouldn’t reject.
  * @see [MDN `fetch` parameters docs](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#parameters).
@@ -31,17 +58,330 @@ const ERROR_CODE_RESPONSE_MALFORMED = "RESPONSE_MALFORMED";
  *   Don’t use other options if `fetch` is polyfilled for Node.js or legacy
  *   browsers.
  */
-export default function fetchGraphQL(fetchUri, fetchOptions) {
+export default function fetchGraphQL(fetchUri, fetchOptions, options = {}) {
+  const { middleware } = options;
+
+  if (!middleware?.length)
+    return fetchGraphQLWithRetry(fetchUri, fetchOptions, options);
+
+  /** @type {GraphQLOperation | undefined} */
+  let operation;
+
+  if (typeof fetchOptions?.body === "string")
+    try {
+      const json = JSON.parse(fetchOptions.body);
+
+      if (typeof json === "object" && json && !Array.isArray(json))
+        operation = json;
+    } catch {
+      // The body isn’t for a GraphQL operation.
+    }
+
+  /**
+   * Runs a middleware in the chain, or fetches once they have all run.
+   * @param {number} index Index of the middleware to run.
+   * @param {FetchGraphQLRequest} request Request.
+   * @returns {Promise<FetchGraphQLResult>} Resolves the result.
+   */
+  const runMiddleware = (index, request) =>
+    index < middleware.length
+      ? new Promise((resolve) => {
+          resolve(
+            middleware[index](request, (nextRequest) =>
+              runMiddleware(
+                index + 1,
+                // A replaced operation replaces the body.
+                nextRequest.operation &&
+                  nextRequest.operation !== request.operation
+                  ? {
+                      ...nextRequest,
+                      fetchOptions: {
+                        ...nextRequest.fetchOptions,
+                        body: JSON.stringify(nextRequest.operation),
+                      },
+                    }
+                  : nextRequest,
+              ),
+            ),
+          );
+        })
+      : fetchGraphQLWithRetry(request.fetchUri, request.fetchOptions, options);
+
+  return runMiddleware(0, {
+    fetchUri,
+    fetchOptions: fetchOptions ?? {},
+    operation,
+  }).catch((error) => ({
+    errors: [fetchError(/** @type {Error} */ (error).message)],
+  }));
+}
+
+/**
+ * Fetches a GraphQL operation, retrying and timing out according to the
+ * options.
+ * @param {string} fetchUri Fetch URI for the GraphQL API.
+ * @param {RequestInit | undefined} fetchOptions Fetch options.
+ * @param {FetchGraphQLOptions} options Options.
+ * @returns {Promise<FetchGraphQLResult>} Resolves the result. Shouldn’t
+ *   reject.
+ */
+function fetchGraphQLWithRetry(fetchUri, fetchOptions, options) {
+  const { retry, timeout } = options;
+
+  let signal = fetchOptions?.signal;
+  let timedOut = false;
+
+  /** @type {(() => void) | undefined} */
+  let cleanupTimeout;
+
+  if (timeout !== undefined) {
+    const outerSignal = signal;
+    const timeoutAbortController = new AbortController();
+    const abort = () => {
+      timeoutAbortController.abort();
+    };
+
+    // Respect an existing abort controller signal.
+    if (outerSignal)
+      outerSignal.aborted
+        ? abort()
+        : outerSignal.addEventListener("abort", abort, { once: true });
+
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      abort();
+    }, timeout);
+
+    cleanupTimeout = () => {
+      clearTimeout(timeoutId);
+      outerSignal?.removeEventListener("abort", abort);
+    };
+
+    signal = timeoutAbortController.signal;
+    fetchOptions = { ...fetchOptions, signal };
+  }
+
+  /**
+   * Fetches, retrying according to the retry options.
+   * @param {number} attempt Number of the attempt, starting at `1`.
+   * @returns {Promise<FetchGraphQLResult>} Resolves the result of the final
+   *   attempt.
+   */
+  const attemptFetch = (attempt) =>
+    fetchGraphQLAttempt(fetchUri, fetchOptions, options).then((result) => {
+      const delay =
+        retry && !signal?.aborted
+          ? retryDelay(result, attempt, retry)
+          : undefined;
+
+      return delay === undefined
+        ? result
+        : new Promise((resolve) => {
+            const onAbort = () => {
+              clearTimeout(retryTimeout);
+
+              // The pending retry is canceled, so the last result is final.
+              resolve(result);
+            };
+
+            const retryTimeout = setTimeout(() => {
+              signal?.removeEventListener("abort", onAbort);
+              resolve(attemptFetch(attempt + 1));
+            }, delay);
+
+            signal?.addEventListener("abort", onAbort, { once: true });
+          });
+    });
+
+  return attemptFetch(1).then((result) => {
+    if (cleanupTimeout) {
+      cleanupTimeout();
+
+      if (timedOut)
+        return {
+          errors: [
+            /** @type {GraphQLResultErrorLoadingFetchTimeout} */ ({
+              message: "Fetch timeout.",
+              extensions: {
+                client: true,
+                code: ERROR_CODE_FETCH_TIMEOUT,
+                timeout,
+              },
+            }),
+          ],
+        };
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Fetches a GraphQL operation once, using automatic persisted queries (APQ) if
+ * the fetch options are for it.
+ * @see {@link FetchOptionsGraphQLOptions.persistedQuery `fetchOptionsGraphQL` option `persistedQuery`}.
+ * @param {string} fetchUri Fetch URI for the GraphQL API.
+ * @param {RequestInit | undefined} fetchOptions Fetch options.
+ * @param {FetchGraphQLOptions} options Options.
+ * @returns {Promise<FetchGraphQLResult>} Resolves the result. Shouldn’t
+ *   reject.
+ */
+function fetchGraphQLAttempt(fetchUri, fetchOptions, options) {
+  /** @type {{ query?: unknown, extensions?: any } | undefined} */
+  let json;
+
+  if (typeof fetchOptions?.body === "string")
+    try {
+      json = JSON.parse(fetchOptions.body);
+    } catch {
+      // The body isn’t for APQ or a `GET` request.
+    }
+
+  // See the GraphQL over HTTP spec for `GET` requests, that can only be used
+  // for queries:
+  // https://github.com/graphql/graphql-over-http/blob/main/spec/GraphQLOverHTTP.md#get
+  if (
+    options.get &&
+    !(
+      fetchOptions?.method?.toUpperCase() === "POST" &&
+      typeof json?.query === "string" &&
+      queryHasOnlyQueries(json.query)
+    )
+  )
+    options = { ...options, get: false };
+
+  if (
+    typeof json?.query !== "string" ||
+    json.extensions?.persistedQuery?.version !== 1 ||
+    json.extensions.persistedQuery.sha256Hash
+  )
+    return fetchGraphQLRequest(fetchUri, fetchOptions, options);
+
+  const operation = json;
+  const { query, ...operationWithoutQuery } = operation;
+
+  /**
+   * Fetches the operation with a body.
+   * @param {object} body Body JSON.
+   * @returns {Promise<FetchGraphQLResult>} Resolves the result.
+   */
+  const fetchBody = (body) =>
+    fetchGraphQLRequest(
+      fetchUri,
+      { ...fetchOptions, body: JSON.stringify(body) },
+      options,
+    );
+
+  /**
+   * Fetches the operation with the persisted query hash.
+   * @param {string} sha256Hash Query SHA-256 hash.
+   * @param {boolean} withQuery Should the full query be sent.
+   * @returns {Promise<FetchGraphQLResult>} Resolves the result.
+   */
+  const fetchPersistedQuery = (sha256Hash, withQuery) =>
+    fetchBody({
+      ...(withQuery ? operation : operationWithoutQuery),
+      extensions: {
+        ...operation.extensions,
+        persistedQuery: { version: 1, sha256Hash },
+      },
+    });
+
+  return persistedQueryHash(/** @type {string} */ (query)).then(
+    (sha256Hash) =>
+      fetchPersistedQuery(sha256Hash, false).then((result) =>
+        result.errors?.some(
+          ({ message, extensions }) =>
+            message === "PersistedQueryNotFound" ||
+            extensions?.code === "PERSISTED_QUERY_NOT_FOUND",
+        )
+          ? fetchPersistedQuery(sha256Hash, true)
+          : result,
+      ),
+
+    // Hashing is impossible (e.g. the Web Crypto API is only available in a
+    // secure context), so the full query is sent without APQ.
+    () => {
+      delete operation.extensions.persistedQuery;
+
+      if (!Object.keys(operation.extensions).length)
+        delete operation.extensions;
+
+      return fetchBody(operation);
+    },
+  );
+}
+
+/**
+ * Gets the SHA-256 hash of a query for automatic persisted queries (APQ),
+ * memoized per query string.
+ * @param {string} query GraphQL query.
+ * @returns {Promise<string>} Resolves the hexadecimal SHA-256 hash.
+ */
+function persistedQueryHash(query) {
+  let hash = persistedQueryHashes.get(query);
+
+  if (!hash) {
+    hash = new Promise((resolve) => {
+      resolve(crypto.subtle.digest("SHA-256", new TextEncoder().encode(query)));
+    }).then((digest) =>
+      Array.from(new Uint8Array(digest), (byte) =>
+        byte.toString(16).padStart(2, "0"),
+      ).join(""),
+    );
+
+    persistedQueryHashes.set(query, hash);
+  }
+
+  return hash;
+}
+
+/**
+ * Fetches a GraphQL operation request once.
+ * @param {string} fetchUri Fetch URI for the GraphQL API.
+ * @param {RequestInit | undefined} fetchOptions Fetch options.
+ * @param {FetchGraphQLOptions} options Options.
+ * @returns {Promise<FetchGraphQLResult>} Resolves the result. Shouldn’t
+ *   reject.
+ */
+function fetchGraphQLRequest(
+  fetchUri,
+  fetchOptions,
+  {
+    fetch: fetcher = globalFetch,
+    get,
+    maxGetUrlLength = GET_DEFAULT_MAX_URL_LENGTH,
+    incrementalDelivery,
+    onInterimResult,
+  },
+) {
   /** @type {FetchGraphQLResult} */
   const result = {};
 
   /** @type {Array<FetchGraphQLResultError>} */
   const resultErrors = [];
 
-  const fetcher =
-    typeof fetch === "function"
-      ? fetch
-      : () => Promise.reject(new TypeError("Global `fetch` API unavailable."));
+  if (incrementalDelivery) {
+    const headers = new Headers(fetchOptions?.headers);
+    const accept = headers.get("Accept");
+
+    // GraphQL servers only respond with incremental delivery if the request
+    // accepts it (e.g. Apollo Server requires the `deferSpec` parameter).
+    if (!/\bmultipart\/mixed\b/iu.test(String(accept))) {
+      headers.set(
+        "Accept",
+        `multipart/mixed;deferSpec=20220824, ${accept ?? "application/json"}`,
+      );
+      fetchOptions = { ...fetchOptions, headers };
+    }
+  }
+
+  if (get)
+    [fetchUri, fetchOptions] = requestGet(
+      fetchUri,
+      /** @type {RequestInit} */ (fetchOptions),
+      maxGetUrlLength,
+    );
 
   return fetcher(fetchUri, fetchOptions)
     .then(
@@ -52,119 +392,63 @@ export default function fetchGraphQL(fetchUri, fetchOptions) {
         // hydration.
         Object.defineProperty(result, "response", { value: response });
 
-        if (!response.ok)
-          resultErrors.push(
-            /** @type {GraphQLResultErrorResponseHttpStatus} */ ({
-              message: `HTTP ${response.status} status.`,
-              extensions: {
-                client: true,
-                code: ERROR_CODE_RESPONSE_HTTP_STATUS,
-                statusCode: response.status,
-                statusText: response.statusText,
-              },
-            }),
-          );
+        const contentType = response.headers.get("Content-Type");
 
-        return response.json().then(
-          // Response JSON parse ok.
-          (json) => {
-            // It’s not safe to assume that the response data format conforms to
-            // the GraphQL spec.
-            // https://spec.graphql.org/October2021/#sec-Response-Format
-
-            if (typeof json !== "object" || !json || Array.isArray(json))
-              resultErrors.push(
-                /** @type {GraphQLResultErrorResponseMalformed}*/ ({
-                  message: "Response JSON isn’t an object.",
+        return (
+          // Incremental delivery (for `@defer` and `@stream`) responses are
+          // multipart, with a JSON part for each payload.
+          (
+            incrementalDelivery &&
+            /^multipart\/mixed\b/iu.test(String(contentType))
+              ? incrementalDelivery(response, {
+                  result,
+                  errors: resultErrors,
+                  applyResultJson: (json) => {
+                    applyResultJson(json, result, resultErrors);
+                  },
+                  onInterimResult,
+                })
+              : response.json().then(
+                  // Response JSON parse ok.
+                  (json) => applyResultJson(json, result, resultErrors),
+
+                  // Response JSON parse error.
+                  ({ message }) => {
+                    resultErrors.push(jsonParseError(message));
+                  },
+                )
+          ).then((wellFormed) => {
+            if (
+              !response.ok &&
+              // See the GraphQL over HTTP spec; for the modern media type an
+              // error HTTP status may be for a well-formed GraphQL response
+              // (e.g. with a validation error), which isn’t a transport failure:
+              // https://github.com/graphql/graphql-over-http/blob/main/spec/GraphQLOverHTTP.md#applicationgraphql-responsejson
+              !(
+                wellFormed &&
+                /^application\/graphql-response\+json\b/iu.test(
+                  String(contentType),
+                )
+              )
+            )
+              resultErrors.unshift(
+                /** @type {GraphQLResultErrorResponseHttpStatus} */ ({
+                  message: `HTTP ${response.status} status.`,
                   extensions: {
                     client: true,
-                    code: ERROR_CODE_RESPONSE_MALFORMED,
+                    code: ERROR_CODE_RESPONSE_HTTP_STATUS,
+                    statusCode: response.status,
+                    statusText: response.statusText,
                   },
                 }),
               );
-            else {
-              const hasErrors = "errors" in json;
-              const hasData = "data" in json;
-
-              if (!hasErrors && !hasData)
-                resultErrors.push(
-                  /** @type {GraphQLResultErrorResponseMalformed}*/ ({
-                    message:
-                      "Response JSON is missing an `errors` or `data` property.",
-                    extensions: {
-                      client: true,
-                      code: ERROR_CODE_RESPONSE_MALFORMED,
-                    },
-                  }),
-                );
-              else {
-                // The `errors` field should be an array, or not set.
-                // https://spec.graphql.org/October2021/#sec-Errors
-                if (hasErrors)
-                  if (!Array.isArray(json.errors))
-                    resultErrors.push(
-                      /** @type {GraphQLResultErrorResponseMalformed}*/ ({
-                        message:
-                          "Response JSON `errors` property isn’t an array.",
-                        extensions: {
-                          client: true,
-                          code: ERROR_CODE_RESPONSE_MALFORMED,
-                        },
-                      }),
-                    );
-                  else resultErrors.push(...json.errors);
-
-                // The `data` field should be an object, null, or not set.
-                // https://spec.graphql.org/October2021/#sec-Data
-                if (hasData)
-                  if (
-                    // Note that `null` is an object.
-                    typeof json.data !== "object" ||
-                    Array.isArray(json.data)
-                  )
-                    resultErrors.push(
-                      /** @type {GraphQLResultErrorResponseMalformed}*/ ({
-                        message:
-                          "Response JSON `data` property isn’t an object or null.",
-                        extensions: {
-                          client: true,
-                          code: ERROR_CODE_RESPONSE_MALFORMED,
-                        },
-                      }),
-                    );
-                  else result.data = json.data;
-              }
-            }
-          },
-
-          // Response JSON parse error.
-          ({ message }) => {
-            resultErrors.push(
-              /** @type {GraphQLResultErrorResponseJsonParse} */ ({
-                message: "Response JSON parse error.",
-                extensions: {
-                  client: true,
-                  code: ERROR_CODE_RESPONSE_JSON_PARSE_ERROR,
-                  jsonParseErrorMessage: message,
-                },
-              }),
-            );
-          },
+          })
         );
       },
 
       // Fetch error.
       ({ message }) => {
-        resultErrors.push(
-          /** @type {GraphQLResultErrorLoadingFetch} */ ({
-            message: "Fetch error.",
-            extensions: {
-              client: true,
-              code: ERROR_CODE_FETCH_ERROR,
-              fetchErrorMessage: message,
-            },
-          }),
-        );
+        resultErrors.push(fetchError(message));
       },
     )
     .then(() => {
@@ -173,6 +457,365 @@ export default function fetchGraphQL(fetchUri, fetchOptions) {
     });
 }
 
+/**
+ * Checks if a GraphQL query document only contains query operations, ignoring
+ * strings and comments (that may contain `#` or operation keywords).
+ * @param {string} query GraphQL query document.
+ * @returns {boolean} Does the document only contain query operations.
+ */
+function queryHasOnlyQueries(query) {
+  return !/(?:^|\})\s*(?:mutation|subscription)\b/u.test(
+    query.replace(/"""(?:\\"""|[^])*?"""|"(?:\\.|[^"\\\n])*"|#.*/gu, " "),
+  );
+}
+
+/**
+ * Moves a `POST` request JSON body to URL query parameters for a `GET`
+ * request, unless the URL would be too long.
+ * @see [GraphQL over HTTP spec for `GET` requests](https://github.com/graphql/graphql-over-http/blob/main/spec/GraphQLOverHTTP.md#get).
+ * @param {string} fetchUri Fetch URI for the GraphQL API.
+ * @param {RequestInit} fetchOptions Fetch options, with a JSON object body.
+ * @param {number} maxUrlLength Maximum URL length.
+ * @returns {[string, RequestInit]} Fetch URI and fetch options.
+ */
+function requestGet(fetchUri, fetchOptions, maxUrlLength) {
+  const searchParams = new URLSearchParams();
+
+  for (const [key, value] of Object.entries(
+    JSON.parse(/** @type {string} */ (fetchOptions.body)),
+  ))
+    if (value != null)
+      searchParams.set(
+        key,
+        typeof value === "string" ? value : JSON.stringify(value),
+      );
+
+  const uri = `${fetchUri}${fetchUri.includes("?") ? "&" : "?"}${searchParams}`;
+
+  if (uri.length > maxUrlLength) return [fetchUri, fetchOptions];
+
+  const getFetchOptions = {
+    ...fetchOptions,
+    method: "GET",
+    headers: new Headers(fetchOptions.headers),
+  };
+
+  // A `GET` request doesn’t have a body, and avoiding the header allows a
+  // cross-origin request without a CORS preflight request.
+  delete getFetchOptions.body;
+  getFetchOptions.headers.delete("Content-Type");
+
+  return [uri, getFetchOptions];
+}
+
+/**
+ * Fetches using the global `fetch` API, if it’s available.
+ * @param {RequestInfo | URL} input Fetch input.
+ * @param {RequestInit} [init] Fetch options.
+ * @returns {Promise<Response>} Response.
+ */
+function globalFetch(input, init) {
+  return typeof fetch === "function"
+    ? fetch(input, init)
+    : Promise.reject(new TypeError("Global `fetch` API unavailable."));
+}
+
+/**
+ * Applies GraphQL response JSON to the result.
+ * @param {unknown} json GraphQL response JSON.
+ * @param {FetchGraphQLResult} result Result.
+ * @param {Array<FetchGraphQLResultError>} resultErrors Result errors.
+ * @returns {boolean} Is the JSON a well-formed GraphQL response.
+ */
+function applyResultJson(json, result, resultErrors) {
+  // It’s not safe to assume that the response data format conforms to the
+  // GraphQL spec.
+  // https://spec.graphql.org/October2021/#sec-Response-Format
+
+  let wellFormed = false;
+
+  if (typeof json !== "object" || !json || Array.isArray(json))
+    resultErrors.push(
+      /** @type {GraphQLResultErrorResponseMalformed}*/ ({
+        message: "Response JSON isn’t an object.",
+        extensions: {
+          client: true,
+          code: ERROR_CODE_RESPONSE_MALFORMED,
+        },
+      }),
+    );
+  else {
+    const hasErrors = "errors" in json;
+    const hasData = "data" in json;
+
+    if (!hasErrors && !hasData)
+      resultErrors.push(
+        /** @type {GraphQLResultErrorResponseMalformed}*/ ({
+          message: "Response JSON is missing an `errors` or `data` property.",
+          extensions: {
+            client: true,
+            code: ERROR_CODE_RESPONSE_MALFORMED,
+          },
+        }),
+      );
+    else {
+      wellFormed = true;
+
+      // The `errors` field should be an array, or not set.
+      // https://spec.graphql.org/October2021/#sec-Errors
+      if (hasErrors)
+        if (!Array.isArray(json.errors)) {
+          wellFormed = false;
+          resultErrors.push(
+            /** @type {GraphQLResultErrorResponseMalformed}*/ ({
+              message: "Response JSON `errors` property isn’t an array.",
+              extensions: {
+                client: true,
+                code: ERROR_CODE_RESPONSE_MALFORMED,
+              },
+            }),
+          );
+        } else resultErrors.push(...json.errors);
+
+      // The `data` field should be an object, null, or not set.
+      // https://spec.graphql.org/October2021/#sec-Data
+      if (hasData)
+        if (
+          // Note that `null` is an object.
+          typeof json.data !== "object" ||
+          Array.isArray(json.data)
+        ) {
+          wellFormed = false;
+          resultErrors.push(
+            /** @type {GraphQLResultErrorResponseMalformed}*/ ({
+              message: "Response JSON `data` property isn’t an object or null.",
+              extensions: {
+                client: true,
+                code: ERROR_CODE_RESPONSE_MALFORMED,
+              },
+            }),
+          );
+        } else
+          result.data = /** @type {FetchGraphQLResult["data"]} */ (json.data);
+    }
+  }
+
+  return wellFormed;
+}
+
+/**
+ * Creates a {@link GraphQLResultErrorLoadingFetch fetch error}.
+ * @param {string} fetchErrorMessage Fetch error message.
+ * @returns {GraphQLResultErrorLoadingFetch} Fetch error.
+ */
+function fetchError(fetchErrorMessage) {
+  return {
+    message: "Fetch error.",
+    extensions: {
+      client: true,
+      code: ERROR_CODE_FETCH_ERROR,
+      fetchErrorMessage,
+    },
+  };
+}
+
+/**
+ * Creates a
+ * {@link GraphQLResultErrorResponseJsonParse response JSON parse error}.
+ * @param {string} jsonParseErrorMessage JSON parse error message.
+ * @returns {GraphQLResultErrorResponseJsonParse} Response JSON parse error.
+ */
+function jsonParseError(jsonParseErrorMessage) {
+  return {
+    message: "Response JSON parse error.",
+    extensions: {
+      client: true,
+      code: ERROR_CODE_RESPONSE_JSON_PARSE_ERROR,
+      jsonParseErrorMessage,
+    },
+  };
+}
+
+/**
+ * Determines if a {@link GraphQLResult GraphQL result} should be retried
+ * according to the retry options, and if so after what delay.
+ * @param {FetchGraphQLResult} result Result of the attempt.
+ * @param {number} attempt Number of the attempt, starting at `1`.
+ * @param {FetchGraphQLRetryOptions} retryOptions Retry options.
+ * @returns {number | undefined} Milliseconds to wait before retrying, if the
+ *   result should be retried.
+ */
+function retryDelay(
+  result,
+  attempt,
+  {
+    maxAttempts = RETRY_DEFAULT_MAX_ATTEMPTS,
+    baseDelay = RETRY_DEFAULT_BASE_DELAY,
+    maxDelay = RETRY_DEFAULT_MAX_DELAY,
+    errorCodes = RETRY_DEFAULT_ERROR_CODES,
+    statusCodes = RETRY_DEFAULT_STATUS_CODES,
+  },
+) {
+  if (
+    attempt < maxAttempts &&
+    result.errors?.some(
+      ({ extensions }) =>
+        extensions?.client === true &&
+        errorCodes.includes(/** @type {string} */ (extensions.code)) &&
+        (extensions.code !== ERROR_CODE_RESPONSE_HTTP_STATUS ||
+          statusCodes.includes(/** @type {number} */ (extensions.statusCode))),
+    )
+  ) {
+    // Respect a `Retry-After` header, either in seconds or an HTTP date.
+    // https://httpwg.org/specs/rfc9110.html#field.retry-after
+    const retryAfter = result.response?.headers.get("Retry-After");
+
+    if (retryAfter) {
+      const retryAfterSeconds = Number(retryAfter);
+      const retryAfterDelay = isNaN(retryAfterSeconds)
+        ? Date.parse(retryAfter) - Date.now()
+        : retryAfterSeconds * 1000;
+
+      if (!isNaN(retryAfterDelay))
+        return Math.min(Math.max(retryAfterDelay, 0), maxDelay);
+    }
+
+    // Exponential backoff with “full jitter”:
+    // https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter
+    return Math.random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  }
+}
+
+/**
+ * {@linkcode fetchGraphQL} options.
+ * @typedef {object} FetchGraphQLOptions
+ * @prop {FetchGraphQLRetryOptions} [retry] Retries the fetch if the result has
+ *   retryable loading errors. A pending retry is canceled if the fetch options
+ *   `signal` aborts. By default there are no retries.
+ * @prop {number} [timeout] Milliseconds after which the fetch (including any
+ *   retries) aborts, resolving a result with only a
+ *   {@link GraphQLResultErrorLoadingFetchTimeout `FETCH_TIMEOUT`} loading
+ *   error. Unlike aborting via the fetch options `signal`, this results in a
+ *   {@link CacheValue cache value} that should be cached so the timeout can be
+ *   rendered. By default there is no timeout.
+ * @prop {FetchGraphQLIncrementalDelivery} [incrementalDelivery] Reads an
+ *   [incremental delivery](https://github.com/graphql/graphql-over-http/blob/main/rfcs/IncrementalDelivery.md)
+ *   `multipart/mixed` response (for `@defer` and `@stream` in queries), e.g.
+ *   {@linkcode readIncrementalDelivery}. So that GraphQL servers (e.g. Apollo
+ *   Server and GraphQL Yoga) respond with it, the request `Accept` header is
+ *   given `multipart/mixed;deferSpec=20220824` first if it doesn’t already
+ *   accept `multipart/mixed`. By default such a response has a
+ *   {@link GraphQLResultErrorResponseJsonParse `RESPONSE_JSON_PARSE_ERROR`}
+ *   loading error.
+ * @prop {(result: FetchGraphQLResult) => void} [onInterimResult] Receives an
+ *   interim result each time a payload that isn’t the last arrives in an
+ *   incremental delivery response read using the option `incrementalDelivery`,
+ *   with the payloads so far applied. Interim results don’t share mutable
+ *   objects with earlier ones, so they’re safe to use as
+ *   {@link CacheValue cache values}.
+ * @prop {boolean} [get] Use a `GET` request for a `POST` request with a JSON
+ *   body (e.g. from {@linkcode fetchOptionsGraphQL}) for an operation
+ *   containing only queries, so HTTP caching (e.g. by a CDN or browser) can be
+ *   used. The request JSON is moved to URL query parameters (`query`,
+ *   `variables`, `operationName`, and `extensions`). Ignored for operations
+ *   containing mutations or subscriptions, or other requests (e.g. with files
+ *   to upload). Defaults to `false`.
+ * @prop {number} [maxGetUrlLength] Maximum length of the URL for a `GET`
+ *   request using the option `get`. If the URL would be longer, the `POST`
+ *   request is used instead. Defaults to `2048`.
+ * @prop {typeof fetch} [fetch] [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
+ *   implementation, e.g. from {@linkcode createBatchFetch}. Defaults to the
+ *   global `fetch`.
+ * @prop {Array<FetchGraphQLMiddleware>} [middleware] Middleware chain that can
+ *   change the request before it’s fetched and the result after, e.g. to add
+ *   headers, log, or normalize errors. The first middleware runs first and its
+ *   result is the final result. A middleware that throws or rejects resolves a
+ *   result with only a {@link GraphQLResultErrorLoadingFetch `FETCH_ERROR`}
+ *   loading error. The options `retry` and `timeout` apply within the chain.
+ */
+
+/**
+ * Reads an
+ * [incremental delivery](https://github.com/graphql/graphql-over-http/blob/main/rfcs/IncrementalDelivery.md)
+ * `multipart/mixed` response for {@linkcode fetchGraphQL}, applying each
+ * payload to the result as it arrives.
+ * @callback FetchGraphQLIncrementalDelivery
+ * @param {Response} response Response.
+ * @param {FetchGraphQLIncrementalDeliveryContext} context Context.
+ * @returns {Promise<void>} Resolves once the response has been read.
+ *   Shouldn’t reject.
+ */
+
+/**
+ * {@link FetchGraphQLIncrementalDelivery Incremental delivery} response
+ * reading context.
+ * @typedef {object} FetchGraphQLIncrementalDeliveryContext
+ * @prop {FetchGraphQLResult} result Result to apply the payloads to.
+ * @prop {Array<FetchGraphQLResultError>} errors Result errors to add to.
+ * @prop {(json: unknown) => void} applyResultJson Applies the initial payload
+ *   JSON to the result, like a GraphQL response that isn’t multipart.
+ * @prop {FetchGraphQLOptions["onInterimResult"]} [onInterimResult] Receives an
+ *   interim result after each payload that isn’t the last.
+ */
+
+/**
+ * {@linkcode fetchGraphQL} middleware, that runs the rest of the chain by
+ * calling `next`. It can change the request passed to `next`, and the result.
+ * @callback FetchGraphQLMiddleware
+ * @param {FetchGraphQLRequest} request Request. Shouldn’t be mutated.
+ * @param {(request: FetchGraphQLRequest) => Promise<FetchGraphQLResult>} next
+ *   Runs the rest of the chain with a request, resolving the result.
+ * @returns {Promise<FetchGraphQLResult>} Resolves the result.
+ * @example
+ * Middleware that adds a tracing header, and logs errors:
+ *
+ * ```js
+ * async function middlewareTracing(request, next) {
+ *   const headers = new Headers(request.fetchOptions.headers);
+ *
+ *   headers.set("X-Request-ID", crypto.randomUUID());
+ *
+ *   const result = await next({
+ *     ...request,
+ *     fetchOptions: { ...request.fetchOptions, headers },
+ *   });
+ *
+ *   if (result.errors) console.error(result.errors);
+ *
+ *   return result;
+ * }
+ * ```
+ */
+
+/**
+ * {@linkcode fetchGraphQL} request, for {@link FetchGraphQLMiddleware middleware}.
+ * @typedef {object} FetchGraphQLRequest
+ * @prop {string} fetchUri Fetch URI for the GraphQL API.
+ * @prop {RequestInit} fetchOptions Fetch options, including any `signal` that
+ *   should be respected by async middleware.
+ * @prop {GraphQLOperation} [operation] GraphQL operation from a fetch options
+ *   JSON body (e.g. not a GraphQL multipart request with files). Replacing it
+ *   replaces the body.
+ */
+
+/**
+ * {@linkcode fetchGraphQL} retry options. Retry delays use exponential backoff
+ * with jitter, unless the response has a `Retry-After` header.
+ * @typedef {object} FetchGraphQLRetryOptions
+ * @prop {number} [maxAttempts] Maximum number of fetch attempts, including the
+ *   first. Defaults to `3`.
+ * @prop {number} [baseDelay] Milliseconds the backoff delay range starts at,
+ *   doubling for each attempt. Defaults to `300`.
+ * @prop {number} [maxDelay] Maximum milliseconds to wait before a retry, also
+ *   limiting a `Retry-After` header. Defaults to `10000`.
+ * @prop {Array<string>} [errorCodes] Codes of
+ *   {@link FetchGraphQLResultErrorLoading loading errors} that are retryable.
+ *   Defaults to `["FETCH_ERROR", "RESPONSE_HTTP_STATUS"]`.
+ * @prop {Array<number>} [statusCodes] HTTP status codes that are retryable for
+ *   a `RESPONSE_HTTP_STATUS` loading error. Defaults to
+ *   `[408, 429, 500, 502, 503, 504]`.
+ */
+
 /**
  * {@linkcode fetchGraphQL} {@link GraphQLResult GraphQL result}.
  * @typedef {GraphQLResult<FetchGraphQLResultError>} FetchGraphQLResult
@@ -188,6 +831,7 @@ export default function fetchGraphQL(fetchUri, fetchOptions) {
  * {@linkcode fetchGraphQL} {@link GraphQLResult.errors GraphQL result error}
  * that’s generated on the client, not the GraphQL server.
  * @typedef {GraphQLResultErrorLoadingFetch
+ *   | GraphQLResultErrorLoadingFetchTimeout
  *   | GraphQLResultErrorResponseHttpStatus
  *   | GraphQLResultErrorResponseJsonParse
  *   | GraphQLResultErrorResponseMalformed
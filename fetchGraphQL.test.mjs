@@ -1,12 +1,19 @@
 // @ts-check
 
-import { deepStrictEqual, ok, strictEqual } from "node:assert";
+/** @import { FetchGraphQLOptions } from "./fetchGraphQL.mjs" */
+
+import "./test/polyfillCrypto.mjs";
+
+import { deepStrictEqual, notStrictEqual, ok, strictEqual } from "node:assert";
+import { createHash } from "node:crypto";
 import { describe, it } from "node:test";
 
 import revertableGlobals from "revertable-globals";
 
 import fetchGraphQL from "./fetchGraphQL.mjs";
+import fetchOptionsGraphQL from "./fetchOptionsGraphQL.mjs";
 import assertBundleSize from "./test/assertBundleSize.mjs";
+import assertInstanceOf from "./test/assertInstanceOf.mjs";
 
 describe(
   "Function `fetchGraphQL`.",
@@ -26,7 +33,7 @@ describe(
     it("Bundle size.", async () => {
       await assertBundleSize(
         new URL("./fetchGraphQL.mjs", import.meta.url),
-        600,
+        2350,
       );
     });
 
@@ -915,7 +922,7 @@ describe(
       let fetchedResponse;
 
       const fetchUri = "http://localhost";
-      const fetchOptions = {};
+      const fetchOptions = { signal: new AbortController().signal };
       const data = { a: true };
       const fetchResponse = new Response(
         JSON.stringify({ data }),
@@ -955,7 +962,7 @@ describe(
       let fetchedResponse;
 
       const fetchUri = "http://localhost";
-      const fetchOptions = {};
+      const fetchOptions = { signal: new AbortController().signal };
       const data = { a: true };
       const fetchResponse = new Response(JSON.stringify({ data }), {
         ...graphqlResponseOptions,
@@ -1002,5 +1009,1210 @@ describe(
         revertGlobals();
       }
     });
+
+    it("Response media type `application/graphql-response+json`, HTTP status error, well-formed.", async () => {
+      const error = { message: "Validation error." };
+      const revertGlobals = revertableGlobals({
+        async fetch() {
+          return new Response(JSON.stringify({ errors: [error] }), {
+            status: 400,
+            headers: {
+              "Content-Type":
+                "application/graphql-response+json; charset=utf-8",
+            },
+          });
+        },
+      });
+
+      try {
+        // The error HTTP status is for the GraphQL response, and isn’t a
+        // transport failure.
+        deepStrictEqual(await fetchGraphQL("http://localhost"), {
+          errors: [error],
+        });
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Response media type `application/graphql-response+json`, HTTP status error, malformed.", async () => {
+      for (const body of ["", "{}", '{"errors":true}', '{"data":true}']) {
+        const revertGlobals = revertableGlobals({
+          async fetch() {
+            return new Response(body, {
+              status: 502,
+              statusText: "Bad Gateway",
+              headers: {
+                "Content-Type": "application/graphql-response+json",
+              },
+            });
+          },
+        });
+
+        try {
+          const result = await fetchGraphQL("http://localhost");
+
+          deepStrictEqual(result.errors?.[0], {
+            message: "HTTP 502 status.",
+            extensions: {
+              client: true,
+              code: "RESPONSE_HTTP_STATUS",
+              statusCode: 502,
+              statusText: "Bad Gateway",
+            },
+          });
+          strictEqual(result.errors.length, 2);
+        } finally {
+          revertGlobals();
+        }
+      }
+    });
+
+    it("Option `retry`, retryable fetch error then success.", async () => {
+      /** @type {Array<RequestInit>} */
+      const fetchedOptions = [];
+
+      const fetchOptions = { signal: new AbortController().signal };
+      const data = { a: true };
+      const revertGlobals = revertableGlobals({
+        /**
+         * @param {string} uri Fetch URI.
+         * @param {RequestInit} options Fetch options.
+         * @returns {Promise<Response>} Response.
+         */
+        async fetch(uri, options) {
+          fetchedOptions.push(options);
+
+          if (fetchedOptions.length === 1) throw new Error("Message.");
+
+          return new Response(JSON.stringify({ data }), graphqlResponseOptions);
+        },
+      });
+
+      try {
+        const result = await fetchGraphQL("http://localhost", fetchOptions, {
+          retry: { baseDelay: 1 },
+        });
+
+        deepStrictEqual(fetchedOptions, [fetchOptions, fetchOptions]);
+        deepStrictEqual(result, { data });
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Option `retry`, retryable fetch error reaching the max attempts.", async () => {
+      let fetchCount = 0;
+
+      const fetchErrorMessage = "Message.";
+      const revertGlobals = revertableGlobals({
+        async fetch() {
+          fetchCount++;
+
+          throw new Error(fetchErrorMessage);
+        },
+      });
+
+      try {
+        const result = await fetchGraphQL(
+          "http://localhost",
+          {},
+          {
+            retry: {
+              maxAttempts: 4,
+              baseDelay: 1,
+              maxDelay: 2,
+            },
+          },
+        );
+
+        strictEqual(fetchCount, 4);
+        deepStrictEqual(result, {
+          errors: [
+            {
+              message: "Fetch error.",
+              extensions: {
+                client: true,
+                code: "FETCH_ERROR",
+                fetchErrorMessage,
+              },
+            },
+          ],
+        });
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Option `retry`, retryable HTTP status with a `Retry-After` header.", async () => {
+      const retryAfterHeaders = [
+        // Seconds.
+        "0",
+        // HTTP date in the past.
+        new Date(0).toUTCString(),
+        // Invalid, so the backoff delay is used.
+        "Soon.",
+      ];
+
+      let fetchCount = 0;
+
+      const data = { a: true };
+      const revertGlobals = revertableGlobals({
+        async fetch() {
+          const retryAfter = retryAfterHeaders[fetchCount++];
+
+          return retryAfter
+            ? new Response(JSON.stringify({ data: null }), {
+                status: 503,
+                statusText: "Service Unavailable",
+                headers: {
+                  ...graphqlResponseOptions.headers,
+                  "Retry-After": retryAfter,
+                },
+              })
+            : new Response(JSON.stringify({ data }), graphqlResponseOptions);
+        },
+      });
+
+      try {
+        const result = await fetchGraphQL(
+          "http://localhost",
+          {},
+          {
+            retry: {
+              maxAttempts: 4,
+              baseDelay: 1,
+            },
+          },
+        );
+
+        strictEqual(fetchCount, 4);
+        deepStrictEqual(result, { data });
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Option `retry`, errors not retryable.", async () => {
+      /** @type {Array<Response>} */
+      const responses = [
+        // HTTP status not retryable.
+        new Response(JSON.stringify({ data: null }), {
+          ...graphqlResponseOptions,
+          status: 400,
+          statusText: "Bad Request",
+        }),
+        // Error code not retryable.
+        new Response("{", graphqlResponseOptions),
+        // Error not generated on the client.
+        new Response(
+          JSON.stringify({ errors: [{ message: "Unavailable." }] }),
+          graphqlResponseOptions,
+        ),
+      ];
+
+      let fetchCount = 0;
+
+      const revertGlobals = revertableGlobals({
+        async fetch() {
+          return responses[fetchCount++];
+        },
+      });
+
+      try {
+        for (let i = 0; i < responses.length; i++)
+          await fetchGraphQL(
+            "http://localhost",
+            {},
+            {
+              retry: {
+                baseDelay: 1,
+                errorCodes: ["FETCH_ERROR", "RESPONSE_HTTP_STATUS", "CUSTOM"],
+              },
+            },
+          );
+
+        strictEqual(fetchCount, responses.length);
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Option `retry`, aborting a pending retry.", async () => {
+      let fetchCount = 0;
+
+      const abortController = new AbortController();
+      const fetchErrorMessage = "Message.";
+      const revertGlobals = revertableGlobals({
+        async fetch() {
+          fetchCount++;
+
+          // Abort while the retry is pending.
+          setTimeout(() => {
+            abortController.abort();
+          }, 1);
+
+          throw new Error(fetchErrorMessage);
+        },
+      });
+
+      try {
+        const result = await fetchGraphQL(
+          "http://localhost",
+          { signal: abortController.signal },
+          {
+            retry: {
+              baseDelay: 10000,
+              // Ensure the delay isn’t jittered to something tiny.
+              maxDelay: 10000,
+              statusCodes: [],
+            },
+          },
+        );
+
+        strictEqual(fetchCount, 1);
+        deepStrictEqual(result, {
+          errors: [
+            {
+              message: "Fetch error.",
+              extensions: {
+                client: true,
+                code: "FETCH_ERROR",
+                fetchErrorMessage,
+              },
+            },
+          ],
+        });
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Option `retry`, fetch options `signal` already aborted.", async () => {
+      let fetchCount = 0;
+
+      const abortController = new AbortController();
+
+      abortController.abort();
+
+      const revertGlobals = revertableGlobals({
+        async fetch() {
+          fetchCount++;
+
+          throw new Error("The operation was aborted.");
+        },
+      });
+
+      try {
+        await fetchGraphQL(
+          "http://localhost",
+          { signal: abortController.signal },
+          { retry: { baseDelay: 1 } },
+        );
+
+        strictEqual(fetchCount, 1);
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Option `timeout`, timed out.", async () => {
+      const timeout = 1;
+
+      /** @type {Array<RequestInit>} */
+      const fetchedOptions = [];
+
+      const abortController = new AbortController();
+      const fetchOptions = { body: "a", signal: abortController.signal };
+      const revertGlobals = revertableGlobals({
+        /**
+         * @param {string} uri Fetch URI.
+         * @param {RequestInit} options Fetch options.
+         * @returns {Promise<Response>} Response.
+         */
+        async fetch(uri, options) {
+          fetchedOptions.push(options);
+
+          return new Promise((resolve, reject) => {
+            assertInstanceOf(options.signal, AbortSignal);
+
+            options.signal.addEventListener(
+              "abort",
+              () => {
+                reject(new Error("The operation was aborted."));
+              },
+              { once: true },
+            );
+          });
+        },
+      });
+
+      try {
+        const result = await fetchGraphQL("http://localhost", fetchOptions, {
+          timeout,
+        });
+
+        strictEqual(fetchedOptions.length, 1);
+
+        const { signal, ...fetchedOptionsRest } = fetchedOptions[0];
+
+        // The fetch options signal should be replaced, without mutating the
+        // input.
+        notStrictEqual(signal, abortController.signal);
+        strictEqual(fetchOptions.signal, abortController.signal);
+        deepStrictEqual(fetchedOptionsRest, { body: "a" });
+        strictEqual(abortController.signal.aborted, false);
+
+        deepStrictEqual(result, {
+          errors: [
+            {
+              message: "Fetch timeout.",
+              extensions: {
+                client: true,
+                code: "FETCH_TIMEOUT",
+                timeout,
+              },
+            },
+          ],
+        });
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Option `timeout`, timed out during a pending retry.", async () => {
+      const timeout = 10;
+
+      let fetchCount = 0;
+
+      const revertGlobals = revertableGlobals({
+        async fetch() {
+          fetchCount++;
+
+          throw new Error("Message.");
+        },
+      });
+
+      try {
+        const result = await fetchGraphQL(
+          "http://localhost",
+          {},
+          {
+            timeout,
+            retry: {
+              baseDelay: 10000,
+              maxDelay: 10000,
+              statusCodes: [],
+            },
+          },
+        );
+
+        strictEqual(fetchCount, 1);
+        deepStrictEqual(result, {
+          errors: [
+            {
+              message: "Fetch timeout.",
+              extensions: {
+                client: true,
+                code: "FETCH_TIMEOUT",
+                timeout,
+              },
+            },
+          ],
+        });
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Option `fetch`.", async () => {
+      const data = { a: true };
+      const fetchUri = "http://localhost";
+      const fetchOptions = { method: "POST", body: "{}" };
+
+      /** @type {Array<[RequestInfo | URL, RequestInit | undefined]>} */
+      const fetches = [];
+
+      deepStrictEqual(
+        await fetchGraphQL(fetchUri, fetchOptions, {
+          async fetch(input, init) {
+            fetches.push([input, init]);
+
+            return new Response(
+              JSON.stringify({ data }),
+              graphqlResponseOptions,
+            );
+          },
+        }),
+        { data },
+      );
+      deepStrictEqual(fetches, [[fetchUri, fetchOptions]]);
+    });
+
+    it("Option `middleware`.", async () => {
+      const abortController = new AbortController();
+
+      /** @type {Array<string>} */
+      const log = [];
+
+      /** @type {Array<[RequestInfo | URL, RequestInit | undefined]>} */
+      const fetches = [];
+
+      deepStrictEqual(
+        await fetchGraphQL(
+          "http://localhost",
+          {
+            method: "POST",
+            headers: { "X-A": "a" },
+            body: JSON.stringify({ query: "{ a }" }),
+            signal: abortController.signal,
+          },
+          {
+            async fetch(input, init) {
+              fetches.push([input, init]);
+
+              return new Response(
+                JSON.stringify({ data: { a: true } }),
+                graphqlResponseOptions,
+              );
+            },
+            middleware: [
+              async (request, next) => {
+                log.push("a before");
+
+                deepStrictEqual(request.operation, { query: "{ a }" });
+
+                const result = await next({
+                  ...request,
+                  fetchUri: "http://localhost/graphql",
+                  operation: { ...request.operation, variables: { a: 1 } },
+                });
+
+                log.push("a after");
+
+                return { ...result, extensions: { a: true } };
+              },
+              async (request, next) => {
+                log.push("b before");
+
+                // The replaced operation should have replaced the body.
+                strictEqual(
+                  request.fetchOptions.body,
+                  '{"query":"{ a }","variables":{"a":1}}',
+                );
+
+                // Async middleware.
+                await new Promise((resolve) => setTimeout(resolve, 1));
+
+                const headers = new Headers(request.fetchOptions.headers);
+
+                headers.set("X-B", "b");
+
+                const result = await next({
+                  ...request,
+                  fetchOptions: { ...request.fetchOptions, headers },
+                });
+
+                log.push("b after");
+
+                return result;
+              },
+            ],
+          },
+        ),
+        { data: { a: true }, extensions: { a: true } },
+      );
+
+      deepStrictEqual(log, ["a before", "b before", "b after", "a after"]);
+      strictEqual(fetches.length, 1);
+
+      const [[fetchedUri, fetchedOptions]] = fetches;
+
+      strictEqual(fetchedUri, "http://localhost/graphql");
+      ok(fetchedOptions);
+      deepStrictEqual(
+        [...new Headers(fetchedOptions.headers)],
+        [
+          ["x-a", "a"],
+          ["x-b", "b"],
+        ],
+      );
+      strictEqual(fetchedOptions.body, '{"query":"{ a }","variables":{"a":1}}');
+      strictEqual(fetchedOptions.signal, abortController.signal);
+    });
+
+    it("Option `middleware`, fetch options body not a JSON object.", async () => {
+      /** @type {Array<unknown>} */
+      const operations = [];
+
+      /** @type {FetchGraphQLOptions} */
+      const options = {
+        async fetch() {
+          return new Response(
+            JSON.stringify({ data: {} }),
+            graphqlResponseOptions,
+          );
+        },
+        middleware: [
+          (request, next) => {
+            operations.push(request.operation);
+
+            return next(request);
+          },
+        ],
+      };
+
+      for (const fetchOptions of [
+        undefined,
+        { body: "[]" },
+        { body: "Not JSON." },
+        { body: new FormData() },
+      ])
+        deepStrictEqual(
+          await fetchGraphQL("http://localhost", fetchOptions, options),
+          { data: {} },
+        );
+
+      deepStrictEqual(operations, [undefined, undefined, undefined, undefined]);
+    });
+
+    it("Option `middleware`, middleware error.", async () => {
+      const errorResult = {
+        errors: [
+          {
+            message: "Fetch error.",
+            extensions: {
+              client: true,
+              code: "FETCH_ERROR",
+              fetchErrorMessage: "Middleware error.",
+            },
+          },
+        ],
+      };
+
+      deepStrictEqual(
+        await fetchGraphQL(
+          "http://localhost",
+          {},
+          {
+            middleware: [
+              () => {
+                throw new Error("Middleware error.");
+              },
+            ],
+          },
+        ),
+        errorResult,
+      );
+
+      deepStrictEqual(
+        await fetchGraphQL(
+          "http://localhost",
+          {},
+          {
+            middleware: [
+              async () => {
+                throw new Error("Middleware error.");
+              },
+            ],
+          },
+        ),
+        errorResult,
+      );
+    });
+
+    it("Automatic persisted query, persisted.", async () => {
+      const data = { a: true };
+      const query = "{ a }";
+      const sha256Hash = createHash("sha256").update(query).digest("hex");
+
+      /** @type {Array<unknown>} */
+      const fetchedBodies = [];
+
+      for (let count = 0; count < 2; count++)
+        deepStrictEqual(
+          await fetchGraphQL(
+            "http://localhost",
+            fetchOptionsGraphQL(
+              { query, variables: { a: 1 } },
+              { persistedQuery: true },
+            ),
+            {
+              async fetch(input, init) {
+                fetchedBodies.push(JSON.parse(String(init?.body)));
+
+                return new Response(
+                  JSON.stringify({ data }),
+                  graphqlResponseOptions,
+                );
+              },
+            },
+          ),
+          { data },
+        );
+
+      const body = {
+        variables: { a: 1 },
+        extensions: { persistedQuery: { version: 1, sha256Hash } },
+      };
+
+      deepStrictEqual(fetchedBodies, [body, body]);
+    });
+
+    it("Automatic persisted query, not persisted.", async () => {
+      const data = { a: true };
+      const query = "{ b }";
+      const sha256Hash = createHash("sha256").update(query).digest("hex");
+
+      for (const error of [
+        { message: "PersistedQueryNotFound" },
+        {
+          message: "Persisted query not found.",
+          extensions: { code: "PERSISTED_QUERY_NOT_FOUND" },
+        },
+      ]) {
+        /** @type {Array<unknown>} */
+        const fetchedBodies = [];
+
+        deepStrictEqual(
+          await fetchGraphQL(
+            "http://localhost",
+            fetchOptionsGraphQL({ query }, { persistedQuery: true }),
+            {
+              async fetch(input, init) {
+                fetchedBodies.push(JSON.parse(String(init?.body)));
+
+                return new Response(
+                  JSON.stringify(
+                    fetchedBodies.length === 1 ? { errors: [error] } : { data },
+                  ),
+                  graphqlResponseOptions,
+                );
+              },
+            },
+          ),
+          { data },
+        );
+        deepStrictEqual(fetchedBodies, [
+          { extensions: { persistedQuery: { version: 1, sha256Hash } } },
+          {
+            query,
+            extensions: { persistedQuery: { version: 1, sha256Hash } },
+          },
+        ]);
+      }
+    });
+
+    it("Automatic persisted query, hashes memoized.", async () => {
+      const query = "{ c }";
+      const originalDigest = crypto.subtle.digest;
+
+      let digestCount = 0;
+
+      const revertGlobals = revertableGlobals(
+        {
+          /**
+           * @param {AlgorithmIdentifier} algorithm Algorithm.
+           * @param {BufferSource} data Data.
+           */
+          digest(algorithm, data) {
+            digestCount++;
+            return originalDigest.call(crypto.subtle, algorithm, data);
+          },
+        },
+        /** @type {any} */ (crypto.subtle),
+      );
+
+      try {
+        for (let count = 0; count < 2; count++)
+          await fetchGraphQL(
+            "http://localhost",
+            fetchOptionsGraphQL({ query }, { persistedQuery: true }),
+            {
+              async fetch() {
+                return new Response(
+                  JSON.stringify({ data: {} }),
+                  graphqlResponseOptions,
+                );
+              },
+            },
+          );
+      } finally {
+        revertGlobals();
+      }
+
+      strictEqual(digestCount, 1);
+    });
+
+    it("Automatic persisted query, hashing error.", async () => {
+      const data = { a: true };
+      const query = "{ d }";
+      const revertGlobals = revertableGlobals(
+        {
+          digest() {
+            throw new Error("Message.");
+          },
+        },
+        /** @type {any} */ (crypto.subtle),
+      );
+
+      /** @type {Array<unknown>} */
+      const fetchedBodies = [];
+
+      try {
+        for (const fetchOptions of [
+          fetchOptionsGraphQL({ query }, { persistedQuery: true }),
+          {
+            method: "POST",
+            body: JSON.stringify({
+              query,
+              extensions: { a: 1, persistedQuery: { version: 1 } },
+            }),
+          },
+        ])
+          deepStrictEqual(
+            await fetchGraphQL("http://localhost", fetchOptions, {
+              async fetch(input, init) {
+                fetchedBodies.push(JSON.parse(String(init?.body)));
+
+                return new Response(
+                  JSON.stringify({ data }),
+                  graphqlResponseOptions,
+                );
+              },
+            }),
+            { data },
+          );
+      } finally {
+        revertGlobals();
+      }
+
+      // Extensions should be removed if only the persisted query was in them.
+      deepStrictEqual(fetchedBodies, [
+        { query },
+        { query, extensions: { a: 1 } },
+      ]);
+    });
+
+    it("Option `get`, queries.", async () => {
+      const data = { a: true };
+
+      /** @type {Array<[RequestInfo | URL, RequestInit | undefined]>} */
+      const fetches = [];
+
+      /** @type {typeof globalThis.fetch} */
+      const fetcher = async (input, init) => {
+        fetches.push([input, init]);
+
+        return new Response(JSON.stringify({ data }), graphqlResponseOptions);
+      };
+
+      for (const fetchUri of ["http://localhost", "http://localhost?a=1"])
+        deepStrictEqual(
+          await fetchGraphQL(
+            fetchUri,
+            {
+              method: "POST",
+              headers: {
+                Accept: "application/json",
+                "Content-Type": "application/json",
+              },
+              body: JSON.stringify({
+                query: "query A { a }",
+                variables: { a: 1 },
+                operationName: "A",
+                extensions: { b: 2 },
+                c: null,
+              }),
+            },
+            { fetch: fetcher, get: true },
+          ),
+          { data },
+        );
+
+      strictEqual(fetches.length, 2);
+
+      const searchParams =
+        "query=query+A+%7B+a+%7D&variables=%7B%22a%22%3A1%7D&operationName=A&extensions=%7B%22b%22%3A2%7D";
+
+      strictEqual(fetches[0][0], `http://localhost?${searchParams}`);
+      strictEqual(fetches[1][0], `http://localhost?a=1&${searchParams}`);
+
+      for (const [, init] of fetches) {
+        strictEqual(init?.method, "GET");
+        strictEqual(init?.body, undefined);
+        ok(!(init && "body" in init));
+        assertInstanceOf(init.headers, Headers);
+        deepStrictEqual([...init.headers], [["accept", "application/json"]]);
+      }
+    });
+
+    it("Option `get`, queries, ignoring strings and comments.", async () => {
+      /** @type {Array<RequestInit | undefined>} */
+      const fetchedOptions = [];
+
+      for (const query of [
+        "query A { a } fragment B on C { d }",
+        "# mutation\n{ a }",
+        '{ a(b: "} mutation") }',
+        '{ a(b: "\\" } mutation") }',
+        '{ a(b: """\n} mutation\n""") }',
+        '{ a(b: """\\""" } mutation""") }',
+      ])
+        await fetchGraphQL(
+          "http://localhost",
+          { method: "post", body: JSON.stringify({ query }) },
+          {
+            get: true,
+            async fetch(input, init) {
+              fetchedOptions.push(init);
+
+              return new Response(
+                JSON.stringify({ data: {} }),
+                graphqlResponseOptions,
+              );
+            },
+          },
+        );
+
+      deepStrictEqual(
+        fetchedOptions.map((init) => init?.method),
+        ["GET", "GET", "GET", "GET", "GET", "GET"],
+      );
+    });
+
+    it("Option `get`, mutations or subscriptions.", async () => {
+      for (const query of [
+        "mutation { a }",
+        "mutation{ a }",
+        "query A { a } mutation B { b }",
+        "subscription { a }",
+        '{ a(b: "#") } mutation { c }',
+        '{ a(b: """#""") } mutation { c }',
+      ]) {
+        const fetchOptions = {
+          method: "POST",
+          body: JSON.stringify({ query }),
+        };
+
+        /** @type {RequestInit | undefined} */
+        let fetchedOptions;
+
+        await fetchGraphQL("http://localhost", fetchOptions, {
+          get: true,
+          async fetch(input, init) {
+            fetchedOptions = init;
+
+            return new Response(
+              JSON.stringify({ data: {} }),
+              graphqlResponseOptions,
+            );
+          },
+        });
+
+        strictEqual(fetchedOptions, fetchOptions);
+      }
+    });
+
+    it("Option `get`, not a `POST` request with a GraphQL operation JSON body.", async () => {
+      /** @type {Array<RequestInit | undefined>} */
+      const fetchedOptions = [];
+
+      /** @type {Array<RequestInit | undefined>} */
+      const fetchOptionsList = [
+        undefined,
+        { body: JSON.stringify({ query: "{ a }" }) },
+        { method: "PUT", body: JSON.stringify({ query: "{ a }" }) },
+        { method: "POST" },
+        { method: "POST", body: "" },
+        { method: "POST", body: "null" },
+        { method: "POST", body: "{}" },
+      ];
+
+      for (const fetchOptions of fetchOptionsList)
+        await fetchGraphQL("http://localhost", fetchOptions, {
+          get: true,
+          async fetch(input, init) {
+            fetchedOptions.push(init);
+
+            return new Response(
+              JSON.stringify({ data: {} }),
+              graphqlResponseOptions,
+            );
+          },
+        });
+
+      // The fetch options should be unchanged.
+      strictEqual(fetchedOptions.length, fetchOptionsList.length);
+      fetchedOptions.forEach((init, index) => {
+        strictEqual(init, fetchOptionsList[index]);
+      });
+    });
+
+    it("Option `maxGetUrlLength`.", async () => {
+      const fetchOptions = {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ query: "{ a }" }),
+      };
+
+      /** @type {Array<[RequestInfo | URL, RequestInit | undefined]>} */
+      const fetches = [];
+
+      /** @type {typeof globalThis.fetch} */
+      const fetcher = async (input, init) => {
+        fetches.push([input, init]);
+
+        return new Response(
+          JSON.stringify({ data: {} }),
+          graphqlResponseOptions,
+        );
+      };
+
+      // The URL `http://localhost?query=%7B+a+%7D` is 32 characters long.
+      await fetchGraphQL("http://localhost", fetchOptions, {
+        fetch: fetcher,
+        get: true,
+        maxGetUrlLength: 32,
+      });
+      await fetchGraphQL("http://localhost", fetchOptions, {
+        fetch: fetcher,
+        get: true,
+        maxGetUrlLength: 31,
+      });
+
+      // The default is long enough for short queries.
+      await fetchGraphQL("http://localhost", fetchOptions, {
+        fetch: fetcher,
+        get: true,
+      });
+      await fetchGraphQL(
+        "http://localhost",
+        {
+          ...fetchOptions,
+          body: JSON.stringify({ query: `{ ${"a".repeat(2048)} }` }),
+        },
+        { fetch: fetcher, get: true },
+      );
+
+      deepStrictEqual(
+        fetches.map(([input, init]) => [input, init?.method]),
+        [
+          ["http://localhost?query=%7B+a+%7D", "GET"],
+          ["http://localhost", "POST"],
+          ["http://localhost?query=%7B+a+%7D", "GET"],
+          ["http://localhost", "POST"],
+        ],
+      );
+      strictEqual(fetches[1][1], fetchOptions);
+    });
+
+    it("Option `get`, automatic persisted query.", async () => {
+      const query = "{ e }";
+      const sha256Hash = createHash("sha256").update(query).digest("hex");
+
+      /** @type {Array<RequestInfo | URL>} */
+      const fetchedInputs = [];
+
+      await fetchGraphQL(
+        "http://localhost",
+        fetchOptionsGraphQL({ query }, { persistedQuery: true }),
+        {
+          get: true,
+          async fetch(input) {
+            fetchedInputs.push(input);
+
+            return new Response(
+              JSON.stringify({ data: {} }),
+              graphqlResponseOptions,
+            );
+          },
+        },
+      );
+
+      deepStrictEqual(fetchedInputs, [
+        `http://localhost?${new URLSearchParams({
+          extensions: JSON.stringify({
+            persistedQuery: { version: 1, sha256Hash },
+          }),
+        })}`,
+      ]);
+    });
+
+    it("Option `timeout`, not timed out.", async () => {
+      const data = { a: true };
+      const revertGlobals = revertableGlobals({
+        async fetch() {
+          return new Response(JSON.stringify({ data }), graphqlResponseOptions);
+        },
+      });
+
+      try {
+        deepStrictEqual(
+          await fetchGraphQL("http://localhost", undefined, { timeout: 10000 }),
+          { data },
+        );
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Option `timeout`, fetch options `signal` aborting.", async () => {
+      const fetchError = new Error("The operation was aborted.");
+      const expectedResult = {
+        errors: [
+          {
+            message: "Fetch error.",
+            extensions: {
+              client: true,
+              code: "FETCH_ERROR",
+              fetchErrorMessage: fetchError.message,
+            },
+          },
+        ],
+      };
+      const revertGlobals = revertableGlobals({
+        /**
+         * @param {string} uri Fetch URI.
+         * @param {RequestInit} options Fetch options.
+         * @returns {Promise<Response>} Response.
+         */
+        async fetch(uri, options) {
+          return new Promise((resolve, reject) => {
+            assertInstanceOf(options.signal, AbortSignal);
+
+            if (options.signal.aborted) reject(fetchError);
+            else
+              options.signal.addEventListener(
+                "abort",
+                () => {
+                  reject(fetchError);
+                },
+                { once: true },
+              );
+          });
+        },
+      });
+
+      try {
+        const abortControllerAborting = new AbortController();
+        const resultPromise = fetchGraphQL(
+          "http://localhost",
+          { signal: abortControllerAborting.signal },
+          { timeout: 10000 },
+        );
+
+        abortControllerAborting.abort();
+
+        deepStrictEqual(await resultPromise, expectedResult);
+
+        const abortControllerAborted = new AbortController();
+
+        abortControllerAborted.abort();
+
+        deepStrictEqual(
+          await fetchGraphQL(
+            "http://localhost",
+            { signal: abortControllerAborted.signal },
+            { timeout: 10000 },
+          ),
+          expectedResult,
+        );
+      } finally {
+        revertGlobals();
+      }
+    });
+
+    it("Incremental delivery response, option `incrementalDelivery` unused.", async () => {
+      const response = new Response(
+        '\r\n---\r\n\r\n{"data":{"a":1},"hasNext":false}\r\n-----\r\n',
+        { headers: { "Content-Type": "multipart/mixed" } },
+      );
+      const result = await fetchGraphQL("http://localhost", undefined, {
+        fetch: async () => response,
+      });
+
+      ok(result.errors);
+      strictEqual(result.errors.length, 1);
+      strictEqual(
+        result.errors[0].extensions?.code,
+        "RESPONSE_JSON_PARSE_ERROR",
+      );
+    });
+
+    it("Option `incrementalDelivery`, `Accept` header.", async () => {
+      /** @type {Array<string | null>} */
+      const accepts = [];
+
+      /** @type {FetchGraphQLOptions} */
+      const options = {
+        async fetch(input, init) {
+          accepts.push(new Headers(init?.headers).get("Accept"));
+
+          return new Response(
+            JSON.stringify({ data: {} }),
+            graphqlResponseOptions,
+          );
+        },
+        async incrementalDelivery() {},
+      };
+
+      const fetchOptions = fetchOptionsGraphQL({ query: "{ a }" });
+      const fetchOptionsAccept = new Headers(fetchOptions.headers).get(
+        "Accept",
+      );
+
+      await fetchGraphQL("http://localhost", undefined, options);
+      await fetchGraphQL("http://localhost", fetchOptions, options);
+      await fetchGraphQL(
+        "http://localhost",
+        { headers: { Accept: "multipart/mixed" } },
+        options,
+      );
+      await fetchGraphQL("http://localhost", fetchOptions, {
+        fetch: options.fetch,
+      });
+
+      deepStrictEqual(accepts, [
+        "multipart/mixed;deferSpec=20220824, application/json",
+        `multipart/mixed;deferSpec=20220824, ${fetchOptionsAccept}`,
+        "multipart/mixed",
+        fetchOptionsAccept,
+      ]);
+
+      // The fetch options shouldn’t be mutated.
+      strictEqual(
+        new Headers(fetchOptions.headers).get("Accept"),
+        fetchOptionsAccept,
+      );
+    });
+
+    it("Incremental delivery response, option `incrementalDelivery` used.", async () => {
+      const response = new Response(null, {
+        headers: { "Content-Type": "multipart/mixed" },
+      });
+
+      /** @type {FetchGraphQLOptions["onInterimResult"]} */
+      const onInterimResult = () => {};
+
+      deepStrictEqual(
+        await fetchGraphQL("http://localhost", undefined, {
+          fetch: async () => response,
+          async incrementalDelivery(incrementalDeliveryResponse, context) {
+            strictEqual(incrementalDeliveryResponse, response);
+            strictEqual(context.onInterimResult, onInterimResult);
+            strictEqual(context.result.response, response);
+
+            context.applyResultJson({
+              data: { a: 1 },
+              errors: [{ message: "A" }],
+            });
+            context.errors.push({ message: "B" });
+          },
+          onInterimResult,
+        }),
+        { data: { a: 1 }, errors: [{ message: "A" }, { message: "B" }] },
+      );
+    });
   },
 );
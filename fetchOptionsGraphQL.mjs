@@ -1,6 +1,9 @@
 // @ts-check
 
-/** @import { GraphQLOperation } from "./types.mjs" */
+/**
+ * @import fetchGraphQL, { FetchGraphQLOptions } from "./fetchGraphQL.mjs"
+ * @import { GraphQLOperation } from "./types.mjs"
+ */
 
 import extractFiles from "extract-files/extractFiles.mjs";
 import isExtractableFile from "extract-files/isExtractableFile.mjs";
@@ -11,20 +14,26 @@ import isExtractableFile from "extract-files/isExtractableFile.mjs";
  * to upload, the options will be for a
  * [GraphQL multipart request](https://github.com/jaydenseric/graphql-multipart-request-spec),
  * otherwise they will be for a regular
- * [GraphQL `POST` request](https://github.com/graphql/graphql-over-http/blob/main/spec/GraphQLOverHTTP.md#post).
+ * [GraphQL `POST` request](https://github.com/graphql/graphql-over-http/blob/main/spec/GraphQLOverHTTP.md#post)
+ * (that {@linkcode fetchGraphQL} can send as a `GET` request using its option
+ * {@link FetchGraphQLOptions.get `get`}).
  *
  * This utility exists for convenience in projects and isn’t used directly by
  * this library. Avoid using it if there’s no chance the operation contains
  * files.
  * @param {GraphQLOperation} operation GraphQL operation.
+ * @param {FetchOptionsGraphQLOptions} [options] Options.
  * @returns {RequestInit} [`fetch`](https://developer.mozilla.org/docs/Web/API/Fetch_API) options.
  */
-export default function fetchOptionsGraphQL(operation) {
+export default function fetchOptionsGraphQL(operation, options = {}) {
   /** @type {RequestInit} */
   const fetchOptions = {
     method: "POST",
     headers: {
-      Accept: "application/json",
+      // See the GraphQL over HTTP spec for the `Accept` header, with the legacy
+      // media type for GraphQL servers not supporting the modern one:
+      // https://github.com/graphql/graphql-over-http/blob/main/spec/GraphQLOverHTTP.md#legacy-watershed
+      Accept: "application/graphql-response+json, application/json;q=0.9",
     },
   };
 
@@ -63,8 +72,32 @@ export default function fetchOptionsGraphQL(operation) {
     /** @type {{ [headerName: string]: string }} */ (fetchOptions.headers)[
       "Content-Type"
     ] = "application/json";
-    fetchOptions.body = operationJSON;
+
+    fetchOptions.body = options.persistedQuery
+      ? JSON.stringify({
+          .../** @type {GraphQLOperation} */ (clone),
+          // The SHA-256 hash of the query is added by `fetchGraphQL`.
+          extensions: { persistedQuery: { version: 1 } },
+        })
+      : operationJSON;
   }
 
   return fetchOptions;
 }
+
+/**
+ * {@linkcode fetchOptionsGraphQL} options.
+ * @typedef {object} FetchOptionsGraphQLOptions
+ * @prop {boolean} [persistedQuery] Use
+ *   [automatic persisted queries](https://www.apollographql.com/docs/apollo-server/performance/apq)
+ *   (APQ). The {@linkcode fetchGraphQL} function first sends only the query
+ *   SHA-256 hash in the request JSON `extensions.persistedQuery`, and only if
+ *   the GraphQL server responds with a `PersistedQueryNotFound` error retries
+ *   with the full query for the server to persist. Hashing requires the global
+ *   [Web Crypto API](https://developer.mozilla.org/docs/Web/API/Web_Crypto_API)
+ *   (only available in secure contexts in browsers, and in Node.js v18 only
+ *   with the CLI flag `--experimental-global-webcrypto`); without it the full
+ *   query is sent without APQ. The fetch options must be used with
+ *   {@linkcode fetchGraphQL}. Ignored if the operation contains files to
+ *   upload. Defaults to `false`.
+ */
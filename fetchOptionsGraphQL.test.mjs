@@ -13,7 +13,7 @@ describe("Function `fetchOptionsGraphQL`.", { concurrency: true }, () => {
   it("Bundle size.", async () => {
     await assertBundleSize(
       new URL("./fetchOptionsGraphQL.mjs", import.meta.url),
-      800,
+      850,
     );
   });
 
@@ -21,13 +21,30 @@ describe("Function `fetchOptionsGraphQL`.", { concurrency: true }, () => {
     deepStrictEqual(fetchOptionsGraphQL({ query: "" }), {
       method: "POST",
       headers: {
-        Accept: "application/json",
+        Accept: "application/graphql-response+json, application/json;q=0.9",
         "Content-Type": "application/json",
       },
       body: '{"query":""}',
     });
   });
 
+  it("Without files, option `persistedQuery`.", () => {
+    deepStrictEqual(
+      fetchOptionsGraphQL(
+        { query: "", variables: { a: 1 } },
+        { persistedQuery: true },
+      ),
+      {
+        method: "POST",
+        headers: {
+          Accept: "application/graphql-response+json, application/json;q=0.9",
+          "Content-Type": "application/json",
+        },
+        body: '{"query":"","variables":{"a":1},"extensions":{"persistedQuery":{"version":1}}}',
+      },
+    );
+  });
+
   it("With files.", () => {
     const fileName = "a.txt";
     const options = fetchOptionsGraphQL({
@@ -39,7 +56,9 @@ describe("Function `fetchOptionsGraphQL`.", { concurrency: true }, () => {
     // https://github.com/jaydenseric/graphql-multipart-request-spec
 
     strictEqual(options.method, "POST");
-    deepStrictEqual(options.headers, { Accept: "application/json" });
+    deepStrictEqual(options.headers, {
+      Accept: "application/graphql-response+json, application/json;q=0.9",
+    });
     assertInstanceOf(options.body, FormData);
 
     const formDataEntries = Array.from(options.body.entries());
@@ -54,4 +73,19 @@ describe("Function `fetchOptionsGraphQL`.", { concurrency: true }, () => {
     assertInstanceOf(formDataEntries[2][1], File);
     strictEqual(formDataEntries[2][1].name, fileName);
   });
+
+  it("With files, option `persistedQuery`.", () => {
+    const options = fetchOptionsGraphQL(
+      { query: "", variables: { a: new File(["a"], "a.txt") } },
+      { persistedQuery: true },
+    );
+
+    assertInstanceOf(options.body, FormData);
+
+    // Automatic persisted queries aren’t used for multipart requests.
+    strictEqual(
+      options.body.get("operations"),
+      '{"query":"","variables":{"a":null}}',
+    );
+  });
 });
@@ -0,0 +1,298 @@
+// @ts-check
+
+/**
+ * @import {
+ *   FetchGraphQLIncrementalDeliveryContext,
+ *   FetchGraphQLOptions,
+ *   FetchGraphQLResult,
+ *   FetchGraphQLResultError,
+ * } from "./fetchGraphQL.mjs"
+ * @import {
+ *   GraphQLResultError,
+ *   GraphQLResultErrorLoadingFetch,
+ *   GraphQLResultErrorResponseJsonParse,
+ *   GraphQLResultErrorResponseMalformed,
+ * } from "./types.mjs"
+ */
+
+/**
+ * Reads an
+ * [incremental delivery](https://github.com/graphql/graphql-over-http/blob/main/rfcs/IncrementalDelivery.md)
+ * `multipart/mixed` response (for `@defer` and `@stream` in queries), for the
+ * {@link FetchGraphQLOptions.incrementalDelivery `fetchGraphQL` option `incrementalDelivery`}.
+ * Each payload is applied to the result as it arrives, and the result after
+ * each payload that isn’t the last is an interim result for the
+ * {@link FetchGraphQLOptions.onInterimResult `fetchGraphQL` option `onInterimResult`}.
+ * Using the option also adds `multipart/mixed;deferSpec=20220824` to the
+ * request `Accept` header, as GraphQL servers only respond with incremental
+ * delivery if it’s accepted.
+ * @param {Response} response Response.
+ * @param {FetchGraphQLIncrementalDeliveryContext} context Context.
+ * @returns {Promise<void>} Resolves once the response has been read. Shouldn’t
+ *   reject.
+ * @example
+ * Fetching a query using `@defer`, rendering interim results:
+ *
+ * ```js
+ * import fetchGraphQL from "graphql-react/fetchGraphQL.mjs";
+ * import readIncrementalDelivery from "graphql-react/readIncrementalDelivery.mjs";
+ *
+ * const result = await fetchGraphQL(fetchUri, fetchOptions, {
+ *   incrementalDelivery: readIncrementalDelivery,
+ *   onInterimResult(interimResult) {
+ *     render(interimResult);
+ *   },
+ * });
+ * ```
+ */
+export default async function readIncrementalDelivery(
+  response,
+  { result, errors: resultErrors, applyResultJson, onInterimResult },
+) {
+  // The multipart boundary defaults to `-`.
+  const boundary =
+    /;\s*boundary="?([^";]+)/iu.exec(
+      String(response.headers.get("Content-Type")),
+    )?.[1] ?? "-";
+
+  // A part body can’t contain a line break followed by the delimiter, as line
+  // breaks within JSON strings are escaped.
+  const delimiter = `\r\n--${boundary}`;
+  const decoder = new TextDecoder();
+
+  // Starting with a line break allows the first delimiter to be found.
+  let buffer = "\r\n";
+  let partCount = 0;
+  let hasNext = true;
+
+  if (response.body) {
+    const reader = response.body.getReader();
+
+    /** @type {ReadableStreamReadResult<Uint8Array>} */
+    let chunk;
+
+    try {
+      while (hasNext && !(chunk = await reader.read()).done) {
+        buffer += decoder.decode(chunk.value, { stream: true });
+
+        /** @type {number} */
+        let delimiterIndex;
+
+        while (hasNext && (delimiterIndex = buffer.indexOf(delimiter)) !== -1) {
+          const part = buffer.slice(0, delimiterIndex);
+
+          buffer = buffer.slice(delimiterIndex + delimiter.length);
+
+          // The closing delimiter ends with `--`.
+          if (buffer.startsWith("--")) hasNext = false;
+
+          // Part headers are followed by a blank line, then the body. The
+          // preamble before the first delimiter doesn’t have them.
+          const headersEnd = /\r?\n\r?\n/u.exec(part);
+
+          if (headersEnd) {
+            const isInitialPayload = !partCount++;
+
+            /** @type {unknown} */
+            let json;
+
+            try {
+              json = JSON.parse(
+                part.slice(headersEnd.index + headersEnd[0].length),
+              );
+            } catch (error) {
+              resultErrors.push(
+                /** @type {GraphQLResultErrorResponseJsonParse} */ ({
+                  message: "Response JSON parse error.",
+                  extensions: {
+                    client: true,
+                    code: "RESPONSE_JSON_PARSE_ERROR",
+                    jsonParseErrorMessage: /** @type {Error} */ (error).message,
+                  },
+                }),
+              );
+              hasNext = false;
+              continue;
+            }
+
+            if (isInitialPayload) applyResultJson(json);
+            else applyIncrementalJson(json, result, resultErrors);
+
+            if (
+              /** @type {{ hasNext?: unknown } | null} */ (json)?.hasNext ===
+              false
+            )
+              hasNext = false;
+
+            if (hasNext && onInterimResult) {
+              /** @type {FetchGraphQLResult} */
+              const interimResult = {};
+
+              Object.defineProperty(interimResult, "response", {
+                value: response,
+              });
+
+              if ("data" in result) interimResult.data = result.data;
+              if (resultErrors.length) interimResult.errors = [...resultErrors];
+
+              onInterimResult(interimResult);
+            }
+          }
+        }
+      }
+
+      reader.cancel();
+    } catch (error) {
+      // The response body stream errored, e.g. due to a network error or
+      // aborting.
+      resultErrors.push(
+        /** @type {GraphQLResultErrorLoadingFetch} */ ({
+          message: "Fetch error.",
+          extensions: {
+            client: true,
+            code: "FETCH_ERROR",
+            fetchErrorMessage: /** @type {Error} */ (error).message,
+          },
+        }),
+      );
+      return;
+    }
+  }
+
+  if (!partCount)
+    resultErrors.push(
+      /** @type {GraphQLResultErrorResponseMalformed}*/ ({
+        message: "Response multipart body is missing a part.",
+        extensions: {
+          client: true,
+          code: "RESPONSE_MALFORMED",
+        },
+      }),
+    );
+}
+
+/**
+ * Applies a subsequent incremental delivery payload JSON to the result,
+ * without mutating the existing result data.
+ * @param {unknown} json Subsequent payload JSON.
+ * @param {FetchGraphQLResult} result Result.
+ * @param {Array<FetchGraphQLResultError>} resultErrors Result errors.
+ */
+function applyIncrementalJson(json, result, resultErrors) {
+  if (
+    typeof json !== "object" ||
+    !json ||
+    ("errors" in json && !Array.isArray(json.errors)) ||
+    ("incremental" in json &&
+      (!Array.isArray(json.incremental) ||
+        json.incremental.some(
+          (incremental) =>
+            typeof incremental !== "object" ||
+            !incremental ||
+            !Array.isArray(incremental.path) ||
+            ("errors" in incremental && !Array.isArray(incremental.errors)),
+        )))
+  )
+    resultErrors.push(
+      /** @type {GraphQLResultErrorResponseMalformed}*/ ({
+        message: "Response JSON isn’t a valid incremental delivery payload.",
+        extensions: {
+          client: true,
+          code: "RESPONSE_MALFORMED",
+        },
+      }),
+    );
+  else {
+    if ("errors" in json)
+      resultErrors.push(
+        .../** @type {Array<GraphQLResultError>} */ (json.errors),
+      );
+
+    if ("incremental" in json)
+      for (const { path, data, items, errors } of /**
+       * @type {Array<{
+       *   path: Array<string | number>,
+       *   data?: unknown,
+       *   items?: unknown,
+       *   errors?: Array<GraphQLResultError>,
+       * }>}
+       */ (json.incremental)) {
+        if (errors) resultErrors.push(...errors);
+
+        if (Array.isArray(items)) {
+          // A streamed list item path may end with the index of the first
+          // item, otherwise the items are appended.
+          const index = path.at(-1);
+          const listPath = typeof index === "number" ? path.slice(0, -1) : path;
+
+          result.data = /** @type {FetchGraphQLResult["data"]} */ (
+            updateAtPath(result.data, listPath, (list) => {
+              if (!Array.isArray(list)) return list;
+
+              const updatedList = [...list];
+
+              updatedList.splice(
+                typeof index === "number" ? index : list.length,
+                items.length,
+                ...items,
+              );
+
+              return updatedList;
+            })
+          );
+        } else if (typeof data === "object" && data)
+          result.data = /** @type {FetchGraphQLResult["data"]} */ (
+            updateAtPath(result.data, path, (value) => mergeData(value, data))
+          );
+      }
+  }
+}
+
+/**
+ * Updates the value at a path within GraphQL result data, copying objects and
+ * arrays along the path instead of mutating them.
+ * @param {unknown} value Value containing the path.
+ * @param {Array<string | number>} path Path.
+ * @param {(value: unknown) => unknown} update Gets the updated value at the
+ *   path.
+ * @returns {unknown} Updated value.
+ */
+function updateAtPath(value, path, update) {
+  if (!path.length) return update(value);
+
+  // The path may not exist, e.g. if an error nulled a parent field.
+  if (typeof value !== "object" || !value) return value;
+
+  const [key, ...pathRest] = path;
+
+  /** @type {any} */
+  const updated = Array.isArray(value) ? [...value] : { ...value };
+
+  updated[key] = updateAtPath(updated[key], pathRest, update);
+
+  return updated;
+}
+
+/**
+ * Deeply merges deferred GraphQL result data, copying instead of mutating.
+ * @param {unknown} target Existing data.
+ * @param {unknown} source Deferred data.
+ * @returns {unknown} Merged data.
+ */
+function mergeData(target, source) {
+  if (
+    typeof target !== "object" ||
+    !target ||
+    typeof source !== "object" ||
+    !source
+  )
+    return source;
+
+  /** @type {any} */
+  const merged = Array.isArray(target) ? [...target] : { ...target };
+
+  for (const [key, value] of Object.entries(source))
+    merged[key] = mergeData(merged[key], value);
+
+  return merged;
+}
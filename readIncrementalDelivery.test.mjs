@@ -0,0 +1,309 @@
+// @ts-check
+
+/** @import { FetchGraphQLResult } from "./fetchGraphQL.mjs" */
+
+import { deepStrictEqual, ok, strictEqual } from "node:assert";
+import { describe, it } from "node:test";
+
+import fetchGraphQL from "./fetchGraphQL.mjs";
+import readIncrementalDelivery from "./readIncrementalDelivery.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+
+/**
+ * Creates an incremental delivery `multipart/mixed` response, with a body
+ * stream of small chunks so parts are split across them.
+ * @param {Array<string>} payloads Payload JSON strings.
+ * @param {string} contentType Response `Content-Type` header.
+ * @param {string} [boundary] Multipart boundary.
+ * @returns {Response} Response.
+ */
+function createMultipartResponse(payloads, contentType, boundary = "-") {
+  const body = `Preamble.${payloads
+    .map(
+      (payload) =>
+        `\r\n--${boundary}\r\nContent-Type: application/json; charset=utf-8\r\n\r\n${payload}`,
+    )
+    .join("")}\r\n--${boundary}--\r\n`;
+  const encoded = new TextEncoder().encode(body);
+
+  return new Response(
+    new ReadableStream({
+      start(controller) {
+        for (let index = 0; index < encoded.length; index += 10)
+          controller.enqueue(encoded.slice(index, index + 10));
+
+        controller.close();
+      },
+    }),
+    { headers: { "Content-Type": contentType } },
+  );
+}
+
+/**
+ * Fetches a GraphQL operation with a response, reading it using
+ * {@linkcode readIncrementalDelivery}.
+ * @param {Response} response Response.
+ * @param {Array<FetchGraphQLResult>} [interimResults] Interim results.
+ * @returns {Promise<FetchGraphQLResult>} Result.
+ */
+function fetchGraphQLResponse(response, interimResults) {
+  return fetchGraphQL("http://localhost", undefined, {
+    fetch: async () => response,
+    incrementalDelivery: readIncrementalDelivery,
+    onInterimResult: interimResults
+      ? (interimResult) => {
+          interimResults.push(interimResult);
+        }
+      : undefined,
+  });
+}
+
+describe("Function `readIncrementalDelivery`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./readIncrementalDelivery.mjs", import.meta.url),
+      1100,
+    );
+  });
+
+  it("`@defer`.", async () => {
+    const response = createMultipartResponse(
+      [
+        '{"data":{"a":{"b":1},"c":null},"hasNext":true}',
+        JSON.stringify({
+          incremental: [
+            { data: { d: 2, e: { f: [{ g: 3 }] } }, path: ["a"] },
+            // A path within a list.
+            { data: { k: 7 }, path: ["a", "e", "f", 0] },
+            // A path that doesn’t exist, e.g. because an error nulled it.
+            { data: { h: 4 }, path: ["c", "i"] },
+          ],
+          hasNext: true,
+        }),
+        JSON.stringify({
+          incremental: [
+            {
+              data: { e: { f: [{ j: 5 }] } },
+              path: ["a"],
+              errors: [{ message: "A" }],
+            },
+            // An error nulled deferred data.
+            { data: null, path: ["a"] },
+          ],
+          errors: [{ message: "B" }],
+          hasNext: false,
+        }),
+        // Payloads after the last should be ignored.
+        '{"incremental":[{"data":{"k":6},"path":[]}],"hasNext":false}',
+      ],
+      'multipart/mixed; boundary="graphql"; deferSpec=20220824',
+      "graphql",
+    );
+
+    /** @type {Array<FetchGraphQLResult>} */
+    const interimResults = [];
+
+    const result = await fetchGraphQLResponse(response, interimResults);
+
+    strictEqual(interimResults.length, 2);
+    strictEqual(interimResults[0].response, response);
+    strictEqual(interimResults[1].response, response);
+
+    // Earlier interim results shouldn’t be mutated.
+    deepStrictEqual(interimResults, [
+      { data: { a: { b: 1 }, c: null } },
+      { data: { a: { b: 1, d: 2, e: { f: [{ g: 3, k: 7 }] } }, c: null } },
+    ]);
+
+    strictEqual(result.response, response);
+    deepStrictEqual(result, {
+      data: {
+        a: { b: 1, d: 2, e: { f: [{ g: 3, k: 7, j: 5 }] } },
+        c: null,
+      },
+      errors: [{ message: "B" }, { message: "A" }],
+    });
+  });
+
+  it("`@stream`.", async () => {
+    /** @type {Array<FetchGraphQLResult>} */
+    const interimResults = [];
+
+    deepStrictEqual(
+      await fetchGraphQLResponse(
+        createMultipartResponse(
+          [
+            '{"data":{"a":[1],"b":null},"hasNext":true}',
+            '{"incremental":[{"items":[2,3],"path":["a",1]}],"hasNext":true}',
+            // A list path without an item index should append.
+            '{"incremental":[{"items":[4],"path":["a"]}],"hasNext":true}',
+            // Items for a path that isn’t a list should be ignored.
+            '{"incremental":[{"items":[5],"path":["b",0]}],"hasNext":true}',
+          ],
+          // The boundary defaults to `-`.
+          "multipart/mixed",
+        ),
+        interimResults,
+      ),
+      { data: { a: [1, 2, 3, 4], b: null } },
+    );
+
+    // The closing delimiter ends the response, even if the last payload has
+    // `hasNext: true`.
+    deepStrictEqual(interimResults, [
+      { data: { a: [1], b: null } },
+      { data: { a: [1, 2, 3], b: null } },
+      { data: { a: [1, 2, 3, 4], b: null } },
+    ]);
+  });
+
+  it("Option `onInterimResult` unused.", async () => {
+    deepStrictEqual(
+      await fetchGraphQLResponse(
+        createMultipartResponse(
+          [
+            '{"data":{"a":1},"hasNext":true}',
+            '{"incremental":[{"data":{"b":2},"path":[]}],"hasNext":false}',
+          ],
+          "multipart/mixed",
+        ),
+      ),
+      { data: { a: 1, b: 2 } },
+    );
+  });
+
+  it("Subsequent payload malformed.", async () => {
+    const malformedError = {
+      message: "Response JSON isn’t a valid incremental delivery payload.",
+      extensions: {
+        client: true,
+        code: "RESPONSE_MALFORMED",
+      },
+    };
+
+    /** @type {Array<FetchGraphQLResult>} */
+    const interimResults = [];
+
+    deepStrictEqual(
+      await fetchGraphQLResponse(
+        createMultipartResponse(
+          [
+            '{"errors":[{"message":"A"}],"hasNext":true}',
+            "1",
+            "null",
+            '{"errors":1}',
+            '{"incremental":1}',
+            '{"incremental":[1]}',
+            '{"incremental":[{}]}',
+            '{"incremental":[{"path":[],"errors":1}]}',
+            '{"hasNext":false}',
+          ],
+          "multipart/mixed",
+        ),
+        interimResults,
+      ),
+      {
+        errors: [
+          { message: "A" },
+          malformedError,
+          malformedError,
+          malformedError,
+          malformedError,
+          malformedError,
+          malformedError,
+          malformedError,
+        ],
+      },
+    );
+
+    deepStrictEqual(interimResults[0], { errors: [{ message: "A" }] });
+    strictEqual(interimResults.length, 8);
+  });
+
+  it("Payload JSON parse error.", async () => {
+    /** @type {Array<FetchGraphQLResult>} */
+    const interimResults = [];
+
+    const result = await fetchGraphQLResponse(
+      createMultipartResponse(
+        [
+          '{"data":{"a":1},"hasNext":true}',
+          "{",
+          // Payloads after a JSON parse error should be ignored.
+          '{"incremental":[{"data":{"b":2},"path":[]}],"hasNext":false}',
+        ],
+        "multipart/mixed",
+      ),
+      interimResults,
+    );
+
+    deepStrictEqual(interimResults, [{ data: { a: 1 } }]);
+    deepStrictEqual(result.data, { a: 1 });
+    ok(result.errors);
+    strictEqual(result.errors.length, 1);
+    strictEqual(result.errors[0].message, "Response JSON parse error.");
+    strictEqual(result.errors[0].extensions?.code, "RESPONSE_JSON_PARSE_ERROR");
+  });
+
+  it("Missing a part.", async () => {
+    for (const body of ["", null])
+      deepStrictEqual(
+        await fetchGraphQLResponse(
+          new Response(body, {
+            headers: { "Content-Type": "multipart/mixed" },
+          }),
+        ),
+        {
+          errors: [
+            {
+              message: "Response multipart body is missing a part.",
+              extensions: {
+                client: true,
+                code: "RESPONSE_MALFORMED",
+              },
+            },
+          ],
+        },
+      );
+  });
+
+  it("Body stream error.", async () => {
+    const encoder = new TextEncoder();
+
+    let pulled = false;
+
+    deepStrictEqual(
+      await fetchGraphQLResponse(
+        new Response(
+          new ReadableStream({
+            pull(controller) {
+              if (pulled) controller.error(new Error("Network error."));
+              else {
+                pulled = true;
+                controller.enqueue(
+                  encoder.encode(
+                    '\r\n---\r\n\r\n{"data":{"a":1},"hasNext":true}\r\n---',
+                  ),
+                );
+              }
+            },
+          }),
+          { headers: { "Content-Type": "multipart/mixed" } },
+        ),
+      ),
+      {
+        data: { a: 1 },
+        errors: [
+          {
+            message: "Fetch error.",
+            extensions: {
+              client: true,
+              code: "FETCH_ERROR",
+              fetchErrorMessage: "Network error.",
+            },
+          },
+        ],
+      },
+    );
+  });
+});
@@ -0,0 +1,113 @@
+// @ts-check
+
+/**
+ * Creates a fake `XMLHttpRequest` class for testing, as Node.js doesn’t have
+ * the global `XMLHttpRequest`.
+ */
+export default function createFakeXMLHttpRequest() {
+  /**
+   * Requests, in the order they were constructed.
+   * @type {Array<FakeXMLHttpRequest>}
+   */
+  const requests = [];
+
+  /** Fake `XMLHttpRequest`. */
+  class FakeXMLHttpRequest extends EventTarget {
+    constructor() {
+      super();
+
+      this.upload = new EventTarget();
+      this.responseType = "";
+      this.withCredentials = false;
+      this.aborted = false;
+      this.status = 0;
+      this.statusText = "";
+
+      /** @type {ArrayBuffer | null} */
+      this.response = null;
+
+      /** @type {string | undefined} */
+      this.method = undefined;
+
+      /** @type {string | undefined} */
+      this.url = undefined;
+
+      /** @type {Array<[string, string]>} */
+      this.requestHeaders = [];
+
+      /** @type {unknown} */
+      this.body = undefined;
+
+      this.responseHeaders = "";
+
+      requests.push(this);
+    }
+
+    /**
+     * @param {string} method Method.
+     * @param {string} url URL.
+     */
+    open(method, url) {
+      this.method = method;
+      this.url = url;
+    }
+
+    /**
+     * @param {string} name Header name.
+     * @param {string} value Header value.
+     */
+    setRequestHeader(name, value) {
+      this.requestHeaders.push([name, value]);
+    }
+
+    /** @param {unknown} body Body. */
+    send(body) {
+      this.body = body;
+    }
+
+    abort() {
+      this.aborted = true;
+    }
+
+    getAllResponseHeaders() {
+      return this.responseHeaders;
+    }
+
+    /**
+     * Dispatches an upload progress event.
+     * @param {number} loaded Number of bytes uploaded.
+     * @param {number} total Total number of bytes to upload.
+     */
+    uploadProgress(loaded, total) {
+      this.upload.dispatchEvent(
+        Object.assign(new Event("progress"), {
+          loaded,
+          total,
+          lengthComputable: true,
+        }),
+      );
+    }
+
+    /**
+     * Loads a response.
+     * @param {number} status HTTP status.
+     * @param {string} statusText HTTP status text.
+     * @param {string} responseHeaders Response headers, each on a new line.
+     * @param {string} body Response body.
+     */
+    respond(status, statusText, responseHeaders, body) {
+      this.status = status;
+      this.statusText = statusText;
+      this.responseHeaders = responseHeaders;
+      this.response = new TextEncoder().encode(body).buffer;
+      this.dispatchEvent(new Event("load"));
+    }
+
+    /** Dispatches a network error. */
+    error() {
+      this.dispatchEvent(new Event("error"));
+    }
+  }
+
+  return { XMLHttpRequest: FakeXMLHttpRequest, requests };
+}
@@ -0,0 +1,81 @@
+// @ts-check
+
+/** @import { TestContext } from "node:test" */
+
+/**
+ * Maximum `setTimeout` delay; longer delays overflow to `1`, like in Node.js
+ * and browsers.
+ */
+const MAX_DELAY = 2 ** 31 - 1;
+
+/**
+ * Mocks `Date.now` and the global `setTimeout` and `clearTimeout` for a test,
+ * so time only advances using the returned function. Unlike the Node.js test
+ * runner timer mocks, this works in all supported Node.js versions (Node.js
+ * v18 can’t mock `Date` and has a different API).
+ * @param {TestContext} t Test context.
+ * @param {number} [now] Initial time, in milliseconds since the Unix epoch.
+ *   Defaults to `0`.
+ * @returns {(milliseconds: number) => void} Advances the time, running due
+ *   timeouts in order.
+ */
+export default function mockTime(t, now = 0) {
+  /** @type {Map<object, { time: number, callback: () => void }>} */
+  const timeouts = new Map();
+
+  t.mock.method(Date, "now", () => now);
+  t.mock.method(
+    globalThis,
+    "setTimeout",
+    /**
+     * @param {() => void} callback Callback.
+     * @param {number} [delay] Delay in milliseconds.
+     */
+    (callback, delay = 0) => {
+      const timeout = {
+        unref() {
+          return timeout;
+        },
+      };
+
+      timeouts.set(timeout, {
+        time: now + (delay > MAX_DELAY ? 1 : Math.max(0, delay)),
+        callback,
+      });
+
+      return timeout;
+    },
+  );
+  t.mock.method(
+    globalThis,
+    "clearTimeout",
+    /** @param {object} timeout Timeout. */
+    (timeout) => {
+      timeouts.delete(timeout);
+    },
+  );
+
+  return (milliseconds) => {
+    const end = now + milliseconds;
+
+    /** @type {[object, { time: number, callback: () => void }] | undefined} */
+    let due;
+
+    do {
+      due = undefined;
+
+      // Timeouts due at the same time run in the order they were set.
+      for (const entry of timeouts)
+        if (entry[1].time <= end && (!due || entry[1].time < due[1].time))
+          due = entry;
+
+      if (due) {
+        timeouts.delete(due[0]);
+        now = due[1].time;
+        due[1].callback();
+      }
+    } while (due);
+
+    now = end;
+  };
+}
@@ -0,0 +1,9 @@
+// @ts-check
+
+import { webcrypto } from "node:crypto";
+
+// TODO: Delete this polyfill once all supported Node.js versions have the
+// global `crypto`:
+// https://nodejs.org/api/globals.html#crypto_1
+// @ts-expect-error It’s not a perfect polyfill, but works for the tests.
+globalThis.crypto ??= webcrypto;
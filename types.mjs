@@ -1,7 +1,7 @@
 // @ts-check
 
 /**
- * @import { CacheKey } from "./Cache.mjs"
+ * @import { CacheKey, CacheStore } from "./Cache.mjs"
  * @import LoadingCacheValue from "./LoadingCacheValue.mjs"
  */
 
@@ -17,6 +17,33 @@ export {};
  * @returns {boolean} Does the `cacheKey` match the custom condition.
  */
 
+/**
+ * Adapter to persist {@link CacheStore cache store} entries in a storage API.
+ * @typedef {object} CachePersistenceAdapter
+ * @prop {() => Promise<CachePersistenceData | undefined>} read Reads the
+ *   persisted data, if any. Shouldn’t reject.
+ * @prop {(changes: CachePersistenceChanges) => Promise<void>} write Writes
+ *   changes to the persisted data. Shouldn’t reject.
+ */
+
+/**
+ * Data persisted by a {@link CachePersistenceAdapter cache persistence adapter}.
+ * @typedef {object} CachePersistenceData
+ * @prop {number} version Version of the persisted data format.
+ * @prop {CacheStore} store Persisted cache store entries.
+ */
+
+/**
+ * Changes for a {@link CachePersistenceAdapter cache persistence adapter} to
+ * write.
+ * @typedef {object} CachePersistenceChanges
+ * @prop {number} version Version of the persisted data format.
+ * @prop {boolean} [clear] Should all persisted entries be deleted before
+ *   writing the other changes.
+ * @prop {CacheStore} set Entries to set.
+ * @prop {Array<CacheKey>} delete Cache keys of entries to delete.
+ */
+
 /**
  * GraphQL operation. Additional properties may be used; all are sent to the
  * GraphQL server.
@@ -89,6 +116,20 @@ export {};
  * @prop {string} fetchErrorMessage Fetch error message.
  */
 
+/**
+ * {@link GraphQLResultError GraphQL error} that the GraphQL request didn’t
+ * finish loading before a timeout, so the fetch was aborted.
+ * @typedef {GraphQLResultErrorLoading<
+ *   "FETCH_TIMEOUT",
+ *   GraphQLResultErrorLoadingFetchTimeoutDetails
+ * >} GraphQLResultErrorLoadingFetchTimeout
+ */
+
+/**
+ * @typedef {object} GraphQLResultErrorLoadingFetchTimeoutDetails
+ * @prop {number} timeout Timeout in milliseconds.
+ */
+
 /**
  * {@link GraphQLResultError GraphQL error} that the GraphQL response had an
  * error HTTP status.
@@ -122,12 +163,50 @@ export {};
  * {@link GraphQLResultError GraphQL error} that the GraphQL response JSON was
  * malformed because it wasn’t an object, was missing an `errors` or `data`
  * property, the `errors` property wasn’t an array, or the `data` property
- * wasn’t an object or `null`.
+ * wasn’t an object or `null`. For a subscription event stream, it can also be
+ * that the stream ended without a `complete` event.
  * @typedef {GraphQLResultErrorLoading<
  *   "RESPONSE_MALFORMED"
  * >} GraphQLResultErrorResponseMalformed
  */
 
+/**
+ * {@link GraphQLResultError GraphQL error} that a GraphQL subscription
+ * connection closed and couldn’t be reestablished, ending the subscription.
+ * @typedef {GraphQLResultErrorLoading<
+ *   "SUBSCRIPTION_CONNECTION",
+ *   GraphQLResultErrorLoadingSubscriptionConnectionDetails
+ * >} GraphQLResultErrorLoadingSubscriptionConnection
+ */
+
+/**
+ * @typedef {object} GraphQLResultErrorLoadingSubscriptionConnectionDetails
+ * @prop {number} closeCode Connection close code.
+ * @prop {string} closeReason Connection close reason.
+ */
+
+/**
+ * Client for GraphQL subscriptions over a transport.
+ * @typedef {object} SubscriptionClient
+ * @prop {(
+ *   operation: GraphQLOperation,
+ *   sink: SubscriptionSink,
+ *   signal?: AbortSignal
+ * ) => void} subscribe Subscribes to a GraphQL subscription operation, until
+ *   it ends or the signal aborts.
+ */
+
+/**
+ * Receives a {@link SubscriptionClient GraphQL subscription’s} results.
+ * @typedef {object} SubscriptionSink
+ * @prop {(result: GraphQLResult<any>) => void} next Receives a result. Errors
+ *   that end the subscription (including loading errors generated on the
+ *   client) are received as a result with
+ *   {@link GraphQLResult.errors errors}.
+ * @prop {() => void} [complete] Signals the subscription ended, unless the
+ *   signal aborted.
+ */
+
 /**
  * Starts {@link LoadingCacheValue loading a cache value}.
  * @callback Loader
@@ -0,0 +1,166 @@
+// @ts-check
+
+/**
+ * @import Cache, {
+ *   CacheEventAnyEntryDetail,
+ *   CacheEventMapAnyEntry,
+ *   CacheKey,
+ *   CacheStore,
+ * } from "./Cache.mjs"
+ * @import { CacheKeyMatcher } from "./types.mjs"
+ */
+
+import React from "react";
+import useSyncExternalStoreShim from "use-sync-external-store/shim/index.js";
+
+import useCache from "./useCache.mjs";
+
+/**
+ * React hook to get the {@link Cache.store cache store} entries with
+ * {@link CacheKey cache keys} that match a condition, re-rendering when any
+ * matching entry is set or deleted (via the {@linkcode Cache} events
+ * {@link CacheEventMapAnyEntry dispatched for any entry}). It uses the React
+ * hook `useSyncExternalStore` (via the official shim for React versions
+ * without it), with the entries as the server snapshot.
+ * @param {CacheKeyMatcher} [cacheKeyMatcher] Matches
+ *   {@link CacheKey cache keys} of entries to get. By default all are matched.
+ *   It should be memoized (e.g. using the React hook `useCallback`) to avoid
+ *   resubscribing to cache events every render.
+ * @returns {CacheStore} Matching cache store entries. The object is replaced
+ *   after every cache event for a matching entry, and otherwise only when the
+ *   entries change.
+ * @example
+ * A React component rendering the number of cached GitHub repos:
+ *
+ * ```jsx
+ * import useCacheEntries from "graphql-react/useCacheEntries.mjs";
+ * import React from "react";
+ *
+ * function GitHubRepoCount() {
+ *   const entries = useCacheEntries(
+ *     React.useCallback(
+ *       (cacheKey) => cacheKey.startsWith("GitHubRepo-"),
+ *       [],
+ *     ),
+ *   );
+ *
+ *   return Object.keys(entries).length;
+ * }
+ * ```
+ */
+export default function useCacheEntries(cacheKeyMatcher) {
+  if (cacheKeyMatcher !== undefined && typeof cacheKeyMatcher !== "function")
+    throw new TypeError("Argument 1 `cacheKeyMatcher` must be a function.");
+
+  const cache = useCache();
+
+  /**
+   * Count of cache events for matching entries, so a snapshot is only reused
+   * between events (e.g. an entry set again with a mutated cache value still
+   * causes a new snapshot).
+   */
+  const eventCountRef = React.useRef(0);
+
+  /**
+   * Snapshot of the matching entries, and what it was derived from.
+   * @type {React.MutableRefObject<{
+   *   cache: Cache,
+   *   cacheKeyMatcher: CacheKeyMatcher | undefined,
+   *   eventCount: number,
+   *   entries: CacheStore,
+   * } | undefined>}
+   */
+  const snapshotRef = React.useRef(undefined);
+
+  const subscribe = React.useCallback(
+    /** @param {() => void} onStoreChange On store change callback. */
+    (onStoreChange) => {
+      /** @param {Event} event Event. */
+      const onTriggerUpdate = (event) => {
+        if (
+          !cacheKeyMatcher ||
+          cacheKeyMatcher(
+            /** @type {CustomEvent<CacheEventAnyEntryDetail>} */ (event).detail
+              .cacheKey,
+          )
+        ) {
+          eventCountRef.current++;
+          onStoreChange();
+        }
+      };
+
+      cache.addEventListener("set", onTriggerUpdate);
+      cache.addEventListener("delete", onTriggerUpdate);
+
+      return () => {
+        cache.removeEventListener("set", onTriggerUpdate);
+        cache.removeEventListener("delete", onTriggerUpdate);
+      };
+    },
+    [cache, cacheKeyMatcher],
+  );
+
+  const getSnapshot = React.useCallback(() => {
+    const snapshot = snapshotRef.current;
+    const eventCount = eventCountRef.current;
+
+    if (
+      snapshot &&
+      snapshot.cache === cache &&
+      snapshot.cacheKeyMatcher === cacheKeyMatcher &&
+      snapshot.eventCount === eventCount
+    )
+      return snapshot.entries;
+
+    /** @type {CacheStore} */
+    const entries = {};
+
+    for (const cacheKey in cache.store)
+      if (!cacheKeyMatcher || cacheKeyMatcher(cacheKey))
+        entries[cacheKey] = cache.store[cacheKey];
+
+    snapshotRef.current = {
+      cache,
+      cacheKeyMatcher,
+      eventCount,
+      // Without a cache event since the previous snapshot, keep the previous
+      // entries if they’re the same, e.g. for a new but equivalent cache key
+      // matcher function each render.
+      entries:
+        snapshot &&
+        snapshot.cache === cache &&
+        snapshot.eventCount === eventCount &&
+        cacheStoreEntriesEqual(snapshot.entries, entries)
+          ? snapshot.entries
+          : entries,
+    };
+
+    return snapshotRef.current.entries;
+  }, [cache, cacheKeyMatcher]);
+
+  const value = useSyncExternalStoreShim.useSyncExternalStore(
+    subscribe,
+    getSnapshot,
+    getSnapshot,
+  );
+
+  React.useDebugValue(value);
+
+  return value;
+}
+
+/**
+ * Checks if two sets of {@link CacheStore cache store} entries have the same
+ * cache keys and values.
+ * @param {CacheStore} a Entries.
+ * @param {CacheStore} b Entries.
+ * @returns {boolean} Are the entries the same.
+ */
+function cacheStoreEntriesEqual(a, b) {
+  const cacheKeys = Object.keys(a);
+
+  return (
+    cacheKeys.length === Object.keys(b).length &&
+    cacheKeys.every((cacheKey) => cacheKey in b && a[cacheKey] === b[cacheKey])
+  );
+}
@@ -0,0 +1,232 @@
+// @ts-check
+
+/**
+ * @import { ReactHookResult } from "./test/ReactHookTest.mjs"
+ * @import { CacheKeyMatcher } from "./types.mjs"
+ */
+
+import "./test/polyfillCustomEvent.mjs";
+
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import ReactTestRenderer from "react-test-renderer";
+
+import Cache from "./Cache.mjs";
+import CacheContext from "./CacheContext.mjs";
+import cacheEntryDelete from "./cacheEntryDelete.mjs";
+import cacheEntrySet from "./cacheEntrySet.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import createReactTestRenderer from "./test/createReactTestRenderer.mjs";
+import ReactHookTest from "./test/ReactHookTest.mjs";
+import useCacheEntries from "./useCacheEntries.mjs";
+
+describe("React hook `useCacheEntries`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./useCacheEntries.mjs", import.meta.url),
+      1400,
+    );
+  });
+
+  it("Argument 1 `cacheKeyMatcher` not a function.", () => {
+    throws(() => {
+      useCacheEntries(
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 1 `cacheKeyMatcher` must be a function."));
+  });
+
+  it("Cache context missing.", () => {
+    /** @type {Array<ReactHookResult>} */
+    const results = [];
+
+    createReactTestRenderer(
+      React.createElement(ReactHookTest, {
+        useHook: () => useCacheEntries(),
+        results,
+      }),
+    );
+
+    strictEqual(results.length, 1);
+    ok("threw" in results[0]);
+    deepStrictEqual(results[0].threw, new TypeError("Cache context missing."));
+  });
+
+  it("Argument 1 `cacheKeyMatcher` unused.", () => {
+    const cache = new Cache({ a: 1 });
+
+    /** @type {Array<ReactHookResult>} */
+    const results = [];
+
+    createReactTestRenderer(
+      React.createElement(
+        CacheContext.Provider,
+        { value: cache },
+        React.createElement(ReactHookTest, {
+          useHook: () => useCacheEntries(),
+          results,
+        }),
+      ),
+    );
+
+    strictEqual(results.length, 1);
+    ok("returned" in results[0]);
+    deepStrictEqual(results[0].returned, { a: 1 });
+
+    ReactTestRenderer.act(() => {
+      cacheEntrySet(cache, "b", 2);
+    });
+
+    strictEqual(results.length, 2);
+    ok("returned" in results[1]);
+    deepStrictEqual(results[1].returned, { a: 1, b: 2 });
+
+    ReactTestRenderer.act(() => {
+      cacheEntryDelete(cache, "a");
+    });
+
+    strictEqual(results.length, 3);
+    ok("returned" in results[2]);
+    deepStrictEqual(results[2].returned, { b: 2 });
+  });
+
+  it("Argument 1 `cacheKeyMatcher` used.", () => {
+    const cacheValueA1 = { a: 1 };
+    const cache = new Cache({ a1: cacheValueA1, b1: 1 });
+
+    /** @type {CacheKeyMatcher} */
+    const cacheKeyMatcher = (cacheKey) => cacheKey.startsWith("a");
+
+    /** @type {Array<ReactHookResult>} */
+    const results = [];
+
+    const testRenderer = createReactTestRenderer(
+      React.createElement(
+        CacheContext.Provider,
+        { value: cache },
+        React.createElement(ReactHookTest, {
+          useHook: () => useCacheEntries(cacheKeyMatcher),
+          results,
+        }),
+      ),
+    );
+
+    strictEqual(results.length, 1);
+    ok("returned" in results[0]);
+    deepStrictEqual(results[0].returned, { a1: cacheValueA1 });
+
+    // Setting or deleting a non matching entry shouldn’t re-render.
+    ReactTestRenderer.act(() => {
+      cacheEntrySet(cache, "b2", 2);
+      cacheEntryDelete(cache, "b1");
+    });
+
+    strictEqual(results.length, 1);
+
+    ReactTestRenderer.act(() => {
+      cacheEntrySet(cache, "a2", 2);
+    });
+
+    strictEqual(results.length, 2);
+    ok("returned" in results[1]);
+    deepStrictEqual(results[1].returned, { a1: cacheValueA1, a2: 2 });
+
+    // A mutated cache value should re-render.
+    ReactTestRenderer.act(() => {
+      cacheValueA1.a = 2;
+      cache.dispatchEvent(
+        new CustomEvent("set", {
+          detail: {
+            cacheKey: "a1",
+            cacheValue: cacheValueA1,
+          },
+        }),
+      );
+    });
+
+    strictEqual(results.length, 3);
+    ok("returned" in results[2]);
+    ok(results[2].returned !== results[1].returned);
+    deepStrictEqual(results[2].returned, { a1: { a: 2 }, a2: 2 });
+
+    // Setting the same mutated cache value again should re-render.
+    ReactTestRenderer.act(() => {
+      cacheValueA1.a = 3;
+      cacheEntrySet(cache, "a1", cacheValueA1);
+    });
+
+    strictEqual(results.length, 4);
+    ok("returned" in results[3]);
+    ok(results[3].returned !== results[2].returned);
+    deepStrictEqual(results[3].returned, { a1: { a: 3 }, a2: 2 });
+
+    ReactTestRenderer.act(() => {
+      cacheEntryDelete(cache, "a1");
+    });
+
+    strictEqual(results.length, 5);
+    ok("returned" in results[4]);
+    deepStrictEqual(results[4].returned, { a2: 2 });
+
+    // Re-rendering with a new but equivalent cache key matcher should return
+    // the same entries object.
+    ReactTestRenderer.act(() => {
+      testRenderer.update(
+        React.createElement(
+          CacheContext.Provider,
+          { value: cache },
+          React.createElement(ReactHookTest, {
+            useHook: () =>
+              useCacheEntries((cacheKey) => cacheKey.startsWith("a")),
+            results,
+          }),
+        ),
+      );
+    });
+
+    strictEqual(results.length, 6);
+    ok("returned" in results[5]);
+    strictEqual(results[5].returned, results[4].returned);
+
+    ReactTestRenderer.act(() => {
+      testRenderer.update(
+        React.createElement(
+          CacheContext.Provider,
+          { value: cache },
+          React.createElement(ReactHookTest, {
+            useHook: () =>
+              useCacheEntries((cacheKey) => cacheKey.startsWith("b")),
+            results,
+          }),
+        ),
+      );
+    });
+
+    strictEqual(results.length, 7);
+    ok("returned" in results[6]);
+    deepStrictEqual(results[6].returned, { b2: 2 });
+  });
+
+  it("Server side rendering.", () => {
+    function TestComponent() {
+      return Object.keys(
+        useCacheEntries((cacheKey) => cacheKey.startsWith("a")),
+      ).join();
+    }
+
+    strictEqual(
+      ReactDOMServer.renderToStaticMarkup(
+        React.createElement(
+          CacheContext.Provider,
+          { value: new Cache({ a1: 1, a2: 2, b1: 1 }) },
+          React.createElement(TestComponent),
+        ),
+      ),
+      "a1,a2",
+    );
+  });
+});
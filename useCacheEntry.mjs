@@ -1,15 +1,22 @@
 // @ts-check
 
-/** @import { CacheKey, CacheValue } from "./Cache.mjs" */
+/**
+ * @import { CacheKey, CacheValue } from "./Cache.mjs"
+ * @import useCacheEntrySelector from "./useCacheEntrySelector.mjs"
+ */
 
 import React from "react";
+import useSyncExternalStoreShim from "use-sync-external-store/shim/index.js";
 
 import useCache from "./useCache.mjs";
-import useForceUpdate from "./useForceUpdate.mjs";
 
 /**
  * React hook to get a {@link CacheValue cache value} using its
- * {@link CacheKey cache key}.
+ * {@link CacheKey cache key}. It uses the React hook `useSyncExternalStore`
+ * (via the official shim for React versions without it), so it’s safe for
+ * concurrent rendering and the server snapshot is the cache value during
+ * server side rendering and hydration. To only re-render when a value selected
+ * from the cache value changes, use {@linkcode useCacheEntrySelector}.
  * @param {CacheKey} cacheKey Cache key.
  * @returns {CacheValue} Cache value, if present.
  */
@@ -18,26 +25,50 @@ export default function useCacheEntry(cacheKey) {
     throw new TypeError("Argument 1 `cacheKey` must be a string.");
 
   const cache = useCache();
-  const forceUpdate = useForceUpdate();
 
-  const onTriggerUpdate = React.useCallback(() => {
-    forceUpdate();
-  }, [forceUpdate]);
+  /**
+   * Snapshot of the cache value, boxed so that a cache event for a cache value
+   * that was mutated still changes the snapshot.
+   * @type {React.MutableRefObject<[CacheValue] | undefined>}
+   */
+  const snapshotRef = React.useRef(undefined);
+
+  const subscribe = React.useCallback(
+    /** @param {() => void} onStoreChange On store change callback. */
+    (onStoreChange) => {
+      const eventNameSet = `${cacheKey}/set`;
+      const eventNameDelete = `${cacheKey}/delete`;
+
+      const onTriggerUpdate = () => {
+        snapshotRef.current = undefined;
+        onStoreChange();
+      };
+
+      cache.addEventListener(eventNameSet, onTriggerUpdate);
+      cache.addEventListener(eventNameDelete, onTriggerUpdate);
+
+      return () => {
+        cache.removeEventListener(eventNameSet, onTriggerUpdate);
+        cache.removeEventListener(eventNameDelete, onTriggerUpdate);
+      };
+    },
+    [cache, cacheKey],
+  );
 
-  React.useEffect(() => {
-    const eventNameSet = `${cacheKey}/set`;
-    const eventNameDelete = `${cacheKey}/delete`;
+  const getSnapshot = React.useCallback(() => {
+    const value = cache.store[cacheKey];
 
-    cache.addEventListener(eventNameSet, onTriggerUpdate);
-    cache.addEventListener(eventNameDelete, onTriggerUpdate);
+    if (!snapshotRef.current || snapshotRef.current[0] !== value)
+      snapshotRef.current = [value];
 
-    return () => {
-      cache.removeEventListener(eventNameSet, onTriggerUpdate);
-      cache.removeEventListener(eventNameDelete, onTriggerUpdate);
-    };
-  }, [cache, cacheKey, onTriggerUpdate]);
+    return snapshotRef.current;
+  }, [cache, cacheKey]);
 
-  const value = cache.store[cacheKey];
+  const [value] = useSyncExternalStoreShim.useSyncExternalStore(
+    subscribe,
+    getSnapshot,
+    getSnapshot,
+  );
 
   React.useDebugValue(value);
 
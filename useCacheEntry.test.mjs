@@ -8,6 +8,7 @@ import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
 import { describe, it } from "node:test";
 
 import React from "react";
+import ReactDOMServer from "react-dom/server";
 import ReactTestRenderer from "react-test-renderer";
 
 import Cache from "./Cache.mjs";
@@ -23,7 +24,7 @@ describe("React hook `useCacheEntry`.", { concurrency: true }, () => {
   it("Bundle size.", async () => {
     await assertBundleSize(
       new URL("./useCacheEntry.mjs", import.meta.url),
-      550,
+      1300,
     );
   });
 
@@ -286,4 +287,24 @@ describe("React hook `useCacheEntry`.", { concurrency: true }, () => {
     ok("returned" in results[2]);
     strictEqual(results[2].returned, undefined);
   });
+
+  it("Server side rendering.", () => {
+    const cacheKey = "a";
+    const cacheValue = "b";
+
+    function TestComponent() {
+      return /** @type {string} */ (useCacheEntry(cacheKey));
+    }
+
+    strictEqual(
+      ReactDOMServer.renderToStaticMarkup(
+        React.createElement(
+          CacheContext.Provider,
+          { value: new Cache({ [cacheKey]: cacheValue }) },
+          React.createElement(TestComponent),
+        ),
+      ),
+      cacheValue,
+    );
+  });
 });
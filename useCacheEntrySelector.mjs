@@ -0,0 +1,106 @@
+// @ts-check
+
+/**
+ * @import { CacheKey, CacheValue } from "./Cache.mjs"
+ * @import useCacheEntry from "./useCacheEntry.mjs"
+ */
+
+import React from "react";
+import useSyncExternalStoreWithSelectorShim from "use-sync-external-store/shim/with-selector.js";
+
+import useCache from "./useCache.mjs";
+
+/**
+ * React hook to get a value selected from a {@link CacheValue cache value}
+ * using its {@link CacheKey cache key}. Unlike with {@linkcode useCacheEntry},
+ * the component only re-renders when the selected value changes (e.g. a cache
+ * value set when polling that changes other fields isn’t rendered).
+ * @template Selection
+ * @param {CacheKey} cacheKey Cache key.
+ * @param {(cacheValue: CacheValue) => Selection} selector Selects a value from
+ *   the cache value, that’s `undefined` if the cache store entry is absent.
+ * @param {(a: Selection, b: Selection) => boolean} [isEqual] Determines if the
+ *   previous and next selected values are equal, to skip re-rendering.
+ *   Defaults to comparing with `Object.is`.
+ * @returns {Selection} Selected value.
+ * @example
+ * A React component rendering a GitHub repo’s stars count, that doesn’t
+ * re-render when other fields of the cache value change:
+ *
+ * ```jsx
+ * import useCacheEntrySelector from "graphql-react/useCacheEntrySelector.mjs";
+ *
+ * function GitHubRepoStars({ cacheKey }) {
+ *   const stars = useCacheEntrySelector(
+ *     cacheKey,
+ *     (cacheValue) => cacheValue?.data?.repo.stargazers.totalCount,
+ *   );
+ *
+ *   return stars;
+ * }
+ * ```
+ */
+export default function useCacheEntrySelector(cacheKey, selector, isEqual) {
+  if (typeof cacheKey !== "string")
+    throw new TypeError("Argument 1 `cacheKey` must be a string.");
+
+  if (typeof selector !== "function")
+    throw new TypeError("Argument 2 `selector` must be a function.");
+
+  if (isEqual !== undefined && typeof isEqual !== "function")
+    throw new TypeError("Argument 3 `isEqual` must be a function.");
+
+  const cache = useCache();
+
+  /**
+   * Snapshot of the cache value, boxed so that a cache event for a cache value
+   * that was mutated still causes a new selection.
+   * @type {React.MutableRefObject<[CacheValue] | undefined>}
+   */
+  const snapshotRef = React.useRef(undefined);
+
+  const subscribe = React.useCallback(
+    /** @param {() => void} onStoreChange On store change callback. */
+    (onStoreChange) => {
+      const eventNameSet = `${cacheKey}/set`;
+      const eventNameDelete = `${cacheKey}/delete`;
+
+      const onTriggerUpdate = () => {
+        snapshotRef.current = undefined;
+        onStoreChange();
+      };
+
+      cache.addEventListener(eventNameSet, onTriggerUpdate);
+      cache.addEventListener(eventNameDelete, onTriggerUpdate);
+
+      return () => {
+        cache.removeEventListener(eventNameSet, onTriggerUpdate);
+        cache.removeEventListener(eventNameDelete, onTriggerUpdate);
+      };
+    },
+    [cache, cacheKey],
+  );
+
+  const getSnapshot = React.useCallback(() => {
+    const value = cache.store[cacheKey];
+
+    if (!snapshotRef.current || snapshotRef.current[0] !== value)
+      snapshotRef.current = [value];
+
+    return snapshotRef.current;
+  }, [cache, cacheKey]);
+
+  const selection =
+    useSyncExternalStoreWithSelectorShim.useSyncExternalStoreWithSelector(
+      subscribe,
+      getSnapshot,
+      getSnapshot,
+      /** @param {[CacheValue]} snapshot Snapshot. */
+      ([cacheValue]) => selector(cacheValue),
+      isEqual,
+    );
+
+  React.useDebugValue(selection);
+
+  return selection;
+}
@@ -0,0 +1,237 @@
+// @ts-check
+
+/**
+ * @import { CacheValue } from "./Cache.mjs"
+ * @import { ReactHookResult } from "./test/ReactHookTest.mjs"
+ */
+
+import "./test/polyfillCustomEvent.mjs";
+
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import ReactTestRenderer from "react-test-renderer";
+
+import Cache from "./Cache.mjs";
+import CacheContext from "./CacheContext.mjs";
+import cacheEntryDelete from "./cacheEntryDelete.mjs";
+import cacheEntrySet from "./cacheEntrySet.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import createReactTestRenderer from "./test/createReactTestRenderer.mjs";
+import ReactHookTest from "./test/ReactHookTest.mjs";
+import useCacheEntrySelector from "./useCacheEntrySelector.mjs";
+
+/**
+ * Selects the GraphQL result data field `a` from a cache value.
+ * @param {CacheValue} cacheValue Cache value.
+ */
+function selectA(cacheValue) {
+  return /** @type {{ data: { a: unknown } } | undefined} */ (cacheValue)?.data
+    .a;
+}
+
+describe("React hook `useCacheEntrySelector`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./useCacheEntrySelector.mjs", import.meta.url),
+      1650,
+    );
+  });
+
+  it("Argument 1 `cacheKey` not a string.", () => {
+    throws(() => {
+      useCacheEntrySelector(
+        // @ts-expect-error Testing invalid.
+        true,
+        selectA,
+      );
+    }, new TypeError("Argument 1 `cacheKey` must be a string."));
+  });
+
+  it("Argument 2 `selector` not a function.", () => {
+    throws(() => {
+      useCacheEntrySelector(
+        "a",
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 2 `selector` must be a function."));
+  });
+
+  it("Argument 3 `isEqual` not a function.", () => {
+    throws(() => {
+      useCacheEntrySelector(
+        "a",
+        selectA,
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 3 `isEqual` must be a function."));
+  });
+
+  it("Cache context missing.", () => {
+    /** @type {Array<ReactHookResult>} */
+    const results = [];
+
+    createReactTestRenderer(
+      React.createElement(ReactHookTest, {
+        useHook: () => useCacheEntrySelector("a", selectA),
+        results,
+      }),
+    );
+
+    strictEqual(results.length, 1);
+    ok("threw" in results[0]);
+    deepStrictEqual(results[0].threw, new TypeError("Cache context missing."));
+  });
+
+  it("Argument 3 `isEqual` unused.", () => {
+    const cacheKey = "a";
+    const cache = new Cache({ [cacheKey]: { data: { a: 1, b: 1 } } });
+
+    /** @type {Array<ReactHookResult>} */
+    const results = [];
+
+    const testRenderer = createReactTestRenderer(
+      React.createElement(
+        CacheContext.Provider,
+        { value: cache },
+        React.createElement(ReactHookTest, {
+          useHook: () => useCacheEntrySelector(cacheKey, selectA),
+          results,
+        }),
+      ),
+    );
+
+    strictEqual(results.length, 1);
+    ok("returned" in results[0]);
+    strictEqual(results[0].returned, 1);
+
+    // A cache value with the same selected value shouldn’t re-render.
+    ReactTestRenderer.act(() => {
+      cacheEntrySet(cache, cacheKey, { data: { a: 1, b: 2 } });
+    });
+
+    strictEqual(results.length, 1);
+
+    ReactTestRenderer.act(() => {
+      cacheEntrySet(cache, cacheKey, { data: { a: 2, b: 2 } });
+    });
+
+    strictEqual(results.length, 2);
+    ok("returned" in results[1]);
+    strictEqual(results[1].returned, 2);
+
+    // A mutated cache value with a different selected value should re-render.
+    ReactTestRenderer.act(() => {
+      const cacheValue =
+        /** @type {{ data: { a: number } }} */
+        (cache.store[cacheKey]);
+
+      cacheValue.data.a = 3;
+      cache.dispatchEvent(
+        new CustomEvent(`${cacheKey}/set`, {
+          detail: {
+            cacheValue,
+          },
+        }),
+      );
+    });
+
+    strictEqual(results.length, 3);
+    ok("returned" in results[2]);
+    strictEqual(results[2].returned, 3);
+
+    ReactTestRenderer.act(() => {
+      cacheEntryDelete(cache, cacheKey);
+    });
+
+    strictEqual(results.length, 4);
+    ok("returned" in results[3]);
+    strictEqual(results[3].returned, undefined);
+
+    const cacheKeyB = "b";
+    const cacheValueB = { data: { a: 4 } };
+
+    cacheEntrySet(cache, cacheKeyB, cacheValueB);
+
+    ReactTestRenderer.act(() => {
+      testRenderer.update(
+        React.createElement(
+          CacheContext.Provider,
+          { value: cache },
+          React.createElement(ReactHookTest, {
+            useHook: () => useCacheEntrySelector(cacheKeyB, selectA),
+            results,
+          }),
+        ),
+      );
+    });
+
+    strictEqual(results.length, 5);
+    ok("returned" in results[4]);
+    strictEqual(results[4].returned, 4);
+  });
+
+  it("Argument 3 `isEqual` used.", () => {
+    const cacheKey = "a";
+    const cache = new Cache({ [cacheKey]: { data: { a: [1] } } });
+
+    /** @type {(a: unknown, b: unknown) => boolean} */
+    const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    /** @type {Array<ReactHookResult>} */
+    const results = [];
+
+    createReactTestRenderer(
+      React.createElement(
+        CacheContext.Provider,
+        { value: cache },
+        React.createElement(ReactHookTest, {
+          useHook: () => useCacheEntrySelector(cacheKey, selectA, isEqual),
+          results,
+        }),
+      ),
+    );
+
+    strictEqual(results.length, 1);
+    ok("returned" in results[0]);
+    deepStrictEqual(results[0].returned, [1]);
+
+    // An equal selected value shouldn’t re-render.
+    ReactTestRenderer.act(() => {
+      cacheEntrySet(cache, cacheKey, { data: { a: [1] } });
+    });
+
+    strictEqual(results.length, 1);
+
+    ReactTestRenderer.act(() => {
+      cacheEntrySet(cache, cacheKey, { data: { a: [2] } });
+    });
+
+    strictEqual(results.length, 2);
+    ok("returned" in results[1]);
+    deepStrictEqual(results[1].returned, [2]);
+  });
+
+  it("Server side rendering.", () => {
+    const cacheKey = "a";
+
+    function TestComponent() {
+      return String(useCacheEntrySelector(cacheKey, selectA));
+    }
+
+    strictEqual(
+      ReactDOMServer.renderToStaticMarkup(
+        React.createElement(
+          CacheContext.Provider,
+          { value: new Cache({ [cacheKey]: { data: { a: 1 } } }) },
+          React.createElement(TestComponent),
+        ),
+      ),
+      "1",
+    );
+  });
+});
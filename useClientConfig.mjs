@@ -0,0 +1,36 @@
+// @ts-check
+
+/**
+ * @import { ClientConfig } from "./ClientConfigsContext.mjs"
+ * @import Provider from "./Provider.mjs"
+ */
+
+import React from "react";
+
+import ClientConfigsContext from "./ClientConfigsContext.mjs";
+
+/**
+ * React hook to use a {@link ClientConfig client config} from the
+ * {@linkcode ClientConfigsContext}, e.g. provided via the
+ * {@linkcode Provider} prop `clients`.
+ * @param {string} [clientName] Client name. Defaults to `default`, which
+ *   unlike other client names doesn’t have to be configured.
+ * @returns {ClientConfig | undefined} Client config, if configured.
+ */
+export default function useClientConfig(clientName = "default") {
+  if (typeof clientName !== "string")
+    throw new TypeError("Argument 1 `clientName` must be a string.");
+
+  const clientConfigs = React.useContext(ClientConfigsContext);
+  const clientConfig =
+    clientConfigs && clientName in clientConfigs
+      ? clientConfigs[clientName]
+      : undefined;
+
+  React.useDebugValue(clientConfig);
+
+  if (!clientConfig && clientName !== "default")
+    throw new TypeError(`Client config \`${clientName}\` missing.`);
+
+  return clientConfig;
+}
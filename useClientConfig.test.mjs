@@ -0,0 +1,103 @@
+// @ts-check
+
+/** @import { ReactHookResult } from "./test/ReactHookTest.mjs" */
+
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import React from "react";
+
+import ClientConfigsContext from "./ClientConfigsContext.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import createReactTestRenderer from "./test/createReactTestRenderer.mjs";
+import ReactHookTest from "./test/ReactHookTest.mjs";
+import useClientConfig from "./useClientConfig.mjs";
+
+describe("React hook `useClientConfig`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./useClientConfig.mjs", import.meta.url),
+      300,
+    );
+  });
+
+  it("Argument 1 `clientName` not a string.", () => {
+    throws(() => {
+      useClientConfig(
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 1 `clientName` must be a string."));
+  });
+
+  it("Client configs context missing, default client.", () => {
+    /** @type {Array<ReactHookResult>} */
+    const results = [];
+
+    createReactTestRenderer(
+      React.createElement(ReactHookTest, {
+        useHook: () => useClientConfig(),
+        results,
+      }),
+    );
+
+    strictEqual(results.length, 1);
+    ok("returned" in results[0]);
+    strictEqual(results[0].returned, undefined);
+  });
+
+  it("Client configs context missing, named client.", () => {
+    /** @type {Array<ReactHookResult>} */
+    const results = [];
+
+    createReactTestRenderer(
+      React.createElement(ReactHookTest, {
+        useHook: () => useClientConfig("a"),
+        results,
+      }),
+    );
+
+    strictEqual(results.length, 1);
+    ok("threw" in results[0]);
+    deepStrictEqual(
+      results[0].threw,
+      new TypeError("Client config `a` missing."),
+    );
+  });
+
+  it("Getting the client config.", () => {
+    const clientConfigs = {
+      default: { fetchUri: "uri-default" },
+      a: { fetchUri: "uri-a" },
+    };
+
+    /** @type {Array<ReactHookResult>} */
+    const resultsDefault = [];
+
+    /** @type {Array<ReactHookResult>} */
+    const resultsA = [];
+
+    createReactTestRenderer(
+      React.createElement(
+        ClientConfigsContext.Provider,
+        { value: clientConfigs },
+        React.createElement(ReactHookTest, {
+          useHook: () => useClientConfig(),
+          results: resultsDefault,
+        }),
+        React.createElement(ReactHookTest, {
+          useHook: () => useClientConfig("a"),
+          results: resultsA,
+        }),
+      ),
+    );
+
+    strictEqual(resultsDefault.length, 1);
+    ok("returned" in resultsDefault[0]);
+    strictEqual(resultsDefault[0].returned, clientConfigs.default);
+
+    strictEqual(resultsA.length, 1);
+    ok("returned" in resultsA[0]);
+    strictEqual(resultsA[0].returned, clientConfigs.a);
+  });
+});
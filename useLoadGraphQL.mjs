@@ -1,24 +1,61 @@
 // @ts-check
 
-/** @import { CacheKey } from "./Cache.mjs" */
+/**
+ * @import { CacheKey } from "./Cache.mjs"
+ * @import { ClientConfig } from "./ClientConfigsContext.mjs"
+ * @import createXHRFetch from "./createXHRFetch.mjs"
+ * @import {
+ *   FetchGraphQLOptions,
+ *   FetchGraphQLResult,
+ * } from "./fetchGraphQL.mjs"
+ * @import Loading from "./Loading.mjs"
+ * @import Provider from "./Provider.mjs"
+ */
 
 import React from "react";
 
+import cacheEntrySet from "./cacheEntrySet.mjs";
+import clientConfigApply from "./clientConfigApply.mjs";
+import FetchContext from "./FetchContext.mjs";
 import fetchGraphQL from "./fetchGraphQL.mjs";
 import LoadingCacheValue from "./LoadingCacheValue.mjs";
 import useCache from "./useCache.mjs";
+import useClientConfig from "./useClientConfig.mjs";
 import useLoading from "./useLoading.mjs";
 
 /**
- * React hook to get a function for loading a GraphQL operation.
+ * In-flight fetches that can be shared by loading with the
+ * {@link LoadGraphQLOptions.dedupe `dedupe`} option, per loading store.
+ * @type {WeakMap<Loading, Map<string, SharedFetch>>}
+ */
+const sharedFetches = new WeakMap();
+
+/**
+ * React hook to get a function for loading a GraphQL operation. If there is a
+ * {@link ClientConfig client config} for the client name (e.g. provided via
+ * the {@linkcode Provider} prop `clients`), it provides defaults for the
+ * fetch URI, `fetch` headers and credentials, and the `fetchGraphQL` options
+ * {@link FetchGraphQLOptions.fetch `fetch`} and
+ * {@link FetchGraphQLOptions.middleware `middleware`}, that each load can
+ * override. A `fetch` implementation from the {@linkcode FetchContext} (e.g.
+ * provided via the {@linkcode Provider} prop `fetch`) is used by default
+ * instead of the global `fetch`.
+ * @param {string} [clientName] Client name. Defaults to `default`.
  * @returns {LoadGraphQL} Loads a GraphQL operation.
  */
-export default function useLoadGraphQL() {
+export default function useLoadGraphQL(clientName) {
   const cache = useCache();
   const loading = useLoading();
+  const clientConfig = useClientConfig(clientName);
+  const providedFetch = React.useContext(FetchContext);
 
   return React.useCallback(
-    (cacheKey, fetchUri, fetchOptions) => {
+    (
+      cacheKey,
+      fetchUri = clientConfig?.fetchUri,
+      fetchOptions,
+      options = {},
+    ) => {
       if (typeof cacheKey !== "string")
         throw new TypeError("Argument 1 `cacheKey` must be a string.");
 
@@ -32,6 +69,9 @@ export default function useLoadGraphQL() {
       )
         throw new TypeError("Argument 3 `fetchOptions` must be an object.");
 
+      if (typeof options !== "object" || !options || Array.isArray(options))
+        throw new TypeError("Argument 4 `options` must be an object.");
+
       /** @type {RequestInit["signal"]} */
       let signal;
 
@@ -64,17 +104,145 @@ export default function useLoadGraphQL() {
               },
             );
 
-      modifiedFetchOptions.signal = abortController.signal;
+      /** @type {Promise<FetchGraphQLResult>} */
+      let loadingResult;
+
+      const { body } = modifiedFetchOptions;
+      const { dedupe, uploadProgress, onInterimResult, ...otherOptions } =
+        options;
+
+      /** @type {FetchGraphQLOptions} */
+      let fetchGraphQLOptions = otherOptions;
+
+      /** @type {LoadingCacheValue | undefined} */
+      let loadingCacheValue;
+
+      if (clientConfig)
+        ({ fetchOptions: modifiedFetchOptions, fetchGraphQLOptions } =
+          clientConfigApply(
+            clientConfig,
+            modifiedFetchOptions,
+            fetchGraphQLOptions,
+          ));
+
+      if (providedFetch) fetchGraphQLOptions.fetch ??= providedFetch;
+
+      // Only the upload progress `fetch` implementation can report upload
+      // progress, so it takes precedence over any other.
+      if (uploadProgress)
+        fetchGraphQLOptions.fetch = uploadProgress(({ loaded, total }) => {
+          // Upload progress events are after the loading cache value is
+          // created.
+          const currentLoadingCacheValue = /** @type {LoadingCacheValue} */ (
+            loadingCacheValue
+          );
+
+          currentLoadingCacheValue.uploadProgress = { loaded, total };
+
+          loading.dispatchEvent(
+            new CustomEvent(`${cacheKey}/uploadprogress`, {
+              detail: {
+                loadingCacheValue: currentLoadingCacheValue,
+              },
+            }),
+          );
+        });
+
+      /**
+       * Creates an interim result handler for {@linkcode fetchGraphQL} that
+       * sets interim results as the cache value so they render progressively,
+       * unless the fetch aborted.
+       * @param {AbortSignal} fetchSignal Fetch abort signal.
+       * @returns {FetchGraphQLOptions["onInterimResult"]} Interim result
+       *   handler.
+       */
+      const interimResultHandler = (fetchSignal) => (result) => {
+        if (onInterimResult) onInterimResult(result);
+        if (!fetchSignal.aborted) cacheEntrySet(cache, cacheKey, result);
+      };
+
+      if (
+        dedupe &&
+        !abortController.signal.aborted &&
+        // Only a body that can be compared is safe to dedupe.
+        (!body || typeof body === "string")
+      ) {
+        let loadingSharedFetches = sharedFetches.get(loading);
+
+        if (!loadingSharedFetches) {
+          loadingSharedFetches = new Map();
+          sharedFetches.set(loading, loadingSharedFetches);
+        }
+
+        const fetches = loadingSharedFetches;
+        const sharedFetchKey = JSON.stringify([cacheKey, fetchUri, body]);
+
+        let sharedFetch = fetches.get(sharedFetchKey);
 
-      return new LoadingCacheValue(
+        if (!sharedFetch) {
+          const sharedAbortController = new AbortController();
+
+          modifiedFetchOptions.signal = sharedAbortController.signal;
+
+          sharedFetch = {
+            abortController: sharedAbortController,
+            result: fetchGraphQL(fetchUri, modifiedFetchOptions, {
+              ...fetchGraphQLOptions,
+              onInterimResult: interimResultHandler(
+                sharedAbortController.signal,
+              ),
+            }),
+            users: 0,
+          };
+
+          fetches.set(sharedFetchKey, sharedFetch);
+        }
+
+        const currentSharedFetch = sharedFetch;
+
+        // Once the shared fetch has ended or aborted, later loading must fetch
+        // again. A newer shared fetch for the same key must be left alone.
+        const forgetSharedFetch = () => {
+          if (fetches.get(sharedFetchKey) === currentSharedFetch)
+            fetches.delete(sharedFetchKey);
+        };
+
+        currentSharedFetch.users++;
+        currentSharedFetch.result.then(forgetSharedFetch);
+
+        // The shared fetch is only aborted once every loading using it has
+        // aborted.
+        abortController.signal.addEventListener(
+          "abort",
+          () => {
+            if (!--currentSharedFetch.users) {
+              forgetSharedFetch();
+              currentSharedFetch.abortController.abort();
+            }
+          },
+          { once: true },
+        );
+
+        loadingResult = sharedFetch.result;
+      } else {
+        modifiedFetchOptions.signal = abortController.signal;
+        loadingResult = fetchGraphQL(fetchUri, modifiedFetchOptions, {
+          ...fetchGraphQLOptions,
+          onInterimResult: interimResultHandler(abortController.signal),
+        });
+      }
+
+      loadingCacheValue = new LoadingCacheValue(
         loading,
         cache,
         cacheKey,
-        fetchGraphQL(fetchUri, modifiedFetchOptions),
+        loadingResult,
         abortController,
       );
+
+      return loadingCacheValue;
     },
-    [cache, loading],
+    [cache, loading, clientConfig, providedFetch],
   );
 }
 
@@ -82,9 +250,61 @@ export default function useLoadGraphQL() {
  * Loads a GraphQL operation, using {@linkcode fetchGraphQL}.
  * @callback LoadGraphQL
  * @param {CacheKey} cacheKey Cache key to store the loading result under.
- * @param {string} fetchUri [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
- *   URI.
+ * @param {string | undefined} fetchUri [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
+ *   URI. Defaults to the {@link ClientConfig.fetchUri client config fetch URI}.
  * @param {RequestInit} fetchOptions [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
- *   options.
+ *   options. Headers and credentials override those of the
+ *   {@link ClientConfig client config}.
+ * @param {LoadGraphQLOptions} [options] Options.
  * @returns {LoadingCacheValue} The loading cache value.
  */
+
+/**
+ * {@link LoadGraphQL Load GraphQL} options, including
+ * {@link FetchGraphQLOptions `fetchGraphQL` options}.
+ * @typedef {FetchGraphQLOptions & LoadGraphQLOwnOptions} LoadGraphQLOptions
+ */
+
+/**
+ * {@link LoadGraphQL Load GraphQL} options that aren’t for
+ * {@linkcode fetchGraphQL}.
+ * @typedef {object} LoadGraphQLOwnOptions
+ * @prop {boolean} [dedupe] Should the fetch be shared with other in-flight
+ *   loading for the same {@link CacheKey cache key}, fetch URI, and fetch
+ *   options `body` that also used this option, instead of fetching again.
+ *   Fetch options other than `body` are assumed to be equivalent. Each loading
+ *   still gets its own {@link LoadingCacheValue loading cache value} that can
+ *   be aborted independently; the shared fetch is only aborted once all of
+ *   them have aborted. A `body` that isn’t a string (e.g. `FormData` for a
+ *   file upload) is never deduped. Only use for queries. Defaults to `false`.
+ * @prop {LoadGraphQLUploadProgressFetch} [uploadProgress] Creates a `fetch`
+ *   implementation that reports upload progress (e.g. for a GraphQL multipart
+ *   request uploading files), to report the
+ *   {@link LoadingCacheValue.uploadProgress loading cache value upload progress}.
+ *   It’s used instead of the {@link FetchGraphQLOptions.fetch option `fetch`},
+ *   the {@link ClientConfig client config} `fetch`, and a `fetch`
+ *   implementation from the {@linkcode FetchContext}.
+ */
+
+/**
+ * Creates a `fetch` implementation that reports upload progress, e.g. using
+ * {@linkcode createXHRFetch}:
+ *
+ * ```js
+ * (onUploadProgress) => createXHRFetch({ onUploadProgress })
+ * ```
+ * @callback LoadGraphQLUploadProgressFetch
+ * @param {(event: ProgressEvent) => void} onUploadProgress Receives each
+ *   upload progress event.
+ * @returns {typeof fetch} `fetch` implementation.
+ */
+
+/**
+ * An in-flight fetch shared by loading with the
+ * {@link LoadGraphQLOptions.dedupe `dedupe`} option.
+ * @typedef {object} SharedFetch
+ * @prop {AbortController} abortController Aborts the shared fetch.
+ * @prop {Promise<FetchGraphQLResult>} result Resolves the shared fetch result.
+ * @prop {number} users Number of loading cache values using the shared fetch
+ *   that haven’t aborted.
+ */
@@ -1,10 +1,20 @@
 // @ts-check
 
-/** @import { ReactHookResult } from "./test/ReactHookTest.mjs" */
+/**
+ * @import { FetchGraphQLMiddleware } from "./fetchGraphQL.mjs"
+ * @import { ReactHookResult } from "./test/ReactHookTest.mjs"
+ */
 
 import "./test/polyfillCustomEvent.mjs";
 
-import { deepStrictEqual, fail, ok, strictEqual, throws } from "node:assert";
+import {
+  deepStrictEqual,
+  fail,
+  notStrictEqual,
+  ok,
+  strictEqual,
+  throws,
+} from "node:assert";
 import { after, describe, it } from "node:test";
 
 import React from "react";
@@ -14,13 +24,18 @@ import revertableGlobals from "revertable-globals";
 import Cache from "./Cache.mjs";
 import CacheContext from "./CacheContext.mjs";
 import cacheDelete from "./cacheDelete.mjs";
+import createXHRFetch from "./createXHRFetch.mjs";
 import Loading from "./Loading.mjs";
 import LoadingCacheValue from "./LoadingCacheValue.mjs";
 import LoadingContext from "./LoadingContext.mjs";
+import Provider from "./Provider.mjs";
+import readIncrementalDelivery from "./readIncrementalDelivery.mjs";
 import assertBundleSize from "./test/assertBundleSize.mjs";
 import assertInstanceOf from "./test/assertInstanceOf.mjs";
 import assertTypeOf from "./test/assertTypeOf.mjs";
+import createFakeXMLHttpRequest from "./test/createFakeXMLHttpRequest.mjs";
 import createReactTestRenderer from "./test/createReactTestRenderer.mjs";
+import Deferred from "./test/Deferred.mjs";
 import ReactHookTest from "./test/ReactHookTest.mjs";
 import useLoadGraphQL from "./useLoadGraphQL.mjs";
 
@@ -28,7 +43,7 @@ describe("React hook `useLoadGraphQL`.", { concurrency: true }, () => {
   it("Bundle size.", async () => {
     await assertBundleSize(
       new URL("./useLoadGraphQL.mjs", import.meta.url),
-      1800,
+      4350,
     );
   });
 
@@ -131,10 +146,213 @@ describe("React hook `useLoadGraphQL`.", { concurrency: true }, () => {
     );
   });
 
+  it("Client config missing.", () => {
+    /** @type {Array<ReactHookResult>} */
+    const results = [];
+
+    createReactTestRenderer(
+      React.createElement(
+        Provider,
+        { cache: new Cache() },
+        React.createElement(ReactHookTest, {
+          useHook: () => useLoadGraphQL("a"),
+          results,
+        }),
+      ),
+    );
+
+    strictEqual(results.length, 1);
+    ok("threw" in results[0]);
+    deepStrictEqual(
+      results[0].threw,
+      new TypeError("Client config `a` missing."),
+    );
+  });
+
+  it("Client configs.", async () => {
+    /** @type {Array<[string, Array<[string, string]>, RequestCredentials | undefined]>} */
+    const fetches = [];
+
+    /** @type {typeof globalThis.fetch} */
+    const fetcher = async (input, init = {}) => {
+      fetches.push([
+        String(input),
+        [...new Headers(init.headers)],
+        init.credentials,
+      ]);
+
+      return new Response(JSON.stringify({ data: {} }), {
+        status: 200,
+        headers: {
+          "Content-Type": "application/graphql-response+json",
+        },
+      });
+    };
+
+    /** @type {Array<string>} */
+    const middlewareFetchUris = [];
+
+    const clients = {
+      default: {
+        fetchUri: "uri-default",
+        headers: { a: "1", b: "1" },
+        credentials: /** @type {RequestCredentials} */ ("include"),
+        fetch: fetcher,
+        middleware: [
+          /** @type {FetchGraphQLMiddleware} */
+          (request, next) => {
+            middlewareFetchUris.push(request.fetchUri);
+            return next(request);
+          },
+        ],
+      },
+      other: {
+        fetchUri: "uri-other",
+
+        // Should be overridden.
+        fetch() {
+          fail("The client config `fetch` shouldn’t be used.");
+        },
+      },
+    };
+
+    /**
+     * @type {Array<
+     *   ReactHookResult<
+     *     ReturnType<useLoadGraphQL>
+     *   >
+     * >}
+     */
+    const resultsDefault = [];
+
+    /**
+     * @type {Array<
+     *   ReactHookResult<
+     *     ReturnType<useLoadGraphQL>
+     *   >
+     * >}
+     */
+    const resultsOther = [];
+
+    createReactTestRenderer(
+      React.createElement(
+        Provider,
+        { cache: new Cache(), clients },
+        React.createElement(ReactHookTest, {
+          useHook: () => useLoadGraphQL(),
+          results: resultsDefault,
+        }),
+        React.createElement(ReactHookTest, {
+          useHook: () => useLoadGraphQL("other"),
+          results: resultsOther,
+        }),
+      ),
+    );
+
+    strictEqual(resultsDefault.length, 1);
+    ok("returned" in resultsDefault[0]);
+    strictEqual(resultsOther.length, 1);
+    ok("returned" in resultsOther[0]);
+
+    const loadDefault = resultsDefault[0].returned;
+    const loadOther = resultsOther[0].returned;
+
+    await ReactTestRenderer.act(async () => {
+      // Client config defaults.
+      await loadDefault("a", undefined, { body: "a" }).promise;
+
+      // Overriding the client config defaults.
+      await loadDefault("b", "uri-b", {
+        headers: { b: "2" },
+        credentials: "omit",
+        body: "b",
+      }).promise;
+
+      await loadOther("c", undefined, { body: "c" }, { fetch: fetcher })
+        .promise;
+    });
+
+    deepStrictEqual(fetches, [
+      [
+        "uri-default",
+        [
+          ["a", "1"],
+          ["b", "1"],
+        ],
+        "include",
+      ],
+      [
+        "uri-b",
+        [
+          ["a", "1"],
+          ["b", "2"],
+        ],
+        "omit",
+      ],
+      ["uri-other", [], undefined],
+    ]);
+    deepStrictEqual(middlewareFetchUris, ["uri-default", "uri-b"]);
+  });
+
+  it("Provider prop `fetch`.", async () => {
+    /** @type {Array<string>} */
+    const fetches = [];
+
+    /**
+     * Creates a `fetch` implementation that records fetches.
+     * @param {string} name Name to record.
+     * @returns {typeof globalThis.fetch} `fetch` implementation.
+     */
+    const createFetch = (name) => async () => {
+      fetches.push(name);
+
+      return new Response(JSON.stringify({ data: {} }), {
+        status: 200,
+        headers: {
+          "Content-Type": "application/graphql-response+json",
+        },
+      });
+    };
+
+    /**
+     * @type {Array<
+     *   ReactHookResult<
+     *     ReturnType<useLoadGraphQL>
+     *   >
+     * >}
+     */
+    const results = [];
+
+    createReactTestRenderer(
+      React.createElement(
+        Provider,
+        { cache: new Cache(), fetch: createFetch("provided") },
+        React.createElement(ReactHookTest, {
+          useHook: () => useLoadGraphQL(),
+          results,
+        }),
+      ),
+    );
+
+    strictEqual(results.length, 1);
+    ok("returned" in results[0]);
+
+    const loadGraphQL = results[0].returned;
+
+    await ReactTestRenderer.act(async () => {
+      await loadGraphQL("a", "the-uri", {}).promise;
+      await loadGraphQL("b", "the-uri", {}, { fetch: createFetch("option") })
+        .promise;
+    });
+
+    deepStrictEqual(fetches, ["provided", "option"]);
+  });
+
   describe(
     "Functionality.",
     {
-      // Some of the tests temporarily modify the global `fetch`.
+      // Some of the tests temporarily modify the globals `fetch` and
+      // `XMLHttpRequest`.
       concurrency: false,
     },
     async () => {
@@ -220,6 +438,18 @@ describe("React hook `useLoadGraphQL`.", { concurrency: true }, () => {
         }, new TypeError("Argument 3 `fetchOptions` must be an object."));
       });
 
+      it("Load GraphQL with argument 4 `options` not an object.", () => {
+        throws(() => {
+          result2Returned(
+            "a",
+            "",
+            {},
+            // @ts-expect-error Testing invalid.
+            null,
+          );
+        }, new TypeError("Argument 4 `options` must be an object."));
+      });
+
       it("Load GraphQL without aborting.", async () => {
         const fetchUri = "the-uri";
         const fetchOptions = Object.freeze({ body: "a" });
@@ -561,6 +791,681 @@ describe("React hook `useLoadGraphQL`.", { concurrency: true }, () => {
           cacheDelete(cache);
         }
       });
+
+      it("Load GraphQL with option `dedupe`, sharing a fetch.", async () => {
+        const fetchUri = "the-uri";
+        const fetchOptions = Object.freeze({ body: "a" });
+        const cacheKey = "a";
+        const cacheValue = {
+          data: {
+            a: 1,
+          },
+        };
+
+        /** @type {Array<RequestInit>} */
+        const fetchedOptions = [];
+
+        /** @type {Deferred<Response>} */
+        const fetchResponse = new Deferred();
+
+        /** @type {Array<LoadingCacheValue>} */
+        const loadGraphQLReturns = [];
+
+        const revertGlobals = revertableGlobals({
+          /**
+           * @param {string} uri Fetch URI.
+           * @param {RequestInit} options Fetch options.
+           */
+          async fetch(uri, options) {
+            fetchedOptions.push(options);
+
+            return fetchResponse.promise;
+          },
+        });
+
+        try {
+          try {
+            ReactTestRenderer.act(() => {
+              loadGraphQLReturns.push(
+                result2Returned(cacheKey, fetchUri, fetchOptions, {
+                  dedupe: true,
+                }),
+                result2Returned(cacheKey, fetchUri, fetchOptions, {
+                  dedupe: true,
+                }),
+              );
+            });
+          } finally {
+            revertGlobals();
+          }
+
+          strictEqual(fetchedOptions.length, 1);
+          assertInstanceOf(fetchedOptions[0].signal, AbortSignal);
+
+          const [loadingCacheValueA, loadingCacheValueB] = loadGraphQLReturns;
+
+          assertInstanceOf(loadingCacheValueA, LoadingCacheValue);
+          assertInstanceOf(loadingCacheValueB, LoadingCacheValue);
+          notStrictEqual(loadingCacheValueA, loadingCacheValueB);
+
+          // Aborting only one of the loadings sharing the fetch shouldn’t abort
+          // the fetch.
+          loadingCacheValueA.abortController.abort();
+
+          strictEqual(fetchedOptions[0].signal.aborted, false);
+
+          fetchResponse.resolve(
+            new Response(JSON.stringify(cacheValue), {
+              status: 200,
+              headers: {
+                "Content-Type": "application/graphql+json",
+              },
+            }),
+          );
+
+          deepStrictEqual(await loadingCacheValueA.promise, cacheValue);
+          deepStrictEqual(await loadingCacheValueB.promise, cacheValue);
+          deepStrictEqual(cache.store, {
+            [cacheKey]: cacheValue,
+          });
+        } finally {
+          // Undo any cache changes for future tests.
+          cacheDelete(cache);
+        }
+      });
+
+      it("Load GraphQL with option `dedupe`, all sharing loading aborted.", async () => {
+        const fetchUri = "the-uri";
+        const fetchOptions = Object.freeze({ body: "a" });
+        const fetchError = new Error("The operation was aborted.");
+        const cacheKey = "a";
+
+        /** @type {Array<RequestInit>} */
+        const fetchedOptions = [];
+
+        /** @type {Array<LoadingCacheValue>} */
+        const loadGraphQLReturns = [];
+
+        const revertGlobals = revertableGlobals({
+          /**
+           * @param {string} uri Fetch URI.
+           * @param {RequestInit} options Fetch options.
+           */
+          async fetch(uri, options) {
+            fetchedOptions.push(options);
+
+            return new Promise((resolve, reject) => {
+              const timeout = setTimeout(() => {
+                reject(fail("Fetch wasn’t aborted."));
+              }, 800);
+
+              assertInstanceOf(options.signal, AbortSignal);
+
+              options.signal.addEventListener(
+                "abort",
+                () => {
+                  clearTimeout(timeout);
+                  reject(fetchError);
+                },
+                { once: true },
+              );
+            });
+          },
+        });
+
+        try {
+          try {
+            ReactTestRenderer.act(() => {
+              loadGraphQLReturns.push(
+                result2Returned(cacheKey, fetchUri, fetchOptions, {
+                  dedupe: true,
+                }),
+                result2Returned(cacheKey, fetchUri, fetchOptions, {
+                  dedupe: true,
+                }),
+              );
+            });
+
+            strictEqual(fetchedOptions.length, 1);
+
+            for (const loadingCacheValue of loadGraphQLReturns)
+              loadingCacheValue.abortController.abort();
+
+            const expectedResult = {
+              errors: [
+                {
+                  message: "Fetch error.",
+                  extensions: {
+                    client: true,
+                    code: "FETCH_ERROR",
+                    fetchErrorMessage: fetchError.message,
+                  },
+                },
+              ],
+            };
+
+            for (const loadingCacheValue of loadGraphQLReturns)
+              deepStrictEqual(await loadingCacheValue.promise, expectedResult);
+
+            deepStrictEqual(
+              cache.store,
+              // Cache shouldn’t be affected by aborted loading.
+              {},
+            );
+
+            // Loading after the shared fetch aborted should fetch again.
+            ReactTestRenderer.act(() => {
+              loadGraphQLReturns.push(
+                result2Returned(cacheKey, fetchUri, fetchOptions, {
+                  dedupe: true,
+                }),
+              );
+            });
+
+            strictEqual(fetchedOptions.length, 2);
+
+            loadGraphQLReturns[2].abortController.abort();
+
+            deepStrictEqual(
+              await loadGraphQLReturns[2].promise,
+              expectedResult,
+            );
+          } finally {
+            revertGlobals();
+          }
+        } finally {
+          // Undo any cache changes for future tests.
+          cacheDelete(cache);
+        }
+      });
+
+      it("Load GraphQL with option `dedupe`, not sharing a fetch.", async () => {
+        const fetchUri = "the-uri";
+        const cacheKey = "a";
+        const cacheValue = {
+          data: {
+            a: 1,
+          },
+        };
+        const abortController = new AbortController();
+
+        abortController.abort();
+
+        /** @type {Array<RequestInit>} */
+        const fetchedOptions = [];
+
+        /** @type {Array<LoadingCacheValue>} */
+        const loadGraphQLReturns = [];
+
+        const revertGlobals = revertableGlobals({
+          /**
+           * @param {string} uri Fetch URI.
+           * @param {RequestInit} options Fetch options.
+           */
+          async fetch(uri, options) {
+            fetchedOptions.push(options);
+
+            return new Response(JSON.stringify(cacheValue), {
+              status: 200,
+              headers: {
+                "Content-Type": "application/graphql+json",
+              },
+            });
+          },
+        });
+
+        try {
+          try {
+            ReactTestRenderer.act(() => {
+              loadGraphQLReturns.push(
+                // Different bodies.
+                result2Returned(
+                  cacheKey,
+                  fetchUri,
+                  { body: "a" },
+                  { dedupe: true },
+                ),
+                result2Returned(
+                  cacheKey,
+                  fetchUri,
+                  { body: "b" },
+                  { dedupe: true },
+                ),
+                // A body that can’t be compared.
+                result2Returned(
+                  cacheKey,
+                  fetchUri,
+                  { body: new FormData() },
+                  { dedupe: true },
+                ),
+                // Option `dedupe` not used.
+                result2Returned(cacheKey, fetchUri, { body: "a" }),
+                // Already aborted.
+                result2Returned(
+                  cacheKey,
+                  fetchUri,
+                  { body: "a", signal: abortController.signal },
+                  { dedupe: true },
+                ),
+              );
+            });
+          } finally {
+            revertGlobals();
+          }
+
+          strictEqual(fetchedOptions.length, 5);
+
+          for (const loadingCacheValue of loadGraphQLReturns)
+            deepStrictEqual(await loadingCacheValue.promise, cacheValue);
+
+          deepStrictEqual(cache.store, {
+            [cacheKey]: cacheValue,
+          });
+        } finally {
+          // Undo any cache changes for future tests.
+          cacheDelete(cache);
+        }
+      });
+
+      it("Load GraphQL with an incremental delivery response.", async () => {
+        const fetchUri = "the-uri";
+        const cacheKey = "a";
+        const encoder = new TextEncoder();
+
+        try {
+          for (const dedupe of [false, true]) {
+            /** @type {ReadableStreamDefaultController<Uint8Array>} */
+            let streamController;
+
+            const revertGlobals = revertableGlobals({
+              async fetch() {
+                return new Response(
+                  new ReadableStream({
+                    start(controller) {
+                      streamController = controller;
+                    },
+                  }),
+                  {
+                    status: 200,
+                    headers: {
+                      "Content-Type": "multipart/mixed",
+                    },
+                  },
+                );
+              },
+            });
+
+            /** @type {Array<unknown>} */
+            const interimResults = [];
+
+            /** @type {LoadingCacheValue | undefined} */
+            let loadingCacheValue;
+
+            try {
+              ReactTestRenderer.act(() => {
+                loadingCacheValue = result2Returned(
+                  cacheKey,
+                  fetchUri,
+                  { body: "a" },
+                  {
+                    dedupe,
+                    incrementalDelivery: readIncrementalDelivery,
+                    onInterimResult(result) {
+                      interimResults.push(result);
+                    },
+                  },
+                );
+              });
+            } finally {
+              revertGlobals();
+            }
+
+            assertInstanceOf(loadingCacheValue, LoadingCacheValue);
+
+            const interimSet = new Promise((resolve) => {
+              cache.addEventListener(`${cacheKey}/set`, resolve, {
+                once: true,
+              });
+            });
+
+            await ReactTestRenderer.act(async () => {
+              streamController.enqueue(
+                encoder.encode(
+                  '\r\n---\r\n\r\n{"data":{"a":{"b":1}},"hasNext":true}\r\n---',
+                ),
+              );
+              await interimSet;
+            });
+
+            // The interim result should be cached so it can render.
+            deepStrictEqual(cache.store, {
+              [cacheKey]: { data: { a: { b: 1 } } },
+            });
+            deepStrictEqual(interimResults, [{ data: { a: { b: 1 } } }]);
+
+            await ReactTestRenderer.act(async () => {
+              streamController.enqueue(
+                encoder.encode(
+                  '\r\n\r\n{"incremental":[{"data":{"c":2},"path":["a"]}],"hasNext":false}\r\n-----\r\n',
+                ),
+              );
+              streamController.close();
+
+              deepStrictEqual(
+                await /** @type {LoadingCacheValue} */ (loadingCacheValue)
+                  .promise,
+                { data: { a: { b: 1, c: 2 } } },
+              );
+            });
+
+            deepStrictEqual(cache.store, {
+              [cacheKey]: { data: { a: { b: 1, c: 2 } } },
+            });
+
+            cacheDelete(cache);
+          }
+        } finally {
+          // Undo any cache changes for future tests.
+          cacheDelete(cache);
+        }
+      });
+
+      it("Load GraphQL with an incremental delivery response, aborting.", async () => {
+        const cacheKey = "a";
+
+        /** @type {ReadableStreamDefaultController<Uint8Array>} */
+        let streamController;
+
+        const revertGlobals = revertableGlobals({
+          async fetch() {
+            return new Response(
+              new ReadableStream({
+                start(controller) {
+                  streamController = controller;
+                },
+              }),
+              {
+                status: 200,
+                headers: {
+                  "Content-Type": "multipart/mixed",
+                },
+              },
+            );
+          },
+        });
+
+        /** @type {LoadingCacheValue | undefined} */
+        let loadingCacheValue;
+
+        try {
+          ReactTestRenderer.act(() => {
+            loadingCacheValue = result2Returned(
+              cacheKey,
+              "the-uri",
+              {},
+              { incrementalDelivery: readIncrementalDelivery },
+            );
+          });
+        } finally {
+          revertGlobals();
+        }
+
+        assertInstanceOf(loadingCacheValue, LoadingCacheValue);
+
+        const { abortController, promise } = loadingCacheValue;
+
+        await ReactTestRenderer.act(async () => {
+          // Wait for the response.
+          await new Promise((resolve) => setTimeout(resolve, 10));
+
+          abortController.abort();
+
+          streamController.enqueue(
+            new TextEncoder().encode(
+              '\r\n---\r\n\r\n{"data":{"a":1},"hasNext":true}\r\n-----\r\n',
+            ),
+          );
+          streamController.close();
+
+          await promise;
+        });
+
+        // The interim result shouldn’t be cached after aborting.
+        deepStrictEqual(cache.store, {});
+      });
+
+      it("Load GraphQL with option `retry`, aborting a pending retry.", async () => {
+        const fetchError = new Error("Message.");
+        const cacheKey = "a";
+
+        let fetchCount = 0;
+
+        /** @type {Deferred} */
+        const fetched = new Deferred();
+
+        /** @type {LoadingCacheValue | undefined} */
+        let loadGraphQLReturn;
+
+        const revertGlobals = revertableGlobals({
+          async fetch() {
+            fetchCount++;
+            fetched.resolve();
+
+            throw fetchError;
+          },
+        });
+
+        try {
+          try {
+            ReactTestRenderer.act(() => {
+              loadGraphQLReturn = result2Returned(
+                cacheKey,
+                "the-uri",
+                { body: "a" },
+                {
+                  retry: {
+                    baseDelay: 10000,
+                    maxDelay: 10000,
+                  },
+                },
+              );
+            });
+
+            assertInstanceOf(loadGraphQLReturn, LoadingCacheValue);
+
+            await fetched.promise;
+
+            // Aborting the loading should cancel the pending retry.
+            loadGraphQLReturn.abortController.abort();
+
+            deepStrictEqual(await loadGraphQLReturn.promise, {
+              errors: [
+                {
+                  message: "Fetch error.",
+                  extensions: {
+                    client: true,
+                    code: "FETCH_ERROR",
+                    fetchErrorMessage: fetchError.message,
+                  },
+                },
+              ],
+            });
+          } finally {
+            revertGlobals();
+          }
+
+          strictEqual(fetchCount, 1);
+          deepStrictEqual(
+            cache.store,
+            // Cache shouldn’t be affected by aborted loading.
+            {},
+          );
+        } finally {
+          // Undo any cache changes for future tests.
+          cacheDelete(cache);
+        }
+      });
+
+      it("Load GraphQL with option `timeout`, timed out.", async () => {
+        const cacheKey = "a";
+        const timeout = 1;
+
+        /** @type {LoadingCacheValue | undefined} */
+        let loadGraphQLReturn;
+
+        const revertGlobals = revertableGlobals({
+          /**
+           * @param {string} uri Fetch URI.
+           * @param {RequestInit} options Fetch options.
+           */
+          async fetch(uri, options) {
+            return new Promise((resolve, reject) => {
+              assertInstanceOf(options.signal, AbortSignal);
+
+              options.signal.addEventListener(
+                "abort",
+                () => {
+                  reject(new Error("The operation was aborted."));
+                },
+                { once: true },
+              );
+            });
+          },
+        });
+
+        try {
+          try {
+            ReactTestRenderer.act(() => {
+              loadGraphQLReturn = result2Returned(
+                cacheKey,
+                "the-uri",
+                { body: "a" },
+                { timeout },
+              );
+            });
+          } finally {
+            revertGlobals();
+          }
+
+          assertInstanceOf(loadGraphQLReturn, LoadingCacheValue);
+
+          const expectedCacheValue = {
+            errors: [
+              {
+                message: "Fetch timeout.",
+                extensions: {
+                  client: true,
+                  code: "FETCH_TIMEOUT",
+                  timeout,
+                },
+              },
+            ],
+          };
+
+          deepStrictEqual(await loadGraphQLReturn.promise, expectedCacheValue);
+          strictEqual(loadGraphQLReturn.abortController.signal.aborted, false);
+          deepStrictEqual(
+            cache.store,
+            // Unlike aborted loading, a timeout should be cached.
+            { [cacheKey]: expectedCacheValue },
+          );
+        } finally {
+          // Undo any cache changes for future tests.
+          cacheDelete(cache);
+        }
+      });
+
+      it("Load GraphQL with option `uploadProgress`.", async () => {
+        const cacheKey = "a";
+        const fetchUri = "the-uri";
+        const body = new FormData();
+        const { XMLHttpRequest, requests } = createFakeXMLHttpRequest();
+        const revertGlobals = revertableGlobals({ XMLHttpRequest });
+
+        try {
+          /** @type {LoadingCacheValue | undefined} */
+          let loadGraphQLReturn;
+
+          ReactTestRenderer.act(() => {
+            loadGraphQLReturn = result2Returned(
+              cacheKey,
+              fetchUri,
+              { method: "POST", body },
+              {
+                uploadProgress: (onUploadProgress) =>
+                  createXHRFetch({ onUploadProgress }),
+
+                // The upload progress `fetch` implementation should take
+                // precedence.
+                fetch() {
+                  fail("The option `fetch` shouldn’t be used.");
+                },
+              },
+            );
+          });
+
+          assertInstanceOf(loadGraphQLReturn, LoadingCacheValue);
+          strictEqual(loadGraphQLReturn.uploadProgress, undefined);
+          strictEqual(requests.length, 1);
+
+          const [request] = requests;
+
+          strictEqual(request.url, fetchUri);
+          strictEqual(request.body, body);
+
+          /** @type {Array<unknown>} */
+          const uploadProgressEventDetails = [];
+
+          /** @param {Event} event Event. */
+          const listener = (event) => {
+            uploadProgressEventDetails.push(
+              /** @type {CustomEvent} */ (event).detail,
+            );
+          };
+
+          loading.addEventListener(`${cacheKey}/uploadprogress`, listener);
+
+          try {
+            request.uploadProgress(1, 2);
+
+            deepStrictEqual(loadGraphQLReturn.uploadProgress, {
+              loaded: 1,
+              total: 2,
+            });
+
+            request.uploadProgress(2, 2);
+
+            deepStrictEqual(loadGraphQLReturn.uploadProgress, {
+              loaded: 2,
+              total: 2,
+            });
+          } finally {
+            loading.removeEventListener(`${cacheKey}/uploadprogress`, listener);
+          }
+
+          deepStrictEqual(uploadProgressEventDetails, [
+            { loadingCacheValue: loadGraphQLReturn },
+            { loadingCacheValue: loadGraphQLReturn },
+          ]);
+
+          const data = { a: 1 };
+
+          request.respond(
+            200,
+            "OK",
+            "content-type: application/json",
+            JSON.stringify({ data }),
+          );
+
+          deepStrictEqual(await loadGraphQLReturn.promise, { data });
+          deepStrictEqual(cache.store, { [cacheKey]: { data } });
+        } finally {
+          revertGlobals();
+
+          // Undo any cache changes for future tests.
+          cacheDelete(cache);
+        }
+      });
     },
   );
 });
@@ -6,13 +6,16 @@
  */
 
 import React from "react";
+import useSyncExternalStoreShim from "use-sync-external-store/shim/index.js";
 
-import useForceUpdate from "./useForceUpdate.mjs";
 import useLoading from "./useLoading.mjs";
 
 /**
  * React hook to get the {@link LoadingCacheValue loading cache values} for a
- * given {@link CacheKey cache key}.
+ * given {@link CacheKey cache key}. It uses the React hook
+ * `useSyncExternalStore` (via the official shim for React versions without
+ * it), so it’s safe for concurrent rendering and the server snapshot is the
+ * loading cache values during server side rendering and hydration.
  * @param {CacheKey} cacheKey Cache key.
  * @returns {Set<LoadingCacheValue> | undefined} Loading cache values, if
  *   present.
@@ -22,26 +25,34 @@ export default function useLoadingEntry(cacheKey) {
     throw new TypeError("Argument 1 `cacheKey` must be a string.");
 
   const loading = useLoading();
-  const forceUpdate = useForceUpdate();
 
-  const onTriggerUpdate = React.useCallback(() => {
-    forceUpdate();
-  }, [forceUpdate]);
-
-  React.useEffect(() => {
-    const eventNameStart = `${cacheKey}/start`;
-    const eventNameEnd = `${cacheKey}/end`;
-
-    loading.addEventListener(eventNameStart, onTriggerUpdate);
-    loading.addEventListener(eventNameEnd, onTriggerUpdate);
-
-    return () => {
-      loading.removeEventListener(eventNameStart, onTriggerUpdate);
-      loading.removeEventListener(eventNameEnd, onTriggerUpdate);
-    };
-  }, [loading, cacheKey, onTriggerUpdate]);
-
-  const value = loading.store[cacheKey];
+  const subscribe = React.useCallback(
+    /** @param {() => void} onStoreChange On store change callback. */
+    (onStoreChange) => {
+      const eventNameStart = `${cacheKey}/start`;
+      const eventNameEnd = `${cacheKey}/end`;
+
+      loading.addEventListener(eventNameStart, onStoreChange);
+      loading.addEventListener(eventNameEnd, onStoreChange);
+
+      return () => {
+        loading.removeEventListener(eventNameStart, onStoreChange);
+        loading.removeEventListener(eventNameEnd, onStoreChange);
+      };
+    },
+    [loading, cacheKey],
+  );
+
+  const getSnapshot = React.useCallback(
+    () => loading.store[cacheKey],
+    [loading, cacheKey],
+  );
+
+  const value = useSyncExternalStoreShim.useSyncExternalStore(
+    subscribe,
+    getSnapshot,
+    getSnapshot,
+  );
 
   React.useDebugValue(value);
 
@@ -8,6 +8,7 @@ import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
 import { describe, it } from "node:test";
 
 import React from "react";
+import ReactDOMServer from "react-dom/server";
 import ReactTestRenderer from "react-test-renderer";
 
 import Cache from "./Cache.mjs";
@@ -24,7 +25,7 @@ describe("React hook `useLoadingEntry`.", { concurrency: true }, () => {
   it("Bundle size.", async () => {
     await assertBundleSize(
       new URL("./useLoadingEntry.mjs", import.meta.url),
-      500,
+      1200,
     );
   });
 
@@ -302,4 +303,39 @@ describe("React hook `useLoadingEntry`.", { concurrency: true }, () => {
     ok("returned" in results[5]);
     strictEqual(results[5].returned, undefined);
   });
+
+  it("Server side rendering.", async () => {
+    const loading = new Loading();
+    const cacheKey = "a";
+
+    /** @type {Deferred<unknown>} */
+    const loadingResult = new Deferred();
+
+    const loadingCacheValue = new LoadingCacheValue(
+      loading,
+      new Cache(),
+      cacheKey,
+      loadingResult.promise,
+      new AbortController(),
+    );
+
+    function TestComponent() {
+      return String(useLoadingEntry(cacheKey)?.size);
+    }
+
+    strictEqual(
+      ReactDOMServer.renderToStaticMarkup(
+        React.createElement(
+          LoadingContext.Provider,
+          { value: loading },
+          React.createElement(TestComponent),
+        ),
+      ),
+      "1",
+    );
+
+    loadingResult.resolve({});
+
+    await loadingCacheValue.promise;
+  });
 });
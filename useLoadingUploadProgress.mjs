@@ -0,0 +1,77 @@
+// @ts-check
+
+/**
+ * @import { CacheKey } from "./Cache.mjs"
+ * @import LoadingCacheValue, {
+ *   LoadingUploadProgress,
+ * } from "./LoadingCacheValue.mjs"
+ * @import { LoadGraphQLOwnOptions } from "./useLoadGraphQL.mjs"
+ */
+
+import React from "react";
+import useSyncExternalStoreShim from "use-sync-external-store/shim/index.js";
+
+import useLoading from "./useLoading.mjs";
+
+/**
+ * React hook to get the
+ * {@link LoadingCacheValue.uploadProgress upload progress} of the latest
+ * {@link LoadingCacheValue loading cache value} for a given
+ * {@link CacheKey cache key}, e.g. loading using the
+ * {@link LoadGraphQLOwnOptions.uploadProgress `useLoadGraphQL` option `uploadProgress`}.
+ * It uses the React hook `useSyncExternalStore` (via the official shim for
+ * React versions without it), so it’s safe for concurrent rendering.
+ * @param {CacheKey} cacheKey Cache key.
+ * @returns {LoadingUploadProgress | undefined} Upload progress, if present.
+ */
+export default function useLoadingUploadProgress(cacheKey) {
+  if (typeof cacheKey !== "string")
+    throw new TypeError("Argument 1 `cacheKey` must be a string.");
+
+  const loading = useLoading();
+
+  const subscribe = React.useCallback(
+    /** @param {() => void} onStoreChange On store change callback. */
+    (onStoreChange) => {
+      const eventNames = [
+        `${cacheKey}/start`,
+        `${cacheKey}/uploadprogress`,
+        `${cacheKey}/end`,
+      ];
+
+      for (const eventName of eventNames)
+        loading.addEventListener(eventName, onStoreChange);
+
+      return () => {
+        for (const eventName of eventNames)
+          loading.removeEventListener(eventName, onStoreChange);
+      };
+    },
+    [loading, cacheKey],
+  );
+
+  const getSnapshot = React.useCallback(() => {
+    const loadingSet = loading.store[cacheKey];
+
+    /** @type {LoadingUploadProgress | undefined} */
+    let uploadProgress;
+
+    // The upload progress of the latest loading cache value is replaced (not
+    // mutated) on each update, so it can be the snapshot.
+    if (loadingSet)
+      for (const loadingCacheValue of loadingSet)
+        uploadProgress = loadingCacheValue.uploadProgress;
+
+    return uploadProgress;
+  }, [loading, cacheKey]);
+
+  const value = useSyncExternalStoreShim.useSyncExternalStore(
+    subscribe,
+    getSnapshot,
+    getSnapshot,
+  );
+
+  React.useDebugValue(value);
+
+  return value;
+}
@@ -0,0 +1,224 @@
+// @ts-check
+
+/** @import { ReactHookResult } from "./test/ReactHookTest.mjs" */
+
+import "./test/polyfillCustomEvent.mjs";
+
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import React from "react";
+import ReactTestRenderer from "react-test-renderer";
+
+import Cache from "./Cache.mjs";
+import Loading from "./Loading.mjs";
+import LoadingCacheValue from "./LoadingCacheValue.mjs";
+import LoadingContext from "./LoadingContext.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import createReactTestRenderer from "./test/createReactTestRenderer.mjs";
+import Deferred from "./test/Deferred.mjs";
+import ReactHookTest from "./test/ReactHookTest.mjs";
+import useLoadingUploadProgress from "./useLoadingUploadProgress.mjs";
+
+/**
+ * Updates a loading cache value’s upload progress, like the React hook
+ * `useLoadGraphQL` option `uploadProgress`.
+ * @param {Loading} loading Loading.
+ * @param {string} cacheKey Cache key.
+ * @param {LoadingCacheValue} loadingCacheValue Loading cache value.
+ * @param {number} loaded Number of bytes uploaded.
+ */
+function uploadProgress(loading, cacheKey, loadingCacheValue, loaded) {
+  loadingCacheValue.uploadProgress = { loaded, total: 10 };
+  loading.dispatchEvent(
+    new CustomEvent(`${cacheKey}/uploadprogress`, {
+      detail: { loadingCacheValue },
+    }),
+  );
+}
+
+describe(
+  "React hook `useLoadingUploadProgress`.",
+  { concurrency: true },
+  () => {
+    it("Bundle size.", async () => {
+      await assertBundleSize(
+        new URL("./useLoadingUploadProgress.mjs", import.meta.url),
+        1200,
+      );
+    });
+
+    it("Argument 1 `cacheKey` not a string.", () => {
+      throws(() => {
+        useLoadingUploadProgress(
+          // @ts-expect-error Testing invalid.
+          true,
+        );
+      }, new TypeError("Argument 1 `cacheKey` must be a string."));
+    });
+
+    it("Loading context missing.", () => {
+      /** @type {Array<ReactHookResult>} */
+      const results = [];
+
+      createReactTestRenderer(
+        React.createElement(ReactHookTest, {
+          useHook: () => useLoadingUploadProgress("a"),
+          results,
+        }),
+      );
+
+      strictEqual(results.length, 1);
+      ok("threw" in results[0]);
+      deepStrictEqual(
+        results[0].threw,
+        new TypeError("Loading context missing."),
+      );
+    });
+
+    it("Functionality.", async () => {
+      const loading = new Loading();
+      const cache = new Cache();
+      const cacheKeyA = "a";
+
+      /** @type {Array<ReactHookResult>} */
+      const results = [];
+
+      const testRenderer = createReactTestRenderer(
+        React.createElement(
+          LoadingContext.Provider,
+          { value: loading },
+          React.createElement(ReactHookTest, {
+            useHook: () => useLoadingUploadProgress(cacheKeyA),
+            results,
+          }),
+        ),
+      );
+
+      strictEqual(results.length, 1);
+      ok("returned" in results[0]);
+      strictEqual(results[0].returned, undefined);
+
+      const loadingA1Result =
+        /** @type {Deferred<Readonly<{ [key: string]: unknown }>>} */
+        (new Deferred());
+
+      /** @type {LoadingCacheValue | undefined} */
+      let loadingA1CacheValue;
+
+      ReactTestRenderer.act(() => {
+        loadingA1CacheValue = new LoadingCacheValue(
+          loading,
+          cache,
+          cacheKeyA,
+          loadingA1Result.promise,
+          new AbortController(),
+        );
+      });
+
+      // The upload progress is unchanged, so it shouldn’t re-render.
+      strictEqual(results.length, 1);
+
+      ReactTestRenderer.act(() => {
+        uploadProgress(
+          loading,
+          cacheKeyA,
+          /** @type {LoadingCacheValue} */ (loadingA1CacheValue),
+          5,
+        );
+      });
+
+      strictEqual(results.length, 2);
+      ok("returned" in results[1]);
+      deepStrictEqual(results[1].returned, { loaded: 5, total: 10 });
+
+      const loadingA2Result =
+        /** @type {Deferred<Readonly<{ [key: string]: unknown }>>} */
+        (new Deferred());
+
+      /** @type {LoadingCacheValue | undefined} */
+      let loadingA2CacheValue;
+
+      ReactTestRenderer.act(() => {
+        loadingA2CacheValue = new LoadingCacheValue(
+          loading,
+          cache,
+          cacheKeyA,
+          loadingA2Result.promise,
+          new AbortController(),
+        );
+      });
+
+      // The latest loading doesn’t have upload progress yet.
+      strictEqual(results.length, 3);
+      ok("returned" in results[2]);
+      strictEqual(results[2].returned, undefined);
+
+      ReactTestRenderer.act(() => {
+        uploadProgress(
+          loading,
+          cacheKeyA,
+          /** @type {LoadingCacheValue} */ (loadingA2CacheValue),
+          10,
+        );
+      });
+
+      strictEqual(results.length, 4);
+      ok("returned" in results[3]);
+      deepStrictEqual(results[3].returned, { loaded: 10, total: 10 });
+
+      await ReactTestRenderer.act(async () => {
+        loadingA1Result.resolve({});
+        loadingA2Result.resolve({});
+        await /** @type {LoadingCacheValue} */ (loadingA2CacheValue).promise;
+      });
+
+      const lastResultA = results.at(-1);
+
+      ok(lastResultA && "returned" in lastResultA);
+      strictEqual(lastResultA.returned, undefined);
+
+      const cacheKeyB = "b";
+      const loadingB1Result =
+        /** @type {Deferred<Readonly<{ [key: string]: unknown }>>} */
+        (new Deferred());
+      const loadingB1CacheValue = new LoadingCacheValue(
+        loading,
+        cache,
+        cacheKeyB,
+        loadingB1Result.promise,
+        new AbortController(),
+      );
+
+      uploadProgress(loading, cacheKeyB, loadingB1CacheValue, 1);
+
+      const resultsCount = results.length;
+
+      ReactTestRenderer.act(() => {
+        testRenderer.update(
+          React.createElement(
+            LoadingContext.Provider,
+            { value: loading },
+            React.createElement(ReactHookTest, {
+              useHook: () => useLoadingUploadProgress(cacheKeyB),
+              results,
+            }),
+          ),
+        );
+      });
+
+      // Upload progress before rendering should be used.
+      strictEqual(results.length, resultsCount + 1);
+
+      const resultB = results[resultsCount];
+
+      ok("returned" in resultB);
+      deepStrictEqual(resultB.returned, { loaded: 1, total: 10 });
+
+      await ReactTestRenderer.act(async () => {
+        loadingB1Result.resolve({});
+        await loadingB1CacheValue.promise;
+      });
+    });
+  },
+);
@@ -0,0 +1,261 @@
+// @ts-check
+
+/**
+ * @import { CacheKey } from "./Cache.mjs"
+ * @import { ClientConfig } from "./ClientConfigsContext.mjs"
+ * @import {
+ *   FetchGraphQLOptions,
+ *   FetchGraphQLResult,
+ * } from "./fetchGraphQL.mjs"
+ * @import { CacheKeyMatcher, GraphQLOperation } from "./types.mjs"
+ */
+
+import React from "react";
+
+import cacheDelete from "./cacheDelete.mjs";
+import cacheStale from "./cacheStale.mjs";
+import clientConfigApply from "./clientConfigApply.mjs";
+import FetchContext from "./FetchContext.mjs";
+import fetchGraphQL from "./fetchGraphQL.mjs";
+import fetchOptionsGraphQL from "./fetchOptionsGraphQL.mjs";
+import useCache from "./useCache.mjs";
+import useClientConfig from "./useClientConfig.mjs";
+import useLoadGraphQL from "./useLoadGraphQL.mjs";
+
+/**
+ * Default {@linkcode useMutation} options, that don’t change between renders.
+ * @type {UseMutationOptions}
+ */
+const optionsDefault = {};
+
+/**
+ * React hook to get a function for running a GraphQL mutation, along with the
+ * state of the last run. The `fetch` options are created using
+ * {@linkcode fetchOptionsGraphQL}, so the operation may contain files to
+ * upload. The result isn’t set in the {@link Cache.store cache store} unless
+ * the {@link UseMutationOptions.cacheKey `cacheKey`} option is used. After a
+ * result without errors, matching cache store entries can be staled or
+ * deleted. The returned mutation function only changes if the cache, loading,
+ * or arguments change.
+ * @param {string | undefined} fetchUri [`fetch`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch)
+ *   URI. Defaults to the
+ *   {@link ClientConfig.fetchUri client config fetch URI}.
+ * @param {GraphQLOperation} operation Memoized GraphQL mutation operation.
+ * @param {UseMutationOptions} [options] Memoized options.
+ * @returns {Mutation} Mutation function and state.
+ * @example
+ * A button to star a repo, that stales the repo cache entry afterwards:
+ *
+ * ```jsx
+ * import useMutation from "graphql-react/useMutation.mjs";
+ * import React from "react";
+ *
+ * const operation = {
+ *   query: `
+ *     mutation ($repoId: ID!) {
+ *       addStar(input: { starrableId: $repoId }) {
+ *         clientMutationId
+ *       }
+ *     }
+ *   `,
+ * };
+ *
+ * function StarRepo({ repoId }) {
+ *   const options = React.useMemo(
+ *     () => ({ staleCacheKeyMatcher: (cacheKey) => cacheKey === repoId }),
+ *     [repoId],
+ *   );
+ *   const { mutate, loading, result } = useMutation(
+ *     "https://api.github.com/graphql",
+ *     operation,
+ *     options,
+ *   );
+ *
+ *   return (
+ *     <button disabled={loading} onClick={() => mutate({ repoId })}>
+ *       {result?.errors ? "Error, try again" : "Star"}
+ *     </button>
+ *   );
+ * }
+ * ```
+ */
+export default function useMutation(
+  fetchUri,
+  operation,
+  options = optionsDefault,
+) {
+  if (fetchUri !== undefined && typeof fetchUri !== "string")
+    throw new TypeError("Argument 1 `fetchUri` must be a string.");
+
+  if (typeof operation !== "object" || !operation || Array.isArray(operation))
+    throw new TypeError("Argument 2 `operation` must be an object.");
+
+  if (typeof options !== "object" || !options || Array.isArray(options))
+    throw new TypeError("Argument 3 `options` must be an object.");
+
+  const { client, cacheKey, staleCacheKeyMatcher, deleteCacheKeyMatcher } =
+    options;
+
+  if (client !== undefined && typeof client !== "string")
+    throw new TypeError("Option `client` must be a string.");
+
+  if (cacheKey !== undefined && typeof cacheKey !== "string")
+    throw new TypeError("Option `cacheKey` must be a string.");
+
+  if (
+    staleCacheKeyMatcher !== undefined &&
+    typeof staleCacheKeyMatcher !== "function"
+  )
+    throw new TypeError("Option `staleCacheKeyMatcher` must be a function.");
+
+  if (
+    deleteCacheKeyMatcher !== undefined &&
+    typeof deleteCacheKeyMatcher !== "function"
+  )
+    throw new TypeError("Option `deleteCacheKeyMatcher` must be a function.");
+
+  const cache = useCache();
+  const clientConfig = useClientConfig(client);
+  const providedFetch = React.useContext(FetchContext);
+  const resolvedFetchUri = fetchUri ?? clientConfig?.fetchUri;
+
+  if (resolvedFetchUri === undefined)
+    throw new TypeError(
+      "Argument 1 `fetchUri` must be a string if the client config has no fetch URI.",
+    );
+
+  const loadGraphQL = useLoadGraphQL(client);
+  const [state, setState] = React.useState(
+    /** @type {MutationState} */ ({ loading: false }),
+  );
+
+  const mountedRef = React.useRef(false);
+
+  // Only the last run updates the state.
+  const lastRunRef = React.useRef(0);
+
+  React.useEffect(() => {
+    mountedRef.current = true;
+
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  /** @type {Mutation["mutate"]} */
+  const mutate = React.useCallback(
+    (variables) => {
+      const {
+        cacheKey,
+        staleCacheKeyMatcher,
+        deleteCacheKeyMatcher,
+        ...otherOptions
+      } = options;
+
+      // The client name isn’t a `fetchGraphQL` option.
+      delete otherOptions.client;
+
+      /** @type {FetchGraphQLOptions} */
+      let fetchGraphQLOptions = otherOptions;
+
+      let fetchOptions = fetchOptionsGraphQL(
+        variables === undefined ? operation : { ...operation, variables },
+      );
+      const run = ++lastRunRef.current;
+
+      setState({ loading: true });
+
+      /** @type {Promise<FetchGraphQLResult>} */
+      let resultPromise;
+
+      if (cacheKey === undefined) {
+        if (clientConfig)
+          ({ fetchOptions, fetchGraphQLOptions } = clientConfigApply(
+            clientConfig,
+            fetchOptions,
+            fetchGraphQLOptions,
+          ));
+
+        if (providedFetch) fetchGraphQLOptions.fetch ??= providedFetch;
+
+        resultPromise = fetchGraphQL(
+          resolvedFetchUri,
+          fetchOptions,
+          fetchGraphQLOptions,
+        );
+      } else
+        resultPromise = /** @type {Promise<FetchGraphQLResult>} */ (
+          loadGraphQL(
+            cacheKey,
+            resolvedFetchUri,
+            fetchOptions,
+            fetchGraphQLOptions,
+          ).promise
+        );
+
+      return resultPromise.then((result) => {
+        if (!result.errors) {
+          if (staleCacheKeyMatcher) cacheStale(cache, staleCacheKeyMatcher);
+          if (deleteCacheKeyMatcher) cacheDelete(cache, deleteCacheKeyMatcher);
+        }
+
+        if (mountedRef.current && run === lastRunRef.current)
+          setState({ loading: false, result });
+
+        return result;
+      });
+    },
+    [
+      cache,
+      clientConfig,
+      providedFetch,
+      loadGraphQL,
+      resolvedFetchUri,
+      operation,
+      options,
+    ],
+  );
+
+  return React.useMemo(() => ({ mutate, ...state }), [mutate, state]);
+}
+
+/**
+ * {@linkcode useMutation} options, including
+ * {@link FetchGraphQLOptions `fetchGraphQL` options}.
+ * @typedef {FetchGraphQLOptions & UseMutationOwnOptions} UseMutationOptions
+ */
+
+/**
+ * {@linkcode useMutation} options that aren’t for {@linkcode fetchGraphQL}.
+ * @typedef {object} UseMutationOwnOptions
+ * @prop {string} [client] Name of the {@link ClientConfig client config} to
+ *   use. Defaults to `default`.
+ * @prop {CacheKey} [cacheKey] Cache key to store the result under, via
+ *   {@linkcode useLoadGraphQL}. By default the result isn’t cached.
+ * @prop {CacheKeyMatcher} [staleCacheKeyMatcher] Matches
+ *   {@link CacheKey cache keys} to stale using {@linkcode cacheStale} after a
+ *   result without errors.
+ * @prop {CacheKeyMatcher} [deleteCacheKeyMatcher] Matches
+ *   {@link CacheKey cache keys} to delete using {@linkcode cacheDelete} after a
+ *   result without errors.
+ */
+
+/**
+ * {@linkcode useMutation} mutation function and state.
+ * @typedef {MutationState & MutationFunction} Mutation
+ */
+
+/**
+ * @typedef {object} MutationFunction
+ * @prop {(
+ *   variables?: GraphQLOperation["variables"]
+ * ) => Promise<FetchGraphQLResult>} mutate Runs the mutation, optionally with
+ *   variables replacing the operation variables. Resolves the result.
+ */
+
+/**
+ * {@linkcode useMutation} state of the last run.
+ * @typedef {object} MutationState
+ * @prop {boolean} loading Is the mutation loading.
+ * @prop {FetchGraphQLResult} [result] The result, once loaded.
+ */
@@ -0,0 +1,540 @@
+// @ts-check
+
+/**
+ * @import { FetchGraphQLMiddleware } from "./fetchGraphQL.mjs"
+ * @import { ReactHookResult } from "./test/ReactHookTest.mjs"
+ * @import { UseMutationOptions } from "./useMutation.mjs"
+ */
+
+import "./test/polyfillCustomEvent.mjs";
+
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import React from "react";
+import ReactTestRenderer from "react-test-renderer";
+import revertableGlobals from "revertable-globals";
+
+import Cache from "./Cache.mjs";
+import Provider from "./Provider.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import assertTypeOf from "./test/assertTypeOf.mjs";
+import createReactTestRenderer from "./test/createReactTestRenderer.mjs";
+import Deferred from "./test/Deferred.mjs";
+import ReactHookTest from "./test/ReactHookTest.mjs";
+import useMutation from "./useMutation.mjs";
+
+const fetchUri = "the-uri";
+const operation = Object.freeze({
+  query: "mutation ($a: Int) { a(a: $a) }",
+  variables: Object.freeze({ a: 1 }),
+});
+
+/**
+ * Renders the React hook {@linkcode useMutation}.
+ * @param {Cache} cache Cache.
+ * @param {UseMutationOptions} [options] {@linkcode useMutation} options.
+ */
+function renderUseMutation(cache, options) {
+  /**
+   * @type {Array<
+   *   ReactHookResult<
+   *     ReturnType<useMutation>
+   *   >
+   * >}
+   */
+  const results = [];
+
+  const testRenderer = createReactTestRenderer(
+    React.createElement(
+      Provider,
+      // @ts-ignore The React types are incorrect.
+      { cache },
+      React.createElement(ReactHookTest, {
+        useHook: () => useMutation(fetchUri, operation, options),
+        results,
+      }),
+    ),
+  );
+
+  return { results, testRenderer };
+}
+
+/**
+ * Creates a `fetch` response for a GraphQL result.
+ * @param {unknown} result GraphQL result.
+ * @returns {Response} Response.
+ */
+function createResponse(result) {
+  return new Response(JSON.stringify(result), {
+    status: 200,
+    headers: {
+      "Content-Type": "application/graphql+json",
+    },
+  });
+}
+
+describe("React hook `useMutation`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(new URL("./useMutation.mjs", import.meta.url), 5950);
+  });
+
+  it("Argument 1 `fetchUri` not a string.", () => {
+    throws(() => {
+      useMutation(
+        // @ts-expect-error Testing invalid.
+        true,
+        operation,
+      );
+    }, new TypeError("Argument 1 `fetchUri` must be a string."));
+  });
+
+  it("Argument 2 `operation` not an object.", () => {
+    throws(() => {
+      useMutation(
+        fetchUri,
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 2 `operation` must be an object."));
+  });
+
+  it("Argument 3 `options` not an object.", () => {
+    throws(() => {
+      useMutation(
+        fetchUri,
+        operation,
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 3 `options` must be an object."));
+  });
+
+  it("Argument 1 `fetchUri` undefined without a client config fetch URI.", () => {
+    /** @type {Array<ReactHookResult>} */
+    const results = [];
+
+    createReactTestRenderer(
+      React.createElement(
+        Provider,
+        { cache: new Cache(), clients: { default: {} } },
+        React.createElement(ReactHookTest, {
+          useHook: () => useMutation(undefined, operation),
+          results,
+        }),
+      ),
+    );
+
+    strictEqual(results.length, 1);
+    ok("threw" in results[0]);
+    deepStrictEqual(
+      results[0].threw,
+      new TypeError(
+        "Argument 1 `fetchUri` must be a string if the client config has no fetch URI.",
+      ),
+    );
+  });
+
+  it("Option `client` not a string.", () => {
+    throws(() => {
+      useMutation(fetchUri, operation, {
+        // @ts-expect-error Testing invalid.
+        client: true,
+      });
+    }, new TypeError("Option `client` must be a string."));
+  });
+
+  it("Option `client`.", async () => {
+    /** @type {Array<[string, Array<[string, string]>, RequestCredentials | undefined]>} */
+    const fetches = [];
+
+    /** @type {typeof globalThis.fetch} */
+    const fetcher = async (input, init = {}) => {
+      fetches.push([
+        String(input),
+        [...new Headers(init.headers)],
+        init.credentials,
+      ]);
+
+      return createResponse({ data: { a: true } });
+    };
+
+    let middlewareCount = 0;
+
+    const cache = new Cache();
+    const clients = {
+      a: {
+        fetchUri: "uri-a",
+        headers: { Accept: "text/plain", "X-A": "a" },
+        credentials: /** @type {RequestCredentials} */ ("include"),
+        fetch: fetcher,
+        middleware: [
+          /** @type {FetchGraphQLMiddleware} */
+          (request, next) => {
+            middlewareCount++;
+            return next(request);
+          },
+        ],
+      },
+    };
+    const options = { client: "a" };
+    const optionsCacheKey = { client: "a", cacheKey: "b" };
+
+    /**
+     * @type {Array<
+     *   ReactHookResult<
+     *     ReturnType<useMutation>
+     *   >
+     * >}
+     */
+    const results = [];
+
+    /**
+     * @type {Array<
+     *   ReactHookResult<
+     *     ReturnType<useMutation>
+     *   >
+     * >}
+     */
+    const resultsCacheKey = [];
+
+    createReactTestRenderer(
+      React.createElement(
+        Provider,
+        { cache, clients },
+        React.createElement(ReactHookTest, {
+          useHook: () => useMutation(undefined, operation, options),
+          results,
+        }),
+        React.createElement(ReactHookTest, {
+          useHook: () => useMutation(undefined, operation, optionsCacheKey),
+          results: resultsCacheKey,
+        }),
+      ),
+    );
+
+    ok("returned" in results[0]);
+    ok("returned" in resultsCacheKey[0]);
+
+    const { mutate } = results[0].returned;
+    const { mutate: mutateCacheKey } = resultsCacheKey[0].returned;
+
+    await ReactTestRenderer.act(async () => {
+      await mutate();
+      await mutateCacheKey();
+    });
+
+    // The operation fetch options headers override the client config headers.
+    const headers = [
+      ["accept", "application/graphql-response+json, application/json;q=0.9"],
+      ["content-type", "application/json"],
+      ["x-a", "a"],
+    ];
+
+    deepStrictEqual(fetches, [
+      ["uri-a", headers, "include"],
+      ["uri-a", headers, "include"],
+    ]);
+    deepStrictEqual(cache.store, { b: { data: { a: true } } });
+    strictEqual(middlewareCount, 2);
+  });
+
+  it("Provider prop `fetch`.", async () => {
+    /** @type {Array<RequestInfo | URL>} */
+    const fetchedUris = [];
+
+    /** @type {typeof globalThis.fetch} */
+    const fetch = async (input) => {
+      fetchedUris.push(input);
+
+      return createResponse({ data: { a: true } });
+    };
+
+    /**
+     * @type {Array<
+     *   ReactHookResult<
+     *     ReturnType<useMutation>
+     *   >
+     * >}
+     */
+    const results = [];
+
+    createReactTestRenderer(
+      React.createElement(
+        Provider,
+        { cache: new Cache(), fetch },
+        React.createElement(ReactHookTest, {
+          useHook: () => useMutation(fetchUri, operation),
+          results,
+        }),
+      ),
+    );
+
+    ok("returned" in results[0]);
+
+    const { mutate } = results[0].returned;
+
+    await ReactTestRenderer.act(async () => {
+      deepStrictEqual(await mutate(), { data: { a: true } });
+    });
+
+    deepStrictEqual(fetchedUris, [fetchUri]);
+  });
+
+  it("Option `cacheKey` not a string.", () => {
+    throws(() => {
+      useMutation(fetchUri, operation, {
+        // @ts-expect-error Testing invalid.
+        cacheKey: true,
+      });
+    }, new TypeError("Option `cacheKey` must be a string."));
+  });
+
+  it("Option `staleCacheKeyMatcher` not a function.", () => {
+    throws(() => {
+      useMutation(fetchUri, operation, {
+        // @ts-expect-error Testing invalid.
+        staleCacheKeyMatcher: true,
+      });
+    }, new TypeError("Option `staleCacheKeyMatcher` must be a function."));
+  });
+
+  it("Option `deleteCacheKeyMatcher` not a function.", () => {
+    throws(() => {
+      useMutation(fetchUri, operation, {
+        // @ts-expect-error Testing invalid.
+        deleteCacheKeyMatcher: true,
+      });
+    }, new TypeError("Option `deleteCacheKeyMatcher` must be a function."));
+  });
+
+  describe(
+    "Functionality.",
+    {
+      // Some of the tests temporarily modify the global `fetch`.
+      concurrency: false,
+    },
+    () => {
+      it("Without options.", async () => {
+        const cache = new Cache({ a: 1 });
+        const { results } = renderUseMutation(cache);
+
+        strictEqual(results.length, 1);
+        ok("returned" in results[0]);
+
+        const { mutate } = results[0].returned;
+
+        assertTypeOf(mutate, "function");
+        strictEqual(results[0].returned.loading, false);
+        strictEqual(results[0].returned.result, undefined);
+
+        // Re-rendering shouldn’t change the mutation function.
+        ReactTestRenderer.act(() => {
+          results[0].rerender();
+        });
+
+        strictEqual(results.length, 2);
+        ok("returned" in results[1]);
+        strictEqual(results[1].returned, results[0].returned);
+
+        /** @type {Deferred<Response>} */
+        const fetchResponse = new Deferred();
+
+        /** @type {Array<RequestInit>} */
+        const fetchedOptions = [];
+
+        const revertGlobals = revertableGlobals({
+          /**
+           * @param {string} uri Fetch URI.
+           * @param {RequestInit} options Fetch options.
+           */
+          fetch(uri, options) {
+            strictEqual(uri, fetchUri);
+            fetchedOptions.push(options);
+
+            return fetchResponse.promise;
+          },
+        });
+
+        /** @type {Promise<unknown> | undefined} */
+        let mutatePromise;
+
+        try {
+          ReactTestRenderer.act(() => {
+            mutatePromise = mutate({ a: 2 });
+          });
+        } finally {
+          revertGlobals();
+        }
+
+        strictEqual(fetchedOptions.length, 1);
+        deepStrictEqual(
+          JSON.parse(/** @type {string} */ (fetchedOptions[0].body)),
+          { ...operation, variables: { a: 2 } },
+        );
+
+        strictEqual(results.length, 3);
+        ok("returned" in results[2]);
+        strictEqual(results[2].returned.loading, true);
+        strictEqual(results[2].returned.result, undefined);
+
+        const result = { data: { a: true } };
+
+        await ReactTestRenderer.act(async () => {
+          fetchResponse.resolve(createResponse(result));
+          deepStrictEqual(await mutatePromise, result);
+        });
+
+        strictEqual(results.length, 4);
+        ok("returned" in results[3]);
+        strictEqual(results[3].returned.mutate, mutate);
+        strictEqual(results[3].returned.loading, false);
+        deepStrictEqual(results[3].returned.result, result);
+
+        // The result shouldn’t have been cached.
+        deepStrictEqual(cache.store, { a: 1 });
+      });
+
+      it("Option `cacheKey`.", async () => {
+        const cache = new Cache();
+        const { results } = renderUseMutation(cache, { cacheKey: "a" });
+
+        ok("returned" in results[0]);
+
+        const { mutate } = results[0].returned;
+        const result = { data: { a: true } };
+        const revertGlobals = revertableGlobals({
+          async fetch() {
+            return createResponse(result);
+          },
+        });
+
+        try {
+          await ReactTestRenderer.act(async () => {
+            // Without variables, the operation variables should be used.
+            deepStrictEqual(await mutate(), result);
+          });
+        } finally {
+          revertGlobals();
+        }
+
+        deepStrictEqual(cache.store, { a: result });
+      });
+
+      it("Options `staleCacheKeyMatcher` and `deleteCacheKeyMatcher`.", async () => {
+        const cache = new Cache({ a: 1, b: 2, c: 3 });
+
+        /** @type {Array<string>} */
+        const staleEvents = [];
+
+        cache.addEventListener("stale", (event) => {
+          staleEvents.push(
+            /** @type {CustomEvent<{ cacheKey: string }>} */ (event).detail
+              .cacheKey,
+          );
+        });
+
+        const { results } = renderUseMutation(cache, {
+          staleCacheKeyMatcher: (cacheKey) => cacheKey === "a",
+          deleteCacheKeyMatcher: (cacheKey) => cacheKey === "b",
+        });
+
+        ok("returned" in results[0]);
+
+        const { mutate } = results[0].returned;
+
+        /** @type {unknown} */
+        let result = { errors: [{ message: "Error." }] };
+
+        const revertGlobals = revertableGlobals({
+          async fetch() {
+            return createResponse(result);
+          },
+        });
+
+        try {
+          // A result with errors shouldn’t stale or delete entries.
+          await ReactTestRenderer.act(async () => {
+            await mutate();
+          });
+
+          deepStrictEqual(staleEvents, []);
+          deepStrictEqual(cache.store, { a: 1, b: 2, c: 3 });
+
+          result = { data: { a: true } };
+
+          await ReactTestRenderer.act(async () => {
+            await mutate();
+          });
+        } finally {
+          revertGlobals();
+        }
+
+        deepStrictEqual(staleEvents, ["a"]);
+        deepStrictEqual(cache.store, { a: 1, c: 3 });
+      });
+
+      it("Overlapping runs and unmounting.", async () => {
+        const { results, testRenderer } = renderUseMutation(new Cache());
+
+        ok("returned" in results[0]);
+
+        const { mutate } = results[0].returned;
+
+        /** @type {Array<Deferred<Response>>} */
+        const fetchResponses = [];
+
+        const revertGlobals = revertableGlobals({
+          fetch() {
+            /** @type {Deferred<Response>} */
+            const fetchResponse = new Deferred();
+
+            fetchResponses.push(fetchResponse);
+
+            return fetchResponse.promise;
+          },
+        });
+
+        /** @type {Array<Promise<unknown>>} */
+        const mutatePromises = [];
+
+        try {
+          ReactTestRenderer.act(() => {
+            mutatePromises.push(mutate(), mutate(), mutate());
+          });
+        } finally {
+          revertGlobals();
+        }
+
+        const renderCount = results.length;
+
+        // An earlier run ending shouldn’t update the state.
+        await ReactTestRenderer.act(async () => {
+          fetchResponses[0].resolve(createResponse({ data: { a: 1 } }));
+          await mutatePromises[0];
+        });
+
+        strictEqual(results.length, renderCount);
+
+        await ReactTestRenderer.act(async () => {
+          fetchResponses[1].resolve(createResponse({ data: { a: 2 } }));
+          await mutatePromises[1];
+        });
+
+        strictEqual(results.length, renderCount);
+
+        ReactTestRenderer.act(() => {
+          testRenderer.unmount();
+        });
+
+        // The last run ending after unmounting shouldn’t update the state.
+        await ReactTestRenderer.act(async () => {
+          fetchResponses[2].resolve(createResponse({ data: { a: 3 } }));
+          deepStrictEqual(await mutatePromises[2], { data: { a: 3 } });
+        });
+
+        strictEqual(results.length, renderCount);
+      });
+    },
+  );
+});
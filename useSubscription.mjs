@@ -0,0 +1,105 @@
+// @ts-check
+
+/**
+ * @import { CacheKey } from "./Cache.mjs"
+ * @import {
+ *   GraphQLOperation,
+ *   SubscriptionClient,
+ * } from "./types.mjs"
+ * @import useCacheEntry from "./useCacheEntry.mjs"
+ */
+
+import React from "react";
+
+import cacheEntrySet from "./cacheEntrySet.mjs";
+import useCache from "./useCache.mjs";
+import useCacheEntryPrunePrevention from "./useCacheEntryPrunePrevention.mjs";
+
+/**
+ * React hook to subscribe to a GraphQL subscription operation while the
+ * component is mounted, setting each result as the
+ * {@link Cache.store cache store} entry value using {@linkcode cacheEntrySet}
+ * (e.g. so components using {@linkcode useCacheEntry} update live), and
+ * preventing the entry from being pruned. The subscription aborts when the
+ * hook arguments change, or the component unmounts.
+ * @param {CacheKey} cacheKey Cache key to store the results under.
+ * @param {SubscriptionClient} subscriptionClient GraphQL subscription client.
+ * @param {GraphQLOperation} operation Memoized GraphQL subscription operation.
+ * @see {@link useCacheEntryPrunePrevention `useCacheEntryPrunePrevention`},
+ *   used by this hook.
+ * @example
+ * Subscribing to new messages:
+ *
+ * ```jsx
+ * import SubscriptionClientGraphQLWS from "graphql-react/SubscriptionClientGraphQLWS.mjs";
+ * import useCacheEntry from "graphql-react/useCacheEntry.mjs";
+ * import useSubscription from "graphql-react/useSubscription.mjs";
+ * import React from "react";
+ *
+ * const subscriptionClient = new SubscriptionClientGraphQLWS(
+ *   "wss://example.com/graphql",
+ * );
+ *
+ * const operation = {
+ *   query: `
+ *     subscription {
+ *       messageAdded {
+ *         text
+ *       }
+ *     }
+ *   `,
+ * };
+ *
+ * function LatestMessage() {
+ *   const cacheKey = "latest-message";
+ *
+ *   useSubscription(cacheKey, subscriptionClient, operation);
+ *
+ *   const cacheValue = useCacheEntry(cacheKey);
+ *
+ *   return cacheValue?.data ? <p>{cacheValue.data.messageAdded.text}</p> : null;
+ * }
+ * ```
+ */
+export default function useSubscription(
+  cacheKey,
+  subscriptionClient,
+  operation,
+) {
+  if (typeof cacheKey !== "string")
+    throw new TypeError("Argument 1 `cacheKey` must be a string.");
+
+  if (
+    typeof subscriptionClient !== "object" ||
+    !subscriptionClient ||
+    typeof subscriptionClient.subscribe !== "function"
+  )
+    throw new TypeError(
+      "Argument 2 `subscriptionClient` must be a subscription client.",
+    );
+
+  if (typeof operation !== "object" || !operation)
+    throw new TypeError("Argument 3 `operation` must be an object.");
+
+  const cache = useCache();
+
+  useCacheEntryPrunePrevention(cacheKey);
+
+  React.useEffect(() => {
+    const abortController = new AbortController();
+
+    subscriptionClient.subscribe(
+      operation,
+      {
+        next(result) {
+          cacheEntrySet(cache, cacheKey, result);
+        },
+      },
+      abortController.signal,
+    );
+
+    return () => {
+      abortController.abort();
+    };
+  }, [cache, cacheKey, subscriptionClient, operation]);
+}
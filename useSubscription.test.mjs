@@ -0,0 +1,168 @@
+// @ts-check
+
+/**
+ * @import { ReactHookResult } from "./test/ReactHookTest.mjs"
+ * @import { GraphQLOperation, SubscriptionSink } from "./types.mjs"
+ */
+
+import "./test/polyfillCustomEvent.mjs";
+
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import React from "react";
+import ReactTestRenderer from "react-test-renderer";
+
+import Cache from "./Cache.mjs";
+import CacheContext from "./CacheContext.mjs";
+import cacheEntryPrune from "./cacheEntryPrune.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import createReactTestRenderer from "./test/createReactTestRenderer.mjs";
+import ReactHookTest from "./test/ReactHookTest.mjs";
+import useSubscription from "./useSubscription.mjs";
+
+const operation = Object.freeze({ query: "subscription { a }" });
+
+/** Creates a subscription client that records its subscriptions. */
+function createSubscriptionClient() {
+  /**
+   * @type {Array<{
+   *   operation: GraphQLOperation,
+   *   sink: SubscriptionSink,
+   *   signal?: AbortSignal,
+   * }>}
+   */
+  const subscriptions = [];
+
+  return {
+    subscriptions,
+    /**
+     * @param {GraphQLOperation} operation GraphQL operation.
+     * @param {SubscriptionSink} sink Sink.
+     * @param {AbortSignal} [signal] Abort signal.
+     */
+    subscribe(operation, sink, signal) {
+      subscriptions.push({ operation, sink, signal });
+    },
+  };
+}
+
+describe("React hook `useSubscription`.", { concurrency: true }, () => {
+  it("Bundle size.", async () => {
+    await assertBundleSize(
+      new URL("./useSubscription.mjs", import.meta.url),
+      700,
+    );
+  });
+
+  it("Argument 1 `cacheKey` not a string.", () => {
+    throws(() => {
+      useSubscription(
+        // @ts-expect-error Testing invalid.
+        true,
+        createSubscriptionClient(),
+        operation,
+      );
+    }, new TypeError("Argument 1 `cacheKey` must be a string."));
+  });
+
+  it("Argument 2 `subscriptionClient` not a subscription client.", () => {
+    for (const subscriptionClient of [true, null, {}])
+      throws(() => {
+        useSubscription(
+          "a",
+          // @ts-expect-error Testing invalid.
+          subscriptionClient,
+          operation,
+        );
+      }, new TypeError("Argument 2 `subscriptionClient` must be a subscription client."));
+  });
+
+  it("Argument 3 `operation` not an object.", () => {
+    throws(() => {
+      useSubscription(
+        "a",
+        createSubscriptionClient(),
+        // @ts-expect-error Testing invalid.
+        true,
+      );
+    }, new TypeError("Argument 3 `operation` must be an object."));
+  });
+
+  it("Functionality.", () => {
+    const cache = new Cache();
+    const subscriptionClient = createSubscriptionClient();
+
+    /** @type {Array<ReactHookResult>} */
+    const results = [];
+
+    /** @param {string} cacheKey Cache key. */
+    const render = (cacheKey) =>
+      React.createElement(
+        CacheContext.Provider,
+        { value: cache },
+        React.createElement(ReactHookTest, {
+          useHook: () =>
+            useSubscription(cacheKey, subscriptionClient, operation),
+          results,
+        }),
+      );
+
+    const testRenderer = createReactTestRenderer(render("a"));
+
+    strictEqual(results.length, 1);
+    ok("returned" in results[0]);
+    strictEqual(results[0].returned, undefined);
+    strictEqual(subscriptionClient.subscriptions.length, 1);
+
+    const [subscriptionA] = subscriptionClient.subscriptions;
+
+    strictEqual(subscriptionA.operation, operation);
+    strictEqual(subscriptionA.signal?.aborted, false);
+
+    const resultA1 = { data: { a: 1 } };
+
+    ReactTestRenderer.act(() => {
+      subscriptionA.sink.next(resultA1);
+    });
+
+    deepStrictEqual(cache.store, { a: resultA1 });
+
+    ReactTestRenderer.act(() => {
+      // This cache entry prune should be prevented.
+      cacheEntryPrune(cache, "a");
+    });
+
+    deepStrictEqual(cache.store, { a: resultA1 });
+
+    // Re-rendering with the same arguments shouldn’t resubscribe.
+    ReactTestRenderer.act(() => {
+      results[0].rerender();
+    });
+
+    strictEqual(subscriptionClient.subscriptions.length, 1);
+
+    // Changing arguments should resubscribe.
+    ReactTestRenderer.act(() => {
+      testRenderer.update(render("b"));
+    });
+
+    strictEqual(subscriptionA.signal?.aborted, true);
+    strictEqual(subscriptionClient.subscriptions.length, 2);
+
+    const subscriptionB = subscriptionClient.subscriptions[1];
+    const resultB1 = { data: { a: 2 } };
+
+    ReactTestRenderer.act(() => {
+      subscriptionB.sink.next(resultB1);
+    });
+
+    deepStrictEqual(cache.store, { a: resultA1, b: resultB1 });
+
+    ReactTestRenderer.act(() => {
+      testRenderer.unmount();
+    });
+
+    strictEqual(subscriptionB.signal?.aborted, true);
+  });
+});
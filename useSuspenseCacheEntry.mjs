@@ -0,0 +1,171 @@
+// @ts-check
+
+/**
+ * @import Cache, { CacheKey, CacheValue } from "./Cache.mjs"
+ * @import LoadingCacheValue from "./LoadingCacheValue.mjs"
+ * @import { Loader } from "./types.mjs"
+ * @import useLoadOnStale from "./useLoadOnStale.mjs"
+ */
+
+import useCache from "./useCache.mjs";
+import useCacheEntry from "./useCacheEntry.mjs";
+import useCacheEntryPrunePrevention from "./useCacheEntryPrunePrevention.mjs";
+import useLoading from "./useLoading.mjs";
+
+/**
+ * Loading started by {@linkcode useSuspenseCacheEntry} for absent cache store
+ * entries, by cache key, by cache. Renders while suspended use it instead of
+ * starting loading again. It’s kept after an aborted loading so the abort is
+ * thrown instead of loading again.
+ * @type {WeakMap<Cache, { [cacheKey: CacheKey]: LoadingCacheValue }>}
+ */
+const suspenseLoadings = new WeakMap();
+
+/**
+ * React hook to get a {@link CacheValue cache value} using its
+ * {@link CacheKey cache key}, suspending the component with
+ * [React Suspense](https://react.dev/reference/react/Suspense) until the
+ * {@link Cache.store cache store} entry is present. While it’s absent, the
+ * component suspends until the latest
+ * {@link LoadingCacheValue loading cache value} for the cache key has loaded,
+ * or if there is no loading, the loading started with the `load` argument.
+ * The loading is started once for the cache key, and is shared by renders
+ * (of any component) while suspended. This works with concurrent rendering
+ * and streaming server side rendering, as the cache and loading are outside of
+ * React state.
+ *
+ * If the loading started with the `load` argument is aborted (without a newer
+ * loading for the cache key), an `Error` is thrown for an
+ * [error boundary](https://react.dev/reference/react/Component#catching-rendering-errors-with-an-error-boundary)
+ * instead of loading again, until the cache store entry is present or other
+ * loading for the cache key starts.
+ *
+ * The cache store entry is prevented from being pruned while the component is
+ * mounted. If it’s deleted the component suspends while loading again, but if
+ * it’s staled it isn’t automatically reloaded (see {@linkcode useLoadOnStale}).
+ * @param {CacheKey} cacheKey Cache key.
+ * @param {Loader} load Function that starts the loading, if needed. It’s
+ *   called during render.
+ * @param {object} [options] Options.
+ * @param {boolean} [options.throwErrors] Should a cache value with GraphQL
+ *   result errors be thrown as an `Error` (with the cache value as the
+ *   `cause`) for an
+ *   [error boundary](https://react.dev/reference/react/Component#catching-rendering-errors-with-an-error-boundary)
+ *   to render. Defaults to `false`.
+ * @returns {CacheValue} Cache value.
+ * @example
+ * Rendering a GitHub repo’s stars while a Suspense boundary renders its
+ * fallback during loading:
+ *
+ * ```jsx
+ * import fetchOptionsGraphQL from "graphql-react/fetchOptionsGraphQL.mjs";
+ * import useLoadGraphQL from "graphql-react/useLoadGraphQL.mjs";
+ * import useSuspenseCacheEntry from "graphql-react/useSuspenseCacheEntry.mjs";
+ * import React from "react";
+ *
+ * const query = `
+ *   query ($repoId: ID!) {
+ *     repo: node(id: $repoId) {
+ *       ... on Repository {
+ *         stargazers {
+ *           totalCount
+ *         }
+ *       }
+ *     }
+ *   }
+ * `;
+ *
+ * function GitHubRepoStars({ repoId }) {
+ *   const cacheKey = `GitHubRepoStars-${repoId}`;
+ *   const loadGraphQL = useLoadGraphQL();
+ *   const cacheValue = useSuspenseCacheEntry(
+ *     cacheKey,
+ *     () =>
+ *       loadGraphQL(
+ *         cacheKey,
+ *         "https://api.github.com/graphql",
+ *         fetchOptionsGraphQL({ query, variables: { repoId } }),
+ *       ),
+ *     { throwErrors: true },
+ *   );
+ *
+ *   return cacheValue.data.repo.stargazers.totalCount;
+ * }
+ *
+ * function App({ repoId }) {
+ *   return (
+ *     <React.Suspense fallback="Loading…">
+ *       <GitHubRepoStars repoId={repoId} />
+ *     </React.Suspense>
+ *   );
+ * }
+ * ```
+ */
+export default function useSuspenseCacheEntry(cacheKey, load, options = {}) {
+  if (typeof cacheKey !== "string")
+    throw new TypeError("Argument 1 `cacheKey` must be a string.");
+
+  if (typeof load !== "function")
+    throw new TypeError("Argument 2 `load` must be a function.");
+
+  if (typeof options !== "object" || !options || Array.isArray(options))
+    throw new TypeError("Argument 3 `options` must be an object.");
+
+  const { throwErrors = false } = options;
+
+  const cache = useCache();
+  const loading = useLoading();
+  const cacheValue = useCacheEntry(cacheKey);
+
+  useCacheEntryPrunePrevention(cacheKey);
+
+  // Cache values can’t be `undefined`, so the cache store entry is absent.
+  if (cacheValue === undefined) {
+    /** @type {LoadingCacheValue | undefined} */
+    let loadingCacheValue;
+
+    const loadingSet = loading.store[cacheKey];
+
+    if (loadingSet) for (const value of loadingSet) loadingCacheValue = value;
+
+    if (!loadingCacheValue) {
+      const loadings = suspenseLoadings.get(cache) ?? {};
+
+      suspenseLoadings.set(cache, loadings);
+
+      loadingCacheValue = loadings[cacheKey];
+
+      if (!loadingCacheValue) {
+        const loadingStarted = (loadings[cacheKey] = load());
+
+        loadingStarted.promise.then(() => {
+          if (
+            !loadingStarted.abortController.signal.aborted &&
+            loadings[cacheKey] === loadingStarted
+          )
+            delete loadings[cacheKey];
+        });
+
+        loadingCacheValue = loadingStarted;
+      } else if (loadingCacheValue.abortController.signal.aborted)
+        throw new Error("Cache entry loading aborted.");
+    }
+
+    // Suspend the component until the loading ends.
+    throw loadingCacheValue.promise;
+  }
+
+  const loadings = suspenseLoadings.get(cache);
+
+  if (loadings) delete loadings[cacheKey];
+
+  if (
+    throwErrors &&
+    /** @type {{ errors?: unknown } | null} */ (cacheValue)?.errors
+  )
+    throw new Error("Cache value has GraphQL result errors.", {
+      cause: cacheValue,
+    });
+
+  return cacheValue;
+}
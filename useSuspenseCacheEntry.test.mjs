@@ -0,0 +1,407 @@
+// @ts-check
+
+/**
+ * @import { ReactHookResult } from "./test/ReactHookTest.mjs"
+ * @import { Loader } from "./types.mjs"
+ */
+
+import "./test/polyfillCustomEvent.mjs";
+
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { describe, it } from "node:test";
+
+import React from "react";
+import ReactTestRenderer from "react-test-renderer";
+
+import Cache from "./Cache.mjs";
+import CacheContext from "./CacheContext.mjs";
+import cacheEntryDelete from "./cacheEntryDelete.mjs";
+import Loading from "./Loading.mjs";
+import LoadingCacheValue from "./LoadingCacheValue.mjs";
+import LoadingContext from "./LoadingContext.mjs";
+import assertBundleSize from "./test/assertBundleSize.mjs";
+import createReactTestRenderer from "./test/createReactTestRenderer.mjs";
+import Deferred from "./test/Deferred.mjs";
+import ReactHookTest from "./test/ReactHookTest.mjs";
+import useSuspenseCacheEntry from "./useSuspenseCacheEntry.mjs";
+
+/**
+ * Renders the React hook {@linkcode useSuspenseCacheEntry} within a React
+ * Suspense boundary, with the fallback `Loading…`.
+ * @param {Cache} cache Cache.
+ * @param {Loading} loading Loading.
+ * @param {string} cacheKey Cache key.
+ * @param {Loader} load Loader.
+ */
+function renderSuspense(cache, loading, cacheKey, load) {
+  function TestComponent() {
+    return JSON.stringify(useSuspenseCacheEntry(cacheKey, load));
+  }
+
+  return createReactTestRenderer(
+    React.createElement(
+      CacheContext.Provider,
+      { value: cache },
+      React.createElement(
+        LoadingContext.Provider,
+        { value: loading },
+        React.createElement(
+          React.Suspense,
+          { fallback: "Loading…" },
+          React.createElement(TestComponent),
+        ),
+      ),
+    ),
+  );
+}
+
+describe(
+  "React hook `useSuspenseCacheEntry`.",
+  {
+    // Some of the tests have async React test renderer `act` calls, that
+    // mustn’t overlap.
+    concurrency: false,
+  },
+  () => {
+    it("Bundle size.", async () => {
+      await assertBundleSize(
+        new URL("./useSuspenseCacheEntry.mjs", import.meta.url),
+        1700,
+      );
+    });
+
+    it("Argument 1 `cacheKey` not a string.", () => {
+      throws(() => {
+        useSuspenseCacheEntry(
+          // @ts-expect-error Testing invalid.
+          true,
+          () => {
+            throw new Error("Shouldn’t load.");
+          },
+        );
+      }, new TypeError("Argument 1 `cacheKey` must be a string."));
+    });
+
+    it("Argument 2 `load` not a function.", () => {
+      throws(() => {
+        useSuspenseCacheEntry(
+          "a",
+          // @ts-expect-error Testing invalid.
+          true,
+        );
+      }, new TypeError("Argument 2 `load` must be a function."));
+    });
+
+    it("Argument 3 `options` not an object.", () => {
+      throws(() => {
+        useSuspenseCacheEntry(
+          "a",
+          () => {
+            throw new Error("Shouldn’t load.");
+          },
+          // @ts-expect-error Testing invalid.
+          true,
+        );
+      }, new TypeError("Argument 3 `options` must be an object."));
+    });
+
+    it("Cache entry present.", () => {
+      const cacheKey = "a";
+      const cacheValue = { data: { a: 1 } };
+      const testRenderer = renderSuspense(
+        new Cache({ [cacheKey]: cacheValue }),
+        new Loading(),
+        cacheKey,
+        () => {
+          throw new Error("Shouldn’t load.");
+        },
+      );
+
+      strictEqual(testRenderer.toJSON(), JSON.stringify(cacheValue));
+    });
+
+    it("Cache entry absent, loading started by the argument `load`.", async () => {
+      const cache = new Cache();
+      const loading = new Loading();
+      const cacheKey = "a";
+
+      /** @type {Array<Deferred<unknown>>} */
+      const loadingResults = [];
+
+      const testRenderer = renderSuspense(cache, loading, cacheKey, () => {
+        /** @type {Deferred<unknown>} */
+        const loadingResult = new Deferred();
+
+        loadingResults.push(loadingResult);
+
+        return new LoadingCacheValue(
+          loading,
+          cache,
+          cacheKey,
+          loadingResult.promise,
+          new AbortController(),
+        );
+      });
+
+      strictEqual(testRenderer.toJSON(), "Loading…");
+      strictEqual(loadingResults.length, 1);
+
+      const cacheValueA = { data: { a: 1 } };
+
+      await ReactTestRenderer.act(async () => {
+        loadingResults[0].resolve(cacheValueA);
+        await loadingResults[0].promise;
+      });
+
+      strictEqual(testRenderer.toJSON(), JSON.stringify(cacheValueA));
+      strictEqual(loadingResults.length, 1);
+
+      // Deleting the cache entry should suspend while loading again.
+      ReactTestRenderer.act(() => {
+        cacheEntryDelete(cache, cacheKey);
+      });
+
+      strictEqual(testRenderer.toJSON(), "Loading…");
+      strictEqual(loadingResults.length, 2);
+
+      const cacheValueB = { data: { a: 2 } };
+
+      await ReactTestRenderer.act(async () => {
+        loadingResults[1].resolve(cacheValueB);
+        await loadingResults[1].promise;
+      });
+
+      strictEqual(testRenderer.toJSON(), JSON.stringify(cacheValueB));
+    });
+
+    it("Cache entry absent, loading started by the argument `load` aborted.", async () => {
+      const cache = new Cache();
+      const loading = new Loading();
+      const cacheKey = "a";
+
+      /** @type {Array<LoadingCacheValue>} */
+      const loadingCacheValues = [];
+
+      /** @type {Array<Deferred<unknown>>} */
+      const loadingResults = [];
+
+      /** @type {Loader} */
+      const load = () => {
+        /** @type {Deferred<unknown>} */
+        const loadingResult = new Deferred();
+
+        loadingResults.push(loadingResult);
+
+        const loadingCacheValue = new LoadingCacheValue(
+          loading,
+          cache,
+          cacheKey,
+          loadingResult.promise,
+          new AbortController(),
+        );
+
+        loadingCacheValues.push(loadingCacheValue);
+
+        return loadingCacheValue;
+      };
+
+      /** @type {Array<ReactHookResult>} */
+      const results = [];
+
+      createReactTestRenderer(
+        React.createElement(
+          CacheContext.Provider,
+          { value: cache },
+          React.createElement(
+            LoadingContext.Provider,
+            { value: loading },
+            React.createElement(ReactHookTest, {
+              useHook: () => useSuspenseCacheEntry(cacheKey, load),
+              results,
+            }),
+          ),
+        ),
+      );
+
+      strictEqual(results.length, 1);
+      ok("threw" in results[0]);
+      strictEqual(results[0].threw, loadingCacheValues[0].promise);
+
+      await ReactTestRenderer.act(async () => {
+        loadingCacheValues[0].abortController.abort();
+        loadingResults[0].resolve({ data: { a: 0 } });
+        await loadingCacheValues[0].promise;
+      });
+
+      // Renders after the loading aborted should throw instead of loading
+      // again.
+      for (let i = 0; i < 2; i++) {
+        ReactTestRenderer.act(() => {
+          results[0].rerender();
+        });
+
+        const result = /** @type {ReactHookResult} */ (results.at(-1));
+
+        ok("threw" in result);
+        deepStrictEqual(
+          result.threw,
+          new Error("Cache entry loading aborted."),
+        );
+      }
+
+      strictEqual(loadingCacheValues.length, 1);
+
+      // Other loading for the cache key should be suspended on.
+
+      /** @type {Deferred<unknown>} */
+      const loadingResultOther = new Deferred();
+
+      const loadingCacheValueOther = new LoadingCacheValue(
+        loading,
+        cache,
+        cacheKey,
+        loadingResultOther.promise,
+        new AbortController(),
+      );
+
+      ReactTestRenderer.act(() => {
+        results[0].rerender();
+      });
+
+      const resultSuspended = /** @type {ReactHookResult} */ (results.at(-1));
+
+      ok("threw" in resultSuspended);
+      strictEqual(resultSuspended.threw, loadingCacheValueOther.promise);
+
+      const cacheValue = { data: { a: 1 } };
+
+      await ReactTestRenderer.act(async () => {
+        loadingResultOther.resolve(cacheValue);
+        await loadingCacheValueOther.promise;
+      });
+
+      const resultLoaded = /** @type {ReactHookResult} */ (results.at(-1));
+
+      ok("returned" in resultLoaded);
+      strictEqual(resultLoaded.returned, cacheValue);
+
+      // Once the cache entry was present, deleting it should load again.
+      ReactTestRenderer.act(() => {
+        cacheEntryDelete(cache, cacheKey);
+      });
+
+      const resultReloading = /** @type {ReactHookResult} */ (results.at(-1));
+
+      strictEqual(loadingCacheValues.length, 2);
+      ok("threw" in resultReloading);
+      strictEqual(resultReloading.threw, loadingCacheValues[1].promise);
+    });
+
+    it("Cache entry absent, loading already started.", async () => {
+      const cache = new Cache();
+      const loading = new Loading();
+      const cacheKey = "a";
+
+      /** @type {Deferred<unknown>} */
+      const loadingResultA = new Deferred();
+
+      /** @type {Deferred<unknown>} */
+      const loadingResultB = new Deferred();
+
+      const loadingCacheValueA = new LoadingCacheValue(
+        loading,
+        cache,
+        cacheKey,
+        loadingResultA.promise,
+        new AbortController(),
+      );
+      const loadingCacheValueB = new LoadingCacheValue(
+        loading,
+        cache,
+        cacheKey,
+        loadingResultB.promise,
+        new AbortController(),
+      );
+
+      const testRenderer = renderSuspense(cache, loading, cacheKey, () => {
+        throw new Error("Shouldn’t load.");
+      });
+
+      strictEqual(testRenderer.toJSON(), "Loading…");
+
+      const cacheValue = { data: { a: 1 } };
+
+      // The component should suspend until the latest loading ends.
+      await ReactTestRenderer.act(async () => {
+        loadingResultB.resolve(cacheValue);
+        loadingResultA.resolve({ data: { a: 0 } });
+        await loadingCacheValueA.promise;
+        await loadingCacheValueB.promise;
+      });
+
+      strictEqual(testRenderer.toJSON(), JSON.stringify(cacheValue));
+    });
+
+    it("Option `throwErrors`.", () => {
+      const cacheKey = "a";
+      const cacheValueErrors = { errors: [{ message: "Error." }] };
+      const cacheValueData = { data: { a: 1 } };
+      const cache = new Cache({ [cacheKey]: cacheValueErrors });
+
+      /** @type {Loader} */
+      const load = () => {
+        throw new Error("Shouldn’t load.");
+      };
+
+      /** @type {Array<ReactHookResult>} */
+      const resultsThrowErrors = [];
+
+      /** @type {Array<ReactHookResult>} */
+      const resultsNotThrowErrors = [];
+
+      createReactTestRenderer(
+        React.createElement(
+          CacheContext.Provider,
+          { value: cache },
+          React.createElement(
+            LoadingContext.Provider,
+            { value: new Loading() },
+            React.createElement(ReactHookTest, {
+              useHook: () =>
+                useSuspenseCacheEntry(cacheKey, load, { throwErrors: true }),
+              results: resultsThrowErrors,
+            }),
+            React.createElement(ReactHookTest, {
+              useHook: () =>
+                useSuspenseCacheEntry(cacheKey, load, { throwErrors: false }),
+              results: resultsNotThrowErrors,
+            }),
+          ),
+        ),
+      );
+
+      strictEqual(resultsThrowErrors.length, 1);
+      ok("threw" in resultsThrowErrors[0]);
+      deepStrictEqual(
+        resultsThrowErrors[0].threw,
+        new Error("Cache value has GraphQL result errors.", {
+          cause: cacheValueErrors,
+        }),
+      );
+
+      strictEqual(resultsNotThrowErrors.length, 1);
+      ok("returned" in resultsNotThrowErrors[0]);
+      strictEqual(resultsNotThrowErrors[0].returned, cacheValueErrors);
+
+      // A cache value without errors shouldn’t be thrown.
+      ReactTestRenderer.act(() => {
+        cache.store[cacheKey] = cacheValueData;
+        resultsThrowErrors[0].rerender();
+      });
+
+      strictEqual(resultsThrowErrors.length, 2);
+      ok("returned" in resultsThrowErrors[1]);
+      strictEqual(resultsThrowErrors[1].returned, cacheValueData);
+    });
+  },
+);